@@ -0,0 +1,78 @@
+/**
+ * BandwidthShaper Unit Tests
+ */
+
+const BandwidthShaper = require('../src/services/BandwidthShaper');
+const TrafficControlService = require('../src/services/TrafficControlService');
+
+describe('BandwidthShaper', () => {
+    let shaper;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        shaper = new BandwidthShaper();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should pace bytes to the link rate', async () => {
+        // 20 KB/s: one 1000 byte segment of burst, then 50ms per KB
+        const link = shaper.getLink('tun1|1.2.3.4|downlink', { rate: 20000 });
+
+        await expect(shaper.take(link, 1000)).resolves.toBe(0);
+
+        const waited = shaper.take(link, 1000);
+        jest.advanceTimersByTime(50);
+        await expect(waited).resolves.toBe(50);
+    });
+
+    it('should share one bucket between transfers on a link', async () => {
+        const link = shaper.getLink('tun1|*|uplink', { rate: 1000 });
+        shaper.take(link, 512);
+
+        const first = shaper.take(link, 500);
+        const second = shaper.take(link, 500);
+        jest.advanceTimersByTime(1000);
+
+        await expect(first).resolves.toBe(500);
+        await expect(second).resolves.toBe(1000);
+    });
+
+    it('should resend lost segments after a retransmission delay', async () => {
+        const link = shaper.getLink('tun1|*|downlink', { rate: 20000, packetLoss: 0.5, latency: 300 });
+
+        const lost = shaper.take(link, 1000, () => 0.1);
+        jest.advanceTimersByTime(1000);
+        await expect(lost).resolves.toBe(50 + 600);
+    });
+});
+
+describe('TrafficControlService links', () => {
+    let control;
+
+    beforeEach(() => {
+        control = new TrafficControlService();
+    });
+
+    it('should give each client its own link unless shaped by tunnel', () => {
+        control.setThrottle('custom', { downlink: 80000, uplink: 8000 });
+
+        const a = control.getLink('downlink', { tunnelId: 'tun1', clientIp: '10.0.0.1' });
+        const b = control.getLink('downlink', { tunnelId: 'tun1', clientIp: '10.0.0.2' });
+        expect(a.rate).toBe(10000);
+        expect(a.key).not.toBe(b.key);
+        expect(control.getLink('uplink', { tunnelId: 'tun1', clientIp: '10.0.0.1' }).rate).toBe(1000);
+
+        control.setThrottle('fast3g', null, 'tun1', { shapeBy: 'tunnel' });
+        expect(control.getLink('downlink', { tunnelId: 'tun1', clientIp: '10.0.0.1' }).key)
+            .toBe(control.getLink('downlink', { tunnelId: 'tun1', clientIp: '10.0.0.2' }).key);
+    });
+
+    it('should not shape unlimited links and reject invalid settings', () => {
+        expect(control.getLink('downlink', { tunnelId: 'tun1' })).toBeNull();
+        expect(() => control.setThrottle('custom', { packetLoss: 1 })).toThrow('packetLoss');
+        expect(() => control.setThrottle('none', null, null, { shapeBy: 'planet' })).toThrow('shapeBy');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * BreakpointService Unit Tests
+ */
+
+const BreakpointService = require('../src/services/BreakpointService');
+const TrafficControlService = require('../src/services/TrafficControlService');
+
+describe('BreakpointService', () => {
+    let breakpoints;
+
+    const request = (overrides = {}) => ({
+        method: 'POST',
+        path: '/api/orders',
+        headers: { 'content-type': 'application/json' },
+        body: Buffer.from('{"qty":1}'),
+        streaming: false,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        breakpoints = new BreakpointService(new TrafficControlService());
+    });
+
+    afterEach(() => {
+        breakpoints.releaseAll();
+    });
+
+    describe('match', () => {
+        it('should match method, path and headers for the rule stage', () => {
+            breakpoints.addRule({
+                id: 'bp1',
+                stage: 'request',
+                pattern: { method: 'POST', path: '^/api', headers: { 'content-type': 'json' } },
+            });
+
+            expect(breakpoints.match('request', request()).id).toBe('bp1');
+            expect(breakpoints.match('response', request())).toBeNull();
+            expect(breakpoints.match('request', request({ headers: {} }))).toBeNull();
+        });
+
+        it('should only match its own tunnel when scoped', () => {
+            breakpoints.addRule({ id: 'bp1', tunnelId: 'tun1', pattern: {} });
+
+            expect(breakpoints.match('request', request(), 'tun2')).toBeNull();
+            expect(breakpoints.match('request', request(), 'tun1').id).toBe('bp1');
+        });
+
+        it('should reject invalid patterns up front', () => {
+            expect(() => breakpoints.addRule({ pattern: { path: '(' } })).toThrow('invalid path pattern');
+        });
+    });
+
+    describe('hold', () => {
+        it('should publish the held item and resolve with normalized edits', async () => {
+            const rule = breakpoints.addRule({ pattern: {} });
+            const held = jest.fn();
+            breakpoints.on('held', held);
+
+            const { id, decision } = breakpoints.hold(rule, { stage: 'request', requestId: 'req1', request: request() });
+
+            expect(held.mock.calls[0][0].request.body).toBe('{"qty":1}');
+            expect(breakpoints.resolve(id, {
+                action: 'continue',
+                request: { method: 'put', headers: { 'X-Debug': 1 }, body: { qty: 2 } },
+            })).toBe(true);
+
+            const result = await decision;
+            expect(result.request.method).toBe('PUT');
+            expect(result.request.headers).toEqual({ 'x-debug': '1' });
+            expect(result.request.body.toString()).toBe('{"qty":2}');
+            expect(breakpoints.getHeld()).toHaveLength(0);
+        });
+
+        it('should continue unchanged when the hold times out', async () => {
+            jest.useFakeTimers();
+            try {
+                const rule = breakpoints.addRule({ pattern: {}, timeout: 5000 });
+                const { decision } = breakpoints.hold(rule, { stage: 'request', requestId: 'req1', request: request() });
+
+                jest.advanceTimersByTime(5000);
+                await expect(decision).resolves.toEqual({ action: 'continue', reason: 'timeout' });
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        it('should refuse an invalid decision and keep holding', () => {
+            const rule = breakpoints.addRule({ pattern: {} });
+            const { id } = breakpoints.hold(rule, { stage: 'response', requestId: 'req1', request: request() });
+
+            expect(() => breakpoints.resolve(id, { action: 'respond', response: { statusCode: 99 } }))
+                .toThrow('Status code');
+            expect(breakpoints.getHeldItem(id)).not.toBeNull();
+        });
+
+        it('should cancel what a closed tunnel has held', async () => {
+            const rule = breakpoints.addRule({ pattern: {} });
+            const released = jest.fn();
+            breakpoints.on('released', released);
+
+            const closed = breakpoints.hold(rule, { stage: 'request', requestId: 'req1', tunnelId: 'tun1', request: request() });
+            const other = breakpoints.hold(rule, { stage: 'request', requestId: 'req2', tunnelId: 'tun2', request: request() });
+
+            breakpoints.removeTunnel('tun1');
+            await expect(closed.decision).resolves.toEqual({ action: 'cancel', reason: 'closed' });
+            expect(released).toHaveBeenCalledWith(expect.objectContaining({ requestId: 'req1', action: 'cancel' }));
+            expect(breakpoints.getHeld().map(item => item.id)).toEqual([other.id]);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * ChaosScenarioService Unit Tests
+ */
+
+const ChaosScenarioService = require('../src/services/ChaosScenarioService');
+const TrafficControlService = require('../src/services/TrafficControlService');
+
+describe('ChaosScenarioService', () => {
+    let scenarios;
+
+    const request = (n, overrides = {}) => ({
+        requestId: `req${n}`,
+        method: 'POST',
+        path: '/checkout',
+        headers: {},
+        ...overrides,
+    });
+
+    // Runs the same traffic through a scenario and lists the requests it hit
+    const affectedIds = (count) => {
+        for (let n = 1; n <= count; n++) {
+            scenarios.evaluate(request(n, { path: n % 2 ? '/checkout' : '/api/items' }));
+        }
+        return scenarios.getReport('flaky').affected.map(entry => entry.requestId);
+    };
+
+    beforeEach(() => {
+        scenarios = new ChaosScenarioService(new TrafficControlService());
+    });
+
+    it('should fail every Nth matching request', () => {
+        scenarios.createScenario({
+            id: 'checkout',
+            rules: [{ match: { method: 'POST', path: '^/checkout' }, every: 5, fault: { type: 'status' } }],
+        });
+        scenarios.start('checkout');
+
+        const faults = [];
+        for (let n = 1; n <= 10; n++) {
+            faults.push(scenarios.evaluate(request(n)));
+            expect(scenarios.evaluate(request(n, { method: 'GET' }))).toBeNull();
+        }
+
+        expect(faults.map(fault => fault && fault.fault.statusCode)).toEqual(
+            [null, null, null, null, 503, null, null, null, null, 503]
+        );
+        expect(scenarios.getReport('checkout').rules[0]).toMatchObject({ matched: 10, fired: 2 });
+    });
+
+    it('should repeat the same run for the same seed', () => {
+        scenarios.createScenario({
+            id: 'flaky',
+            seed: 'bug-1234',
+            rules: [
+                { match: { path: '^/api' }, rate: 0.5, fault: { type: 'latency', delay: 2000, jitter: 500 } },
+                { match: { path: '^/checkout' }, rate: 0.3, fault: { type: 'truncate' } },
+            ],
+        });
+
+        scenarios.start('flaky');
+        const first = affectedIds(40);
+        const delays = scenarios.getReport('flaky').affected
+            .filter(entry => entry.fault.type === 'latency')
+            .map(entry => entry.fault.delay);
+
+        scenarios.start('flaky');
+        expect(affectedIds(40)).toEqual(first);
+        expect(scenarios.getReport('flaky').affected
+            .filter(entry => entry.fault.type === 'latency')
+            .map(entry => entry.fault.delay)).toEqual(delays);
+
+        scenarios.start('flaky', { seed: 'other' });
+        expect(affectedIds(40)).not.toEqual(first);
+    });
+
+    it('should stop affecting requests once stopped', () => {
+        scenarios.createScenario({ id: 'all', rules: [{ fault: { type: 'drop' } }] });
+        scenarios.start('all');
+        expect(scenarios.evaluate(request(1)).fault.type).toBe('drop');
+
+        scenarios.stop('all');
+        expect(scenarios.evaluate(request(2))).toBeNull();
+        expect(scenarios.getReport('all').affected).toHaveLength(1);
+    });
+
+    it('should reject invalid rules', () => {
+        expect(() => scenarios.createScenario({ rules: [] })).toThrow('at least one rule');
+        expect(() => scenarios.createScenario({ rules: [{ fault: { type: 'explode' } }] }))
+            .toThrow('rules[0].fault.type');
+        expect(() => scenarios.createScenario({ rules: [{ every: 2, rate: 0.5, fault: { type: 'drop' } }] }))
+            .toThrow('either every or rate');
+        expect(() => scenarios.createScenario({ rules: [{ match: { path: '(' }, fault: { type: 'drop' } }] }))
+            .toThrow('invalid path pattern');
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * DiffReplayService Unit Tests
+ */
+
+const zlib = require('zlib');
+const DiffReplayService = require('../src/services/DiffReplayService');
+const ReplayService = require('../src/services/ReplayService');
+const InspectorService = require('../src/services/InspectorService');
+
+describe('DiffReplayService', () => {
+    let inspector;
+    let replayService;
+    let diffs;
+    let sent;
+
+    const base64 = value => Buffer.from(JSON.stringify(value)).toString('base64');
+
+    beforeEach(() => {
+        inspector = new InspectorService();
+        replayService = new ReplayService(inspector, null, null);
+        diffs = new DiffReplayService(replayService, inspector);
+
+        // Captured in production, gzipped
+        const gzipped = { 'content-type': 'application/json', 'content-encoding': 'gzip' };
+        inspector.recordRequest({ requestId: 'req1', tunnelId: 'tun1', subdomain: 'prod', method: 'GET', path: '/items/1', headers: {} });
+        inspector.recordResponse({
+            requestId: 'req1',
+            statusCode: 200,
+            headers: gzipped,
+            body: zlib.gzipSync(JSON.stringify({ id: 1, price: 10 })).toString('base64'),
+            responseTime: 100,
+        });
+
+        const responses = {
+            prod: { statusCode: 200, headers: gzipped, rawBody: zlib.gzipSync(JSON.stringify({ id: 1, price: 10 })).toString('base64') },
+            local: { statusCode: 200, headers: { 'content-type': 'application/json' }, rawBody: base64({ id: 1, price: 10 }) },
+            'https://staging.example.com/': { statusCode: 500, headers: { 'content-type': 'application/json' }, rawBody: base64({ id: 1, price: 12 }) },
+        };
+
+        sent = [];
+        jest.spyOn(replayService, 'replayRequest').mockImplementation(async (requestId, modifications, options) => {
+            sent.push(options);
+            // No options: the original tunnel
+            const response = responses[options.target || options.subdomain || 'prod'];
+            if (!response) throw new Error(`Tunnel ${options.subdomain} not found`);
+            return { replayId: `r-${sent.length}`, replayedVia: options.target ? 'target' : 'tunnel', response, duration: 100 };
+        });
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+    });
+
+    it('should diff every environment against the original and each other', async () => {
+        const result = await diffs.replayWithDiff('req1', {}, { targets: ['local', 'https://staging.example.com', 'gone'] });
+
+        expect(sent).toEqual([
+            { subdomain: 'local', direct: false },
+            { target: 'https://staging.example.com/', insecure: false },
+            { subdomain: 'gone', direct: false },
+        ]);
+        expect(result.columns.map(column => column.label)).toEqual(['original', 'local', 'https://staging.example.com', 'gone']);
+        expect(result.columns[0]).toMatchObject({ statusCode: 200, bodyPreview: '{"id":1,"price":10}' });
+        expect(result.columns[3]).toEqual({ label: 'gone', error: 'Tunnel gone not found' });
+
+        // Original and local match once the capture is decompressed
+        const pair = (from, to) => result.diffs.find(diff => diff.from === from && diff.to === to).diff;
+        expect(pair(0, 1).body.changed).toBe(false);
+        expect(pair(0, 2).status).toMatchObject({ original: 200, replay: 500, severity: 'critical' });
+        expect(pair(1, 2).body.modifications).toEqual([{ path: '$.price', original: 10, replay: 12 }]);
+        expect(result.matrix[1][2]).toBe(result.matrix[2][1]);
+        expect(result.matrix[0][3]).toBeNull();
+        expect(result).toMatchObject({ hasChanges: true, failed: 1 });
+        expect(diffs.getDiffById(result.id)).toBe(result);
+    });
+
+    it('should default to the original tunnel and reject bad targets', async () => {
+        const result = await diffs.replayWithDiff('req1');
+        expect(sent).toEqual([{}]);
+        expect(result.columns[1]).toMatchObject({ label: 'prod', replayedVia: 'tunnel', statusCode: 200 });
+        expect(result.matrix).toEqual([[null, 0], [0, null]]);
+        expect(result.hasChanges).toBe(false);
+
+        await expect(diffs.replayWithDiff('req1', {}, { targets: ['ftp://x'] })).rejects.toThrow('Target must be an http or https URL');
+        await expect(diffs.replayWithDiff('req1', {}, { targets: 'local' })).rejects.toThrow('targets must be an array');
+        await expect(diffs.replayWithDiff('missing')).rejects.toThrow('Original request not found');
+    });
+
+    it('should diff text and HTML by line with changed words marked', () => {
+        const text = diffs.diffBody('a\nb\nc\nd\ne\nf\ng\nh\ni', 'a\nb\nc\nd\ne\nf\ng\nh\nj');
+        expect(text).toMatchObject({ changed: true, format: 'text', additions: 1, removals: 1 });
+        expect(text.hunks).toHaveLength(1);
+        expect(text.hunks[0]).toMatchObject({ originalStart: 6, originalLines: 4, replayStart: 6, replayLines: 4 });
+
+        const html = diffs.diffBody('<ul><li>Price: 10 EUR</li><li>Stock</li></ul>', '<ul><li>Price: 12 EUR</li><li>Stock</li></ul>', undefined, 'text/html');
+        const [removed, added] = html.hunks[0].lines.filter(line => line.type !== 'context');
+        expect(removed).toMatchObject({ text: '<li>Price: 10 EUR</li>', originalLine: 2 });
+        expect(added.words).toEqual([
+            { type: 'equal', text: '<li>Price: ' },
+            { type: 'added', text: '12' },
+            { type: 'equal', text: ' EUR</li>' },
+        ]);
+    });
+
+    it('should align JSON arrays and apply ignore rules', () => {
+        const original = { items: [{ id: 1, at: 't1' }, { id: 2, at: 't1' }], meta: { requestId: 'a' }, note: 'token abc123' };
+        const replay = { items: [{ id: 0, at: 't2' }, { id: 1, at: 't2' }, { id: 3, at: 't2' }], meta: { requestId: 'b' }, note: 'token def456' };
+
+        const plain = diffs.diffBody(original, replay);
+        expect(plain.modifications.map(change => change.path)).toEqual(
+            ['$.items[0].id', '$.items[0].at', '$.items[1].id', '$.items[1].at', '$.meta.requestId', '$.note']
+        );
+
+        const ignore = diffs.compileIgnoreRules(diffs.normalizeIgnoreRules({
+            paths: ['$.items[*].at', '$..requestId'],
+            masks: ['token \\w+'],
+        }));
+        const ignored = diffs.diffBody(original, replay, ignore);
+        expect(ignored.additions).toEqual([{ path: '$.items[0]', value: { id: 0 } }]);
+        expect(ignored.modifications).toEqual([{ path: '$.items[1].id', original: 2, replay: 3 }]);
+        expect(ignored.removals).toEqual([]);
+
+        expect(diffs.diffHeaders({ 'set-cookie': ['a', 'b'] }, { 'set-cookie': ['a', 'b'] }).changes).toEqual([]);
+        expect(diffs.diffHeaders({ Date: 'x' }, { Date: 'y' }, diffs.compileIgnoreRules(diffs.getIgnoreRules())).ignored).toEqual(['Date']);
+    });
+
+    it('should validate ignore rules', async () => {
+        expect(() => diffs.setIgnoreRules({ paths: ['items'] })).toThrow('must start with $');
+        expect(() => diffs.setIgnoreRules({ masks: ['('] })).toThrow('Invalid mask (');
+        expect(() => diffs.setIgnoreRules({ headers: 'date' })).toThrow('ignore.headers must be an array');
+        expect(diffs.setIgnoreRules({ headers: ['X-Trace '] })).toEqual({ headers: ['x-trace'], paths: [], masks: [] });
+
+        const result = await diffs.replayWithDiff('req1', {}, { targets: ['local'], ignore: { paths: ['$.id'] } });
+        expect(result.ignore).toEqual({ headers: ['x-trace'], paths: ['$.id'], masks: [] });
+        await expect(diffs.replayWithDiff('req1', {}, { ignore: { paths: ['$['] } })).rejects.toThrow('Invalid ignore path');
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * HarService Unit Tests
+ */
+
+const zlib = require('zlib');
+const HarService = require('../src/services/HarService');
+const InspectorService = require('../src/services/InspectorService');
+
+describe('HarService', () => {
+    let inspector;
+    let har;
+    let tunnels;
+
+    beforeEach(() => {
+        inspector = new InspectorService();
+        tunnels = new Map([['shop', { tunnelId: 'live-tunnel' }]]);
+        har = new HarService(inspector, { getTunnelBySubdomain: subdomain => tunnels.get(subdomain) || null }, {
+            publicDomain: 'localhost',
+            httpPort: 3000,
+        });
+
+        inspector.recordRequest({
+            requestId: 'req1',
+            tunnelId: 'tun1',
+            subdomain: 'shop',
+            method: 'POST',
+            path: '/orders?draft=1',
+            headers: { 'content-type': 'application/json', cookie: 'session=abc' },
+            body: '{"sku":"A-1"}',
+            timestamp: Date.parse('2026-10-19T10:00:00Z'),
+            clientIp: '10.0.0.5',
+        });
+        inspector.recordEffect('req1', { type: 'throttled', direction: 'request', delay: 100 });
+        inspector.recordResponse({
+            requestId: 'req1',
+            statusCode: 201,
+            headers: { 'content-type': 'application/json', 'content-encoding': 'gzip' },
+            body: zlib.gzipSync('{"id":42}').toString('base64'),
+            responseTime: 250,
+        });
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+    });
+
+    it('should export traffic as HAR with decoded bodies and timings', () => {
+        const { log } = har.exportHar({ tunnelId: 'tun1' });
+
+        expect(log.version).toBe('1.2');
+        expect(log.entries).toHaveLength(1);
+        const [entry] = log.entries;
+        expect(entry).toMatchObject({
+            startedDateTime: '2026-10-19T10:00:00.000Z',
+            time: 250,
+            timings: { blocked: 100, send: 0, wait: 150, receive: 0 },
+            request: {
+                method: 'POST',
+                url: 'http://shop.localhost:3000/orders?draft=1',
+                queryString: [{ name: 'draft', value: '1' }],
+                cookies: [{ name: 'session', value: 'abc' }],
+                postData: { mimeType: 'application/json', text: '{"sku":"A-1"}' },
+            },
+            response: {
+                status: 201,
+                statusText: 'Created',
+                content: { mimeType: 'application/json', text: '{"id":42}', size: 9 },
+            },
+        });
+        expect(har.exportHar({ tunnelId: 'other' }).log.entries).toEqual([]);
+    });
+
+    it('should import HAR entries for inspection, search and replay', () => {
+        const exported = har.exportHar();
+        inspector.clear();
+
+        const result = har.importHar(exported);
+        expect(result.imported).toBe(1);
+
+        const imported = inspector.getTrafficById(result.requestIds[0]);
+        expect(imported).toMatchObject({
+            tunnelId: 'live-tunnel',
+            subdomain: 'shop',
+            request: { method: 'POST', path: '/orders?draft=1', body: '{"sku":"A-1"}', clientIp: '10.0.0.5' },
+            response: { statusCode: 201, parsedBody: { id: 42 } },
+            responseTime: 250,
+            effects: [{ type: 'throttled', delay: 100 }],
+        });
+        expect(imported.importedAt).not.toBeNull();
+        expect(imported.response.headers['content-encoding']).toBeUndefined();
+        expect(inspector.getAllTraffic({ q: 'method:POST status:201 resbody.id:42' })).toHaveLength(1);
+    });
+
+    it('should take browser HARs and reject invalid documents', () => {
+        const { requestIds } = har.importHar({
+            log: {
+                entries: [{
+                    startedDateTime: '2026-10-19T09:00:00Z',
+                    time: 12,
+                    request: {
+                        method: 'get',
+                        url: 'https://cdn.example.com/app.js',
+                        headers: [{ name: ':authority', value: 'cdn.example.com' }, { name: 'Accept', value: '*/*' }],
+                    },
+                    response: { status: 200, headers: [], content: { text: 'YQ==', encoding: 'base64' } },
+                }],
+            },
+        }, { subdomain: 'frontend' });
+
+        expect(inspector.getTrafficById(requestIds[0])).toMatchObject({
+            tunnelId: 'imported',
+            subdomain: 'frontend',
+            request: { method: 'GET', path: '/app.js', headers: { accept: '*/*' } },
+            response: { statusCode: 200, body: 'YQ==' },
+        });
+
+        expect(() => har.importHar({ entries: [] })).toThrow('Not a HAR file');
+        expect(() => har.importHar({ log: { entries: [{ request: { method: 'GET', url: 'nope' } }] } }))
+            .toThrow('entries[0].request.url');
+    });
+});
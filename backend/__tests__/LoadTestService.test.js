@@ -0,0 +1,111 @@
+/**
+ * LoadTestService Unit Tests
+ */
+
+const LoadTestService = require('../src/services/LoadTestService');
+const ReplayCollectionService = require('../src/services/ReplayCollectionService');
+const ReplayService = require('../src/services/ReplayService');
+const InspectorService = require('../src/services/InspectorService');
+
+describe('LoadTestService', () => {
+    let inspector;
+    let replayService;
+    let loadTests;
+    let latencies;
+    let concurrent;
+    let maxConcurrent;
+
+    beforeEach(() => {
+        inspector = new InspectorService();
+        inspector.recordRequest({ requestId: 'req1', tunnelId: 'tun1', subdomain: 'shop', method: 'GET', path: '/items', headers: {} });
+        inspector.recordResponse({ requestId: 'req1', statusCode: 200, headers: {}, responseTime: 5 });
+
+        const tunnelManager = { getTunnelBySubdomain: subdomain => (subdomain === 'shop' ? {} : null) };
+        replayService = new ReplayService(inspector, tunnelManager, null);
+        const collections = new ReplayCollectionService(replayService, inspector);
+        loadTests = new LoadTestService(replayService, collections, inspector, tunnelManager);
+
+        // Every 5th replay answers 503, every 10th times out
+        latencies = [];
+        concurrent = 0;
+        maxConcurrent = 0;
+        let n = 0;
+        jest.spyOn(replayService, 'replayRequest').mockImplementation(async () => {
+            const current = ++n;
+            concurrent++;
+            maxConcurrent = Math.max(maxConcurrent, concurrent);
+            await new Promise(resolve => setImmediate(resolve));
+            concurrent--;
+            if (current % 10 === 0) throw new Error('Replay request timeout');
+            latencies.push(current);
+            return { duration: current, response: { statusCode: current % 5 === 0 ? 503 : 200 }, success: true };
+        });
+    });
+
+    afterEach(() => {
+        loadTests.destroy();
+        inspector.destroy();
+    });
+
+    it('should replay a request a fixed number of times and report', async () => {
+        const events = [];
+        loadTests.on('completed', report => events.push(report));
+
+        const started = loadTests.start({ requestId: 'req1', concurrency: 4, count: 40 });
+        expect(started.status).toBe('running');
+        await loadTests.tests.get(started.id).done;
+
+        const report = loadTests.getReport(started.id);
+        expect(report).toMatchObject({
+            status: 'completed',
+            requests: 40,
+            iterations: 40,
+            failures: 4,
+            statusCodes: { 200: 32, 503: 4 },
+            errorBreakdown: { '2xx': 32, '5xx': 4 },
+            errors: { 'Replay request timeout': 4 },
+            errorRate: '20.00',
+        });
+        expect(report.latency).toEqual(inspector.getLatencyPercentiles(latencies));
+        expect(maxConcurrent).toBe(4);
+        expect(events).toEqual([report]);
+    });
+
+    it('should sort the full latency set only once, when the test finishes', async () => {
+        const sorted = jest.spyOn(inspector, 'getLatencyPercentiles');
+        const started = loadTests.start({ requestId: 'req1', concurrency: 4, count: 40 });
+        const test = loadTests.tests.get(started.id);
+        const samples = test.latencies;
+
+        await new Promise(resolve => setImmediate(resolve));
+        loadTests.progress(test);
+        const running = loadTests.getReport(started.id);
+        expect(running.latency.count).toBe(samples.length);
+        expect(samples.length).toBeGreaterThan(0);
+        expect(running.latency.p95).toBe(test.timeSeries[0].p95);
+
+        await test.done;
+        expect(sorted.mock.calls.filter(([values]) => values === samples)).toHaveLength(1);
+        expect(loadTests.getReport(started.id).latency).toEqual(inspector.getLatencyPercentiles(latencies));
+    });
+
+    it('should stop early and compare against a baseline', async () => {
+        const baseline = loadTests.start({ requestId: 'req1', concurrency: 2, count: 20 });
+        await loadTests.tests.get(baseline.id).done;
+
+        const second = loadTests.start({ requestId: 'req1', concurrency: 2, duration: 60000, rampUp: 30000 });
+        const stopped = await loadTests.stop(second.id);
+        expect(stopped.status).toBe('stopped');
+
+        const comparison = loadTests.compare(second.id, baseline.id);
+        expect(comparison.latency.p50).toMatchObject({ baseline: expect.any(Number), current: expect.any(Number) });
+        expect(loadTests.getReports().map(report => report.id)).toEqual([second.id, baseline.id]);
+    });
+
+    it('should reject invalid tests', () => {
+        expect(() => loadTests.start({ requestId: 'req1', concurrency: 1 })).toThrow('Give a duration, a count or both');
+        expect(() => loadTests.start({ requestId: 'req1', count: 5, concurrency: 500 })).toThrow('Concurrency must be between');
+        expect(() => loadTests.start({ requestId: 'req1', count: 5, subdomain: 'gone' })).toThrow('Tunnel gone is not connected');
+        expect(() => loadTests.start({ collectionId: 'nope', count: 5 })).toThrow('Collection nope not found');
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * ReplayCollectionService Unit Tests
+ */
+
+const ReplayCollectionService = require('../src/services/ReplayCollectionService');
+const ReplayService = require('../src/services/ReplayService');
+const InspectorService = require('../src/services/InspectorService');
+
+describe('ReplayCollectionService', () => {
+    let inspector;
+    let replayService;
+    let collections;
+    let sent;
+
+    // Captured flow: login, create cart, checkout
+    const capture = (requestId, method, path) => {
+        inspector.recordRequest({ requestId, tunnelId: 'tun1', subdomain: 'shop', method, path, headers: {} });
+        inspector.recordResponse({ requestId, statusCode: 200, headers: {}, responseTime: 5 });
+    };
+
+    const responses = {
+        login: { statusCode: 200, headers: { 'set-cookie': ['theme=dark', 'sid=abc123; HttpOnly'] }, body: { token: 'tok-1', user: { id: 7 } } },
+        cart: { statusCode: 201, headers: {}, body: { cartId: 'c-9' } },
+        checkout: { statusCode: 200, headers: {}, body: 'ok' },
+    };
+
+    beforeEach(() => {
+        inspector = new InspectorService();
+        replayService = new ReplayService(inspector, null, null);
+        collections = new ReplayCollectionService(replayService, inspector);
+        capture('login', 'POST', '/login');
+        capture('cart', 'POST', '/carts');
+        capture('checkout', 'POST', '/checkout');
+
+        sent = [];
+        jest.spyOn(replayService, 'replayRequest').mockImplementation(async (requestId, modifications, options) => {
+            sent.push({ requestId, modifications, options });
+            const response = responses[requestId];
+            return {
+                replayId: `r-${requestId}`,
+                response,
+                success: response.statusCode < 400,
+            };
+        });
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+    });
+
+    it('should pass variables from earlier responses to later steps', async () => {
+        collections.createCollection({
+            id: 'purchase',
+            variables: { sku: 'A-1' },
+            steps: [
+                {
+                    requestId: 'login',
+                    extract: {
+                        token: '$.token',
+                        userId: '$.user.id',
+                        sid: { from: 'header', name: 'Set-Cookie', pattern: 'sid=([^;]+)' },
+                    },
+                },
+                {
+                    requestId: 'cart',
+                    modifications: {
+                        headers: { authorization: 'Bearer {{token}}', cookie: 'sid={{ sid }}' },
+                        body: { userId: '{{userId}}', items: ['{{sku}}'] },
+                    },
+                    extract: { cartId: '$.cartId' },
+                },
+                { requestId: 'checkout', modifications: { path: '/carts/{{cartId}}/checkout' } },
+            ],
+        });
+
+        const run = await collections.runCollection('purchase', { subdomain: 'staging' });
+
+        expect(run.success).toBe(true);
+        expect(run.steps.map(step => step.status)).toEqual(['passed', 'passed', 'passed']);
+        expect(sent[1].modifications).toEqual({
+            headers: { authorization: 'Bearer tok-1', cookie: 'sid=abc123' },
+            body: { userId: 7, items: ['A-1'] },
+        });
+        expect(sent[2].modifications.path).toBe('/carts/c-9/checkout');
+        expect(sent.every(({ options }) => options.subdomain === 'staging' && options.record === false)).toBe(true);
+        expect(replayService.getHistory()).toEqual([run]);
+        expect(collections.getRuns('purchase')).toEqual([run]);
+    });
+
+    it('should stop a sequence at the first failure and skip the rest', async () => {
+        collections.createCollection({
+            id: 'broken',
+            steps: [
+                { requestId: 'login', extract: { token: '$.access_token' } },
+                { requestId: 'cart', modifications: { headers: { authorization: 'Bearer {{token}}' } } },
+            ],
+        });
+
+        const run = await collections.runCollection('broken');
+        expect(run.success).toBe(false);
+        expect(run.steps[0]).toMatchObject({ status: 'failed', error: 'Variable token: $.access_token not found in the response' });
+        expect(run.steps[1].status).toBe('skipped');
+        expect(sent).toHaveLength(1);
+
+        // In parallel nothing waits for the login step's variables
+        const parallel = await collections.runCollection('broken', { mode: 'parallel' });
+        expect(parallel.steps[1]).toMatchObject({ status: 'failed', error: 'Unknown variable {{token}}' });
+    });
+
+    it('should reject invalid collections', () => {
+        expect(() => collections.createCollection({ steps: [] })).toThrow('at least one step');
+        expect(() => collections.createCollection({ steps: [{ requestId: 'nope' }] }))
+            .toThrow('steps[0]: request nope not found');
+        expect(() => collections.createCollection({ steps: [{ requestId: 'login', extract: { token: 'token' } }] }))
+            .toThrow('JSON path must start with $');
+        expect(() => collections.createCollection({ mode: 'random', steps: [{ requestId: 'login' }] }))
+            .toThrow('Mode must be one of');
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * ReplayService Unit Tests
+ */
+
+const http = require('http');
+const ReplayService = require('../src/services/ReplayService');
+const InspectorService = require('../src/services/InspectorService');
+
+describe('ReplayService direct replay', () => {
+    let inspector;
+    let server;
+    let port;
+    let received;
+
+    const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x0a]);
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+                res.writeHead(200, { 'content-type': 'application/octet-stream' });
+                res.end(binary);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        inspector = new InspectorService();
+        inspector.recordRequest({
+            requestId: 'upload',
+            tunnelId: 'tun1',
+            subdomain: 'shop',
+            method: 'PUT',
+            path: '/images/1?size=s',
+            headers: { 'content-type': 'image/png', host: 'shop.example.com', 'transfer-encoding': 'chunked' },
+            body: binary.toString('base64'),
+            bodyEncoding: 'base64',
+        });
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+    });
+
+    it('should send binary bodies to an explicit target under its path', async () => {
+        const replays = new ReplayService(inspector, { getTunnelBySubdomain: () => ({}) }, null);
+
+        const result = await replays.replayRequest('upload', { query: { size: 'l' } }, {
+            target: `http://127.0.0.1:${port}/staging/`,
+        });
+
+        expect(received).toHaveLength(1);
+        expect(received[0]).toMatchObject({ method: 'PUT', url: '/staging/images/1?size=l' });
+        expect(received[0].headers.host).toBe(`127.0.0.1:${port}`);
+        expect(received[0].headers['content-length']).toBe(String(binary.length));
+        expect(received[0].body.equals(binary)).toBe(true);
+        expect(result).toMatchObject({
+            replayedVia: 'target',
+            targetUrl: `http://127.0.0.1:${port}/staging/images/1?size=l`,
+            request: { body: binary.toString('base64'), bodyEncoding: 'base64' },
+            response: { statusCode: 200, body: binary.toString('base64'), rawBody: binary.toString('base64') },
+            success: true,
+        });
+        expect(replays.getHistory()).toEqual([result]);
+    });
+
+    it('should fall back to the configured gateway address when the tunnel is gone', async () => {
+        const replays = new ReplayService(inspector, { getTunnelBySubdomain: () => null }, null, {
+            httpPort: port,
+            publicDomain: 'tunnels.test',
+        });
+
+        const result = await replays.replayRequest('upload', { body: 'hello', headers: { 'content-type': 'text/plain' } });
+
+        expect(received[0]).toMatchObject({ url: '/images/1?size=s', body: Buffer.from('hello') });
+        expect(received[0].headers.host).toBe(`shop.tunnels.test:${port}`);
+        expect(result).toMatchObject({
+            replayedVia: 'gateway',
+            targetUrl: `http://shop.tunnels.test:${port}/images/1?size=s`,
+            request: { body: 'hello', bodyEncoding: 'utf8' },
+        });
+    });
+
+    it('should reject targets that are not http or https URLs', async () => {
+        const replays = new ReplayService(inspector, null, null);
+
+        await expect(replays.replayRequest('upload', {}, { target: 'staging' })).rejects.toThrow('Invalid target URL');
+        await expect(replays.replayRequest('upload', {}, { target: 'ftp://staging' }))
+            .rejects.toThrow('Target must be an http or https URL');
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * RequestForwarder Unit Tests
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const express = require('express');
+const RequestForwarder = require('../src/services/RequestForwarder');
+const ReplayService = require('../src/services/ReplayService');
+const InspectorService = require('../src/services/InspectorService');
+const TunnelManager = require('../src/services/TunnelManager');
+const { MessageType, Capability } = require('../shared/src');
+
+describe('RequestForwarder streamed responses', () => {
+    let manager;
+    let tunnel;
+    let inspector;
+    let forwarder;
+    let sent;
+
+    // Just enough of an Express response
+    const createResponse = () => {
+        const res = new EventEmitter();
+        return Object.assign(res, {
+            headers: {},
+            written: [],
+            writable: true,
+            writableEnded: false,
+            status: jest.fn(code => { res.statusCode = code; return res; }),
+            set: jest.fn((key, value) => { res.headers[key.toLowerCase()] = value; return res; }),
+            flushHeaders: jest.fn(),
+            write: jest.fn(chunk => { res.written.push(chunk); return res.writable; }),
+            end: jest.fn(() => { res.writableEnded = true; }),
+        });
+    };
+
+    const stream = (requestId, chunks) => {
+        forwarder.handleResponse(tunnel, {
+            requestId,
+            statusCode: 200,
+            headers: { 'content-type': 'text/plain', 'transfer-encoding': 'chunked' },
+            streaming: true,
+        });
+        chunks.forEach((chunk, index) => forwarder.handleResponseChunk(tunnel, { requestId, chunk: Buffer.from(chunk), index }));
+        forwarder.handleResponseEnd(tunnel, { requestId });
+    };
+
+    beforeEach(() => {
+        manager = new TunnelManager();
+        ({ tunnel } = manager.registerTunnel({
+            ws: { readyState: 1, send: jest.fn(), terminate: jest.fn() },
+            requestedSubdomain: 'shop',
+            localPort: 3000,
+            capabilities: [Capability.STREAMING],
+        }));
+        sent = [];
+        jest.spyOn(tunnel, 'send').mockImplementation(message => sent.push(message));
+
+        inspector = new InspectorService();
+        forwarder = new RequestForwarder(manager, inspector);
+    });
+
+    afterEach(() => {
+        manager.closeAll();
+        inspector.destroy();
+    });
+
+    it('should collect a streamed response to a replay', async () => {
+        inspector.recordRequest({ requestId: 'req1', tunnelId: tunnel.tunnelId, subdomain: 'shop', method: 'GET', path: '/feed', headers: {} });
+        const replays = new ReplayService(inspector, manager, forwarder);
+
+        const replay = replays.replayRequest('req1');
+        const [replayId] = tunnel.pendingRequests.keys();
+        stream(replayId, ['hello ', 'world']);
+
+        const result = await replay;
+        expect(result.response).toMatchObject({ statusCode: 200, body: 'hello world' });
+        expect(tunnel.pendingRequests.size).toBe(0);
+    });
+
+    it('should write chunks to the client and keep a copy for inspection', async () => {
+        const res = createResponse();
+        const resolve = jest.fn();
+        tunnel.addPendingRequest('req2', { resolve, reject: jest.fn(), res, timer: { id: null } });
+
+        stream('req2', ['a', 'bc']);
+        await new Promise(setImmediate);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers).toEqual({ 'content-type': 'text/plain' });
+        expect(Buffer.concat(res.written).toString()).toBe('abc');
+        expect(res.end).toHaveBeenCalled();
+        expect(resolve).toHaveBeenCalledWith(expect.objectContaining({
+            body: Buffer.from('abc').toString('base64'),
+            streamed: true,
+            size: 3,
+            truncated: false,
+        }));
+    });
+
+    it('should pause the CLI while the client is not draining', () => {
+        const res = createResponse();
+        res.writable = false;
+        tunnel.addPendingRequest('req3', { resolve: jest.fn(), reject: jest.fn(), res, timer: { id: null } });
+
+        forwarder.handleResponse(tunnel, { requestId: 'req3', statusCode: 200, headers: {}, streaming: true });
+        forwarder.handleResponseChunk(tunnel, { requestId: 'req3', chunk: Buffer.from('a'), index: 0 });
+        forwarder.handleResponseChunk(tunnel, { requestId: 'req3', chunk: Buffer.from('b'), index: 1 });
+        expect(sent.map(message => message.type)).toEqual([MessageType.HTTP_RESPONSE_PAUSE]);
+
+        res.emit('drain');
+        expect(sent.map(message => message.type)).toEqual([MessageType.HTTP_RESPONSE_PAUSE, MessageType.HTTP_RESPONSE_RESUME]);
+    });
+});
+
+describe('RequestForwarder chaos faults', () => {
+    let server;
+
+    afterEach(done => {
+        server.close(done);
+    });
+
+    it('should reset the connection mid-body for a reset fault', done => {
+        const forwarder = new RequestForwarder(new TunnelManager(), null);
+        let received = '';
+        let bodyRead;
+        const partRead = new Promise(resolve => { bodyRead = resolve; });
+
+        const app = express();
+        app.get('/', (req, res) => {
+            // Cut only once the client has the partial body, as a remote
+            // client would; on loopback a reset can otherwise overtake it
+            const write = res.write.bind(res);
+            res.write = (chunk, callback) => write(chunk, () => partRead.then(callback));
+
+            forwarder.sendFaultyResponse(req, res, {
+                statusCode: 200,
+                headers: { 'content-type': 'text/plain' },
+                body: Buffer.from('0123456789').toString('base64'),
+            }, { type: 'reset', ratio: 0.5 });
+        });
+
+        server = app.listen(0, () => {
+            const socket = net.connect(server.address().port, '127.0.0.1', () => {
+                socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+            });
+            socket.on('data', chunk => {
+                received += chunk;
+                if (received.endsWith('01234')) bodyRead();
+            });
+            socket.on('end', () => done(new Error('Connection closed cleanly')));
+            socket.on('error', error => {
+                expect(error.code).toBe('ECONNRESET');
+                expect(received).toMatch(/content-length: 10/i);
+                done();
+            });
+        });
+    });
+});
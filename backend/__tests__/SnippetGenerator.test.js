@@ -0,0 +1,62 @@
+/**
+ * SnippetGenerator Unit Tests
+ */
+
+const SnippetGenerator = require('../src/services/SnippetGenerator');
+
+describe('SnippetGenerator', () => {
+    const generator = new SnippetGenerator({ publicDomain: 'tunnel.dev', httpPort: 8080 });
+
+    const traffic = (request) => ({
+        subdomain: 'shop',
+        request: {
+            method: 'POST',
+            path: '/orders?page=2',
+            headers: { host: 'shop.tunnel.dev:8080', 'content-length': '12', 'x-note': "it's" },
+            ...request,
+        },
+    });
+
+    it('should target the public URL and quote multiline bodies', () => {
+        const request = traffic({ body: "line 1\nit's `2`" });
+
+        expect(generator.generate(request, 'curl')).toBe([
+            "curl -X POST 'http://shop.tunnel.dev:8080/orders?page=2'",
+            "  -H 'x-note: it'\\''s'",
+            "  --data-raw 'line 1\nit'\\''s `2`'",
+        ].join(' \\\n'));
+        expect(generator.generate(request, 'python')).toContain('data="line 1\\nit\'s `2`"');
+        expect(generator.generate(request, 'powershell')).toContain("$body = 'line 1\nit''s `2`'");
+        expect(generator.generate(request, 'go')).toContain('strings.NewReader("line 1\\nit\'s `2`")');
+        expect(generator.generate(request, 'http')).toBe([
+            'POST /orders?page=2 HTTP/1.1',
+            'Host: shop.tunnel.dev:8080',
+            "x-note: it's",
+            'Content-Length: 15',
+            '',
+            "line 1\nit's `2`",
+        ].join('\n'));
+    });
+
+    it('should carry binary bodies as base64 or escaped bytes', () => {
+        const request = traffic({ body: 'GIF\x00\x01"' });
+
+        expect(generator.generate(request, 'curl')).toMatch(/^echo 'R0lGAAEi' \| base64 --decode \| \\\ncurl -X POST .* --data-binary @-$/s);
+        expect(generator.generate(request, 'fetch')).toContain('body: Uint8Array.from(atob("R0lGAAEi"), c => c.charCodeAt(0))');
+        expect(generator.generate(request, 'python')).toContain('data=base64.b64decode("R0lGAAEi")');
+        expect(generator.generate(request, 'go')).toContain('strings.NewReader("GIF\\x00\\x01\\"")');
+    });
+
+    it('should emit JSON bodies as native literals', () => {
+        const request = traffic({
+            headers: { 'content-type': 'application/json' },
+            body: '{"ok":true,"note":null,"label":"true"}',
+        });
+
+        expect(generator.generate(request, 'python')).toContain(
+            'json={\n        "ok": True,\n        "note": None,\n        "label": "true"\n    }');
+        expect(generator.generate(request, 'axios')).toContain('data: {\n    "ok": true,');
+        expect(generator.generate(request, 'powershell')).toContain("-ContentType 'application/json'");
+        expect(() => generator.generate(request, 'cobol')).toThrow('Unknown snippet language: cobol');
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * TrafficControlService Unit Tests
+ */
+
+const zlib = require('zlib');
+const TrafficControlService = require('../src/services/TrafficControlService');
+
+describe('TrafficControlService', () => {
+    let control;
+
+    beforeEach(() => {
+        control = new TrafficControlService();
+    });
+
+    describe('waitIfPaused', () => {
+        it('should not hold requests while traffic flows', () => {
+            expect(control.waitIfPaused({ requestId: 'req1' })).toBeNull();
+        });
+
+        it('should hold requests until resumed', async () => {
+            control.pause();
+            const held = control.waitIfPaused({ requestId: 'req1', path: '/a' });
+
+            expect(control.getQueue()).toHaveLength(1);
+            expect(control.getQueue()[0].release).toBeUndefined();
+
+            control.resume();
+            await expect(held).resolves.toBe(true);
+            expect(control.getQueue()).toHaveLength(0);
+        });
+
+        it('should release dequeued requests as not sent', async () => {
+            control.pause();
+            const held = control.waitIfPaused({ requestId: 'req1' });
+
+            expect(control.dequeue('req1')).toBe(true);
+            await expect(held).resolves.toBe(false);
+            expect(control.dequeue('req1')).toBe(false);
+        });
+    });
+
+    describe('applyThrottle', () => {
+        beforeEach(() => {
+            control.delay = jest.fn().mockResolvedValue();
+        });
+
+        it('should scale delay with body size', async () => {
+            control.setThrottle('custom', { latency: 100, bandwidth: 8000 });
+
+            await expect(control.applyThrottle(0)).resolves.toBe(100);
+            await expect(control.applyThrottle(1000)).resolves.toBe(1100);
+            await expect(control.applyThrottle(1000, { includeLatency: false })).resolves.toBe(1000);
+        });
+
+        it('should fail when offline', async () => {
+            control.setThrottle('offline');
+            await expect(control.applyThrottle(10)).rejects.toThrow('Network offline');
+        });
+    });
+
+    describe('chaos mode', () => {
+        it('should drop the same requests again for the same seed', () => {
+            const drops = () => {
+                control.setChaosMode({ enabled: true, dropRate: 0.5, seed: 7 });
+                return Array.from({ length: 20 }, () => control.shouldDrop());
+            };
+
+            const first = drops();
+            expect(first).toContain(true);
+            expect(first).toContain(false);
+            expect(drops()).toEqual(first);
+        });
+
+        it('should repeat throttle jitter for the same seed', async () => {
+            jest.spyOn(control, 'delay').mockResolvedValue();
+            control.setThrottle('slow3g');
+            const delays = async () => {
+                control.setChaosMode({ seed: 3 });
+                return Promise.all([1, 2, 3].map(() => control.applyThrottle()));
+            };
+
+            const first = await delays();
+            expect(new Set(first).size).toBe(3);
+            expect(await delays()).toEqual(first);
+        });
+
+        it('should reject invalid chaos settings and keep the current ones', () => {
+            control.setChaosMode({ dropRate: 0.2, seed: 5 });
+
+            expect(() => control.setChaosMode({ dropRate: 'abc' })).toThrow('dropRate must be a number between 0 and 1');
+            expect(() => control.setChaosMode({ corruptRate: 1.5 })).toThrow('corruptRate');
+            expect(() => control.setChaosMode({ delayVariance: -1 })).toThrow('delayVariance');
+            expect(() => control.setChaosMode({ seed: { a: 1 } })).toThrow('seed must be a string, a number or null');
+            expect(control.getChaosMode()).toMatchObject({ dropRate: 0.2, seed: 5 });
+
+            expect(control.setChaosMode({ seed: null }).seed).toBeNull();
+        });
+
+        it('should lose the same segments for the same seed', async () => {
+            control.setThrottle('custom', { bandwidth: 80000, packetLoss: 0.5 }, 'tun1');
+            // Record each loss decision instead of waiting out the link
+            jest.spyOn(control.shaper, 'take').mockImplementation(async (link, bytes, random) => random() < link.packetLoss);
+            const losses = async () => {
+                control.setChaosMode({ seed: 'loss' }, 'tun1');
+                const link = control.getLink('downlink', { tunnelId: 'tun1', clientIp: '10.0.0.1' });
+                const lost = [];
+                for (let i = 0; i < 16; i++) lost.push(await control.pace(link, 1000));
+                return lost;
+            };
+
+            const first = await losses();
+            expect(first).toContain(true);
+            expect(first).toContain(false);
+            expect(await losses()).toEqual(first);
+        });
+    });
+
+    describe('tunnel scopes', () => {
+        it('should only affect the tunnel that changed its settings', () => {
+            control.setChaosMode({ enabled: true }, 'tun1');
+
+            expect(control.getChaosMode('tun1').enabled).toBe(true);
+            expect(control.getChaosMode('tun2').enabled).toBe(false);
+            expect(control.getChaosMode().enabled).toBe(false);
+        });
+
+        it('should follow the global default until overridden', () => {
+            control.setThrottle('slow3g');
+            expect(control.getThrottleConfig('tun1').profile).toBe('slow3g');
+
+            control.setThrottle('fast3g', null, 'tun1');
+            control.setThrottle('edge');
+            expect(control.getThrottleConfig('tun1').profile).toBe('fast3g');
+
+            control.resetTunnel('tun1');
+            expect(control.getThrottleConfig('tun1').profile).toBe('edge');
+        });
+
+        it('should hold and release requests per tunnel', async () => {
+            control.pause('tun1');
+            const held = control.waitIfPaused({ requestId: 'req1', tunnelId: 'tun1' });
+
+            expect(control.waitIfPaused({ requestId: 'req2', tunnelId: 'tun2' })).toBeNull();
+            expect(control.getQueue('tun1')).toHaveLength(1);
+
+            control.resume();
+            expect(control.getQueue()).toHaveLength(1);
+
+            control.resume('tun1');
+            await expect(held).resolves.toBe(true);
+        });
+
+        it('should apply global rules before the tunnel\'s own', () => {
+            control.addModification('global', { path: '^/api' }, { headers: { 'x-a': '1' } });
+            control.addModification('local', { path: '^/api' }, { headers: { 'x-a': '2' } }, 'tun1');
+
+            const request = { method: 'GET', path: '/api/users', headers: {} };
+            expect(control.applyModifications(request, 'tun1').headers['x-a']).toBe('2');
+            expect(control.applyModifications(request, 'tun2').headers['x-a']).toBe('1');
+            expect(control.getModifications('tun1').map(rule => rule.id)).toEqual(['local']);
+        });
+    });
+
+    describe('response rules', () => {
+        const request = { method: 'GET', path: '/api/users', headers: {} };
+        const responseRules = () => control.getMatchingModifications(request, null, 'response');
+
+        it('should answer mock rules at the gateway', () => {
+            control.addModification('mock', { path: '^/api' }, {
+                mock: { statusCode: 201, headers: { 'X-Mock': 'yes' }, body: { ok: true } },
+            });
+
+            const { rule, response } = control.getMock(request);
+            expect(rule.id).toBe('mock');
+            expect(response.statusCode).toBe(201);
+            expect(response.headers).toEqual({ 'x-mock': 'yes', 'content-type': 'application/json' });
+            expect(response.body.toString()).toBe('{"ok":true}');
+            expect(control.getMatchingModifications(request)).toHaveLength(0);
+        });
+
+        it('should override status and headers and patch gzipped JSON', () => {
+            control.addModification('status', { path: '^/api' }, { statusCode: 503 });
+            control.addModification('patch', { path: '^/api' }, {
+                response: {
+                    removeHeaders: ['Set-Cookie'],
+                    headers: { 'X-Patched': '1' },
+                    patch: [{ path: '$.users[0].name', value: 'Eve' }, { path: '$.total', op: 'remove' }],
+                },
+            });
+
+            const { response, changes } = control.applyResponseModifications({
+                statusCode: 200,
+                headers: { 'content-encoding': 'gzip', 'set-cookie': 'a=1' },
+                body: zlib.gzipSync('{"users":[{"name":"Bob"}],"total":1}'),
+            }, responseRules());
+
+            expect(response.statusCode).toBe(503);
+            expect(response.headers).toEqual({ 'x-patched': '1' });
+            expect(response.body.toString()).toBe('{"users":[{"name":"Eve"}]}');
+            expect(changes).toEqual({ statusCode: 503, headers: true, body: true });
+        });
+
+        it('should leave non-JSON bodies and streamed bodies alone', () => {
+            control.addModification('patch', {}, { response: { patch: [{ path: '$.a', value: 1 }] } });
+
+            const text = control.applyResponseModifications({ statusCode: 200, headers: {}, body: Buffer.from('hi') }, responseRules());
+            expect(text.response.body.toString()).toBe('hi');
+            expect(text.changes.patchSkipped).toBeDefined();
+
+            const streamed = control.applyResponseModifications({ statusCode: 200, headers: {}, body: undefined }, responseRules());
+            expect(streamed.response.body).toBeUndefined();
+        });
+
+        it('should reject invalid response rules', () => {
+            expect(() => control.addModification('bad', {}, { response: { statusCode: 42 } })).toThrow('response.statusCode');
+            expect(() => control.addModification('bad', {}, { response: { patch: [{ path: 'users' }] } })).toThrow('JSON path must start with $');
+        });
+
+        it('should reject rule patterns that would not compile', () => {
+            expect(() => control.addModification('bad', { path: '(' }, { headers: { a: 'b' } }))
+                .toThrow('pattern: invalid path pattern');
+            expect(() => control.addModification('bad', { headers: { 'x-a': '[' } }, { headers: { a: 'b' } }))
+                .toThrow('invalid header x-a pattern');
+            expect(() => control.addModification('bad', 'GET', {})).toThrow('pattern must be an object');
+            expect(control.getModifications()).toHaveLength(0);
+
+            expect(control.getMatchingModifications({ method: 'GET', path: '/api', headers: {} })).toEqual([]);
+        });
+    });
+});
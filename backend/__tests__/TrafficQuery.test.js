@@ -0,0 +1,81 @@
+/**
+ * TrafficQuery Unit Tests
+ */
+
+const zlib = require('zlib');
+const TrafficQuery = require('../src/services/TrafficQuery');
+const InspectorService = require('../src/services/InspectorService');
+
+describe('TrafficQuery', () => {
+    const traffic = (overrides = {}) => ({
+        tunnelId: 'tun1',
+        subdomain: 'shop',
+        request: {
+            method: 'POST',
+            path: '/orders/42/items?sort=price',
+            headers: { 'X-Tenant': 'acme', 'content-type': 'application/json' },
+            body: JSON.stringify({ customer: { id: 7 }, items: [{ sku: 'A-1' }] }),
+            clientIp: '10.1.2.3',
+            ...overrides.request,
+        },
+        response: {
+            statusCode: 503,
+            headers: { 'content-encoding': 'gzip' },
+            body: zlib.gzipSync(JSON.stringify({ error: 'busy' })).toString('base64'),
+            ...overrides.response,
+        },
+        responseTime: 750,
+        requestSize: 2048,
+        responseSize: 120,
+        createdAt: Date.now(),
+    });
+
+    const matches = (text, t = traffic()) => TrafficQuery.parse(text).matches(t);
+
+    it('should match field predicates', () => {
+        expect(matches('method:post path:/orders/*/items status:5xx header.x-tenant:acme duration:>500')).toBe(true);
+        expect(matches('path:/orders/*')).toBe(false);
+        expect(matches('path:/orders/**')).toBe(true);
+        expect(matches('status:400..499')).toBe(false);
+        expect(matches('duration:<1s size:<=1kb reqsize:2kb')).toBe(true);
+        expect(matches('ip:10.0.0.0/8 tunnel:shop query.sort:price')).toBe(true);
+        expect(matches('body.customer.id:>=7 body.items[0].sku:A-* resbody.error:busy')).toBe(true);
+        expect(matches('body:"sku" time:>-5m')).toBe(true);
+        expect(matches('items')).toBe(true);
+        expect(matches('status:pending', traffic({ response: { statusCode: null } }))).toBe(true);
+    });
+
+    it('should combine predicates with AND, OR, NOT and parentheses', () => {
+        expect(matches('method:GET OR status:503')).toBe(true);
+        expect(matches('method:GET OR status:503 AND duration:>1s')).toBe(false);
+        expect(matches('(method:GET OR status:503) NOT ip:192.168.*')).toBe(true);
+        expect(matches('-header.x-tenant:acme')).toBe(false);
+    });
+
+    it('should report syntax errors with a position', () => {
+        expect(() => TrafficQuery.parse('(status:500')).toThrow('Invalid query at 12: expected )');
+        expect(() => TrafficQuery.parse('colour:red')).toThrow('unknown field colour');
+        expect(() => TrafficQuery.parse('duration:>fast')).toThrow('invalid number');
+        expect(() => TrafficQuery.parse('method:GET OR')).toThrow('unexpected end of query');
+    });
+
+    it('should search stored traffic through the inspector', () => {
+        const inspector = new InspectorService();
+        for (let n = 1; n <= 6; n++) {
+            inspector.recordRequest({
+                requestId: `req${n}`,
+                tunnelId: 'tun1',
+                method: n % 2 ? 'POST' : 'GET',
+                path: `/orders/${n}`,
+                headers: { 'x-tenant': n > 3 ? 'acme' : 'other' },
+            });
+            inspector.recordResponse({ requestId: `req${n}`, statusCode: n === 5 ? 500 : 200, responseTime: n * 100 });
+        }
+
+        const ids = (q, options = {}) => inspector.getAllTraffic({ q, ...options }).map(t => t.requestId);
+        expect(ids('method:POST status:5xx header.x-tenant:acme')).toEqual(['req5']);
+        expect(ids('path:/orders/* duration:>=300', { limit: 2, offset: 1 })).toEqual(['req5', 'req4']);
+        expect(ids('status:200 NOT method:GET')).toEqual(['req3', 'req1']);
+        inspector.destroy();
+    });
+});
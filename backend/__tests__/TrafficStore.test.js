@@ -0,0 +1,128 @@
+/**
+ * Traffic store Unit Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InspectorService = require('../src/services/InspectorService');
+
+describe('Traffic stores', () => {
+    let inspector;
+    let directory;
+
+    const record = (n, overrides = {}) => {
+        inspector.recordRequest({
+            requestId: `req${n}`,
+            tunnelId: n % 2 ? 'tun1' : 'tun2',
+            subdomain: 'demo',
+            method: 'GET',
+            path: n % 3 ? `/api/items/${n}` : '/health',
+            headers: {},
+            timestamp: Date.now(),
+            ...overrides,
+        });
+        inspector.recordResponse({ requestId: `req${n}`, statusCode: n % 4 ? 200 : 500, headers: {}, responseTime: 5 });
+    };
+
+    const ids = (traffic) => traffic.map(t => t.requestId);
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'traffic-store-'));
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should query by tunnel, path, status and time, newest first', () => {
+        inspector = new InspectorService();
+        for (let n = 1; n <= 12; n++) record(n);
+
+        expect(ids(inspector.getTrafficByTunnel('tun2', { statusCode: '500' }))).toEqual(['req12', 'req8', 'req4']);
+        expect(ids(inspector.getAllTraffic({ path: '^/health', limit: 2, offset: 1 }))).toEqual(['req9', 'req6']);
+        expect(ids(inspector.getAllTraffic({ since: Date.now() + 1000 }))).toEqual([]);
+        expect(inspector.getStats().totalRequests).toBe(12);
+    });
+
+    it('should drop the oldest requests beyond the limits', () => {
+        inspector = new InspectorService({ maxStoredRequests: 5 });
+        for (let n = 1; n <= 8; n++) record(n);
+
+        expect(ids(inspector.getAllTraffic())).toEqual(['req8', 'req7', 'req6', 'req5', 'req4']);
+        expect(inspector.getTrafficById('req3')).toBeNull();
+        expect(ids(inspector.getTrafficByTunnel('tun1'))).toEqual(['req7', 'req5']);
+
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 60 * 1000);
+        inspector.cleanup();
+        jest.restoreAllMocks();
+        expect(inspector.getAllTraffic()).toEqual([]);
+    });
+
+    it('should keep file-stored traffic across restarts', () => {
+        inspector = new InspectorService({ store: 'file', directory });
+        for (let n = 1; n <= 4; n++) record(n);
+        inspector.recordEffect('req2', { type: 'throttled', delay: 100 });
+        inspector.destroy();
+
+        inspector = new InspectorService({ store: 'file', directory });
+        expect(ids(inspector.getAllTraffic())).toEqual(['req4', 'req3', 'req2', 'req1']);
+        expect(inspector.getTrafficById('req2')).toMatchObject({
+            tunnelId: 'tun2',
+            response: { statusCode: 200 },
+            effects: [{ type: 'throttled', delay: 100 }],
+        });
+        expect(ids(inspector.getAllTraffic({ statusCode: 500 }))).toEqual(['req4']);
+
+        inspector.clear();
+        inspector.destroy();
+        inspector = new InspectorService({ store: 'file', directory });
+        expect(inspector.getAllTraffic()).toEqual([]);
+    });
+
+    it('should keep a request flushed before its response across restarts', () => {
+        inspector = new InspectorService({ store: 'file', directory });
+        inspector.recordRequest({ requestId: 'req1', tunnelId: 'tun1', subdomain: 'demo', method: 'GET', path: '/', headers: {} });
+        inspector.store.flush();
+        inspector.recordResponse({ requestId: 'req1', statusCode: 201, headers: {}, responseTime: 5 });
+        inspector.destroy();
+
+        // Both copies share a segment; reloading must not delete it
+        for (let restart = 0; restart < 2; restart++) {
+            inspector = new InspectorService({ store: 'file', directory });
+            expect(inspector.getTrafficById('req1')).toMatchObject({ response: { statusCode: 201 } });
+            inspector.destroy();
+        }
+        inspector = new InspectorService({ store: 'file', directory });
+        expect(ids(inspector.getAllTraffic())).toEqual(['req1']);
+    });
+
+    it('should read stored records through one descriptor and cap what a search reads', () => {
+        inspector = new InspectorService({ store: 'file', directory, scanLimit: 5 });
+        for (let n = 1; n <= 12; n++) record(n);
+        inspector.store.flush();
+
+        const opened = jest.spyOn(fs, 'openSync');
+        expect(ids(inspector.getAllTraffic({ limit: 12 }))).toHaveLength(12);
+        expect(opened).toHaveBeenCalledTimes(1);
+
+        // The index can't narrow a duration search: only the newest five are read
+        expect(ids(inspector.getAllTraffic({ q: 'duration:>1' }))).toEqual(['req12', 'req11', 'req10', 'req9', 'req8']);
+        expect(ids(inspector.getAllTraffic({ q: 'status:500' }))).toEqual(['req12', 'req8', 'req4']);
+        jest.restoreAllMocks();
+    });
+
+    it('should delete segments whose requests expired', () => {
+        inspector = new InspectorService({ store: 'file', directory, retentionMinutes: 1 });
+        record(1);
+        inspector.destroy();
+
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 1000);
+        inspector = new InspectorService({ store: 'file', directory, retentionMinutes: 1 });
+        jest.restoreAllMocks();
+
+        expect(inspector.getAllTraffic()).toEqual([]);
+        expect(fs.readdirSync(directory)).toHaveLength(1);
+    });
+});
@@ -3,6 +3,7 @@
  */
 
 const TunnelManager = require('../src/services/TunnelManager');
+const { TUNNEL_CONFIG } = require('../shared/src');
 
 describe('TunnelManager', () => {
     let manager;
@@ -113,4 +114,105 @@ describe('TunnelManager', () => {
             );
         });
     });
+
+    describe('subdomain reservations', () => {
+        const owner = { apiKey: 'dt_owner', userId: 'alice' };
+
+        it('should only let the owning key bind a reserved subdomain', () => {
+            expect(manager.claimSubdomain('acme-staging', owner).success).toBe(true);
+
+            const stranger = manager.registerTunnel({
+                ws: mockWs,
+                requestedSubdomain: 'acme-staging',
+                localPort: 8080,
+                apiKey: 'dt_other',
+            });
+            const anonymous = manager.registerTunnel({
+                ws: mockWs,
+                requestedSubdomain: 'acme-staging',
+                localPort: 8080,
+            });
+            const own = manager.registerTunnel({
+                ws: mockWs,
+                requestedSubdomain: 'acme-staging',
+                localPort: 8080,
+                apiKey: owner.apiKey,
+            });
+
+            expect(stranger.code).toBe('SUBDOMAIN_TAKEN');
+            expect(anonymous.code).toBe('SUBDOMAIN_TAKEN');
+            expect(own.success).toBe(true);
+            expect(manager.getReservationsForKey(owner.apiKey)[0]).toMatchObject({
+                subdomain: 'acme-staging',
+                active: true,
+            });
+        });
+
+        it('should refuse claims and releases by other keys', () => {
+            manager.claimSubdomain('acme-staging', owner);
+
+            expect(manager.claimSubdomain('acme-staging', { apiKey: 'dt_other' }).code).toBe('SUBDOMAIN_TAKEN');
+            expect(manager.releaseSubdomain('acme-staging', 'dt_other').success).toBe(false);
+            expect(manager.releaseSubdomain('acme-staging', owner.apiKey).success).toBe(true);
+            expect(manager.getReservationsForKey(owner.apiKey)).toHaveLength(0);
+        });
+    });
+
+    describe('resumeTunnel', () => {
+        it('should reattach the same tunnel to a new connection', async () => {
+            const { tunnel } = manager.registerTunnel({ ws: mockWs, localPort: 8080 });
+            const oldToken = tunnel.resumeToken;
+            tunnel.recordRequest(10, 20);
+
+            manager.detachTunnelsForWs(mockWs, 1000);
+            expect(tunnel.isDetached()).toBe(true);
+            expect(manager.getTunnelBySubdomain(tunnel.subdomain)).toBe(tunnel);
+
+            const attached = tunnel.waitUntilAttached();
+            const newWs = { readyState: 1, send: jest.fn(), terminate: jest.fn() };
+            const result = manager.resumeTunnel({ resumeToken: oldToken, ws: newWs });
+
+            expect(result.success).toBe(true);
+            expect(result.tunnel).toBe(tunnel);
+            expect(tunnel.requestCount).toBe(1);
+            expect(tunnel.resumeToken).not.toBe(oldToken);
+            expect(manager.getTunnelsByWs(newWs)).toEqual([tunnel]);
+            await expect(attached).resolves.toBe(true);
+
+            // Tokens are single use
+            expect(manager.resumeTunnel({ resumeToken: oldToken, ws: newWs }).success).toBe(false);
+        });
+
+        it('should close the tunnel when the grace period ends', () => {
+            jest.useFakeTimers();
+            const { tunnel } = manager.registerTunnel({ ws: mockWs, requestedSubdomain: 'grace', localPort: 8080 });
+
+            manager.detachTunnelsForWs(mockWs, 1000);
+            jest.advanceTimersByTime(1000);
+            jest.useRealTimers();
+
+            expect(manager.getTunnelBySubdomain('grace')).toBeNull();
+            expect(manager.resumeTunnel({ resumeToken: tunnel.resumeToken, ws: mockWs }).success).toBe(false);
+        });
+
+        it('should only replace a detached tunnel when the new registration succeeds', () => {
+            const { tunnel } = manager.registerTunnel({ ws: mockWs, requestedSubdomain: 'mine', localPort: 8080, apiKey: 'key1' });
+            manager.detachTunnelsForWs(mockWs, 60000);
+
+            // A connection already at its tunnel limit is refused first
+            const busyWs = { readyState: 1, send: jest.fn(), terminate: jest.fn() };
+            for (let n = 0; n < TUNNEL_CONFIG.MAX_TUNNELS_PER_CLIENT; n++) {
+                manager.registerTunnel({ ws: busyWs, localPort: 9000 + n, apiKey: 'key1' });
+            }
+            const refused = manager.registerTunnel({ ws: busyWs, requestedSubdomain: 'mine', localPort: 8080, apiKey: 'key1' });
+            expect(refused.code).toBe('TUNNEL_LIMIT_EXCEEDED');
+            expect(manager.getTunnelBySubdomain('mine')).toBe(tunnel);
+
+            const newWs = { readyState: 1, send: jest.fn(), terminate: jest.fn() };
+            const replaced = manager.registerTunnel({ ws: newWs, requestedSubdomain: 'mine', localPort: 8080, apiKey: 'key1' });
+            expect(replaced.success).toBe(true);
+            expect(manager.getTunnelBySubdomain('mine')).toBe(replaced.tunnel);
+            manager.closeAll();
+        });
+    });
 });
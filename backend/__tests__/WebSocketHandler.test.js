@@ -0,0 +1,99 @@
+/**
+ * WebSocketHandler Unit Tests
+ */
+
+const EventEmitter = require('events');
+const GatewayApp = require('../src/app');
+const WebSocketHandler = require('../src/websocket/WebSocketHandler');
+const { MessageType, ERROR_CODES, PROTOCOL_VERSION, parseMessage } = require('../shared/src');
+
+describe('WebSocketHandler', () => {
+    let app;
+
+    const createHandler = (config = {}) => new WebSocketHandler(
+        new EventEmitter(),
+        app.tunnelManager,
+        app.requestForwarder,
+        app.webSocketForwarder,
+        app.authService,
+        app.securityService,
+        { httpPort: 80, publicDomain: 'tunnels.test', ...config }
+    );
+
+    // Registers over a fake CLI connection and returns the reply
+    const register = (handler, authToken) => {
+        const ws = { readyState: 1, send: jest.fn(), close: jest.fn(), on: jest.fn() };
+        handler.clientMetadata.set(ws, { clientId: 'cli', clientIp: '10.0.0.1' });
+        handler.handleTunnelRegister(ws, { localPort: 3000, authToken, protocolVersion: PROTOCOL_VERSION });
+        return { ws, reply: parseMessage(ws.send.mock.calls[0][0]) };
+    };
+
+    beforeEach(() => {
+        // The gateway's services start intervals; none should outlive a test
+        jest.useFakeTimers();
+        app = new GatewayApp({ httpPort: 0, publicDomain: 'tunnels.test', dashboardUrl: 'http://localhost:3002' });
+        jest.spyOn(app.securityService, 'recordFailedAttempt');
+    });
+
+    afterEach(() => {
+        app.tunnelManager.closeAll();
+        app.inspectorService.destroy();
+        jest.useRealTimers();
+    });
+
+    it('should reject registrations without a usable key', () => {
+        const handler = createHandler();
+        const readOnlyKey = app.authService.createApiKey({ permissions: ['tunnel:read'] });
+
+        const missing = register(handler, undefined);
+        expect(missing.reply).toMatchObject({ type: MessageType.ERROR, payload: { code: ERROR_CODES.UNAUTHORIZED } });
+        expect(missing.ws.close).toHaveBeenCalledWith(1008, 'Unauthorized');
+
+        expect(register(handler, 'dt_nope').reply.payload).toMatchObject({ code: ERROR_CODES.INVALID_TOKEN });
+        expect(register(handler, readOnlyKey).reply.payload).toMatchObject({
+            code: ERROR_CODES.UNAUTHORIZED,
+            error: 'API key lacks the tunnel:create permission',
+        });
+
+        expect(app.securityService.recordFailedAttempt).toHaveBeenCalledTimes(3);
+        expect(app.securityService.recordFailedAttempt).toHaveBeenCalledWith('10.0.0.1');
+        expect(app.tunnelManager.getTunnelCount()).toBe(0);
+        handler.stop();
+    });
+
+    it('should open a session for the tunnel and drop it when the tunnel closes', () => {
+        const handler = createHandler();
+
+        const { reply } = register(handler, app.authService.getDevKey());
+        expect(reply.type).toBe(MessageType.TUNNEL_REGISTERED);
+
+        const { sessionToken, tunnelId } = reply.payload;
+        expect(app.authService.validateSession(sessionToken)).toMatchObject({ valid: true, tunnelId });
+
+        app.tunnelManager.closeTunnel(tunnelId, 'done');
+        expect(app.authService.validateSession(sessionToken).valid).toBe(false);
+        handler.stop();
+    });
+
+    it('should answer message types it does not know instead of dropping them', () => {
+        const handler = createHandler();
+        const ws = { readyState: 1, send: jest.fn() };
+
+        handler.handleMessage(ws, JSON.stringify({ type: 'tunnel:future', payload: {} }));
+        expect(parseMessage(ws.send.mock.calls[0][0]).payload).toMatchObject({
+            code: 'UNKNOWN_MESSAGE',
+            error: 'Unknown message type: tunnel:future',
+        });
+        handler.stop();
+    });
+
+    it('should accept anonymous tunnels only when auth is turned off', () => {
+        const handler = createHandler({ requireAuth: false });
+
+        const { reply } = register(handler, undefined);
+        expect(reply.type).toBe(MessageType.TUNNEL_REGISTERED);
+        expect(reply.payload.sessionToken).toBeFalsy();
+        expect(app.securityService.recordFailedAttempt).not.toHaveBeenCalled();
+        handler.stop();
+    });
+});
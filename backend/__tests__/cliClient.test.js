@@ -0,0 +1,30 @@
+/**
+ * CLI tunnel client Unit Tests
+ */
+
+const { TunnelClient } = require('../cli-client/src/index');
+const { Capability, MAX_CHUNK_SIZE } = require('../shared/src');
+
+describe('TunnelClient', () => {
+    describe('shouldStream', () => {
+        const response = headers => ({ statusCode: 200, headers });
+        let client;
+
+        beforeEach(() => {
+            client = new TunnelClient([{ localPort: 3000 }]);
+            client.capabilities = [Capability.STREAMING];
+        });
+
+        it('should stream event streams, unknown lengths and large bodies', () => {
+            expect(client.shouldStream(response({ 'content-type': 'text/event-stream', 'content-length': '10' }))).toBe(true);
+            expect(client.shouldStream(response({ 'transfer-encoding': 'chunked' }))).toBe(true);
+            expect(client.shouldStream(response({ 'content-length': String(MAX_CHUNK_SIZE + 1) }))).toBe(true);
+            expect(client.shouldStream(response({ 'content-length': String(MAX_CHUNK_SIZE) }))).toBe(false);
+        });
+
+        it('should buffer everything when the gateway cannot stream', () => {
+            client.capabilities = [];
+            expect(client.shouldStream(response({ 'content-type': 'text/event-stream' }))).toBe(false);
+        });
+    });
+});
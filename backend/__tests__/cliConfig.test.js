@@ -0,0 +1,67 @@
+/**
+ * CLI project config Unit Tests
+ */
+
+const { validateConfig } = require('../cli-client/src/config');
+
+describe('CLI config', () => {
+    describe('validateConfig', () => {
+        it('should normalize tunnels and apply defaults', () => {
+            const problems = [];
+            const config = validateConfig({
+                gateway: { wsUrl: 'wss://tunnel.example.com' },
+                tunnels: {
+                    frontend: 3000,
+                    backend: {
+                        port: 8080,
+                        host: '127.0.0.1',
+                        subdomain: 'MyApi',
+                        inspect: false,
+                        requestHeaders: { set: { 'X-Env': 'tunnel' }, remove: ['Cookie'] },
+                    },
+                },
+            }, problems);
+
+            expect(problems).toEqual([]);
+            expect(config.gateway.wsUrl).toBe('wss://tunnel.example.com');
+            expect(config.tunnels.frontend).toMatchObject({ name: 'frontend', localPort: 3000, inspect: true });
+            expect(config.tunnels.backend).toMatchObject({
+                localHost: '127.0.0.1',
+                subdomain: 'myapi',
+                inspect: false,
+                requestHeaders: { set: { 'x-env': 'tunnel' }, remove: ['cookie'] },
+            });
+        });
+
+        it('should report every problem with its location', () => {
+            const problems = [];
+            validateConfig({
+                gateway: { wsUrl: 'http://nope' },
+                tunnels: {
+                    frontend: { port: 70000, prot: 1 },
+                    backend: { auth: 'nopassword' },
+                },
+            }, problems);
+
+            expect(problems).toEqual(expect.arrayContaining([
+                expect.stringMatching(/^gateway\.wsUrl:/),
+                expect.stringMatching(/^tunnels\.frontend\.port:/),
+                expect.stringMatching(/^tunnels\.frontend\.prot: unknown setting/),
+                expect.stringMatching(/^tunnels\.backend\.port: is required/),
+                expect.stringMatching(/^tunnels\.backend\.auth:/),
+            ]));
+        });
+
+        it('should reject a subdomain used by two tunnels', () => {
+            const problems = [];
+            validateConfig({
+                tunnels: {
+                    one: { port: 3000, subdomain: 'shared' },
+                    two: { port: 3001, subdomain: 'shared' },
+                },
+            }, problems);
+
+            expect(problems).toEqual(['tunnels.two.subdomain: "shared" is also used by tunnels.one']);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * CLI credentials Unit Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('CLI credentials', () => {
+    let home;
+    let credentials;
+
+    beforeEach(() => {
+        // The credentials file path is fixed when the module loads
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'devtunnel-home-'));
+        process.env.DEVTUNNEL_HOME = home;
+        delete process.env.DEVTUNNEL_TOKEN;
+        jest.resetModules();
+        credentials = require('../cli-client/src/credentials');
+    });
+
+    afterEach(() => {
+        delete process.env.DEVTUNNEL_HOME;
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('should save, load and clear the token', () => {
+        expect(credentials.loadToken()).toBeNull();
+
+        credentials.saveToken('dt_first');
+        credentials.saveToken('dt_second');
+        expect(credentials.CREDENTIALS_FILE).toBe(path.join(home, 'credentials.json'));
+        expect(credentials.loadToken()).toBe('dt_second');
+
+        expect(credentials.clearToken()).toBe(true);
+        expect(credentials.loadToken()).toBeNull();
+        expect(credentials.clearToken()).toBe(false);
+    });
+
+    it('should keep the file readable by the current user only', () => {
+        fs.writeFileSync(path.join(home, 'credentials.json'), '{}', { mode: 0o644 });
+
+        credentials.saveToken('dt_secret');
+        expect(fs.statSync(credentials.CREDENTIALS_FILE).mode & 0o777).toBe(0o600);
+    });
+
+    it('should prefer the flag, then DEVTUNNEL_TOKEN, then the saved token', () => {
+        credentials.saveToken('dt_saved');
+        expect(credentials.resolveToken()).toBe('dt_saved');
+
+        process.env.DEVTUNNEL_TOKEN = 'dt_env';
+        expect(credentials.resolveToken()).toBe('dt_env');
+        expect(credentials.resolveToken('dt_flag')).toBe('dt_flag');
+        delete process.env.DEVTUNNEL_TOKEN;
+    });
+});
@@ -0,0 +1,327 @@
+/**
+ * Project config file
+ *
+ * Reads devtunnel.yml / devtunnel.yaml / devtunnel.json from the project
+ * directory. It names the tunnels to start and the gateway to use, so
+ * `devtunnel start --all` or `devtunnel start <name>` replaces long
+ * command lines:
+ *
+ *   gateway:
+ *     wsUrl: wss://tunnel.example.com
+ *     httpUrl: https://tunnel.example.com
+ *   tunnels:
+ *     frontend:
+ *       port: 3000
+ *       subdomain: myapp
+ *       auth: demo:secret
+ *     backend:
+ *       port: 8080
+ *       host: 127.0.0.1
+ *       inspect: false
+ *       requestHeaders:
+ *         set: { x-env: tunnel }
+ *         remove: [cookie]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { isValidSubdomain, TUNNEL_CONFIG } = require('../../shared/src');
+
+const CONFIG_FILES = ['devtunnel.yml', 'devtunnel.yaml', 'devtunnel.json'];
+
+const TOP_LEVEL_KEYS = ['gateway', 'token', 'tunnels'];
+const GATEWAY_KEYS = ['wsUrl', 'httpUrl'];
+const TUNNEL_KEYS = ['port', 'host', 'subdomain', 'auth', 'requestHeaders', 'inspect'];
+const HEADER_RULE_KEYS = ['set', 'remove'];
+
+// Numeric names would be read as ports on the command line
+const TUNNEL_NAME_PATTERN = /^(?!\d+$)[a-z0-9][a-z0-9_-]*$/i;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+/**
+ * Thrown for a missing, unreadable or invalid config file
+ */
+class ConfigError extends Error {
+    constructor(message, { file = null, problems = [] } = {}) {
+        super(message);
+        this.name = 'ConfigError';
+        this.file = file;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Finds the config file in a directory
+ * @param {string} dir - Project directory
+ * @returns {string|null} Path to the file or null
+ */
+function findConfigFile(dir = process.cwd()) {
+    for (const name of CONFIG_FILES) {
+        const file = path.join(dir, name);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+/**
+ * Loads and validates a config file
+ * @param {string} file - Explicit path (--config); otherwise searched in cwd
+ * @returns {Object|null} Normalized config, or null when no file exists
+ * @throws {ConfigError} When the file can't be parsed or is invalid
+ */
+function loadConfig(file) {
+    const configFile = file ? path.resolve(file) : findConfigFile();
+    if (!configFile) return null;
+
+    let text;
+    try {
+        text = fs.readFileSync(configFile, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read ${configFile}: ${error.message}`, { file: configFile });
+    }
+
+    let raw;
+    try {
+        raw = configFile.endsWith('.json') ? JSON.parse(text) : yaml.safeLoad(text);
+    } catch (error) {
+        throw new ConfigError(`Cannot parse ${configFile}: ${error.message}`, { file: configFile });
+    }
+
+    const problems = [];
+    const config = validateConfig(raw, problems);
+
+    if (problems.length) {
+        throw new ConfigError(
+            `Invalid config in ${configFile}:\n${problems.map(p => `  - ${p}`).join('\n')}`,
+            { file: configFile, problems }
+        );
+    }
+
+    return { ...config, file: configFile };
+}
+
+/**
+ * Checks a parsed config, collecting every problem rather than the first
+ * @param {*} raw - Parsed file contents
+ * @param {string[]} problems - Receives one message per problem
+ * @returns {Object} { gateway, token, tunnels } with defaults applied
+ */
+function validateConfig(raw, problems) {
+    const config = { gateway: {}, token: null, tunnels: {} };
+
+    if (!isPlainObject(raw)) {
+        problems.push('the file must contain a mapping with a `tunnels` section');
+        return config;
+    }
+
+    checkKeys(raw, TOP_LEVEL_KEYS, '', problems);
+
+    if (raw.gateway !== undefined) {
+        if (!isPlainObject(raw.gateway)) {
+            problems.push('gateway: must be a mapping with wsUrl and/or httpUrl');
+        } else {
+            checkKeys(raw.gateway, GATEWAY_KEYS, 'gateway.', problems);
+            config.gateway.wsUrl = checkUrl(raw.gateway.wsUrl, ['ws:', 'wss:'], 'gateway.wsUrl', problems);
+            config.gateway.httpUrl = checkUrl(raw.gateway.httpUrl, ['http:', 'https:'], 'gateway.httpUrl', problems);
+        }
+    }
+
+    if (raw.token !== undefined) {
+        if (typeof raw.token !== 'string' || !raw.token) {
+            problems.push('token: must be a non-empty string');
+        } else {
+            config.token = raw.token;
+        }
+    }
+
+    if (!isPlainObject(raw.tunnels) || Object.keys(raw.tunnels).length === 0) {
+        problems.push('tunnels: must be a mapping of tunnel names to settings, with at least one tunnel');
+        return config;
+    }
+
+    const subdomains = new Map();
+    for (const [name, settings] of Object.entries(raw.tunnels)) {
+        const tunnel = validateTunnel(name, settings, problems);
+        if (!tunnel) continue;
+
+        if (tunnel.subdomain) {
+            if (subdomains.has(tunnel.subdomain)) {
+                const other = subdomains.get(tunnel.subdomain);
+                problems.push(`tunnels.${name}.subdomain: "${tunnel.subdomain}" is also used by tunnels.${other}`);
+            }
+            subdomains.set(tunnel.subdomain, name);
+        }
+        config.tunnels[name] = tunnel;
+    }
+
+    return config;
+}
+
+/**
+ * Checks one tunnel entry
+ * @returns {Object|null} Normalized tunnel target
+ */
+function validateTunnel(name, settings, problems) {
+    const at = `tunnels.${name}`;
+
+    if (!TUNNEL_NAME_PATTERN.test(name)) {
+        problems.push(`${at}: name must use letters, digits, - or _ and can't be only digits`);
+    }
+
+    // Shorthand: `frontend: 3000`
+    if (Number.isInteger(settings)) {
+        settings = { port: settings };
+    }
+
+    if (!isPlainObject(settings)) {
+        problems.push(`${at}: must be a port number or a mapping with at least \`port\``);
+        return null;
+    }
+
+    checkKeys(settings, TUNNEL_KEYS, `${at}.`, problems);
+
+    const tunnel = {
+        name,
+        localPort: null,
+        localHost: null,
+        subdomain: null,
+        auth: null,
+        requestHeaders: null,
+        inspect: true,
+    };
+
+    if (settings.port === undefined) {
+        problems.push(`${at}.port: is required`);
+    } else if (!Number.isInteger(settings.port) || settings.port < 1 || settings.port > 65535) {
+        problems.push(`${at}.port: must be an integer between 1 and 65535 (got ${JSON.stringify(settings.port)})`);
+    } else {
+        tunnel.localPort = settings.port;
+    }
+
+    if (settings.host !== undefined) {
+        if (typeof settings.host !== 'string' || !settings.host) {
+            problems.push(`${at}.host: must be a host name or IP address`);
+        } else {
+            tunnel.localHost = settings.host;
+        }
+    }
+
+    if (settings.subdomain !== undefined) {
+        const subdomain = typeof settings.subdomain === 'string' ? settings.subdomain.toLowerCase() : null;
+        if (!subdomain || !isValidSubdomain(subdomain)) {
+            problems.push(
+                `${at}.subdomain: must be ${TUNNEL_CONFIG.SUBDOMAIN_MIN_LENGTH}-${TUNNEL_CONFIG.SUBDOMAIN_MAX_LENGTH} ` +
+                'lowercase letters, digits or hyphens, not starting or ending with a hyphen'
+            );
+        } else {
+            tunnel.subdomain = subdomain;
+        }
+    }
+
+    if (settings.auth !== undefined) {
+        if (typeof settings.auth !== 'string' || !/^[^:]+:.+$/.test(settings.auth)) {
+            problems.push(`${at}.auth: must be "user:password"`);
+        } else {
+            tunnel.auth = settings.auth;
+        }
+    }
+
+    if (settings.requestHeaders !== undefined) {
+        tunnel.requestHeaders = validateHeaderRules(settings.requestHeaders, `${at}.requestHeaders`, problems);
+    }
+
+    if (settings.inspect !== undefined) {
+        if (typeof settings.inspect !== 'boolean') {
+            problems.push(`${at}.inspect: must be true or false`);
+        } else {
+            tunnel.inspect = settings.inspect;
+        }
+    }
+
+    return tunnel;
+}
+
+/**
+ * Checks a requestHeaders block: { set: { name: value }, remove: [name] }
+ * @returns {Object} Rules with lowercased header names
+ */
+function validateHeaderRules(rules, at, problems) {
+    const normalized = { set: {}, remove: [] };
+
+    if (!isPlainObject(rules)) {
+        problems.push(`${at}: must be a mapping with \`set\` and/or \`remove\``);
+        return normalized;
+    }
+
+    checkKeys(rules, HEADER_RULE_KEYS, `${at}.`, problems);
+
+    if (rules.set !== undefined) {
+        if (!isPlainObject(rules.set)) {
+            problems.push(`${at}.set: must be a mapping of header names to values`);
+        } else {
+            for (const [header, value] of Object.entries(rules.set)) {
+                if (!HEADER_NAME_PATTERN.test(header)) {
+                    problems.push(`${at}.set: "${header}" is not a valid header name`);
+                } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                    problems.push(`${at}.set.${header}: must be a string`);
+                } else {
+                    normalized.set[header.toLowerCase()] = String(value);
+                }
+            }
+        }
+    }
+
+    if (rules.remove !== undefined) {
+        if (!Array.isArray(rules.remove)) {
+            problems.push(`${at}.remove: must be a list of header names`);
+        } else {
+            for (const header of rules.remove) {
+                if (typeof header !== 'string' || !HEADER_NAME_PATTERN.test(header)) {
+                    problems.push(`${at}.remove: ${JSON.stringify(header)} is not a valid header name`);
+                } else {
+                    normalized.remove.push(header.toLowerCase());
+                }
+            }
+        }
+    }
+
+    return normalized;
+}
+
+function checkKeys(object, allowed, prefix, problems) {
+    for (const key of Object.keys(object)) {
+        if (!allowed.includes(key)) {
+            problems.push(`${prefix}${key}: unknown setting (expected one of ${allowed.join(', ')})`);
+        }
+    }
+}
+
+function checkUrl(value, protocols, at, problems) {
+    if (value === undefined) return null;
+
+    let url = null;
+    try {
+        url = typeof value === 'string' ? new URL(value) : null;
+    } catch (error) {
+        url = null;
+    }
+
+    if (!url || !protocols.includes(url.protocol)) {
+        problems.push(`${at}: must be a ${protocols.map(p => p.replace(':', '://')).join(' or ')} URL`);
+        return null;
+    }
+    return value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    CONFIG_FILES,
+    ConfigError,
+    findConfigFile,
+    loadConfig,
+    validateConfig,
+};
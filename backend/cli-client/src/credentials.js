@@ -0,0 +1,71 @@
+/**
+ * Saved CLI credentials
+ *
+ * Stores the API key used for tunnel registration in
+ * ~/.devtunnel/credentials.json (readable by the current user only).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_DIR = process.env.DEVTUNNEL_HOME || path.join(os.homedir(), '.devtunnel');
+const CREDENTIALS_FILE = path.join(CONFIG_DIR, 'credentials.json');
+
+/**
+ * Reads the saved API key
+ * @returns {string|null} Saved token or null
+ */
+function loadToken() {
+    try {
+        const data = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+        return data.token || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Saves an API key for later `devtunnel start` runs
+ * @param {string} token - API key
+ */
+function saveToken(token) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(
+        CREDENTIALS_FILE,
+        JSON.stringify({ token, savedAt: new Date().toISOString() }, null, 2),
+        { mode: 0o600 }
+    );
+    // The mode above only applies to a new file
+    fs.chmodSync(CREDENTIALS_FILE, 0o600);
+}
+
+/**
+ * Removes the saved API key
+ * @returns {boolean} Whether a credential was removed
+ */
+function clearToken() {
+    try {
+        fs.unlinkSync(CREDENTIALS_FILE);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Picks the token to use: --token flag, DEVTUNNEL_TOKEN, then the saved one
+ * @param {string} flagToken - Value of --token
+ * @returns {string|null}
+ */
+function resolveToken(flagToken) {
+    return flagToken || process.env.DEVTUNNEL_TOKEN || loadToken();
+}
+
+module.exports = {
+    CREDENTIALS_FILE,
+    loadToken,
+    saveToken,
+    clearToken,
+    resolveToken,
+};
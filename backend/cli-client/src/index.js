@@ -4,8 +4,11 @@
  * DevTunnel+ CLI
  * 
  * Usage: devtunnel start <port> [options]
+ *        devtunnel start frontend=3000 backend=8080 authmock=localhost:9000
+ *        devtunnel start --all | devtunnel start <name>   (devtunnel.yml)
  * 
- * Creates a tunnel from public URL to localhost:<port>
+ * Creates a tunnel from public URL to localhost:<port>. Several targets
+ * share one gateway connection, each with its own subdomain.
  */
 
 const { program } = require('commander');
@@ -15,32 +18,106 @@ const ora = require('ora');
 const boxen = require('boxen');
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const path = require('path');
 const {
     createTunnelRegisterMessage,
     createHttpResponseMessage,
+    createHttpResponseHeaderMessage,
+    createHttpResponseChunkMessage,
+    createHttpResponseEndMessage,
     createHttpErrorMessage,
+    createHttpRequestPauseMessage,
+    createHttpRequestResumeMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    decodeWsFrame,
+    toSendableCloseCode,
     parseMessage,
     serializeMessage,
     decodeBody,
+    chunkBuffer,
     MessageType,
+    Capability,
+    SUPPORTED_CAPABILITIES,
+    Framing,
+    ERROR_CODES,
+    MAX_CHUNK_SIZE,
+    TUNNEL_CONFIG,
 } = require('../../shared/src');
 
 // Package info
 const pkg = require('../../package.json');
+const { resolveToken, saveToken, clearToken, CREDENTIALS_FILE } = require('./credentials');
+const { loadConfig, CONFIG_FILES } = require('./config');
 
 // Gateway URL configuration — environment variables take priority,
 // then CLI flags, then these production defaults.
 const GATEWAY_HTTP_URL = process.env.GATEWAY_HTTP_URL || 'https://devtunnel.onrender.com';
 const GATEWAY_WS_URL = process.env.GATEWAY_WS_URL || 'wss://devtunnel.onrender.com';
 
+// Registration errors that reconnecting can't fix
+const FATAL_ERROR_CODES = [
+    ERROR_CODES.PROTOCOL_MISMATCH,
+    ERROR_CODES.UNAUTHORIZED,
+    ERROR_CODES.INVALID_TOKEN,
+];
+
+// Replies worth holding for a resumed tunnel, and how many to hold
+const RESUMABLE_MESSAGES = [MessageType.HTTP_RESPONSE, MessageType.HTTP_ERROR];
+const MAX_OUTBOX_SIZE = 100;
+
+/**
+ * Parses a start target: `[subdomain=][host:]port`
+ * @param {string} spec - e.g. `3000`, `backend=8080`, `authmock=127.0.0.1:9000`
+ * @returns {Object|null} { subdomain, localHost, localPort } or null if invalid
+ */
+function parseTarget(spec) {
+    const match = /^(?:([a-z0-9-]+)=)?(?:([^:=]+):)?(\d+)$/i.exec(spec);
+    if (!match) return null;
+
+    const localPort = parseInt(match[3], 10);
+    if (localPort < 1 || localPort > 65535) return null;
+
+    return {
+        subdomain: match[1] ? match[1].toLowerCase() : null,
+        localHost: match[2] || null,
+        localPort,
+    };
+}
+
 /**
  * TunnelClient - Real tunneling client with reconnect support
+ *
+ * Registers one tunnel per local service over a single gateway
+ * connection; gateway messages name the tunnel they're for.
  */
 class TunnelClient {
-    constructor(port, options = {}) {
-        this.localPort = parseInt(port, 10);
-        this.localHost = options.localHost || 'localhost';
-        this.subdomain = options.subdomain || null;
+    /**
+     * @param {Object[]} targets - Per service: { localPort, localHost, subdomain, name,
+     *   auth, requestHeaders, inspect } (the last three come from devtunnel.yml)
+     * @param {Object} options - Gateway and auth options
+     */
+    constructor(targets, options = {}) {
+        this.services = targets.map(target => ({
+            name: target.name || target.subdomain || String(target.localPort),
+            localHost: target.localHost || options.localHost || 'localhost',
+            localPort: parseInt(target.localPort, 10),
+            subdomain: target.subdomain || null,
+            // "user:password" required from public clients (basic auth)
+            auth: target.auth || null,
+            // { set: { name: value }, remove: [name] } applied before forwarding
+            requestHeaders: target.requestHeaders || null,
+            inspect: target.inspect !== false,
+            tunnelId: null,
+            publicUrl: null,
+            sessionToken: null,
+            resumeToken: null,
+            // Per connection: registration answered, and whether it was a resume
+            registered: false,
+            resumed: false,
+        }));
+        this.authToken = options.authToken || null;
 
         // Resolve gateway URLs:
         // 1. Explicit CLI --gateway-ws-url / --gateway-http-url flags
@@ -66,14 +143,26 @@ class TunnelClient {
         }
 
         this.ws = null;
-        this.tunnelId = null;
-        this.publicUrl = null;
+        this.protocolVersion = null;
+        this.capabilities = [];
+        this.framing = Framing.JSON;
         this.isConnected = false;
         this.shouldReconnect = true;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
         this.reconnectDelay = 1000;
 
+        // Local WebSockets opened for upgraded public connections
+        // connectionId -> { service, ws, queue }
+        this.localSockets = new Map();
+
+        // In-flight local HTTP requests (for cancel and flow control)
+        // requestId -> { service, req, res, streaming, cancelled, gatewayPaused, socketPaused }
+        this.activeRequests = new Map();
+
+        // Buffered responses finished while reconnecting, sent once the tunnel resumes
+        this.outbox = [];
+
         // Stats
         this.requestCount = 0;
         this.successCount = 0;
@@ -96,6 +185,12 @@ class TunnelClient {
             } catch (error) {
                 if (!this.shouldReconnect) break;
 
+                // Retrying won't help until one side is upgraded or the key is fixed
+                if (FATAL_ERROR_CODES.includes(error.code)) {
+                    this.shouldReconnect = false;
+                    throw error;
+                }
+
                 this.reconnectAttempts++;
                 if (this.reconnectAttempts >= this.maxReconnectAttempts) {
                     console.error(chalk.red(`\n❌ Failed after ${this.maxReconnectAttempts} attempts. Giving up.`));
@@ -110,21 +205,37 @@ class TunnelClient {
     }
 
     /**
-     * Connects to gateway and registers tunnel
+     * Connects to gateway and registers a tunnel per service
      */
     connect() {
         return new Promise((resolve, reject) => {
             const spinner = ora('Connecting to gateway...').start();
             const wsUrl = this.gatewayWsUrl;
 
+            // Set once a registration fails; later replies on this socket are ignored
+            let failed = false;
+
             this.ws = new WebSocket(wsUrl);
 
             this.ws.on('open', () => {
-                spinner.text = 'Registering tunnel...';
-                this.ws.send(serializeMessage(createTunnelRegisterMessage({
-                    subdomain: this.subdomain,
-                    localPort: this.localPort,
-                })));
+                spinner.text = this.services.length > 1 ? 'Registering tunnels...' : 'Registering tunnel...';
+                // Plain JSON and no optional features until the gateway answers
+                this.capabilities = [];
+                this.framing = Framing.JSON;
+                this.services.forEach((service, index) => {
+                    service.registered = false;
+                    service.resumed = false;
+                    // ref lets us match each reply to its service
+                    this.ws.send(serializeMessage(createTunnelRegisterMessage({
+                        subdomain: service.subdomain,
+                        localPort: service.localPort,
+                        authToken: this.authToken,
+                        resumeToken: service.resumeToken,
+                        ref: String(index),
+                        inspect: service.inspect,
+                        capabilities: SUPPORTED_CAPABILITIES,
+                    })));
+                });
             });
 
             this.ws.on('message', (data) => {
@@ -132,14 +243,46 @@ class TunnelClient {
                 if (!message) return;
 
                 if (message.type === MessageType.TUNNEL_REGISTERED) {
-                    spinner.succeed('Tunnel established!');
                     this.handleRegistered(message.payload);
-                    this.reconnectAttempts = 0; // Reset on successful connection
+                    if (this.isConnected) {
+                        spinner.succeed(this.services.length > 1 ? 'Tunnels established!' : 'Tunnel established!');
+                        this.onAllRegistered();
+                        this.reconnectAttempts = 0; // Reset on successful connection
+                    }
                 } else if (message.type === MessageType.HTTP_REQUEST) {
                     this.handleHttpRequest(message.payload);
+                } else if (message.type === MessageType.HTTP_REQUEST_CHUNK) {
+                    this.handleRequestChunk(message.payload);
+                } else if (message.type === MessageType.HTTP_REQUEST_END) {
+                    this.handleRequestEnd(message.payload);
+                } else if (message.type === MessageType.HTTP_RESPONSE_PAUSE) {
+                    this.handleResponsePause(message.payload, true);
+                } else if (message.type === MessageType.HTTP_RESPONSE_RESUME) {
+                    this.handleResponsePause(message.payload, false);
+                } else if (message.type === MessageType.HTTP_REQUEST_CANCEL) {
+                    this.handleRequestCancel(message.payload);
+                } else if (message.type === MessageType.WS_OPEN) {
+                    this.handleWsOpen(message.payload);
+                } else if (message.type === MessageType.WS_FRAME) {
+                    this.handleWsFrame(message.payload);
+                } else if (message.type === MessageType.WS_CLOSE) {
+                    this.handleWsClose(message.payload);
                 } else if (message.type === MessageType.ERROR) {
-                    spinner.fail(`Error: ${message.payload.error}`);
-                    reject(new Error(message.payload.error));
+                    if (failed) return;
+                    if (this.isConnected) {
+                        console.log(chalk.red(`\n   Gateway error: ${message.payload.error}`));
+                        return;
+                    }
+
+                    // A failed registration: drop the whole session rather than run partially
+                    const service = this.services[message.payload.ref];
+                    const prefix = service && this.services.length > 1 ? `${service.name}: ` : '';
+                    spinner.fail(`Error: ${prefix}${message.payload.error}`);
+                    const error = new Error(message.payload.error);
+                    error.code = message.payload.code;
+                    failed = true;
+                    this.ws.close(1000);
+                    reject(error);
                 } else if (message.type === MessageType.PING) {
                     this.ws.send(serializeMessage({ type: MessageType.PONG, payload: { timestamp: Date.now() } }));
                 }
@@ -154,7 +297,10 @@ class TunnelClient {
 
             this.ws.on('close', (code) => {
                 this.isConnected = false;
-                if (this.tunnelId && this.shouldReconnect) {
+                this.closeLocalSockets();
+                // Buffered requests can still be answered if the tunnel resumes
+                this.cancelActiveRequests({ keepBuffered: this.canResume() && this.shouldReconnect });
+                if (!failed && this.services.some(service => service.tunnelId) && this.shouldReconnect) {
                     console.log(chalk.yellow(`\n⚠️  Connection lost (code: ${code})`));
                 }
                 resolve(); // Resolve to allow reconnect loop
@@ -173,32 +319,93 @@ class TunnelClient {
 
     /**
      * Handles successful tunnel registration
+     *
+     * The connection counts as up once every service has its tunnel.
      */
     handleRegistered(payload) {
-        this.tunnelId = payload.tunnelId;
-        this.publicUrl = payload.publicUrl;
-        this.subdomain = payload.subdomain;
-        this.isConnected = true;
+        // Older gateways don't echo ref; they answer registrations in order
+        const service = this.services[payload.ref] || this.services.find(s => !s.registered);
+        if (!service) return;
+
+        service.tunnelId = payload.tunnelId;
+        service.publicUrl = payload.publicUrl;
+        service.subdomain = payload.subdomain;
+        service.sessionToken = payload.sessionToken || null;
+        service.resumeToken = payload.resumeToken || null;
+        service.resumed = !!payload.resumed;
+        service.registered = true;
+
+        // Older gateways report no version and only speak buffered JSON
+        this.protocolVersion = payload.protocolVersion || 1;
+        this.capabilities = payload.capabilities || [];
+        this.framing = this.hasCapability(Capability.BINARY) ? Framing.BINARY : Framing.JSON;
+        this.isConnected = this.services.every(s => s.registered);
+    }
+
+    /**
+     * Announces the tunnels once all registrations are answered
+     */
+    onAllRegistered() {
+        this.flushOutbox();
+
+        const fresh = this.services.filter(service => !service.resumed);
+        for (const service of this.services) {
+            if (service.resumed) {
+                console.log(chalk.green(`\n✓ Tunnel resumed: ${service.publicUrl}`));
+            }
+        }
+
+        if (fresh.length) {
+            this.printBanner(fresh);
+        } else {
+            console.log('');
+        }
+    }
 
-        this.printBanner();
+    /**
+     * Sends responses that completed while the gateway connection was down
+     *
+     * Only resumed tunnels get theirs; a fresh tunnel's gateway side has
+     * forgotten the requests.
+     */
+    flushOutbox() {
+        const resumed = new Set(this.services.filter(s => s.resumed).map(s => s.tunnelId));
+        const messages = this.outbox;
+        this.outbox = [];
+        for (const message of messages) {
+            if (resumed.has(message.payload.tunnelId)) {
+                this.send(message);
+            }
+        }
     }
 
     /**
      * Prints the tunnel info banner
+     * @param {Object[]} services - Newly registered services
      */
-    printBanner() {
-        const info = [
+    printBanner(services) {
+        const multiple = this.services.length > 1;
+        const lines = [
             '',
-            chalk.bold.green('   ✓ Tunnel is live!'),
+            chalk.bold.green(multiple ? '   ✓ Tunnels are live!' : '   ✓ Tunnel is live!'),
             '',
-            `   ${chalk.gray('Public URL →')}  ${chalk.bold.cyan(this.publicUrl)}`,
-            `   ${chalk.gray('Forwarding →')}  ${chalk.white(`http://${this.localHost}:${this.localPort}`)}`,
-            '',
-            `   ${chalk.gray('Tunnel ID:')}    ${chalk.dim(this.tunnelId)}`,
-            '',
-        ].join('\n');
+        ];
+
+        for (const service of services) {
+            if (multiple) {
+                lines.push(`   ${chalk.bold(service.name)}`);
+            }
+            lines.push(
+                `   ${chalk.gray('Public URL →')}  ${chalk.bold.cyan(service.publicUrl)}`,
+                `   ${chalk.gray('Forwarding →')}  ${chalk.white(`http://${service.localHost}:${service.localPort}`)}`,
+                ...this.describeOptions(service),
+                '',
+                `   ${chalk.gray('Tunnel ID:')}    ${chalk.dim(service.tunnelId)}`,
+                ''
+            );
+        }
 
-        console.log(boxen(info, {
+        console.log(boxen(lines.join('\n'), {
             padding: 1,
             margin: { top: 1, bottom: 1, left: 2, right: 2 },
             borderStyle: 'round',
@@ -208,43 +415,113 @@ class TunnelClient {
         console.log(chalk.gray('   Waiting for requests...\n'));
     }
 
+    /**
+     * Banner lines for settings that change how a service behaves
+     */
+    describeOptions(service) {
+        const notes = [];
+        if (service.auth) notes.push('basic auth');
+        if (service.requestHeaders) notes.push('header rules');
+        if (!service.inspect) notes.push('not inspected');
+
+        return notes.length ? [`   ${chalk.gray('Options    →')}  ${chalk.white(notes.join(', '))}`] : [];
+    }
+
+    /**
+     * Finds the local service a gateway message is addressed to
+     *
+     * Older gateways don't send a tunnelId; they only know one tunnel.
+     */
+    resolveService(tunnelId) {
+        if (!tunnelId) return this.services[0];
+        return this.services.find(service => service.tunnelId === tunnelId) || null;
+    }
+
     /**
      * Handles incoming HTTP request from gateway
      */
     async handleHttpRequest(payload) {
-        const { requestId, method, path, headers, body, bodyEncoding } = payload;
+        const { requestId, method, path, headers, body, bodyEncoding, streaming } = payload;
         const startTime = Date.now();
+        const service = this.resolveService(payload.tunnelId);
+
+        if (!service) {
+            this.send(createHttpErrorMessage({
+                tunnelId: payload.tunnelId,
+                requestId,
+                error: 'Unknown tunnel',
+                code: ERROR_CODES.TUNNEL_NOT_FOUND,
+                statusCode: 502,
+            }));
+            return;
+        }
+
         this.requestCount++;
 
         // Log incoming request
         process.stdout.write(
-            chalk.gray(`   ${this.formatTime()} `) +
+            this.formatPrefix(service) +
             this.colorMethod(method) +
             chalk.white(` ${this.truncate(path, 50)}`)
         );
 
+        // Protected tunnel: answer without reaching the local server
+        if (!this.isAuthorized(service, headers)) {
+            this.errorCount++;
+            this.send(createHttpResponseMessage({
+                tunnelId: service.tunnelId,
+                requestId,
+                statusCode: 401,
+                headers: {
+                    'www-authenticate': `Basic realm="${service.name}"`,
+                    'content-type': 'text/plain',
+                },
+                body: Buffer.from('Unauthorized'),
+            }));
+            console.log(` → ${this.colorStatus(401)} ${chalk.gray('auth required')}`);
+            return;
+        }
+
         try {
             // Decode request body
             const requestBody = body ? decodeBody(body, bodyEncoding || 'base64') : null;
 
-            // Forward to local server
-            const response = await this.forwardToLocal({ method, path, headers, body: requestBody });
+            // Forward to local server (streamed responses are sent as they arrive)
+            const response = await this.forwardToLocal({
+                service,
+                requestId,
+                method,
+                path,
+                headers,
+                body: requestBody,
+                streamingBody: !!streaming,
+            });
             const duration = Date.now() - startTime;
             this.successCount++;
 
-            // Send response back through WebSocket
-            this.ws.send(serializeMessage(createHttpResponseMessage({
-                requestId,
-                statusCode: response.statusCode,
-                headers: response.headers,
-                body: response.body,
-            })));
+            // Send buffered response back through WebSocket
+            if (!response.streamed) {
+                this.send(createHttpResponseMessage({
+                    tunnelId: service.tunnelId,
+                    requestId,
+                    statusCode: response.statusCode,
+                    headers: response.headers,
+                    body: response.body,
+                }));
+            }
 
             // Log response
-            console.log(` → ${this.colorStatus(response.statusCode)} ${chalk.gray(`${duration}ms`)}`);
+            const streamedNote = response.streamed ? chalk.gray(' (streamed)') : '';
+            console.log(` → ${this.colorStatus(response.statusCode)} ${chalk.gray(`${duration}ms`)}${streamedNote}`);
 
         } catch (error) {
             const duration = Date.now() - startTime;
+
+            if (error.code === 'CANCELLED') {
+                console.log(` → ${chalk.yellow('CANCELLED')} ${chalk.gray(`${duration}ms`)}`);
+                return;
+            }
+
             this.errorCount++;
 
             // Determine error code
@@ -260,12 +537,13 @@ class TunnelClient {
             }
 
             // Send error response
-            this.ws.send(serializeMessage(createHttpErrorMessage({
+            this.send(createHttpErrorMessage({
+                tunnelId: service.tunnelId,
                 requestId,
                 error: error.message,
                 code: errorCode,
                 statusCode,
-            })));
+            }));
 
             // Log error
             console.log(` → ${chalk.red('ERR')} ${chalk.gray(error.code || error.message)} ${chalk.gray(`${duration}ms`)}`);
@@ -274,60 +552,443 @@ class TunnelClient {
 
     /**
      * Makes real HTTP request to local server
+     *
+     * Small responses with a known length are buffered and returned.
+     * Chunked, large or event-stream responses are streamed to the
+     * gateway as they are produced and resolve with { streamed: true }.
+     *
+     * With streamingBody the request is left open and written from
+     * http:request:chunk messages until http:request:end arrives.
      */
-    forwardToLocal({ method, path, headers, body }) {
+    forwardToLocal({ service, requestId, method, path, headers, body, streamingBody = false }) {
         return new Promise((resolve, reject) => {
-            const url = new URL(path, `http://${this.localHost}:${this.localPort}`);
+            const { localHost, localPort } = service;
+            const url = new URL(path, `http://${localHost}:${localPort}`);
 
             // Prepare headers
-            const localHeaders = { ...headers };
-            localHeaders['host'] = `${this.localHost}:${this.localPort}`;
+            const localHeaders = this.rewriteHeaders(service, headers);
+            localHeaders['host'] = `${localHost}:${localPort}`;
             delete localHeaders['connection'];
 
-            if (body) {
+            if (body && !streamingBody) {
                 localHeaders['content-length'] = String(body.length);
             }
 
             const options = {
-                hostname: this.localHost,
-                port: this.localPort,
+                hostname: localHost,
+                port: localPort,
                 path: url.pathname + url.search,
                 method,
                 headers: localHeaders,
             };
 
+            const active = {
+                service,
+                req: null,
+                res: null,
+                streaming: !!streamingBody,
+                cancelled: false,
+                gatewayPaused: false,
+                socketPaused: false,
+                uploadPaused: false,
+            };
+            const fail = (error) => {
+                this.activeRequests.delete(requestId);
+                if (active.cancelled) {
+                    error = Object.assign(new Error('Request cancelled'), { code: 'CANCELLED' });
+                }
+                reject(error);
+            };
+
             const req = http.request(options, (res) => {
+                active.res = res;
+                res.on('error', fail);
+
+                if (this.shouldStream(res)) {
+                    active.streaming = true;
+                    this.streamResponse(requestId, active).then(resolve, fail);
+                    return;
+                }
+
                 const chunks = [];
                 res.on('data', (chunk) => chunks.push(chunk));
                 res.on('end', () => {
+                    this.activeRequests.delete(requestId);
                     const responseBody = Buffer.concat(chunks);
                     resolve({
                         statusCode: res.statusCode,
                         headers: res.headers,
-                        body: responseBody.toString('base64'),
+                        body: responseBody,
                     });
                 });
-                res.on('error', reject);
             });
 
-            req.on('error', reject);
+            active.req = req;
+            this.activeRequests.set(requestId, active);
+
+            req.on('error', fail);
             req.setTimeout(30000, () => {
                 req.destroy();
                 const err = new Error('Request timeout');
                 err.code = 'ETIMEDOUT';
-                reject(err);
+                fail(err);
             });
 
+            if (streamingBody) return;
+
             if (body) req.write(body);
             req.end();
         });
     }
 
+    /**
+     * Writes a streamed request body chunk to the local request
+     */
+    handleRequestChunk(payload) {
+        const { requestId, chunk } = payload;
+        const active = this.activeRequests.get(requestId);
+        if (!active || active.req.writableEnded) return;
+
+        const writable = active.req.write(decodeBody(chunk) || Buffer.alloc(0));
+
+        // Local server is slower than the upload: ask the gateway to hold off
+        if (!writable && !active.uploadPaused) {
+            active.uploadPaused = true;
+            this.send(createHttpRequestPauseMessage({ tunnelId: active.service.tunnelId, requestId }));
+
+            active.req.once('drain', () => {
+                active.uploadPaused = false;
+                if (this.activeRequests.has(requestId)) {
+                    this.send(createHttpRequestResumeMessage({ tunnelId: active.service.tunnelId, requestId }));
+                }
+            });
+        }
+    }
+
+    /**
+     * Finishes a streamed request body
+     */
+    handleRequestEnd(payload) {
+        const active = this.activeRequests.get(payload.requestId);
+        if (!active || active.req.writableEnded) return;
+
+        active.req.end();
+    }
+
+    /**
+     * Decides whether a local response should be streamed
+     */
+    shouldStream(res) {
+        if (!this.hasCapability(Capability.STREAMING)) return false;
+
+        const contentType = res.headers['content-type'] || '';
+        if (contentType.startsWith('text/event-stream')) return true;
+
+        const contentLength = res.headers['content-length'];
+        if (contentLength === undefined) return true;
+
+        return parseInt(contentLength, 10) > MAX_CHUNK_SIZE;
+    }
+
+    /**
+     * Streams a local response to the gateway as header, chunk and end messages
+     */
+    streamResponse(requestId, active) {
+        const { req, res } = active;
+        const { tunnelId } = active.service;
+
+        return new Promise((resolve, reject) => {
+            let index = 0;
+
+            // Long-lived streams (SSE, long polling) must not hit the idle timeout
+            req.setTimeout(0);
+
+            this.send(createHttpResponseHeaderMessage({
+                tunnelId,
+                requestId,
+                statusCode: res.statusCode,
+                headers: res.headers,
+            }));
+
+            res.on('data', (data) => {
+                for (const { chunk } of chunkBuffer(data)) {
+                    this.send(createHttpResponseChunkMessage({ tunnelId, requestId, chunk, index: index++ }));
+                }
+                this.checkSocketBackpressure(active);
+            });
+
+            res.on('end', () => {
+                this.activeRequests.delete(requestId);
+                this.send(createHttpResponseEndMessage({ tunnelId, requestId }));
+                resolve({ statusCode: res.statusCode, headers: res.headers, streamed: true });
+            });
+
+            res.on('aborted', () => reject(new Error('Local response aborted')));
+        });
+    }
+
+    /**
+     * Pauses a stream while the gateway socket has too much queued data
+     */
+    checkSocketBackpressure(active) {
+        if (active.socketPaused || !this.ws) return;
+        if (this.ws.bufferedAmount < TUNNEL_CONFIG.STREAM_HIGH_WATER_MARK) return;
+
+        active.socketPaused = true;
+        this.updateFlow(active);
+
+        const poll = setInterval(() => {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN ||
+                this.ws.bufferedAmount < TUNNEL_CONFIG.STREAM_HIGH_WATER_MARK / 2) {
+                clearInterval(poll);
+                active.socketPaused = false;
+                this.updateFlow(active);
+            }
+        }, 50);
+    }
+
+    /**
+     * Handles pause/resume requests from the gateway
+     */
+    handleResponsePause(payload, paused) {
+        const active = this.activeRequests.get(payload.requestId);
+        if (!active) return;
+
+        active.gatewayPaused = paused;
+        this.updateFlow(active);
+    }
+
+    /**
+     * Applies the combined pause state to the local response
+     */
+    updateFlow(active) {
+        if (!active.res) return;
+
+        if (active.gatewayPaused || active.socketPaused) {
+            active.res.pause();
+        } else {
+            active.res.resume();
+        }
+    }
+
+    /**
+     * Aborts a local request when the public client disconnects
+     */
+    handleRequestCancel(payload) {
+        const active = this.activeRequests.get(payload.requestId);
+        if (!active) return;
+
+        active.cancelled = true;
+        this.activeRequests.delete(payload.requestId);
+        active.req.destroy();
+    }
+
+    /**
+     * Aborts in-flight local requests (gateway connection lost).
+     * Streams can't survive a reconnect; buffered requests may be kept.
+     */
+    cancelActiveRequests({ keepBuffered = false } = {}) {
+        for (const [requestId, active] of this.activeRequests) {
+            if (keepBuffered && !active.streaming) continue;
+
+            active.cancelled = true;
+            active.req.destroy();
+            this.activeRequests.delete(requestId);
+        }
+    }
+
+    /**
+     * Opens a local WebSocket for an upgraded public connection
+     */
+    handleWsOpen(payload) {
+        const { connectionId, path, headers, protocols } = payload;
+        const service = this.resolveService(payload.tunnelId);
+
+        if (!service) {
+            this.send(createWsCloseMessage({
+                tunnelId: payload.tunnelId,
+                connectionId,
+                code: 1011,
+                reason: 'Unknown tunnel',
+            }));
+            return;
+        }
+
+        console.log(
+            this.formatPrefix(service) +
+            chalk.magenta('WS'.padEnd(7)) +
+            chalk.white(` ${this.truncate(path, 50)}`) +
+            chalk.gray(' → upgrade')
+        );
+
+        const { localHost, localPort, tunnelId } = service;
+
+        // The upgrade is already accepted publicly, so refuse with a close code
+        if (!this.isAuthorized(service, headers)) {
+            this.send(createWsCloseMessage({ tunnelId, connectionId, code: 1008, reason: 'Unauthorized' }));
+            return;
+        }
+
+        const url = new URL(path, `ws://${localHost}:${localPort}`);
+        const localWs = new WebSocket(url.toString(), protocols || [], {
+            headers: { ...this.rewriteHeaders(service, headers), host: `${localHost}:${localPort}` },
+        });
+        const entry = { service, ws: localWs, queue: [] };
+        this.localSockets.set(connectionId, entry);
+
+        localWs.on('open', () => {
+            // Flush frames that arrived before the local handshake finished
+            for (const frame of entry.queue) {
+                localWs.send(frame.data, { binary: frame.binary });
+            }
+            entry.queue = [];
+        });
+
+        localWs.on('message', (data, isBinary) => {
+            this.send(createWsFrameMessage({ tunnelId, connectionId, data, binary: isBinary }));
+        });
+
+        localWs.on('close', (code, reason) => {
+            // Closed from the local side: tell the gateway
+            if (this.localSockets.get(connectionId) === entry) {
+                this.localSockets.delete(connectionId);
+                this.send(createWsCloseMessage({ tunnelId, connectionId, code, reason }));
+            }
+        });
+
+        localWs.on('error', (error) => {
+            console.log(
+                this.formatPrefix(service) +
+                chalk.magenta('WS'.padEnd(7)) +
+                ` ${chalk.red('ERR')} ${chalk.gray(error.code || error.message)}`
+            );
+        });
+    }
+
+    /**
+     * Relays a frame from the public client to the local WebSocket
+     */
+    handleWsFrame(payload) {
+        const entry = this.localSockets.get(payload.connectionId);
+        if (!entry) return;
+
+        const frame = { data: decodeWsFrame(payload), binary: !!payload.binary };
+
+        if (entry.ws.readyState === WebSocket.OPEN) {
+            entry.ws.send(frame.data, { binary: frame.binary });
+        } else if (entry.ws.readyState === WebSocket.CONNECTING) {
+            entry.queue.push(frame);
+        }
+    }
+
+    /**
+     * Closes the local WebSocket when the public client disconnects
+     */
+    handleWsClose(payload) {
+        const { connectionId, code, reason } = payload;
+        const entry = this.localSockets.get(connectionId);
+        if (!entry) return;
+
+        this.localSockets.delete(connectionId);
+
+        if (entry.ws.readyState === WebSocket.CONNECTING) {
+            entry.ws.terminate();
+        } else {
+            entry.ws.close(toSendableCloseCode(code), reason || '');
+        }
+    }
+
+    /**
+     * Closes every local WebSocket (gateway connection lost)
+     */
+    closeLocalSockets() {
+        for (const entry of this.localSockets.values()) {
+            entry.ws.terminate();
+        }
+        this.localSockets.clear();
+    }
+
+    /**
+     * Sends a protocol message to the gateway if connected
+     */
+    send(message) {
+        // Hold buffered replies while reconnecting; they're sent if the tunnel resumes
+        if (this.canResume() && !this.isConnected && RESUMABLE_MESSAGES.includes(message.type)) {
+            if (this.outbox.length < MAX_OUTBOX_SIZE) {
+                this.outbox.push(message);
+            }
+            return;
+        }
+
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(serializeMessage(message, {
+                binary: this.framing === Framing.BINARY,
+                compress: this.hasCapability(Capability.COMPRESSION),
+            }));
+        }
+    }
+
+    /**
+     * Checks basic auth credentials for a protected service
+     */
+    isAuthorized(service, headers = {}) {
+        if (!service.auth) return true;
+
+        const [scheme, encoded] = (headers['authorization'] || '').split(' ');
+        if (!scheme || scheme.toLowerCase() !== 'basic' || !encoded) return false;
+
+        const given = Buffer.from(Buffer.from(encoded, 'base64').toString('utf8'));
+        const expected = Buffer.from(service.auth);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    /**
+     * Applies a service's header rules; basic auth credentials aren't forwarded
+     */
+    rewriteHeaders(service, headers = {}) {
+        const rewritten = { ...headers };
+
+        if (service.auth) {
+            delete rewritten['authorization'];
+        }
+
+        if (service.requestHeaders) {
+            for (const name of service.requestHeaders.remove) {
+                delete rewritten[name];
+            }
+            Object.assign(rewritten, service.requestHeaders.set);
+        }
+
+        return rewritten;
+    }
+
+    /**
+     * Whether any tunnel can be resumed after a reconnect
+     */
+    canResume() {
+        return this.services.some(service => service.resumeToken);
+    }
+
+    /**
+     * Checks whether a feature was negotiated with the gateway
+     */
+    hasCapability(capability) {
+        return this.capabilities.includes(capability);
+    }
+
     // Utility methods
     formatTime() {
         return new Date().toLocaleTimeString('en-US', { hour12: false });
     }
 
+    formatPrefix(service) {
+        const time = chalk.gray(`   ${this.formatTime()} `);
+        if (this.services.length === 1) return time;
+
+        const width = Math.max(...this.services.map(s => s.name.length));
+        return time + chalk.cyan(service.name.padEnd(width)) + ' ';
+    }
+
     truncate(str, len) {
         return str.length > len ? str.substring(0, len - 3) + '...' : str;
     }
@@ -363,7 +1024,8 @@ class TunnelClient {
     stop() {
         this.shouldReconnect = false;
         if (this.ws) {
-            this.ws.close();
+            // 1000 tells the gateway not to hold the tunnel for a resume
+            this.ws.close(1000);
         }
         this.printStats();
     }
@@ -386,30 +1048,93 @@ program
     .description('DevTunnel+ - Expose your localhost to the world')
     .version(pkg.version);
 
+/**
+ * Turns `start` arguments into service targets
+ *
+ * Each argument is a tunnel name from the config file or a
+ * `[subdomain=][host:]port` spec.
+ * @throws {Error} With a message fit for the terminal
+ */
+function resolveTargets(specs, options, config) {
+    if (options.all) {
+        if (!config) {
+            throw new Error(`--all needs a ${CONFIG_FILES.join(' or ')} in this directory (or --config <file>)`);
+        }
+        if (specs.length) {
+            throw new Error('--all starts every tunnel in the config file; drop the other arguments');
+        }
+        return Object.values(config.tunnels).map(tunnel => ({ ...tunnel }));
+    }
+
+    if (!specs.length) {
+        throw new Error('Give a port, a tunnel name from the config file, or --all');
+    }
+
+    const targets = specs.map((spec) => {
+        if (config && config.tunnels[spec]) {
+            return { ...config.tunnels[spec] };
+        }
+
+        const target = parseTarget(spec);
+        if (!target) {
+            const known = config
+                ? ` Tunnels in ${path.basename(config.file)}: ${Object.keys(config.tunnels).join(', ')}.`
+                : '';
+            throw new Error(
+                `Unknown tunnel or invalid target "${spec}". Use [subdomain=][host:]port with port 1-65535.${known}`
+            );
+        }
+        return target;
+    });
+
+    if (options.subdomain) {
+        if (targets.length > 1) {
+            throw new Error('--subdomain needs a single target; use name=port for several.');
+        }
+        targets[0].subdomain = targets[0].subdomain || options.subdomain;
+    }
+
+    const subdomains = targets.map(t => t.subdomain).filter(Boolean);
+    if (new Set(subdomains).size !== subdomains.length) {
+        throw new Error('Each target needs a different subdomain.');
+    }
+
+    return targets;
+}
+
 program
-    .command('start <port>')
-    .description('Start a tunnel to localhost:<port>')
-    .option('-s, --subdomain <name>', 'Request a specific subdomain')
+    .command('start [targets...]')
+    .description('Start tunnels: `start 3000`, `start frontend=3000 backend=localhost:8080`, or names from devtunnel.yml')
+    .option('-a, --all', 'Start every tunnel in the config file')
+    .option('-c, --config <file>', `Config file (default: ${CONFIG_FILES.join(', ')} in the current directory)`)
+    .option('-s, --subdomain <name>', 'Request a specific subdomain (single target)')
     .option('--host <host>', 'Gateway host (for local dev, e.g. localhost)')
     .option('-p, --gateway-port <port>', 'Gateway port (for local dev)', '3001')
-    .option('--gateway-ws-url <url>', 'Full gateway WebSocket URL (overrides --host)')
-    .option('--gateway-http-url <url>', 'Full gateway HTTP URL (overrides --host)')
+    .option('--gateway-ws-url <url>', 'Full gateway WebSocket URL (overrides --host and the config file)')
+    .option('--gateway-http-url <url>', 'Full gateway HTTP URL (overrides --host and the config file)')
     .option('-l, --local-host <host>', 'Local host to forward to', 'localhost')
-    .action(async (port, options) => {
-        // Validate port
-        const portNum = parseInt(port, 10);
-        if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
-            console.error(chalk.red(`Error: Invalid port "${port}". Must be 1-65535.`));
+    .option('-t, --token <token>', 'API key (defaults to the config file, DEVTUNNEL_TOKEN or the saved login)')
+    .action(async (specs, options) => {
+        let config;
+        let targets;
+        try {
+            config = loadConfig(options.config);
+            targets = resolveTargets(specs, options, config);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
             process.exit(1);
         }
 
-        const client = new TunnelClient(portNum, {
-            subdomain: options.subdomain,
+        // Flags win over the config file; --host is an explicit choice too
+        const gateway = (config && !options.host) ? config.gateway : {};
+
+        const client = new TunnelClient(targets, {
             host: options.host,
             gatewayPort: options.gatewayPort ? parseInt(options.gatewayPort, 10) : undefined,
-            gatewayWsUrl: options.gatewayWsUrl,
-            gatewayHttpUrl: options.gatewayHttpUrl,
+            gatewayWsUrl: options.gatewayWsUrl || gateway.wsUrl,
+            gatewayHttpUrl: options.gatewayHttpUrl || gateway.httpUrl,
             localHost: options.localHost,
+            authToken: resolveToken(options.token || config?.token),
         });
 
         // Graceful shutdown
@@ -430,6 +1155,25 @@ program
         }
     });
 
+program
+    .command('login <token>')
+    .description('Save an API key for tunnel registration')
+    .action((token) => {
+        saveToken(token);
+        console.log(chalk.green(`✓ API key saved to ${CREDENTIALS_FILE}`));
+    });
+
+program
+    .command('logout')
+    .description('Remove the saved API key')
+    .action(() => {
+        if (clearToken()) {
+            console.log(chalk.green('✓ Saved API key removed'));
+        } else {
+            console.log(chalk.gray('  No saved API key'));
+        }
+    });
+
 program
     .command('status')
     .description('Check gateway status')
@@ -461,10 +1205,15 @@ program
         }
     });
 
-// Parse arguments
-program.parse();
+// Run only as a command; tests require the module for TunnelClient
+if (require.main === module) {
+    // Parse arguments
+    program.parse();
 
-// If no command provided, show help
-if (!process.argv.slice(2).length) {
-    program.outputHelp();
+    // If no command provided, show help
+    if (!process.argv.slice(2).length) {
+        program.outputHelp();
+    }
 }
+
+module.exports = { TunnelClient, parseTarget };
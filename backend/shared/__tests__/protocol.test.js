@@ -7,13 +7,23 @@ const {
     createTunnelRegisterMessage,
     createTunnelRegisteredMessage,
     createHttpRequestMessage,
+    createHttpRequestChunkMessage,
     createHttpResponseMessage,
     createHttpErrorMessage,
+    createWsOpenMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    decodeWsFrame,
+    toSendableCloseCode,
     createPingMessage,
     createPongMessage,
     createErrorMessage,
     parseMessage,
     serializeMessage,
+    negotiateProtocol,
+    PROTOCOL_VERSION,
+    Capability,
+    Framing,
 } = require('../src/protocol');
 
 describe('Protocol Messages', () => {
@@ -60,6 +70,66 @@ describe('Protocol Messages', () => {
             expect(msg.payload.requestId).toBe('req123');
             expect(msg.payload.method).toBe('POST');
             expect(msg.payload.path).toBe('/api/test');
+            expect(msg.payload.streaming).toBe(false);
+        });
+
+        it('should announce a streamed body and encode chunks', () => {
+            const msg = createHttpRequestMessage({
+                requestId: 'req123',
+                method: 'PUT',
+                path: '/upload',
+                headers: {},
+                body: null,
+                streaming: true,
+            });
+            const chunk = createHttpRequestChunkMessage({ requestId: 'req123', chunk: Buffer.from('abc'), index: 0 });
+
+            expect(msg.payload.streaming).toBe(true);
+            expect(msg.payload.body).toBeNull();
+            expect(chunk.type).toBe(MessageType.HTTP_REQUEST_CHUNK);
+            expect(Buffer.from(chunk.payload.chunk, 'base64').toString()).toBe('abc');
+        });
+    });
+
+    describe('WebSocket messages', () => {
+        it('should create ws:open with requested protocols', () => {
+            const msg = createWsOpenMessage({
+                connectionId: 'conn1',
+                path: '/socket.io/?EIO=4',
+                headers: {},
+                protocols: ['chat'],
+            });
+
+            expect(msg.type).toBe(MessageType.WS_OPEN);
+            expect(msg.payload.path).toBe('/socket.io/?EIO=4');
+            expect(msg.payload.protocols).toEqual(['chat']);
+        });
+
+        it('should round-trip text and binary frames', () => {
+            const text = createWsFrameMessage({ connectionId: 'conn1', data: Buffer.from('hello') });
+            const binary = createWsFrameMessage({
+                connectionId: 'conn1',
+                data: Buffer.from([0, 255, 1]),
+                binary: true,
+            });
+
+            expect(decodeWsFrame(text.payload)).toBe('hello');
+            expect(decodeWsFrame(binary.payload)).toEqual(Buffer.from([0, 255, 1]));
+        });
+
+        it('should keep close code and reason', () => {
+            const msg = createWsCloseMessage({ connectionId: 'conn1', code: 4001, reason: Buffer.from('bye') });
+
+            expect(msg.type).toBe(MessageType.WS_CLOSE);
+            expect(msg.payload.code).toBe(4001);
+            expect(msg.payload.reason).toBe('bye');
+        });
+
+        it('should map reserved close codes to sendable ones', () => {
+            expect(toSendableCloseCode(1000)).toBe(1000);
+            expect(toSendableCloseCode(4001)).toBe(4001);
+            expect(toSendableCloseCode(1005)).toBeUndefined();
+            expect(toSendableCloseCode(1006)).toBe(1011);
         });
     });
 
@@ -77,8 +147,110 @@ describe('Protocol Messages', () => {
             expect(parseMessage('not json')).toBeNull();
         });
 
-        it('should return null for invalid message type', () => {
-            expect(parseMessage('{"type": "invalid", "payload": {}}')).toBeNull();
+        it('should return null for messages without a type', () => {
+            expect(parseMessage('{"payload": {}}')).toBeNull();
+        });
+
+        it('should keep unknown types for newer peers', () => {
+            expect(parseMessage('{"type": "tunnel:future", "payload": {}}')).toEqual({ type: 'tunnel:future', payload: {} });
+        });
+    });
+
+    describe('framing', () => {
+        const chunkMessage = () => createHttpRequestChunkMessage({
+            requestId: 'req123',
+            chunk: Buffer.from([0, 1, 2, 255]),
+            index: 3,
+        });
+
+        it('should base64 encode bytes in JSON framing', () => {
+            const json = serializeMessage(chunkMessage());
+            const parsed = parseMessage(json);
+
+            expect(typeof json).toBe('string');
+            expect(parsed.payload.chunk).toBe(Buffer.from([0, 1, 2, 255]).toString('base64'));
+        });
+
+        it('should round-trip raw bytes in binary framing', () => {
+            const frame = serializeMessage(chunkMessage(), { binary: true });
+            const parsed = parseMessage(frame);
+
+            expect(Buffer.isBuffer(frame)).toBe(true);
+            expect(parsed.type).toBe(MessageType.HTTP_REQUEST_CHUNK);
+            expect(parsed.payload.requestId).toBe('req123');
+            expect(parsed.payload.index).toBe(3);
+            expect(parsed.payload.chunk).toEqual(Buffer.from([0, 1, 2, 255]));
+        });
+
+        it('should round-trip text WebSocket frames in binary framing', () => {
+            const msg = createWsFrameMessage({ connectionId: 'conn1', data: 'héllo' });
+            const parsed = parseMessage(serializeMessage(msg, { binary: true }));
+
+            expect(parsed.payload.connectionId).toBe('conn1');
+            expect(decodeWsFrame(parsed.payload)).toBe('héllo');
+        });
+
+        it('should carry the tunnelId in both framings', () => {
+            const msg = createHttpResponseMessage({
+                tunnelId: 'tun1',
+                requestId: 'req123',
+                statusCode: 200,
+                headers: {},
+                body: Buffer.from('ok'),
+            });
+
+            expect(parseMessage(serializeMessage(msg)).payload.tunnelId).toBe('tun1');
+            expect(parseMessage(serializeMessage(msg, { binary: true })).payload.tunnelId).toBe('tun1');
+        });
+
+        it('should keep a null body null in binary framing', () => {
+            const msg = createHttpResponseMessage({ requestId: 'req123', statusCode: 204, headers: {}, body: null });
+            const parsed = parseMessage(serializeMessage(msg, { binary: true }));
+
+            expect(parsed.payload.statusCode).toBe(204);
+            expect(parsed.payload.body).toBeNull();
+        });
+
+        it('should deflate large payloads when compression is on', () => {
+            const body = Buffer.alloc(64 * 1024, 'a');
+            const msg = createHttpRequestChunkMessage({ requestId: 'req123', chunk: body, index: 0 });
+            const frame = serializeMessage(msg, { binary: true, compress: true });
+
+            expect(frame.length).toBeLessThan(body.length / 10);
+            expect(parseMessage(frame).payload.chunk).toEqual(body);
+        });
+    });
+
+    describe('negotiateProtocol', () => {
+        it('should share only capabilities both sides support', () => {
+            const result = negotiateProtocol({
+                protocolVersion: PROTOCOL_VERSION,
+                capabilities: [Capability.STREAMING, Capability.BINARY, 'telepathy'],
+            });
+
+            expect(result.compatible).toBe(true);
+            expect(result.capabilities).toEqual([Capability.STREAMING, Capability.BINARY]);
+            expect(result.framing).toBe(Framing.BINARY);
+        });
+
+        it('should treat clients without a version as legacy', () => {
+            const result = negotiateProtocol({ subdomain: 'old' });
+
+            expect(result.compatible).toBe(true);
+            expect(result.protocolVersion).toBe(1);
+            expect(result.capabilities).toEqual([]);
+            expect(result.framing).toBe(Framing.JSON);
+        });
+
+        it('should settle on the lower version and reject clients that need a newer one', () => {
+            expect(negotiateProtocol({
+                protocolVersion: PROTOCOL_VERSION + 3,
+                minProtocolVersion: 1,
+            }).protocolVersion).toBe(PROTOCOL_VERSION);
+            expect(negotiateProtocol({
+                protocolVersion: PROTOCOL_VERSION + 3,
+                minProtocolVersion: PROTOCOL_VERSION + 1,
+            }).compatible).toBe(false);
         });
     });
 });
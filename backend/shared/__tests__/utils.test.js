@@ -12,6 +12,10 @@ const {
     safeJsonParse,
     truncate,
     calculateBackoff,
+    createSeededRandom,
+    parseJsonPath,
+    applyJsonPatch,
+    diffSequences,
 } = require('../src/utils');
 
 describe('Utility Functions', () => {
@@ -98,4 +102,66 @@ describe('Utility Functions', () => {
             expect(delay1).toBeGreaterThan(delay0 * 0.8);
         });
     });
+
+    describe('createSeededRandom', () => {
+        it('should repeat the same sequence for the same seed', () => {
+            const sequence = (seed) => {
+                const random = createSeededRandom(seed);
+                return [random(), random(), random()];
+            };
+
+            expect(sequence('checkout')).toEqual(sequence('checkout'));
+            expect(sequence('checkout')).not.toEqual(sequence(42));
+            sequence(42).forEach(value => {
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            });
+        });
+    });
+
+    describe('parseJsonPath', () => {
+        it('should split keys, indexes and quoted keys', () => {
+            expect(parseJsonPath("$.user.tags[0]['x-id']")).toEqual(['user', 'tags', 0, 'x-id']);
+            expect(parseJsonPath('$')).toEqual([]);
+        });
+
+        it('should reject malformed paths', () => {
+            expect(() => parseJsonPath('user.name')).toThrow();
+            expect(() => parseJsonPath('$.a..b')).toThrow('Invalid JSON path');
+        });
+    });
+
+    describe('applyJsonPatch', () => {
+        it('should set, create and remove values without touching the input', () => {
+            const original = { user: { name: 'a' }, items: [1, 2, 3], debug: true };
+            const patched = applyJsonPatch(original, [
+                { path: '$.user.name', value: 'b' },
+                { path: '$.meta.source', value: 'mock' },
+                { path: '$.items[-1]', op: 'remove' },
+                { path: '$.debug', op: 'remove' },
+            ]);
+
+            expect(patched).toEqual({ user: { name: 'b' }, items: [1, 2], meta: { source: 'mock' } });
+            expect(original.user.name).toBe('a');
+        });
+    });
+
+    describe('diffSequences', () => {
+        const render = (a, b, ops) => ops.map(op =>
+            (op.type === 'equal' ? ` ${a[op.aIndex]}` : op.type === 'delete' ? `-${a[op.aIndex]}` : `+${b[op.bIndex]}`)).join('');
+
+        it('should find a shortest edit script', () => {
+            const a = [...'ABCABBA'];
+            const b = [...'CBABAC'];
+            const ops = diffSequences(a, b);
+            expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+            expect(render(a, b, ops)).toBe('-A-B C+B A B-B A+C');
+            expect(render([], ['x'], diffSequences([], ['x']))).toBe('+x');
+        });
+
+        it('should give up past maxEdits', () => {
+            expect(diffSequences([...'abcdef'], [...'uvwxyz'], { maxEdits: 3 })).toBeNull();
+            expect(diffSequences([...'abc'], [...'abd'], { maxEdits: 3 })).toHaveLength(4);
+        });
+    });
 });
@@ -19,20 +19,45 @@ const TUNNEL_CONFIG = {
     SUBDOMAIN_MAX_LENGTH: 32,
     SUBDOMAIN_PATTERN: /^[a-z0-9][a-z0-9-]*[a-z0-9]$/,
 
+    // Subdomains a single API key may reserve
+    MAX_RESERVED_SUBDOMAINS_PER_KEY: 10,
+
     // Request timeout (ms)
     REQUEST_TIMEOUT: 30000,
 
     // Heartbeat interval (ms)
     HEARTBEAT_INTERVAL: 30000,
 
+    // How long a disconnected tunnel waits for its CLI to resume (ms)
+    RESUME_GRACE_PERIOD: 30000,
+
     // Max request body size (bytes)
     MAX_BODY_SIZE: 10 * 1024 * 1024, // 10MB
 
+    // Max body bytes kept for inspection when a response is streamed
+    MAX_INSPECTED_BODY_SIZE: 1024 * 1024, // 1MB
+
+    // WebSocket send buffer level at which streams pause (bytes)
+    STREAM_HIGH_WATER_MARK: 1024 * 1024, // 1MB
+
     // Traffic history retention (minutes)
     TRAFFIC_HISTORY_MINUTES: 60,
 
     // Max stored requests per tunnel
     MAX_STORED_REQUESTS: 1000,
+
+    // Max HAR file size accepted for import (bytes)
+    MAX_HAR_IMPORT_SIZE: 50 * 1024 * 1024, // 50MB
+
+    // Where the file traffic store keeps its segments
+    TRAFFIC_STORE_DIR: 'data/traffic',
+
+    // File traffic store retention (minutes, bytes on disk)
+    STORED_TRAFFIC_HISTORY_MINUTES: 7 * 24 * 60,
+    MAX_STORED_TRAFFIC_BYTES: 512 * 1024 * 1024, // 512MB
+
+    // Most stored requests one search reads from disk
+    STORED_TRAFFIC_SCAN_LIMIT: 10000,
 };
 
 // HTTP status codes
@@ -69,6 +94,9 @@ const ERROR_CODES = {
     INVALID_REQUEST: 'INVALID_REQUEST',
     BODY_TOO_LARGE: 'BODY_TOO_LARGE',
 
+    // Protocol errors
+    PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH',
+
     // Auth errors
     UNAUTHORIZED: 'UNAUTHORIZED',
     INVALID_TOKEN: 'INVALID_TOKEN',
@@ -6,8 +6,17 @@
  * - Streaming for large payloads
  * - Binary data encoding
  * - Concurrent request tracking
+ * - WebSocket upgrade relaying
+ * - Negotiated binary framing (JSON fallback)
+ * - Protocol version and capability handshake
+ *
+ * Message payloads keep raw bytes as Buffers. serializeMessage() turns
+ * them into base64 for JSON framing, or appends them unchanged after a
+ * small header for binary framing. parseMessage() accepts either.
  */
 
+const zlib = require('zlib');
+
 // Message Types
 const MessageType = {
     // Connection lifecycle
@@ -18,11 +27,25 @@ const MessageType = {
 
     // HTTP tunneling (enhanced)
     HTTP_REQUEST: 'http:request',
+    HTTP_REQUEST_CHUNK: 'http:request:chunk',
+    HTTP_REQUEST_END: 'http:request:end',
     HTTP_RESPONSE: 'http:response',
     HTTP_RESPONSE_CHUNK: 'http:response:chunk',
     HTTP_RESPONSE_END: 'http:response:end',
     HTTP_ERROR: 'http:error',
 
+    // Streaming flow control
+    HTTP_RESPONSE_PAUSE: 'http:response:pause',
+    HTTP_RESPONSE_RESUME: 'http:response:resume',
+    HTTP_REQUEST_PAUSE: 'http:request:pause',
+    HTTP_REQUEST_RESUME: 'http:request:resume',
+    HTTP_REQUEST_CANCEL: 'http:request:cancel',
+
+    // WebSocket tunneling (upgraded connections)
+    WS_OPEN: 'ws:open',
+    WS_FRAME: 'ws:frame',
+    WS_CLOSE: 'ws:close',
+
     // Heartbeat
     PING: 'ping',
     PONG: 'pong',
@@ -44,16 +67,140 @@ const MessageType = {
  */
 const MAX_CHUNK_SIZE = 64 * 1024;
 
+/**
+ * Tunnel protocol version spoken by this build.
+ * Bump when message semantics change; peers settle on the lower version.
+ *   1 - buffered JSON request/response (clients that send no version)
+ *   2 - capability handshake
+ */
+const PROTOCOL_VERSION = 2;
+
+/**
+ * Oldest protocol version this build can still talk to
+ */
+const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * Optional features, advertised during registration.
+ * Each side only uses a feature when both advertised it.
+ */
+const Capability = {
+    STREAMING: 'streaming',     // chunked request/response bodies + flow control
+    BINARY: 'binary',           // binary framing instead of JSON text
+    WEBSOCKET: 'websocket',     // upgraded WebSocket relaying
+    COMPRESSION: 'compression', // deflated payloads in binary frames
+};
+
+/**
+ * Capabilities implemented by this build
+ */
+const SUPPORTED_CAPABILITIES = Object.values(Capability);
+
+/**
+ * Wire framing modes; binary is used when both sides have the capability
+ */
+const Framing = {
+    JSON: 'json',
+    BINARY: 'binary',
+};
+
+/**
+ * Binary frame payloads smaller than this are never compressed
+ */
+const COMPRESSION_THRESHOLD = 1024;
+
+/**
+ * Upper bound for an inflated payload (guards against deflate bombs)
+ */
+const MAX_INFLATED_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Binary frame layout:
+ *   [0]      magic byte (0xD7, never the first byte of a JSON text)
+ *   [1]      frame version
+ *   [2]      message type code
+ *   [3]      id length (n)
+ *   [4..]    id (requestId or connectionId, utf8)
+ *   [+4]     metadata length (m, uint32 BE)
+ *   [+m]     metadata (remaining payload fields as JSON)
+ *   [rest]   raw payload bytes
+ */
+const BINARY_FRAME_MAGIC = 0xd7;
+const BINARY_FRAME_VERSION = 1;
+
+/**
+ * Stable numeric codes for binary frames. Append only; never renumber.
+ */
+const MESSAGE_TYPE_CODES = {
+    [MessageType.TUNNEL_REGISTER]: 1,
+    [MessageType.TUNNEL_REGISTERED]: 2,
+    [MessageType.TUNNEL_CLOSE]: 3,
+    [MessageType.TUNNEL_CLOSED]: 4,
+    [MessageType.HTTP_REQUEST]: 5,
+    [MessageType.HTTP_REQUEST_CHUNK]: 6,
+    [MessageType.HTTP_REQUEST_END]: 7,
+    [MessageType.HTTP_RESPONSE]: 8,
+    [MessageType.HTTP_RESPONSE_CHUNK]: 9,
+    [MessageType.HTTP_RESPONSE_END]: 10,
+    [MessageType.HTTP_ERROR]: 11,
+    [MessageType.HTTP_RESPONSE_PAUSE]: 12,
+    [MessageType.HTTP_RESPONSE_RESUME]: 13,
+    [MessageType.HTTP_REQUEST_PAUSE]: 14,
+    [MessageType.HTTP_REQUEST_RESUME]: 15,
+    [MessageType.HTTP_REQUEST_CANCEL]: 16,
+    [MessageType.WS_OPEN]: 17,
+    [MessageType.WS_FRAME]: 18,
+    [MessageType.WS_CLOSE]: 19,
+    [MessageType.PING]: 20,
+    [MessageType.PONG]: 21,
+    [MessageType.ERROR]: 22,
+    [MessageType.INSPECT_REQUEST]: 23,
+    [MessageType.INSPECT_RESPONSE]: 24,
+    [MessageType.REPLAY_REQUEST]: 25,
+    [MessageType.REPLAY_RESPONSE]: 26,
+};
+
+const MESSAGE_TYPES_BY_CODE = Object.fromEntries(
+    Object.entries(MESSAGE_TYPE_CODES).map(([type, code]) => [code, type])
+);
+
+/**
+ * Payload field carrying raw bytes, per message type
+ */
+const BINARY_FIELDS = {
+    [MessageType.HTTP_REQUEST]: 'body',
+    [MessageType.HTTP_RESPONSE]: 'body',
+    [MessageType.HTTP_REQUEST_CHUNK]: 'chunk',
+    [MessageType.HTTP_RESPONSE_CHUNK]: 'chunk',
+    [MessageType.WS_FRAME]: 'data',
+};
+
 /**
  * Creates a tunnel registration message
  */
-function createTunnelRegisterMessage({ subdomain, localPort, authToken }) {
+function createTunnelRegisterMessage({
+    subdomain,
+    localPort,
+    authToken,
+    resumeToken,
+    ref,
+    inspect = true,
+    protocolVersion = PROTOCOL_VERSION,
+    minProtocolVersion = MIN_PROTOCOL_VERSION,
+    capabilities = [],
+}) {
     return {
         type: MessageType.TUNNEL_REGISTER,
         payload: {
             subdomain,
             localPort,
             authToken,
+            resumeToken,
+            ref,
+            inspect,
+            protocolVersion,
+            minProtocolVersion,
+            capabilities,
             timestamp: Date.now(),
         },
     };
@@ -62,13 +209,31 @@ function createTunnelRegisterMessage({ subdomain, localPort, authToken }) {
 /**
  * Creates a tunnel registered confirmation
  */
-function createTunnelRegisteredMessage({ tunnelId, publicUrl, subdomain }) {
+function createTunnelRegisteredMessage({
+    tunnelId,
+    publicUrl,
+    subdomain,
+    protocolVersion = PROTOCOL_VERSION,
+    capabilities = [],
+    framing = Framing.JSON,
+    sessionToken = null,
+    resumeToken = null,
+    resumed = false,
+    ref,
+}) {
     return {
         type: MessageType.TUNNEL_REGISTERED,
         payload: {
             tunnelId,
             publicUrl,
             subdomain,
+            protocolVersion,
+            capabilities,
+            framing,
+            sessionToken,
+            resumeToken,
+            resumed,
+            ref,
             timestamp: Date.now(),
         },
     };
@@ -76,19 +241,20 @@ function createTunnelRegisteredMessage({ tunnelId, publicUrl, subdomain }) {
 
 /**
  * Creates an HTTP request message for tunneling
- * Serializes full HTTP request for transmission over WebSocket
+ * Serializes full HTTP request for transmission over WebSocket.
+ * With streaming: true the body follows as request chunks, then end.
  */
-function createHttpRequestMessage({ requestId, method, path, headers, body, query }) {
-    // Encode body as base64 for safe JSON transmission
+function createHttpRequestMessage({ tunnelId, requestId, method, path, headers, body, query, streaming = false }) {
+    // Raw bytes; base64 encoded for JSON framing by serializeMessage()
     let encodedBody = null;
     let bodyEncoding = null;
 
     if (body) {
         if (Buffer.isBuffer(body)) {
-            encodedBody = body.toString('base64');
+            encodedBody = body;
             bodyEncoding = 'base64';
         } else if (typeof body === 'string') {
-            encodedBody = Buffer.from(body).toString('base64');
+            encodedBody = Buffer.from(body);
             bodyEncoding = 'base64';
         }
     }
@@ -97,12 +263,44 @@ function createHttpRequestMessage({ requestId, method, path, headers, body, quer
         type: MessageType.HTTP_REQUEST,
         payload: {
             requestId,
+            tunnelId,
             method,
             path,
             headers,
             body: encodedBody,
             bodyEncoding,
             query,
+            streaming,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a request body chunk message for streaming uploads
+ */
+function createHttpRequestChunkMessage({ tunnelId, requestId, chunk, index }) {
+    return {
+        type: MessageType.HTTP_REQUEST_CHUNK,
+        payload: {
+            requestId,
+            tunnelId,
+            chunk,
+            index,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates request body end message
+ */
+function createHttpRequestEndMessage({ tunnelId, requestId }) {
+    return {
+        type: MessageType.HTTP_REQUEST_END,
+        payload: {
+            requestId,
+            tunnelId,
             timestamp: Date.now(),
         },
     };
@@ -112,13 +310,13 @@ function createHttpRequestMessage({ requestId, method, path, headers, body, quer
  * Creates an HTTP response message
  * For complete responses that fit in one message
  */
-function createHttpResponseMessage({ requestId, statusCode, headers, body }) {
+function createHttpResponseMessage({ tunnelId, requestId, statusCode, headers, body }) {
     let encodedBody = null;
     let bodyEncoding = null;
 
     if (body) {
         if (Buffer.isBuffer(body)) {
-            encodedBody = body.toString('base64');
+            encodedBody = body;
             bodyEncoding = 'base64';
         } else if (typeof body === 'string') {
             // Already base64 encoded
@@ -131,6 +329,7 @@ function createHttpResponseMessage({ requestId, statusCode, headers, body }) {
         type: MessageType.HTTP_RESPONSE,
         payload: {
             requestId,
+            tunnelId,
             statusCode,
             headers,
             body: encodedBody,
@@ -144,11 +343,12 @@ function createHttpResponseMessage({ requestId, statusCode, headers, body }) {
  * Creates a streaming response header message
  * Sent first, followed by chunks, then end
  */
-function createHttpResponseHeaderMessage({ requestId, statusCode, headers }) {
+function createHttpResponseHeaderMessage({ tunnelId, requestId, statusCode, headers }) {
     return {
         type: MessageType.HTTP_RESPONSE,
         payload: {
             requestId,
+            tunnelId,
             statusCode,
             headers,
             streaming: true,
@@ -160,12 +360,13 @@ function createHttpResponseHeaderMessage({ requestId, statusCode, headers }) {
 /**
  * Creates a response chunk message for streaming
  */
-function createHttpResponseChunkMessage({ requestId, chunk, index }) {
+function createHttpResponseChunkMessage({ tunnelId, requestId, chunk, index }) {
     return {
         type: MessageType.HTTP_RESPONSE_CHUNK,
         payload: {
             requestId,
-            chunk: Buffer.isBuffer(chunk) ? chunk.toString('base64') : chunk,
+            tunnelId,
+            chunk,
             index,
             timestamp: Date.now(),
         },
@@ -175,11 +376,86 @@ function createHttpResponseChunkMessage({ requestId, chunk, index }) {
 /**
  * Creates response end message
  */
-function createHttpResponseEndMessage({ requestId }) {
+function createHttpResponseEndMessage({ tunnelId, requestId }) {
     return {
         type: MessageType.HTTP_RESPONSE_END,
         payload: {
             requestId,
+            tunnelId,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a pause message for a streaming response
+ * Sent by the gateway when the public client cannot keep up
+ */
+function createHttpResponsePauseMessage({ tunnelId, requestId }) {
+    return {
+        type: MessageType.HTTP_RESPONSE_PAUSE,
+        payload: {
+            requestId,
+            tunnelId,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a resume message for a paused streaming response
+ */
+function createHttpResponseResumeMessage({ tunnelId, requestId }) {
+    return {
+        type: MessageType.HTTP_RESPONSE_RESUME,
+        payload: {
+            requestId,
+            tunnelId,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a pause message for a streaming request body
+ * Sent by the CLI client when the local server cannot keep up
+ */
+function createHttpRequestPauseMessage({ tunnelId, requestId }) {
+    return {
+        type: MessageType.HTTP_REQUEST_PAUSE,
+        payload: {
+            requestId,
+            tunnelId,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a resume message for a paused request body
+ */
+function createHttpRequestResumeMessage({ tunnelId, requestId }) {
+    return {
+        type: MessageType.HTTP_REQUEST_RESUME,
+        payload: {
+            requestId,
+            tunnelId,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a cancel message for an in-flight request
+ * Sent by the gateway when the public client disconnects
+ */
+function createHttpRequestCancelMessage({ tunnelId, requestId, reason = 'Client disconnected' }) {
+    return {
+        type: MessageType.HTTP_REQUEST_CANCEL,
+        payload: {
+            requestId,
+            tunnelId,
+            reason,
             timestamp: Date.now(),
         },
     };
@@ -188,11 +464,12 @@ function createHttpResponseEndMessage({ requestId }) {
 /**
  * Creates an HTTP error message
  */
-function createHttpErrorMessage({ requestId, error, code, statusCode = 502 }) {
+function createHttpErrorMessage({ tunnelId, requestId, error, code, statusCode = 502 }) {
     return {
         type: MessageType.HTTP_ERROR,
         payload: {
             requestId,
+            tunnelId,
             error,
             code,
             statusCode,
@@ -201,6 +478,86 @@ function createHttpErrorMessage({ requestId, error, code, statusCode = 502 }) {
     };
 }
 
+/**
+ * Creates a WebSocket open message
+ * Sent by the gateway when a public client upgrades on a tunnel subdomain
+ */
+function createWsOpenMessage({ tunnelId, connectionId, path, headers, protocols = [] }) {
+    return {
+        type: MessageType.WS_OPEN,
+        payload: {
+            connectionId,
+            tunnelId,
+            path,
+            headers,
+            protocols,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a WebSocket frame message
+ * Text frames travel as strings, binary frames as Buffers (base64 only
+ * when serialized with JSON framing)
+ */
+function createWsFrameMessage({ tunnelId, connectionId, data, binary = false }) {
+    let encoded;
+    if (binary) {
+        encoded = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    } else {
+        encoded = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+    }
+
+    return {
+        type: MessageType.WS_FRAME,
+        payload: {
+            connectionId,
+            tunnelId,
+            data: encoded,
+            binary,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a WebSocket close message
+ */
+function createWsCloseMessage({ tunnelId, connectionId, code = 1000, reason = '' }) {
+    return {
+        type: MessageType.WS_CLOSE,
+        payload: {
+            connectionId,
+            tunnelId,
+            code,
+            reason: Buffer.isBuffer(reason) ? reason.toString('utf8') : reason,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Decodes a WebSocket frame payload to a string (text) or Buffer (binary)
+ */
+function decodeWsFrame(payload) {
+    if (payload.binary) {
+        return decodeBody(payload.data) || Buffer.alloc(0);
+    }
+    return Buffer.isBuffer(payload.data) ? payload.data.toString('utf8') : (payload.data || '');
+}
+
+/**
+ * Maps a received close code to one that may be sent in a close frame.
+ * 1005 (no status) closes without a code, other reserved codes become 1011.
+ */
+function toSendableCloseCode(code) {
+    if ((code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999)) {
+        return code;
+    }
+    return code === 1005 ? undefined : 1011;
+}
+
 /**
  * Creates a ping message
  */
@@ -227,12 +584,13 @@ function createPongMessage(pingTimestamp) {
 /**
  * Creates an error message
  */
-function createErrorMessage(error, code = 'GENERIC_ERROR') {
+function createErrorMessage(error, code = 'GENERIC_ERROR', ref = undefined) {
     return {
         type: MessageType.ERROR,
         payload: {
             error,
             code,
+            ref,
             timestamp: Date.now(),
         },
     };
@@ -253,13 +611,148 @@ function createTunnelCloseMessage(tunnelId, reason = 'Client requested close') {
 }
 
 /**
- * Parses a raw message
+ * Settles the protocol for a connection from the peer's register payload.
+ * Peers that send no version (older CLIs) are treated as version 1 with
+ * no capabilities.
+ * @param {Object} offer - { protocolVersion, minProtocolVersion, capabilities }
+ * @returns {Object} { compatible, protocolVersion, capabilities, framing, error }
+ */
+function negotiateProtocol({ protocolVersion, minProtocolVersion, capabilities } = {}) {
+    const peerVersion = Number.isInteger(protocolVersion) ? protocolVersion : 1;
+    const peerMinVersion = Number.isInteger(minProtocolVersion) ? minProtocolVersion : peerVersion;
+
+    if (peerVersion < MIN_PROTOCOL_VERSION) {
+        return {
+            compatible: false,
+            error: `Protocol version ${peerVersion} is no longer supported (minimum ${MIN_PROTOCOL_VERSION}), please upgrade`,
+        };
+    }
+    if (peerMinVersion > PROTOCOL_VERSION) {
+        return {
+            compatible: false,
+            error: `Protocol version ${peerMinVersion} or newer required, this side speaks ${PROTOCOL_VERSION}`,
+        };
+    }
+
+    const shared = Array.isArray(capabilities)
+        ? SUPPORTED_CAPABILITIES.filter(cap => capabilities.includes(cap))
+        : [];
+
+    return {
+        compatible: true,
+        protocolVersion: Math.min(peerVersion, PROTOCOL_VERSION),
+        capabilities: shared,
+        framing: shared.includes(Capability.BINARY) ? Framing.BINARY : Framing.JSON,
+    };
+}
+
+/**
+ * Checks whether raw data is a binary frame
+ */
+function isBinaryFrame(data) {
+    return Buffer.isBuffer(data) && data.length > 0 && data[0] === BINARY_FRAME_MAGIC;
+}
+
+/**
+ * Encodes a message as a binary frame
+ */
+function encodeBinaryFrame(message, { compress = false } = {}) {
+    const { type } = message;
+    const code = MESSAGE_TYPE_CODES[type];
+    if (!code) {
+        throw new Error(`Message type has no binary code: ${type}`);
+    }
+
+    const metadata = { ...(message.payload || {}) };
+    const idField = 'connectionId' in metadata ? 'connectionId' : 'requestId';
+    const id = Buffer.from(metadata[idField] ? String(metadata[idField]) : '', 'utf8');
+    delete metadata[idField];
+
+    // Move the byte field out of the metadata
+    let raw = Buffer.alloc(0);
+    const field = BINARY_FIELDS[type];
+    if (field && metadata[field] !== null && metadata[field] !== undefined) {
+        const value = metadata[field];
+        if (Buffer.isBuffer(value)) {
+            raw = value;
+        } else if (type === MessageType.WS_FRAME && !metadata.binary) {
+            raw = Buffer.from(value, 'utf8');
+        } else {
+            raw = Buffer.from(value, 'base64');
+        }
+        delete metadata[field];
+    }
+
+    if (id.length > 255) {
+        throw new Error('Message id too long for binary frame');
+    }
+
+    let deflated = false;
+    if (compress && raw.length >= COMPRESSION_THRESHOLD) {
+        const compressed = zlib.deflateRawSync(raw, { level: zlib.constants.Z_BEST_SPEED });
+        // Already-compressed content (images, gzip) doesn't shrink
+        if (compressed.length < raw.length) {
+            raw = compressed;
+            deflated = true;
+        }
+    }
+
+    const meta = Buffer.from(JSON.stringify(
+        deflated ? { idField, deflated, ...metadata } : { idField, ...metadata }
+    ), 'utf8');
+    const header = Buffer.alloc(4 + id.length + 4);
+    header[0] = BINARY_FRAME_MAGIC;
+    header[1] = BINARY_FRAME_VERSION;
+    header[2] = code;
+    header[3] = id.length;
+    id.copy(header, 4);
+    header.writeUInt32BE(meta.length, 4 + id.length);
+
+    return Buffer.concat([header, meta, raw]);
+}
+
+/**
+ * Decodes a binary frame back into a message
+ */
+function decodeBinaryFrame(data) {
+    if (data.length < 8 || data[1] !== BINARY_FRAME_VERSION) return null;
+
+    const type = MESSAGE_TYPES_BY_CODE[data[2]];
+    if (!type) return null;
+
+    const idLength = data[3];
+    const id = data.toString('utf8', 4, 4 + idLength);
+    const metaStart = 4 + idLength + 4;
+    const metaLength = data.readUInt32BE(4 + idLength);
+    const { idField, deflated, ...metadata } = JSON.parse(data.toString('utf8', metaStart, metaStart + metaLength));
+
+    const payload = { [idField || 'requestId']: id, ...metadata };
+
+    const field = BINARY_FIELDS[type];
+    if (field && !(field in metadata)) {
+        const raw = data.subarray(metaStart + metaLength);
+        payload[field] = deflated
+            ? zlib.inflateRawSync(raw, { maxOutputLength: MAX_INFLATED_SIZE })
+            : raw;
+    }
+
+    return { type, payload };
+}
+
+/**
+ * Parses a raw message (JSON text or binary frame)
  */
 function parseMessage(data) {
     try {
+        if (isBinaryFrame(data)) {
+            return decodeBinaryFrame(data);
+        }
+
         const str = Buffer.isBuffer(data) ? data.toString('utf8') : data;
         const parsed = JSON.parse(str);
 
+        // Unknown types still parse: a newer peer may send them, and the
+        // dispatcher's default branch answers those
         if (!parsed.type) {
             return null;
         }
@@ -272,16 +765,37 @@ function parseMessage(data) {
 
 /**
  * Serializes a message for transmission
+ * @param {Object} message - Protocol message
+ * @param {Object} options - { binary: true } for binary framing,
+ *                           { compress: true } to deflate binary payloads
+ * @returns {string|Buffer} JSON text or binary frame
  */
-function serializeMessage(message) {
+function serializeMessage(message, { binary = false, compress = false } = {}) {
+    if (binary) {
+        return encodeBinaryFrame(message, { compress });
+    }
+
+    // Byte fields travel as base64 in JSON framing
+    const field = BINARY_FIELDS[message.type];
+    if (field && Buffer.isBuffer(message.payload?.[field])) {
+        return JSON.stringify({
+            ...message,
+            payload: {
+                ...message.payload,
+                [field]: message.payload[field].toString('base64'),
+            },
+        });
+    }
+
     return JSON.stringify(message);
 }
 
 /**
- * Decodes a base64 body to Buffer
+ * Decodes a body to Buffer (base64 from JSON framing, raw from binary framing)
  */
 function decodeBody(encodedBody, encoding = 'base64') {
     if (!encodedBody) return null;
+    if (Buffer.isBuffer(encodedBody)) return encodedBody;
     if (encoding === 'base64') {
         return Buffer.from(encodedBody, 'base64');
     }
@@ -306,18 +820,36 @@ function* chunkBuffer(buffer, chunkSize = MAX_CHUNK_SIZE) {
 module.exports = {
     MessageType,
     MAX_CHUNK_SIZE,
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    Capability,
+    SUPPORTED_CAPABILITIES,
+    Framing,
     createTunnelRegisterMessage,
     createTunnelRegisteredMessage,
     createHttpRequestMessage,
+    createHttpRequestChunkMessage,
+    createHttpRequestEndMessage,
     createHttpResponseMessage,
     createHttpResponseHeaderMessage,
     createHttpResponseChunkMessage,
     createHttpResponseEndMessage,
     createHttpErrorMessage,
+    createHttpResponsePauseMessage,
+    createHttpResponseResumeMessage,
+    createHttpRequestPauseMessage,
+    createHttpRequestResumeMessage,
+    createHttpRequestCancelMessage,
+    createWsOpenMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    decodeWsFrame,
+    toSendableCloseCode,
     createPingMessage,
     createPongMessage,
     createErrorMessage,
     createTunnelCloseMessage,
+    negotiateProtocol,
     parseMessage,
     serializeMessage,
     decodeBody,
@@ -4,6 +4,7 @@
  * Common utility functions used across the platform.
  */
 
+const zlib = require('zlib');
 const { customAlphabet } = require('nanoid');
 const { TUNNEL_CONFIG } = require('./constants');
 
@@ -161,6 +162,63 @@ function calculateBackoff(attempt, baseDelay = 1000, maxDelay = 60000) {
     return Math.floor(delay + jitter);
 }
 
+/**
+ * Creates a repeatable random number generator (mulberry32)
+ * @param {number|string} seed - Same seed, same sequence
+ * @returns {Function} Returns numbers in [0, 1) like Math.random
+ */
+function createSeededRandom(seed) {
+    // FNV-1a folds any seed into 32 bits
+    let state = 0x811c9dc5;
+    for (const char of String(seed)) {
+        state ^= char.charCodeAt(0);
+        state = Math.imul(state, 0x01000193);
+    }
+
+    return function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Undoes a Content-Encoding (gzip, deflate or br)
+ * @param {Buffer} body - Encoded body
+ * @param {string} encoding - Content-Encoding header value
+ * @returns {Buffer} Decoded body (unchanged for identity or unknown encodings)
+ * @throws {Error} If the body isn't valid for its encoding
+ */
+function decompressBody(body, encoding = '') {
+    switch (String(encoding).trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.gunzipSync(body);
+        case 'deflate':
+            return zlib.inflateSync(body);
+        case 'br':
+            return zlib.brotliDecompressSync(body);
+        default:
+            return body;
+    }
+}
+
+/**
+ * Stores a body as text when it is valid UTF-8, as base64 otherwise
+ * @param {Buffer} body - Raw body
+ * @returns {{ body: string|null, bodyEncoding: string }} Body and its encoding
+ */
+function encodeBodyText(body) {
+    if (!body || body.length === 0) return { body: null, bodyEncoding: 'utf8' };
+
+    const text = body.toString('utf8');
+    if (Buffer.from(text, 'utf8').equals(body)) {
+        return { body: text, bodyEncoding: 'utf8' };
+    }
+    return { body: body.toString('base64'), bodyEncoding: 'base64' };
+}
+
 /**
  * Masks sensitive data in a URL
  * @param {string} url - URL to mask
@@ -178,6 +236,172 @@ function maskUrl(url) {
     }
 }
 
+/**
+ * Parses a JSON path like $.user.tags[0] or $['x-key'] into segments
+ * @param {string} path - Path starting with $
+ * @returns {Array<string|number>} Keys and array indexes
+ * @throws {Error} If the path is malformed
+ */
+function parseJsonPath(path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+        throw new Error(`JSON path must start with $: ${path}`);
+    }
+
+    const segments = [];
+    const pattern = /\.([A-Za-z_$][\w$-]*)|\[(-?\d+)\]|\[(['"])((?:(?!\3).)*)\3\]/y;
+    let index = 1;
+
+    while (index < path.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(path);
+        if (!match) {
+            throw new Error(`Invalid JSON path at position ${index}: ${path}`);
+        }
+        if (match[1] !== undefined) segments.push(match[1]);
+        else if (match[2] !== undefined) segments.push(parseInt(match[2], 10));
+        else segments.push(match[4]);
+        index = pattern.lastIndex;
+    }
+
+    return segments;
+}
+
+/**
+ * Applies set/remove operations to a JSON document
+ * @param {*} document - Parsed JSON (not modified)
+ * @param {Array<Object>} patches - { path, value } to set (creating missing
+ *   objects) or { path, op: 'remove' } to delete
+ * @returns {*} Patched copy
+ */
+function applyJsonPatch(document, patches) {
+    const clone = value => (value === undefined ? undefined : deepClone(value));
+    let result = clone(document);
+
+    for (const patch of patches) {
+        const segments = parseJsonPath(patch.path);
+        const remove = patch.op === 'remove';
+
+        if (segments.length === 0) {
+            result = remove ? null : clone(patch.value);
+            continue;
+        }
+
+        let target = result;
+        for (const segment of segments.slice(0, -1)) {
+            if (target[segment] === null || typeof target[segment] !== 'object') {
+                if (remove) {
+                    target = null;
+                    break;
+                }
+                target[segment] = {};
+            }
+            target = target[segment];
+        }
+        if (target === null || typeof target !== 'object') continue;
+
+        let last = segments[segments.length - 1];
+        if (Array.isArray(target) && typeof last === 'number' && last < 0) {
+            last += target.length;
+        }
+
+        if (!remove) {
+            target[last] = clone(patch.value);
+        } else if (Array.isArray(target) && typeof last === 'number') {
+            target.splice(last, 1);
+        } else {
+            delete target[last];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Shortest edit script between two sequences (Myers' O(ND) algorithm)
+ * @param {Array} a - Original items
+ * @param {Array} b - New items
+ * @param {Object} options - equals (default ===); maxEdits: give up
+ *   (return null) when more insertions plus deletions are needed
+ * @returns {Array<Object>|null} { type: 'equal' | 'delete' | 'insert',
+ *   aIndex, bIndex } in order; aIndex is set unless inserting, bIndex
+ *   unless deleting
+ */
+function diffSequences(a, b, { equals = (x, y) => x === y, maxEdits = Infinity } = {}) {
+    // Common prefix and suffix need no search
+    let start = 0;
+    while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+        endA--;
+        endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const max = n + m;
+    const v = new Int32Array(2 * max + 3);
+    const offset = max + 1;
+    const trace = [];
+
+    // Forward pass: furthest x reached on each diagonal k = x - y, per edit count d
+    let found = max === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        if (d > maxEdits) return null;
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && equals(a[start + x], b[start + y])) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace back from the end
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+        const snapshot = trace[d];
+        const at = k => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = d === 0 ? 0 : prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            middle.push({ type: 'equal', aIndex: start + x, bIndex: start + y });
+        }
+        if (d > 0) {
+            middle.push(x === prevX
+                ? { type: 'insert', bIndex: start + prevY }
+                : { type: 'delete', aIndex: start + prevX });
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'equal', aIndex: i, bIndex: i });
+    ops.push(...middle.reverse());
+    for (let i = 0; i < a.length - endA; i++) {
+        ops.push({ type: 'equal', aIndex: endA + i, bIndex: endB + i });
+    }
+    return ops;
+}
+
 module.exports = {
     generateSubdomain,
     generateRequestId,
@@ -188,6 +412,11 @@ module.exports = {
     formatDuration,
     safeJsonParse,
     deepClone,
+    parseJsonPath,
+    applyJsonPatch,
+    diffSequences,
+    decompressBody,
+    encodeBodyText,
     createDeferred,
     sleep,
     truncate,
@@ -195,5 +424,6 @@ module.exports = {
     getContentType,
     isJsonContentType,
     calculateBackoff,
+    createSeededRandom,
     maskUrl,
 };
@@ -20,10 +20,17 @@ const { createLogger } = require('../shared/src');
 // Core Services
 const TunnelManager = require('./services/TunnelManager');
 const RequestForwarder = require('./services/RequestForwarder');
+const WebSocketForwarder = require('./services/WebSocketForwarder');
 const InspectorService = require('./services/InspectorService');
 const ReplayService = require('./services/ReplayService');
 const TrafficControlService = require('./services/TrafficControlService');
+const BreakpointService = require('./services/BreakpointService');
+const ChaosScenarioService = require('./services/ChaosScenarioService');
 const DiffReplayService = require('./services/DiffReplayService');
+const ReplayCollectionService = require('./services/ReplayCollectionService');
+const LoadTestService = require('./services/LoadTestService');
+const HarService = require('./services/HarService');
+const SnippetGenerator = require('./services/SnippetGenerator');
 
 // Security Services
 const AuthService = require('./services/AuthService');
@@ -49,6 +56,7 @@ const {
     createRateLimitMiddleware,
     createSecurityMiddleware,
     createTunnelRateLimitMiddleware,
+    getClientIp,
 } = require('./middleware/security');
 
 class GatewayApp {
@@ -58,12 +66,30 @@ class GatewayApp {
 
         // Core services
         this.tunnelManager = new TunnelManager();
-        this.inspectorService = new InspectorService();
-        this.requestForwarder = new RequestForwarder(this.tunnelManager, this.inspectorService);
-        this.replayService = new ReplayService(this.inspectorService, this.tunnelManager, this.requestForwarder);
+        this.inspectorService = new InspectorService(config.trafficStore);
+        this.trafficControlService = new TrafficControlService();
+        this.breakpointService = new BreakpointService(this.trafficControlService);
+        this.chaosScenarioService = new ChaosScenarioService(this.trafficControlService);
+        this.requestForwarder = new RequestForwarder(
+            this.tunnelManager,
+            this.inspectorService,
+            this.trafficControlService,
+            this.breakpointService,
+            this.chaosScenarioService
+        );
+        this.webSocketForwarder = new WebSocketForwarder(this.tunnelManager, this.inspectorService);
+        this.replayService = new ReplayService(this.inspectorService, this.tunnelManager, this.requestForwarder, config);
+        this.replayCollectionService = new ReplayCollectionService(this.replayService, this.inspectorService);
+        this.loadTestService = new LoadTestService(
+            this.replayService,
+            this.replayCollectionService,
+            this.inspectorService,
+            this.tunnelManager
+        );
+        this.harService = new HarService(this.inspectorService, this.tunnelManager, config);
+        this.snippetGenerator = new SnippetGenerator(config);
 
         // Advanced traffic control services
-        this.trafficControlService = new TrafficControlService();
         this.diffReplayService = new DiffReplayService(this.replayService, this.inspectorService);
 
         // Security services
@@ -106,6 +132,12 @@ class GatewayApp {
         });
 
         this.tunnelManager.on('tunnel:closed', (tunnel, duration) => {
+            if (tunnel.sessionToken) {
+                this.authService.removeSession(tunnel.sessionToken);
+            }
+            this.trafficControlService.removeTunnel(tunnel.tunnelId);
+            this.breakpointService.removeTunnel(tunnel.tunnelId);
+            this.chaosScenarioService.removeTunnel(tunnel.tunnelId);
             this.metricsService.recordTunnelClosed(duration);
             this.webhookService.triggerEvent('tunnel:closed', {
                 tunnelId: tunnel.id,
@@ -151,8 +183,8 @@ class GatewayApp {
         // Compression
         app.use(compression());
 
-        // Body parsing
-        app.use(express.raw({ type: '*/*', limit: '10mb' }));
+        // Tunnel request bodies are streamed by RequestForwarder, and API
+        // routes parse their own JSON, so no global body parser here
 
         // Request logging
         app.use((req, res, next) => {
@@ -168,11 +200,10 @@ class GatewayApp {
 
         // Subdomain extraction
         app.use((req, res, next) => {
-            const host = req.headers.host || '';
-            const parts = host.split('.');
+            const subdomain = this.extractSubdomain(req.headers.host);
 
-            if (parts.length >= 2 && !['www', 'api'].includes(parts[0])) {
-                req.subdomain = parts[0];
+            if (subdomain) {
+                req.subdomain = subdomain;
                 req.isTunnelRequest = true;
             } else {
                 req.isTunnelRequest = false;
@@ -217,6 +248,48 @@ class GatewayApp {
         return app;
     }
 
+    /**
+     * Extracts the tunnel subdomain from a Host header
+     */
+    extractSubdomain(host = '') {
+        const parts = host.split('.');
+
+        if (parts.length >= 2 && !['www', 'api'].includes(parts[0])) {
+            return parts[0];
+        }
+        return null;
+    }
+
+    /**
+     * Routes HTTP Upgrade requests to the right WebSocket server
+     *
+     * - /ws/dashboard              -> dashboard live updates
+     * - Host on an active tunnel   -> public WebSocket relayed through the tunnel
+     * - anything else              -> CLI client tunnel protocol
+     */
+    handleUpgrade(req, socket, head) {
+        const pathname = (req.url || '/').split('?')[0];
+
+        if (pathname === '/ws/dashboard') {
+            return this.dashboardWsHandler.handleUpgrade(req, socket, head);
+        }
+
+        const subdomain = this.extractSubdomain(req.headers.host);
+
+        if (subdomain && this.tunnelManager.getTunnelBySubdomain(subdomain)) {
+            const ipCheck = this.securityService.isIpAllowed(getClientIp(req));
+            if (!ipCheck.allowed) {
+                return this.webSocketForwarder.rejectUpgrade(socket, 403, ipCheck.reason);
+            }
+
+            return this.webSocketForwarder.forwardUpgrade({ subdomain, req, socket, head });
+        }
+
+        this.wsServer.handleUpgrade(req, socket, head, (ws) => {
+            this.wsServer.emit('connection', ws, req);
+        });
+    }
+
     /**
      * Starts all servers
      */
@@ -230,24 +303,30 @@ class GatewayApp {
 
                 this.logger.info(`Server listening on PORT ${this.config.httpPort}`);
 
-                // Tunnel WebSocket Server attached to HTTP server
-                this.wsServer = new WebSocketServer({ server: this.httpServer });
+                // Tunnel WebSocket Server; upgrades are routed by handleUpgrade()
+                this.wsServer = new WebSocketServer({ noServer: true });
 
                 this.wsHandler = new WebSocketHandler(
                     this.wsServer,
                     this.tunnelManager,
                     this.requestForwarder,
+                    this.webSocketForwarder,
+                    this.authService,
+                    this.securityService,
                     this.config
                 );
 
                 this.logger.info('Tunnel WebSocket server attached to HTTP server');
 
                 this.dashboardWsHandler = new DashboardWebSocketHandler(
-                    this.httpServer,
-                    this.inspectorService
+                    this.inspectorService,
+                    this.breakpointService,
+                    this.loadTestService
                 );
                 this.logger.info('Dashboard WebSocket server started');
 
+                this.httpServer.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
                 this.logger.info('Development API Key: ' + this.authService.getDevKey());
 
                 resolve();
@@ -263,7 +342,9 @@ class GatewayApp {
     async stop() {
         this.logger.info('Stopping gateway...');
         this.rateLimiter.stop();
+        this.loadTestService.destroy();
         this.tunnelManager.closeAll();
+        this.inspectorService.destroy();
 
         if (this.wsServer) {
             await new Promise(resolve => this.wsServer.close(resolve));
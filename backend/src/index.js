@@ -8,7 +8,7 @@
  */
 
 const { createLogger } = require('../shared/src');
-const { DEFAULT_GATEWAY_PORT, DEFAULT_GATEWAY_WS_PORT } = require('../shared/src');
+const { DEFAULT_GATEWAY_PORT, DEFAULT_GATEWAY_WS_PORT, TUNNEL_CONFIG } = require('../shared/src');
 const GatewayApp = require('./app');
 
 const logger = createLogger({ name: 'Gateway' });
@@ -20,6 +20,21 @@ const config = {
     host: process.env.HOST || 'localhost',
     publicDomain: process.env.PUBLIC_DOMAIN || 'localhost',
     dashboardUrl: process.env.DASHBOARD_URL || 'http://localhost:3002',
+    // Tunnel registration needs an API key unless explicitly opted out
+    requireAuth: process.env.ALLOW_ANONYMOUS_TUNNELS !== 'true',
+    // How long a dropped CLI may take to resume its tunnels (0 disables resumption)
+    resumeGracePeriod: process.env.RESUME_GRACE_PERIOD !== undefined
+        ? parseInt(process.env.RESUME_GRACE_PERIOD, 10)
+        : TUNNEL_CONFIG.RESUME_GRACE_PERIOD,
+    // Captured traffic: 'memory' (default) or 'file' to keep it across restarts
+    trafficStore: {
+        store: process.env.TRAFFIC_STORE || 'memory',
+        directory: process.env.TRAFFIC_STORE_DIR,
+        retentionMinutes: parseInt(process.env.TRAFFIC_RETENTION_MINUTES, 10) || undefined,
+        maxBytes: (parseInt(process.env.TRAFFIC_RETENTION_MB, 10) * 1024 * 1024) || undefined,
+        maxStoredRequests: parseInt(process.env.TRAFFIC_MAX_REQUESTS, 10) || undefined,
+        scanLimit: parseInt(process.env.TRAFFIC_SCAN_LIMIT, 10) || undefined,
+    },
 };
 
 /**
@@ -35,6 +50,9 @@ async function main() {
         logger.info(`🚀 Gateway HTTP Server running on http://${config.host}:${config.httpPort}`);
         logger.info(`🔌 Gateway WebSocket Server running on ws://${config.host}:${config.wsPort}`);
         logger.info(`🌐 Public domain: ${config.publicDomain}`);
+        if (!config.requireAuth) {
+            logger.warn('ALLOW_ANONYMOUS_TUNNELS is set: anyone can register tunnels without an API key');
+        }
 
         // Graceful shutdown handlers
         const shutdown = async (signal) => {
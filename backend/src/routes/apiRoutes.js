@@ -3,8 +3,10 @@
  * 
  * Complete DevTunnel+ API with:
  * - Tunnel management
- * - Traffic inspection
+ * - Subdomain reservations
+ * - Traffic inspection and HAR export/import
  * - Request replay
+ * - Breakpoints
  * - Security management
  * - Webhooks
  * - Metrics
@@ -12,12 +14,14 @@
  */
 
 const express = require('express');
-const { createLogger } = require('../../shared/src');
+const { createLogger, ERROR_CODES, TUNNEL_CONFIG } = require('../../shared/src');
 
 const logger = createLogger({ name: 'ApiRoutes' });
 
 function createApiRouter(app) {
     const router = express.Router();
+    // HAR files outgrow the default JSON body limit and arrive with any content type
+    router.use('/traffic/import', express.json({ limit: TUNNEL_CONFIG.MAX_HAR_IMPORT_SIZE, type: () => true }));
     router.use(express.json());
 
     // ========================================
@@ -56,18 +60,97 @@ function createApiRouter(app) {
         }
     });
 
+    // ========================================
+    // SUBDOMAIN RESERVATION ENDPOINTS
+    // ========================================
+
+    // Reservations belong to the calling API key
+    const requireApiKey = (req, res, next) => {
+        if (!req.auth?.apiKey) {
+            return res.status(401).json({ error: 'API key required to manage reservations' });
+        }
+        if (!app.authService.hasPermission(req.auth.apiKey, 'tunnel:create')) {
+            return res.status(403).json({ error: 'Forbidden', message: 'Permission required: tunnel:create' });
+        }
+        next();
+    };
+
+    router.get('/reservations', requireApiKey, (req, res) => {
+        const reservations = app.tunnelManager.getReservationsForKey(req.auth.apiKey);
+        res.json({ reservations, count: reservations.length });
+    });
+
+    router.post('/reservations', requireApiKey, (req, res) => {
+        const result = app.tunnelManager.claimSubdomain(req.body?.subdomain, {
+            apiKey: req.auth.apiKey,
+            userId: req.auth.userId,
+        });
+
+        if (!result.success) {
+            const status = result.code === ERROR_CODES.SUBDOMAIN_TAKEN ? 409 : 400;
+            return res.status(status).json({ error: result.error, code: result.code });
+        }
+        res.status(201).json(result.reservation);
+    });
+
+    router.delete('/reservations/:subdomain', requireApiKey, (req, res) => {
+        const result = app.tunnelManager.releaseSubdomain(req.params.subdomain, req.auth.apiKey);
+
+        if (!result.success) {
+            const status = result.code === ERROR_CODES.TUNNEL_NOT_FOUND ? 404 : 403;
+            return res.status(status).json({ error: result.error, code: result.code });
+        }
+        res.json({ message: `Reservation for ${req.params.subdomain} released` });
+    });
+
     // ========================================
     // TRAFFIC ENDPOINTS
     // ========================================
 
+    // ?q= takes a search query, e.g. method:POST status:5xx duration:>500
     router.get('/traffic', (req, res) => {
-        const traffic = app.inspectorService.getAllTraffic(req.query);
-        res.json({ traffic, count: traffic.length });
+        try {
+            const traffic = app.inspectorService.getAllTraffic(req.query);
+            res.json({ traffic, count: traffic.length });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
     });
 
     router.get('/traffic/tunnel/:tunnelId', (req, res) => {
-        const traffic = app.inspectorService.getTrafficByTunnel(req.params.tunnelId, req.query);
-        res.json({ traffic, count: traffic.length });
+        try {
+            const traffic = app.inspectorService.getTrafficByTunnel(req.params.tunnelId, req.query);
+            res.json({ traffic, count: traffic.length });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // ?tunnelId= and the /traffic filters (q, ...) pick the entries
+    router.get('/traffic/export', (req, res) => {
+        const { format = 'har', ...options } = req.query;
+        if (format !== 'har') {
+            return res.status(400).json({ error: `Unsupported export format: ${format} (use har)` });
+        }
+
+        try {
+            const har = app.harService.exportHar(options);
+            const date = new Date().toISOString().slice(0, 10);
+            res.set('Content-Disposition', `attachment; filename="devtunnel-${date}.har"`);
+            res.json(har);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Body: a HAR document; ?subdomain= routes replays of all entries to that tunnel
+    router.post('/traffic/import', (req, res) => {
+        try {
+            const result = app.harService.importHar(req.body, { subdomain: req.query.subdomain });
+            res.status(201).json(result);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
     });
 
     router.get('/traffic/:requestId', (req, res) => {
@@ -84,11 +167,23 @@ function createApiRouter(app) {
     });
 
     router.get('/traffic/:requestId/curl', (req, res) => {
+        const traffic = app.inspectorService.getTrafficById(req.params.requestId);
+        if (!traffic) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+        res.json({ curl: app.snippetGenerator.generate(traffic, 'curl') });
+    });
+
+    router.get('/traffic/:requestId/snippet', (req, res) => {
+        const traffic = app.inspectorService.getTrafficById(req.params.requestId);
+        if (!traffic) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+        const lang = req.query.lang || 'curl';
         try {
-            const curl = app.replayService.generateCurl(req.params.requestId);
-            res.json({ curl });
+            res.json({ lang, snippet: app.snippetGenerator.generate(traffic, lang) });
         } catch (error) {
-            res.status(404).json({ error: error.message });
+            res.status(400).json({ error: error.message });
         }
     });
 
@@ -96,12 +191,74 @@ function createApiRouter(app) {
     // REPLAY ENDPOINTS
     // ========================================
 
+    // Replay collections (registered before /replay/:requestId)
+    router.get('/replay/collections', (req, res) => {
+        const collections = app.replayCollectionService.getCollections();
+        res.json({ collections, count: collections.length });
+    });
+
+    // Save a collection (replaces one with the same ID)
+    router.post('/replay/collections', (req, res) => {
+        const { id, name, subdomain, mode, variables, steps } = req.body;
+        try {
+            const collection = app.replayCollectionService.createCollection({ id, name, subdomain, mode, variables, steps });
+            res.status(201).json(collection);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.get('/replay/collections/:id', (req, res) => {
+        const collection = app.replayCollectionService.getCollection(req.params.id);
+        if (!collection) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+        res.json(collection);
+    });
+
+    router.delete('/replay/collections/:id', (req, res) => {
+        const removed = app.replayCollectionService.removeCollection(req.params.id);
+        res.json({ removed });
+    });
+
+    // Run a collection in sequence or in parallel, optionally through another tunnel
+    router.post('/replay/collections/:id/run', async (req, res) => {
+        const { mode, subdomain, variables, stopOnFailure } = req.body || {};
+        if (subdomain && !app.tunnelManager.getTunnelBySubdomain(subdomain)) {
+            return res.status(404).json({ error: 'Tunnel not found' });
+        }
+        try {
+            const run = await app.replayCollectionService.runCollection(req.params.id, {
+                mode,
+                subdomain,
+                variables,
+                stopOnFailure,
+            });
+            if (!run) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+            app.metricsService.incrementCounter('replaysTotal', run.steps.filter(step => step.replay).length);
+            res.json(run);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Stored runs of a collection, newest first
+    router.get('/replay/collections/:id/runs', (req, res) => {
+        const limit = parseInt(req.query.limit) || 20;
+        const runs = app.replayCollectionService.getRuns(req.params.id, limit);
+        res.json({ runs, count: runs.length });
+    });
+
+    // Body: { modifications, target (http(s) base URL, skips the tunnel), insecure }
     router.post('/replay/:requestId', async (req, res) => {
         try {
-            const modifications = req.body.modifications || {};
+            const { modifications = {}, target, insecure } = req.body;
             const result = await app.replayService.replayRequest(
                 req.params.requestId,
-                modifications
+                modifications,
+                { target, insecure: insecure === true }
             );
             app.metricsService.incrementCounter('replaysTotal');
             res.json(result);
@@ -122,6 +279,67 @@ function createApiRouter(app) {
         res.json({ message: 'Replay history cleared' });
     });
 
+    // ========================================
+    // LOAD TEST ENDPOINTS
+    // ========================================
+
+    // Finished and running load tests, newest first
+    router.get('/loadtests', (req, res) => {
+        const reports = app.loadTestService.getReports();
+        res.json({ reports, count: reports.length });
+    });
+
+    // Start a load test from a captured request or a replay collection
+    router.post('/loadtests', (req, res) => {
+        const {
+            name, requestId, collectionId, modifications, variables,
+            subdomain, concurrency, duration, count, rampUp,
+        } = req.body;
+        try {
+            const report = app.loadTestService.start({
+                name, requestId, collectionId, modifications, variables,
+                subdomain, concurrency, duration, count, rampUp,
+            });
+            res.status(201).json(report);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.get('/loadtests/:id', (req, res) => {
+        const report = app.loadTestService.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Load test not found' });
+        }
+        res.json(report);
+    });
+
+    // Stop a running test (waits for in-flight requests)
+    router.post('/loadtests/:id/stop', async (req, res) => {
+        const report = await app.loadTestService.stop(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Load test not found' });
+        }
+        res.json(report);
+    });
+
+    // Compare a report with an earlier one
+    router.get('/loadtests/:id/compare', (req, res) => {
+        if (!req.query.baseline) {
+            return res.status(400).json({ error: 'baseline query parameter required' });
+        }
+        const comparison = app.loadTestService.compare(req.params.id, req.query.baseline);
+        if (!comparison) {
+            return res.status(404).json({ error: 'Load test not found' });
+        }
+        res.json(comparison);
+    });
+
+    router.delete('/loadtests/:id', (req, res) => {
+        const removed = app.loadTestService.removeReport(req.params.id);
+        res.json({ removed });
+    });
+
     // ========================================
     // SECURITY ENDPOINTS
     // ========================================
@@ -295,67 +513,169 @@ function createApiRouter(app) {
     // TRAFFIC CONTROL ENDPOINTS (Dev-Infra)
     // ========================================
 
-    // Get traffic control state
-    router.get('/traffic-control', (req, res) => {
-        res.json(app.trafficControlService.getState());
+    // Global default for every tunnel
+    const trafficControlRouter = createTrafficControlRouter(app.trafficControlService);
+    router.use('/traffic-control', trafficControlRouter);
+
+    // One tunnel's settings (falls back to the global default)
+    const resolveControlledTunnel = (req, res, next) => {
+        const tunnel = app.tunnelManager.getTunnelById(req.params.id);
+        if (!tunnel) {
+            return res.status(404).json({ error: 'Tunnel not found' });
+        }
+        req.controlTunnelId = tunnel.tunnelId;
+        next();
+    };
+
+    // Drop a tunnel's overrides
+    router.delete('/tunnels/:id/traffic-control', resolveControlledTunnel, (req, res) => {
+        const reset = app.trafficControlService.resetTunnel(req.controlTunnelId);
+        res.json({ reset, state: app.trafficControlService.getState(req.controlTunnelId) });
     });
 
-    // Pause traffic stream
-    router.post('/traffic-control/pause', (req, res) => {
-        const result = app.trafficControlService.pause();
-        res.json(result);
+    router.use('/tunnels/:id/traffic-control', resolveControlledTunnel, trafficControlRouter);
+
+    // ========================================
+    // BREAKPOINT ENDPOINTS
+    // ========================================
+
+    // List breakpoint rules and held items
+    router.get('/breakpoints', (req, res) => {
+        const rules = app.breakpointService.getRules();
+        const held = app.breakpointService.getHeld();
+        res.json({ rules, held });
     });
 
-    // Resume traffic stream
-    router.post('/traffic-control/resume', (req, res) => {
-        const result = app.trafficControlService.resume();
-        res.json(result);
+    // Add breakpoint rule
+    router.post('/breakpoints', (req, res) => {
+        const { id, tunnelId, pattern, stage, timeout } = req.body;
+        if (tunnelId && !app.tunnelManager.getTunnelById(tunnelId)) {
+            return res.status(404).json({ error: 'Tunnel not found' });
+        }
+        try {
+            const rule = app.breakpointService.addRule({ id, tunnelId, pattern, stage, timeout });
+            res.status(201).json(rule);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
     });
 
-    // Get paused request queue
-    router.get('/traffic-control/queue', (req, res) => {
-        const queue = app.trafficControlService.getQueue();
-        res.json({ queue, count: queue.length });
+    // Get held items
+    router.get('/breakpoints/held', (req, res) => {
+        const held = app.breakpointService.getHeld();
+        res.json({ held, count: held.length });
     });
 
-    // Set network throttle profile
-    router.post('/traffic-control/throttle', (req, res) => {
-        const { profile, latency, bandwidth } = req.body;
-        const customConfig = profile === 'custom' ? { latency, bandwidth } : null;
-        const result = app.trafficControlService.setThrottle(profile, customConfig);
-        res.json(result);
+    // Let every held item continue
+    router.post('/breakpoints/held/release', (req, res) => {
+        const released = app.breakpointService.releaseAll();
+        res.json({ released });
     });
 
-    // Configure chaos mode
-    router.post('/traffic-control/chaos', (req, res) => {
-        const result = app.trafficControlService.setChaosMode(req.body);
-        res.json(result);
+    // Get one held item
+    router.get('/breakpoints/held/:holdId', (req, res) => {
+        const item = app.breakpointService.getHeldItem(req.params.holdId);
+        if (!item) {
+            return res.status(404).json({ error: 'Held item not found' });
+        }
+        res.json(item);
     });
 
-    // Get chaos mode state
-    router.get('/traffic-control/chaos', (req, res) => {
-        res.json(app.trafficControlService.getChaosMode());
+    // Continue (with edits), drop or respond with a mock
+    router.post('/breakpoints/held/:holdId', (req, res) => {
+        try {
+            const resolved = app.breakpointService.resolve(req.params.holdId, req.body);
+            if (!resolved) {
+                return res.status(404).json({ error: 'Held item not found' });
+            }
+            res.json({ resolved, action: req.body.action || 'continue' });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
     });
 
-    // Add request modification rule
-    router.post('/traffic-control/modifications', (req, res) => {
-        const { id, pattern, modification } = req.body;
-        if (!id || !pattern) {
-            return res.status(400).json({ error: 'ID and pattern required' });
+    // Enable or disable breakpoint rule
+    router.patch('/breakpoints/:id', (req, res) => {
+        const rule = app.breakpointService.setRuleEnabled(req.params.id, req.body.enabled);
+        if (!rule) {
+            return res.status(404).json({ error: 'Breakpoint not found' });
         }
-        app.trafficControlService.addModification(id, pattern, modification);
-        res.json({ message: 'Modification rule added', id });
+        res.json(rule);
     });
 
-    // Get all modification rules
-    router.get('/traffic-control/modifications', (req, res) => {
-        const modifications = app.trafficControlService.getModifications();
-        res.json({ modifications, count: modifications.length });
+    // Remove breakpoint rule
+    router.delete('/breakpoints/:id', (req, res) => {
+        const removed = app.breakpointService.removeRule(req.params.id);
+        res.json({ removed });
     });
 
-    // Remove modification rule
-    router.delete('/traffic-control/modifications/:id', (req, res) => {
-        const removed = app.trafficControlService.removeModification(req.params.id);
+    // ========================================
+    // CHAOS SCENARIO ENDPOINTS
+    // ========================================
+
+    // List chaos scenarios
+    router.get('/chaos/scenarios', (req, res) => {
+        const scenarios = app.chaosScenarioService.getScenarios();
+        res.json({ scenarios, count: scenarios.length });
+    });
+
+    // Define a chaos scenario (replaces a stopped one with the same ID)
+    router.post('/chaos/scenarios', (req, res) => {
+        const { id, name, seed, tunnelId, rules } = req.body;
+        if (tunnelId && !app.tunnelManager.getTunnelById(tunnelId)) {
+            return res.status(404).json({ error: 'Tunnel not found' });
+        }
+        try {
+            const scenario = app.chaosScenarioService.createScenario({ id, name, seed, tunnelId, rules });
+            res.status(201).json(scenario);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Get one scenario
+    router.get('/chaos/scenarios/:id', (req, res) => {
+        const scenario = app.chaosScenarioService.getScenario(req.params.id);
+        if (!scenario) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+        res.json(scenario);
+    });
+
+    // Start a run (optionally with another seed)
+    router.post('/chaos/scenarios/:id/start', (req, res) => {
+        const { seed } = req.body || {};
+        if (seed !== undefined && typeof seed !== 'number' && typeof seed !== 'string') {
+            return res.status(400).json({ error: 'Seed must be a number or string' });
+        }
+        const scenario = app.chaosScenarioService.start(req.params.id, { seed });
+        if (!scenario) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+        res.json(scenario);
+    });
+
+    // Stop a run (its report is kept)
+    router.post('/chaos/scenarios/:id/stop', (req, res) => {
+        const scenario = app.chaosScenarioService.stop(req.params.id);
+        if (!scenario) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+        res.json(scenario);
+    });
+
+    // Requests the latest run affected
+    router.get('/chaos/scenarios/:id/report', (req, res) => {
+        const report = app.chaosScenarioService.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+        res.json(report);
+    });
+
+    // Remove a scenario
+    router.delete('/chaos/scenarios/:id', (req, res) => {
+        const removed = app.chaosScenarioService.removeScenario(req.params.id);
         res.json({ removed });
     });
 
@@ -364,12 +684,14 @@ function createApiRouter(app) {
     // ========================================
 
     // Run diff replay
+    // Body: { modifications, targets: [subdomain | base URL, ...], insecure, ignore }
     router.post('/replay/:requestId/diff', async (req, res) => {
         try {
-            const modifications = req.body.modifications || {};
+            const { modifications = {}, targets = [], insecure, ignore } = req.body;
             const result = await app.diffReplayService.replayWithDiff(
                 req.params.requestId,
-                modifications
+                modifications,
+                { targets, insecure: insecure === true, ignore }
             );
             res.json(result);
         } catch (error) {
@@ -385,6 +707,21 @@ function createApiRouter(app) {
         res.json({ history, count: history.length });
     });
 
+    // Ignore rules applied to every diff
+    router.get('/replay/diff/ignore', (req, res) => {
+        res.json(app.diffReplayService.getIgnoreRules());
+    });
+
+    // Replace ignore rules
+    // Body: { headers: [name, ...], paths: [JSON path, ...], masks: [regex, ...] }
+    router.post('/replay/diff/ignore', (req, res) => {
+        try {
+            res.json(app.diffReplayService.setIgnoreRules(req.body));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
     // Get specific diff by ID
     router.get('/replay/diff/:diffId', (req, res) => {
         const diff = app.diffReplayService.getDiffById(req.params.diffId);
@@ -403,4 +740,95 @@ function createApiRouter(app) {
     return router;
 }
 
+/**
+ * Traffic control endpoints, mounted for the global default and per tunnel
+ *
+ * Handlers act on req.controlTunnelId when set, else on the global scope.
+ */
+function createTrafficControlRouter(control) {
+    const router = express.Router();
+
+    // Get traffic control state
+    router.get('/', (req, res) => {
+        res.json(control.getState(req.controlTunnelId));
+    });
+
+    // Pause traffic stream
+    router.post('/pause', (req, res) => {
+        const result = control.pause(req.controlTunnelId);
+        res.json(result);
+    });
+
+    // Resume traffic stream
+    router.post('/resume', (req, res) => {
+        const result = control.resume(req.controlTunnelId);
+        res.json(result);
+    });
+
+    // Get paused request queue
+    router.get('/queue', (req, res) => {
+        const queue = control.getQueue(req.controlTunnelId);
+        res.json({ queue, count: queue.length });
+    });
+
+    // Set network throttle profile
+    router.post('/throttle', (req, res) => {
+        const { profile, shapeBy, ...customConfig } = req.body;
+        try {
+            const result = control.setThrottle(
+                profile,
+                profile === 'custom' ? customConfig : null,
+                req.controlTunnelId,
+                { shapeBy }
+            );
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Configure chaos mode
+    router.post('/chaos', (req, res) => {
+        try {
+            const result = control.setChaosMode(req.body, req.controlTunnelId);
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Get chaos mode state
+    router.get('/chaos', (req, res) => {
+        res.json(control.getChaosMode(req.controlTunnelId));
+    });
+
+    // Add request modification rule
+    router.post('/modifications', (req, res) => {
+        const { id, pattern, modification } = req.body;
+        if (!id || !pattern) {
+            return res.status(400).json({ error: 'ID and pattern required' });
+        }
+        try {
+            control.addModification(id, pattern, modification, req.controlTunnelId);
+            res.json({ message: 'Modification rule added', id });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Get modification rules (a tunnel's own rules; global rules also apply to it)
+    router.get('/modifications', (req, res) => {
+        const modifications = control.getModifications(req.controlTunnelId);
+        res.json({ modifications, count: modifications.length });
+    });
+
+    // Remove modification rule
+    router.delete('/modifications/:ruleId', (req, res) => {
+        const removed = control.removeModification(req.params.ruleId, req.controlTunnelId);
+        res.json({ removed });
+    });
+
+    return router;
+}
+
 module.exports = createApiRouter;
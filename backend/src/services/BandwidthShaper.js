@@ -0,0 +1,140 @@
+/**
+ * BandwidthShaper
+ *
+ * Token buckets that pace body bytes to a link rate:
+ * - One bucket per link (a tunnel or a client IP, per direction)
+ * - Bytes wait for tokens, so a transfer takes as long as the link needs
+ *   and transfers sharing a link share its rate
+ * - Optional packet loss resends a segment after a retransmission delay
+ *
+ * TrafficControlService hands out links; RequestForwarder paces writes
+ * and reads with them.
+ */
+
+// Segments carry about this much of a second's worth of bytes
+const SEGMENT_DURATION = 0.05;
+const MIN_SEGMENT_SIZE = 512;
+const MAX_SEGMENT_SIZE = 64 * 1024;
+
+// TCP's minimum retransmission timeout (ms)
+const MIN_RETRANSMIT_DELAY = 200;
+
+// Buckets unused for this long are dropped (ms)
+const IDLE_TIMEOUT = 60000;
+
+/**
+ * Bytes-per-second budget that refills continuously
+ *
+ * Reservations may overdraw it; the debt is the wait before sending, so
+ * concurrent senders are served in order.
+ */
+class TokenBucket {
+    constructor(rate, capacity) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Takes tokens for bytes
+     * @returns {number} Milliseconds until the bytes may be sent
+     */
+    reserve(bytes, now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+        this.tokens -= bytes;
+        return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.rate * 1000);
+    }
+}
+
+class BandwidthShaper {
+    constructor() {
+        // Buckets (link key -> { bucket, usedAt })
+        this.buckets = new Map();
+        this.sweptAt = Date.now();
+    }
+
+    /**
+     * Gets the link for a key, following rate changes
+     * @param {string} key - Who shares the link, e.g. tunnel|client|direction
+     * @param {Object} options - { rate: bytes per second, packetLoss: 0-1,
+     *   latency: ms, used for the retransmission delay }
+     * @returns {Object} Link for take()
+     */
+    getLink(key, { rate, packetLoss = 0, latency = 0 }) {
+        this.sweep();
+
+        const segmentSize = Math.round(Math.min(MAX_SEGMENT_SIZE, Math.max(MIN_SEGMENT_SIZE, rate * SEGMENT_DURATION)));
+        let entry = this.buckets.get(key);
+        if (!entry) {
+            entry = { bucket: new TokenBucket(rate, segmentSize), usedAt: Date.now() };
+            this.buckets.set(key, entry);
+        } else if (entry.bucket.rate !== rate) {
+            entry.bucket.rate = rate;
+            entry.bucket.capacity = segmentSize;
+        }
+
+        return {
+            key,
+            rate,
+            segmentSize,
+            packetLoss,
+            retransmitDelay: Math.max(MIN_RETRANSMIT_DELAY, latency * 2),
+        };
+    }
+
+    /**
+     * Waits until bytes may pass the link
+     * @returns {Promise<number>} Milliseconds waited
+     */
+    async take(link, bytes, random = Math.random) {
+        const entry = this.buckets.get(link.key) || this.restore(link);
+        entry.usedAt = Date.now();
+
+        let wait = entry.bucket.reserve(bytes);
+        if (link.packetLoss > 0 && random() < link.packetLoss) {
+            // Lost: the segment goes again after a timeout and costs the link twice
+            wait = entry.bucket.reserve(bytes) + link.retransmitDelay;
+        }
+
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        return wait;
+    }
+
+    /**
+     * Recreates a bucket swept while a transfer still held its link
+     */
+    restore(link) {
+        const entry = { bucket: new TokenBucket(link.rate, link.segmentSize), usedAt: Date.now() };
+        this.buckets.set(link.key, entry);
+        return entry;
+    }
+
+    /**
+     * Drops a tunnel's buckets
+     */
+    removeTunnel(tunnelId) {
+        for (const key of this.buckets.keys()) {
+            if (key.startsWith(`${tunnelId}|`)) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    sweep() {
+        const now = Date.now();
+        if (now - this.sweptAt < IDLE_TIMEOUT) return;
+
+        this.sweptAt = now;
+        for (const [key, entry] of this.buckets) {
+            if (now - entry.usedAt > IDLE_TIMEOUT) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = BandwidthShaper;
@@ -0,0 +1,313 @@
+/**
+ * BreakpointService
+ *
+ * Debugger-style breakpoints for tunneled traffic:
+ * - Rules match requests by method, path regex and headers
+ * - A matching request (or its response) is held before forwarding
+ * - The dashboard edits it and chooses continue, drop or respond with a mock
+ * - Held items continue unchanged when their timeout runs out
+ *
+ * RequestForwarder asks for a hold; the dashboard gets 'held' and
+ * 'released' events over its WebSocket.
+ */
+
+const EventEmitter = require('events');
+const { createLogger, generateRequestId, encodeBodyText } = require('../../shared/src');
+
+const STAGES = ['request', 'response', 'both'];
+const ACTIONS = ['continue', 'drop', 'respond'];
+
+// How long an item waits for a decision (ms)
+const DEFAULT_HOLD_TIMEOUT = 60000;
+const MAX_HOLD_TIMEOUT = 600000;
+
+const METHOD_PATTERN = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+class BreakpointService extends EventEmitter {
+    constructor(trafficControlService, { holdTimeout = DEFAULT_HOLD_TIMEOUT } = {}) {
+        super();
+        this.logger = createLogger({ name: 'Breakpoints' });
+
+        // Rules reuse the traffic control pattern matcher
+        this.trafficControlService = trafficControlService;
+        this.holdTimeout = holdTimeout;
+
+        // Breakpoint rules (id -> rule)
+        this.rules = new Map();
+
+        // Items waiting for a decision (holdId -> entry)
+        this.held = new Map();
+    }
+
+    /**
+     * Adds a breakpoint rule
+     * @param {Object} options - { id, tunnelId, pattern: { method, path, headers },
+     *   stage: request|response|both, timeout }
+     * @returns {Object} The rule
+     * @throws {Error} When the rule is invalid
+     */
+    addRule({ id, tunnelId = null, pattern = {}, stage = 'request', timeout = null } = {}) {
+        if (!STAGES.includes(stage)) {
+            throw new Error(`Stage must be one of: ${STAGES.join(', ')}`);
+        }
+        this.trafficControlService.validatePattern(pattern);
+        if (timeout !== null && (!Number.isInteger(timeout) || timeout < 1000 || timeout > MAX_HOLD_TIMEOUT)) {
+            throw new Error(`Timeout must be between 1000 and ${MAX_HOLD_TIMEOUT} ms`);
+        }
+
+        const rule = {
+            id: id || generateRequestId(),
+            tunnelId,
+            pattern,
+            stage,
+            timeout: timeout || this.holdTimeout,
+            enabled: true,
+            hitCount: 0,
+            createdAt: Date.now(),
+        };
+        this.rules.set(rule.id, rule);
+        this.logger.info(`Breakpoint added: ${rule.id}`, { stage, pattern });
+        return rule;
+    }
+
+    removeRule(id) {
+        return this.rules.delete(id);
+    }
+
+    /**
+     * Turns a rule on or off without losing it
+     */
+    setRuleEnabled(id, enabled) {
+        const rule = this.rules.get(id);
+        if (!rule) return null;
+        rule.enabled = Boolean(enabled);
+        return rule;
+    }
+
+    getRules() {
+        return Array.from(this.rules.values());
+    }
+
+    /**
+     * Drops the rules that only applied to a closed tunnel and cancels
+     * whatever it still has held
+     */
+    removeTunnel(tunnelId) {
+        for (const rule of this.getRules()) {
+            if (rule.tunnelId === tunnelId) {
+                this.rules.delete(rule.id);
+            }
+        }
+        for (const entry of Array.from(this.held.values())) {
+            if (entry.tunnelId === tunnelId) {
+                this.settle(entry, { action: 'cancel', reason: 'closed' });
+            }
+        }
+    }
+
+    /**
+     * Finds the first enabled rule for a request at a stage
+     * @returns {Object|null} Rule
+     */
+    match(stage, request, tunnelId = null) {
+        for (const rule of this.rules.values()) {
+            if (!rule.enabled) continue;
+            if (rule.stage !== stage && rule.stage !== 'both') continue;
+            if (rule.tunnelId && rule.tunnelId !== tunnelId) continue;
+            if (this.trafficControlService.matchesPattern(request, rule.pattern)) {
+                return rule;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Holds an item until a decision arrives
+     * @param {Object} rule - Matching rule
+     * @param {Object} item - { stage, requestId, tunnelId, subdomain,
+     *   request: { method, path, headers, body, streaming },
+     *   response: { statusCode, headers, body } } with Buffer bodies
+     * @returns {Object} { id, decision: Promise<Object> } - the decision has
+     *   an action (continue, drop, respond, cancel) and normalized edits
+     */
+    hold(rule, item) {
+        const id = generateRequestId();
+        rule.hitCount++;
+
+        const decision = new Promise((resolve) => {
+            const entry = {
+                ...item,
+                id,
+                ruleId: rule.id,
+                heldAt: Date.now(),
+                expiresAt: Date.now() + rule.timeout,
+                resolve,
+                timer: setTimeout(() => {
+                    this.settle(entry, { action: 'continue', reason: 'timeout' });
+                }, rule.timeout),
+            };
+            this.held.set(id, entry);
+        });
+
+        this.emit('held', this.toJSON(this.held.get(id)));
+        this.logger.debug(`Holding ${item.stage} ${item.requestId} at breakpoint ${rule.id}`);
+        return { id, decision };
+    }
+
+    /**
+     * Applies a dashboard decision to a held item
+     * @param {string} id - Hold ID
+     * @param {Object} decision - { action, request?: edits, response?: edits }
+     * @returns {boolean} False if nothing is held under that ID
+     * @throws {Error} When the decision is invalid
+     */
+    resolve(id, decision = {}) {
+        const entry = this.held.get(id);
+        if (!entry) return false;
+
+        this.settle(entry, this.normalizeDecision(entry, decision));
+        return true;
+    }
+
+    /**
+     * Lets every held item continue unchanged
+     */
+    releaseAll() {
+        const entries = Array.from(this.held.values());
+        for (const entry of entries) {
+            this.settle(entry, { action: 'continue', reason: 'released' });
+        }
+        return entries.length;
+    }
+
+    /**
+     * Ends a hold whose client went away
+     */
+    cancel(id) {
+        const entry = this.held.get(id);
+        if (entry) {
+            this.settle(entry, { action: 'cancel' });
+        }
+    }
+
+    settle(entry, decision) {
+        clearTimeout(entry.timer);
+        this.held.delete(entry.id);
+        entry.resolve(decision);
+        this.emit('released', {
+            id: entry.id,
+            requestId: entry.requestId,
+            stage: entry.stage,
+            action: decision.action,
+            reason: decision.reason || null,
+        });
+    }
+
+    getHeld() {
+        return Array.from(this.held.values()).map(entry => this.toJSON(entry));
+    }
+
+    getHeldItem(id) {
+        const entry = this.held.get(id);
+        return entry ? this.toJSON(entry) : null;
+    }
+
+    /**
+     * Validates edits and converts bodies to Buffers
+     */
+    normalizeDecision(entry, decision) {
+        const action = decision.action || 'continue';
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Action must be one of: ${ACTIONS.join(', ')}`);
+        }
+
+        const normalized = { action };
+        if (action === 'drop') return normalized;
+
+        if (action === 'respond') {
+            normalized.response = this.normalizeResponseEdits(decision.response || {}, { statusCode: 200 });
+            return normalized;
+        }
+
+        if (decision.request && entry.stage === 'request') {
+            normalized.request = this.normalizeRequestEdits(decision.request);
+        }
+        if (decision.response && entry.stage === 'response') {
+            normalized.response = this.normalizeResponseEdits(decision.response);
+        }
+        return normalized;
+    }
+
+    normalizeRequestEdits(edits) {
+        const normalized = {};
+
+        if (edits.method !== undefined) {
+            if (typeof edits.method !== 'string' || !METHOD_PATTERN.test(edits.method)) {
+                throw new Error('Method must be an HTTP method name');
+            }
+            normalized.method = edits.method.toUpperCase();
+        }
+        if (edits.path !== undefined) {
+            if (typeof edits.path !== 'string' || !edits.path.startsWith('/')) {
+                throw new Error('Path must start with /');
+            }
+            normalized.path = edits.path;
+        }
+        this.normalizeMessageEdits(edits, normalized);
+        return normalized;
+    }
+
+    normalizeResponseEdits(edits, defaults = {}) {
+        const normalized = { ...defaults };
+
+        if (edits.statusCode !== undefined) {
+            const statusCode = Number(edits.statusCode);
+            if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+                throw new Error('Status code must be between 100 and 599');
+            }
+            normalized.statusCode = statusCode;
+        }
+        this.normalizeMessageEdits(edits, normalized);
+        return normalized;
+    }
+
+    /**
+     * Headers replace the held ones; a body replaces the held body
+     */
+    normalizeMessageEdits(edits, normalized) {
+        if (edits.headers !== undefined) {
+            if (!edits.headers || typeof edits.headers !== 'object' || Array.isArray(edits.headers)) {
+                throw new Error('Headers must be an object');
+            }
+            normalized.headers = {};
+            for (const [name, value] of Object.entries(edits.headers)) {
+                normalized.headers[name.toLowerCase()] = String(value);
+            }
+        }
+        if (edits.body !== undefined) {
+            normalized.body = this.toBodyBuffer(edits.body, edits.bodyEncoding);
+        }
+    }
+
+    toBodyBuffer(body, encoding = 'utf8') {
+        if (body === null || body === '') return null;
+        if (typeof body === 'string') {
+            return Buffer.from(body, encoding === 'base64' ? 'base64' : 'utf8');
+        }
+        return Buffer.from(JSON.stringify(body));
+    }
+
+    /**
+     * Dashboard view of a held item: bodies as text, or base64 when binary
+     */
+    toJSON(entry) {
+        const { resolve, timer, request, response, ...rest } = entry;
+        return {
+            ...rest,
+            request: request && { ...request, ...encodeBodyText(request.body) },
+            response: response ? { ...response, ...encodeBodyText(response.body) } : null,
+        };
+    }
+}
+
+module.exports = BreakpointService;
@@ -0,0 +1,307 @@
+/**
+ * ChaosScenarioService
+ *
+ * Named, repeatable chaos scenarios:
+ * - Rules match requests by method, path regex and headers
+ * - A rule fires on every Nth match or at a rate drawn from a seeded
+ *   random sequence, so the same seed and traffic fail the same way
+ * - Faults: status (answered at the gateway), latency, drop, reset
+ *   (connection cut mid-body) and truncate (body cut short)
+ * - A running scenario reports every request it affected
+ *
+ * RequestForwarder asks for a fault per request; reset and truncate
+ * are applied to the response.
+ */
+
+const EventEmitter = require('events');
+const { createLogger, generateRequestId, createSeededRandom } = require('../../shared/src');
+
+const FAULT_TYPES = ['status', 'latency', 'drop', 'reset', 'truncate'];
+
+// Affected requests kept per scenario run
+const MAX_REPORT_ENTRIES = 1000;
+
+const MAX_LATENCY = 60000;
+
+class ChaosScenarioService extends EventEmitter {
+    constructor(trafficControlService) {
+        super();
+        this.logger = createLogger({ name: 'ChaosScenarios' });
+
+        // Rules reuse the traffic control pattern matcher
+        this.trafficControlService = trafficControlService;
+
+        // Scenarios (id -> scenario)
+        this.scenarios = new Map();
+    }
+
+    /**
+     * Defines a scenario (stopped until started)
+     * @param {Object} options - { id, name, seed, tunnelId, rules: [{ id,
+     *   match: { method, path, headers }, every | rate, fault: { type, ... } }] }
+     * @returns {Object} Scenario summary
+     * @throws {Error} When the scenario is invalid
+     */
+    createScenario({ id, name, seed = null, tunnelId = null, rules } = {}) {
+        if (!Array.isArray(rules) || rules.length === 0) {
+            throw new Error('A scenario needs at least one rule');
+        }
+        if (seed !== null && typeof seed !== 'number' && typeof seed !== 'string') {
+            throw new Error('Seed must be a number or string');
+        }
+        if (id && this.scenarios.get(id)?.running) {
+            throw new Error(`Scenario ${id} is running; stop it first`);
+        }
+
+        const scenario = {
+            id: id || generateRequestId(),
+            name: name || id || 'Unnamed scenario',
+            seed,
+            tunnelId,
+            rules: rules.map((rule, index) => this.normalizeRule(rule, index)),
+            running: false,
+            createdAt: Date.now(),
+            run: null,
+        };
+        this.scenarios.set(scenario.id, scenario);
+        this.logger.info(`Chaos scenario defined: ${scenario.id}`, { rules: scenario.rules.length });
+        return this.toJSON(scenario);
+    }
+
+    removeScenario(id) {
+        return this.scenarios.delete(id);
+    }
+
+    getScenarios() {
+        return Array.from(this.scenarios.values()).map(scenario => this.toJSON(scenario));
+    }
+
+    getScenario(id) {
+        const scenario = this.scenarios.get(id);
+        return scenario ? this.toJSON(scenario) : null;
+    }
+
+    /**
+     * Starts a fresh run: counters and random sequences restart from the seed
+     * @param {string} id - Scenario ID
+     * @param {Object} options - seed: overrides the scenario seed for this run
+     * @returns {Object|null} Scenario summary, null if unknown
+     */
+    start(id, { seed } = {}) {
+        const scenario = this.scenarios.get(id);
+        if (!scenario) return null;
+
+        // Without a seed, pick one and report it so the run can be repeated
+        const runSeed = seed ?? scenario.seed ?? Math.floor(Math.random() * 0x100000000);
+        scenario.running = true;
+        scenario.run = {
+            seed: runSeed,
+            startedAt: Date.now(),
+            stoppedAt: null,
+            affected: [],
+            droppedEntries: 0,
+            rules: scenario.rules.map(rule => ({
+                random: createSeededRandom(`${runSeed}:${rule.id}`),
+                matched: 0,
+                fired: 0,
+            })),
+        };
+
+        this.emit('started', { id, seed: runSeed });
+        this.logger.info(`Chaos scenario started: ${id}`, { seed: runSeed });
+        return this.toJSON(scenario);
+    }
+
+    stop(id) {
+        const scenario = this.scenarios.get(id);
+        if (!scenario) return null;
+
+        if (scenario.running) {
+            scenario.running = false;
+            scenario.run.stoppedAt = Date.now();
+            this.emit('stopped', { id });
+            this.logger.info(`Chaos scenario stopped: ${id}`, { affected: scenario.run.affected.length });
+        }
+        return this.toJSON(scenario);
+    }
+
+    /**
+     * Requests the latest run affected, with per-rule counts
+     * @returns {Object|null} Report, null if the scenario is unknown
+     */
+    getReport(id) {
+        const scenario = this.scenarios.get(id);
+        if (!scenario) return null;
+
+        const { run } = scenario;
+        return {
+            id: scenario.id,
+            name: scenario.name,
+            running: scenario.running,
+            seed: run ? run.seed : null,
+            startedAt: run ? run.startedAt : null,
+            stoppedAt: run ? run.stoppedAt : null,
+            rules: scenario.rules.map((rule, index) => ({
+                id: rule.id,
+                fault: rule.fault.type,
+                matched: run ? run.rules[index].matched : 0,
+                fired: run ? run.rules[index].fired : 0,
+            })),
+            affected: run ? run.affected : [],
+            droppedEntries: run ? run.droppedEntries : 0,
+        };
+    }
+
+    /**
+     * Stops and drops the scenarios that only applied to a closed tunnel
+     */
+    removeTunnel(tunnelId) {
+        for (const scenario of this.scenarios.values()) {
+            if (scenario.tunnelId === tunnelId) {
+                this.scenarios.delete(scenario.id);
+            }
+        }
+    }
+
+    /**
+     * Picks the fault for a request from the running scenarios
+     *
+     * Within a scenario the first rule that fires wins. Each rule counts
+     * its own matches, so its Nth match always gets the same outcome.
+     * @param {Object} request - { requestId, method, path, headers }
+     * @returns {Object|null} { scenario, rule, match, fault } with
+     *   latency jitter already drawn
+     */
+    evaluate(request, tunnelId = null) {
+        for (const scenario of this.scenarios.values()) {
+            if (!scenario.running) continue;
+            if (scenario.tunnelId && scenario.tunnelId !== tunnelId) continue;
+
+            for (const [index, rule] of scenario.rules.entries()) {
+                if (!this.trafficControlService.matchesPattern(request, rule.match)) continue;
+
+                const state = scenario.run.rules[index];
+                state.matched++;
+                if (!this.fires(rule, state)) continue;
+
+                state.fired++;
+                const fault = this.resolveFault(rule.fault, state.random);
+                this.record(scenario, {
+                    requestId: request.requestId,
+                    tunnelId,
+                    method: request.method,
+                    path: request.path,
+                    rule: rule.id,
+                    match: state.matched,
+                    fault,
+                    timestamp: Date.now(),
+                });
+                return { scenario: scenario.id, rule: rule.id, match: state.matched, fault };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rules without every or rate fire on each match
+     */
+    fires(rule, state) {
+        if (rule.every) return state.matched % rule.every === 0;
+        if (rule.rate !== null) return state.random() < rule.rate;
+        return true;
+    }
+
+    resolveFault(fault, random) {
+        if (fault.type !== 'latency') return { ...fault };
+        const jitter = fault.jitter ? Math.floor(random() * fault.jitter) : 0;
+        return { type: 'latency', delay: fault.delay + jitter };
+    }
+
+    record(scenario, entry) {
+        const { run } = scenario;
+        run.affected.push(entry);
+        if (run.affected.length > MAX_REPORT_ENTRIES) {
+            run.affected.shift();
+            run.droppedEntries++;
+        }
+        this.emit('affected', { scenario: scenario.id, ...entry });
+    }
+
+    /**
+     * Validates a rule and fills in fault defaults
+     */
+    normalizeRule(rule, index) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`rules[${index}] must be an object`);
+        }
+        const at = `rules[${index}]`;
+        const match = rule.match || {};
+        this.trafficControlService.validatePattern(match, `${at}.match`);
+
+        const { every = null, rate = null } = rule;
+        if (every !== null && rate !== null) {
+            throw new Error(`${at}: use either every or rate, not both`);
+        }
+        if (every !== null && (!Number.isInteger(every) || every < 1)) {
+            throw new Error(`${at}.every must be a positive integer`);
+        }
+        if (rate !== null && (typeof rate !== 'number' || rate < 0 || rate > 1)) {
+            throw new Error(`${at}.rate must be between 0 and 1`);
+        }
+
+        return {
+            id: rule.id || `rule${index + 1}`,
+            match,
+            every,
+            rate,
+            fault: this.normalizeFault(rule.fault, `${at}.fault`),
+        };
+    }
+
+    normalizeFault(fault, at) {
+        if (!fault || !FAULT_TYPES.includes(fault.type)) {
+            throw new Error(`${at}.type must be one of: ${FAULT_TYPES.join(', ')}`);
+        }
+
+        switch (fault.type) {
+            case 'status': {
+                const { statusCode = 503, headers = {}, body = null } = fault;
+                if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+                    throw new Error(`${at}.statusCode must be between 100 and 599`);
+                }
+                return { type: 'status', statusCode, headers, body };
+            }
+            case 'latency': {
+                const { delay, jitter = 0 } = fault;
+                if (!Number.isInteger(delay) || delay < 0 || delay + jitter > MAX_LATENCY ||
+                    !Number.isInteger(jitter) || jitter < 0) {
+                    throw new Error(`${at}: delay plus jitter must be between 0 and ${MAX_LATENCY} ms`);
+                }
+                return { type: 'latency', delay, jitter };
+            }
+            case 'reset':
+            case 'truncate': {
+                // Share of the body sent before the cut
+                const { ratio = 0.5 } = fault;
+                if (typeof ratio !== 'number' || ratio < 0 || ratio >= 1) {
+                    throw new Error(`${at}.ratio must be at least 0 and below 1`);
+                }
+                return { type: fault.type, ratio };
+            }
+            default:
+                return { type: fault.type };
+        }
+    }
+
+    toJSON(scenario) {
+        const { run, ...rest } = scenario;
+        return {
+            ...rest,
+            runSeed: run ? run.seed : null,
+            startedAt: run ? run.startedAt : null,
+            affectedCount: run ? run.affected.length + run.droppedEntries : 0,
+        };
+    }
+}
+
+module.exports = ChaosScenarioService;
@@ -2,13 +2,47 @@
  * DiffReplayService
  * 
  * Live diff replay functionality:
- * - Compare original and replayed responses
- * - Highlight differences in headers, body, timing
+ * - Replay against several environments (tunnels or base URLs) at once
+ * - Compare original and replayed responses, and replays with each other
+ * - Highlight differences in headers, body, timing: line/word hunks for
+ *   text, HTML and XML, path-level changes for JSON (arrays aligned)
+ * - Ignore rules (header names, JSON paths, regex masks) for volatile values
  * - Track regression patterns
  */
 
 const EventEmitter = require('events');
-const { createLogger } = require('../../shared/src');
+const { createLogger, generateRequestId, decompressBody, diffSequences } = require('../../shared/src');
+
+const MAX_TARGETS = 10;
+
+// Text diffs: unified context, and bounds that keep a diff cheap
+const CONTEXT_LINES = 3;
+const MAX_DIFF_LINES = 10000;
+const MAX_DIFF_EDITS = 2000;
+const MAX_HUNK_LINES = 1000;
+const MAX_WORD_TOKENS = 500;
+
+const MASK = '<masked>';
+const IGNORED = Symbol('ignored');
+
+// Values that differ on every response
+const DEFAULT_IGNORE_RULES = {
+    headers: [
+        'date', 'age', 'expires', 'etag', 'last-modified', 'x-request-id', 'x-response-time',
+        'server-timing', 'connection', 'keep-alive', 'transfer-encoding',
+    ],
+    paths: [],
+    masks: [
+        '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(?:\\.\\d+)?(?:Z|[+-]\\d{2}:?\\d{2})?',
+        '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}',
+    ],
+};
+
+const NO_IGNORE = { headers: new Set(), paths: [], masks: [] };
+
+// Ignore paths: $ then .key, ['key'], [0], .* or [*]; a .. prefix matches at any depth
+const IGNORE_PATH_TOKEN = /(\.\.?)(?:([A-Za-z_$][\w$-]*)|\*)|(\.\.)?\[(?:(\d+)|\*|(['"])((?:(?!\5).)*)\5)\]/y;
+const PLAIN_KEY = /^[A-Za-z_$][\w$-]*$/;
 
 class DiffReplayService extends EventEmitter {
     constructor(replayService, inspectorService) {
@@ -20,63 +54,276 @@ class DiffReplayService extends EventEmitter {
         // Store diff results
         this.diffHistory = [];
         this.maxHistory = 100;
+
+        this.ignoreRules = this.normalizeIgnoreRules(DEFAULT_IGNORE_RULES);
+    }
+
+    /**
+     * Ignore rules applied to every diff
+     */
+    getIgnoreRules() {
+        return this.ignoreRules;
+    }
+
+    /**
+     * Replaces the ignore rules
+     * @param {Object} rules - headers: names (any case); paths: JSON paths
+     *   such as $.meta.requestId, $.items[*].updatedAt or $..timestamp;
+     *   masks: regex sources whose matches are replaced before comparing
+     * @throws {Error} If a rule is malformed
+     */
+    setIgnoreRules(rules) {
+        this.ignoreRules = this.normalizeIgnoreRules(rules);
+        this.logger.info('Diff ignore rules updated', {
+            headers: this.ignoreRules.headers.length,
+            paths: this.ignoreRules.paths.length,
+            masks: this.ignoreRules.masks.length,
+        });
+        return this.ignoreRules;
+    }
+
+    /**
+     * Validates ignore rules; missing lists are empty
+     */
+    normalizeIgnoreRules(rules) {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error('Ignore rules must be an object of headers, paths and masks');
+        }
+
+        const list = name => {
+            const value = rules[name] ?? [];
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+                throw new Error(`ignore.${name} must be an array of non-empty strings`);
+            }
+            return value;
+        };
+
+        const headers = list('headers').map(name => name.trim().toLowerCase());
+        const paths = list('paths').map(path => path.trim());
+        const masks = list('masks');
+
+        paths.forEach(path => this.parseIgnorePath(path));
+        masks.forEach(mask => {
+            try {
+                new RegExp(mask, 'g');
+            } catch (error) {
+                throw new Error(`Invalid mask ${mask}: ${error.message}`);
+            }
+        });
+
+        return { headers: [...new Set(headers)], paths: [...new Set(paths)], masks: [...new Set(masks)] };
+    }
+
+    /**
+     * Parsed form of the rules used while diffing
+     */
+    compileIgnoreRules(rules) {
+        return {
+            headers: new Set(rules.headers),
+            paths: rules.paths.map(path => this.parseIgnorePath(path)),
+            masks: rules.masks.map(mask => new RegExp(mask, 'g')),
+        };
+    }
+
+    /**
+     * Splits an ignore path into segments
+     * @returns {Array<Object>} { key (undefined for a wildcard), descend }
+     * @throws {Error} If the path is malformed
+     */
+    parseIgnorePath(path) {
+        if (typeof path !== 'string' || !path.startsWith('$')) {
+            throw new Error(`Invalid ignore path ${path}: must start with $`);
+        }
+
+        const segments = [];
+        IGNORE_PATH_TOKEN.lastIndex = 1;
+        while (IGNORE_PATH_TOKEN.lastIndex < path.length) {
+            const at = IGNORE_PATH_TOKEN.lastIndex;
+            const match = IGNORE_PATH_TOKEN.exec(path);
+            if (!match) {
+                throw new Error(`Invalid ignore path ${path} at position ${at}`);
+            }
+            const [, dots, name, bracketDots, index, , quoted] = match;
+            segments.push({
+                key: name ?? quoted ?? (index !== undefined ? Number(index) : undefined),
+                descend: dots === '..' || bracketDots === '..',
+            });
+        }
+        return segments;
+    }
+
+    /**
+     * Whether an ignore path selects the value at keys
+     */
+    matchesIgnorePath(segments, keys, segment = 0, key = 0) {
+        if (segment === segments.length) return key === keys.length;
+
+        const { key: expected, descend } = segments[segment];
+        const matches = index => (expected === undefined || String(expected) === String(keys[index]))
+            && this.matchesIgnorePath(segments, keys, segment + 1, index + 1);
+
+        if (!descend) return key < keys.length && matches(key);
+        for (let index = key; index < keys.length; index++) {
+            if (matches(index)) return true;
+        }
+        return false;
     }
 
     /**
-     * Replay request and generate diff
+     * Replays a request against one or more environments and diffs every
+     * response against the original and against each other
+     * @param {string} requestId - Captured request to replay
+     * @param {Object} modifications - Edits applied to every replay
+     * @param {Object} options - targets: tunnel subdomains and/or http(s)
+     *   base URLs (default: the original tunnel); insecure: accept
+     *   self-signed certificates on URL targets; ignore: extra ignore
+     *   rules for this diff, on top of the configured ones
+     * @returns {Promise<Object>} columns (the original, then one per
+     *   target), diffs for every pair of columns and a matrix of their
+     *   change counts (null on the diagonal and for failed replays)
+     * @throws {Error} If the request, a target or an ignore rule is invalid
      */
-    async replayWithDiff(requestId, modifications = {}) {
-        // Get original request/response
+    async replayWithDiff(requestId, modifications = {}, { targets = [], insecure = false, ignore = null } = {}) {
         const original = this.inspectorService.getTrafficById(requestId);
         if (!original) {
             throw new Error('Original request not found');
         }
 
-        // Perform replay
-        const replayResult = await this.replayService.replayRequest(requestId, modifications);
-
-        // Generate diff
-        const diff = this.generateDiff(original, replayResult);
+        const rules = ignore ? this.mergeIgnoreRules(this.ignoreRules, this.normalizeIgnoreRules(ignore)) : this.ignoreRules;
+        const compiled = this.compileIgnoreRules(rules);
+
+        const environments = targets.length > 0
+            ? this.parseTargets(targets, insecure)
+            : [{ label: original.subdomain, options: {} }];
+
+        const columns = [
+            { label: 'original', ...this.snapshot(original.response, original.responseTime) },
+            ...await Promise.all(environments.map(environment => this.replayEnvironment(requestId, modifications, environment))),
+        ];
+
+        // Every pair once; the matrix mirrors the counts
+        const diffs = [];
+        const matrix = columns.map(() => columns.map(() => null));
+        for (let from = 0; from < columns.length; from++) {
+            for (let to = from + 1; to < columns.length; to++) {
+                if (columns[from].error || columns[to].error) continue;
+                const diff = this.generateDiff(columns[from], columns[to], compiled);
+                diffs.push({ from, to, diff });
+                matrix[from][to] = matrix[to][from] = diff.totalChanges;
+            }
+        }
 
-        // Store in history
-        this.diffHistory.unshift({
-            id: `diff_${Date.now()}`,
+        const result = {
+            id: `diff_${generateRequestId()}`,
             requestId,
             timestamp: Date.now(),
-            original: {
-                statusCode: original.statusCode,
-                responseTime: original.responseTime,
-                headers: original.responseHeaders,
-                bodyPreview: this.truncate(original.responseBody, 500),
-            },
-            replay: {
-                statusCode: replayResult.response?.statusCode,
-                responseTime: replayResult.duration,
-                headers: replayResult.response?.headers,
-                bodyPreview: this.truncate(replayResult.response?.body, 500),
-            },
-            diff,
-            hasChanges: diff.totalChanges > 0,
-        });
+            columns: columns.map(({ body, ...column }) =>
+                (column.error ? column : { ...column, bodyPreview: this.truncate(body, 500) })),
+            diffs,
+            matrix,
+            ignore: rules,
+            hasChanges: diffs.some(({ diff }) => diff.totalChanges > 0),
+            failed: columns.filter(column => column.error).length,
+        };
+
+        this.diffHistory.unshift(result);
 
         // Trim history
         if (this.diffHistory.length > this.maxHistory) {
             this.diffHistory = this.diffHistory.slice(0, this.maxHistory);
         }
 
-        this.emit('diffCompleted', this.diffHistory[0]);
-        return this.diffHistory[0];
+        this.emit('diffCompleted', result);
+        return result;
+    }
+
+    /**
+     * Union of two sets of normalized rules
+     */
+    mergeIgnoreRules(base, extra) {
+        return {
+            headers: [...new Set([...base.headers, ...extra.headers])],
+            paths: [...new Set([...base.paths, ...extra.paths])],
+            masks: [...new Set([...base.masks, ...extra.masks])],
+        };
     }
 
     /**
-     * Generate detailed diff between original and replay
+     * Subdomains replay through that tunnel only; URLs are sent directly
      */
-    generateDiff(original, replay) {
+    parseTargets(targets, insecure) {
+        if (!Array.isArray(targets)) {
+            throw new Error('targets must be an array of subdomains or URLs');
+        }
+        if (targets.length > MAX_TARGETS) {
+            throw new Error(`At most ${MAX_TARGETS} targets can be compared`);
+        }
+
+        return targets.map((target, index) => {
+            if (typeof target !== 'string' || !target.trim()) {
+                throw new Error(`targets[${index}] must be a subdomain or URL`);
+            }
+            const label = target.trim();
+            return label.includes('://')
+                ? { label, options: { target: this.replayService.parseTarget(label).toString(), insecure } }
+                : { label, options: { subdomain: label, direct: false } };
+        });
+    }
+
+    /**
+     * One column of the matrix; a failed replay keeps its error
+     */
+    async replayEnvironment(requestId, modifications, { label, options }) {
+        try {
+            const replay = await this.replayService.replayRequest(requestId, modifications, options);
+            return {
+                label,
+                replayId: replay.replayId,
+                replayedVia: replay.replayedVia,
+                targetUrl: replay.targetUrl || null,
+                ...this.snapshot(replay.response, replay.duration, replay.response.rawBody),
+            };
+        } catch (error) {
+            return { label, error: error.message };
+        }
+    }
+
+    /**
+     * Normalizes a captured or replayed response for diffing
+     * @param {Object} response - { statusCode, headers, body (base64) }
+     * @param {number} responseTime - Time taken in ms
+     * @param {string} rawBody - Base64 body, when not response.body
+     */
+    snapshot(response, responseTime, rawBody = response?.body) {
+        const headers = response?.headers || {};
+        let body = rawBody ? Buffer.from(rawBody, 'base64') : null;
+        if (body && headers['content-encoding']) {
+            try {
+                body = decompressBody(body, headers['content-encoding']);
+            } catch { }
+        }
+
+        return {
+            statusCode: response?.statusCode || 0,
+            responseTime: responseTime || 0,
+            headers,
+            body: this.replayService.displayBody(body),
+        };
+    }
+
+    /**
+     * Generate detailed diff between two responses
+     * @param {Object} base - { statusCode, responseTime, headers, body }
+     * @param {Object} other - Same shape, compared against base
+     * @param {Object} ignore - Compiled ignore rules (default: the configured ones)
+     */
+    generateDiff(base, other, ignore = this.compileIgnoreRules(this.ignoreRules)) {
+        const contentType = this.headerValue(other.headers?.['content-type'] || base.headers?.['content-type'] || '');
         const diff = {
-            status: this.diffStatus(original.statusCode, replay.response?.statusCode),
-            timing: this.diffTiming(original.responseTime, replay.duration),
-            headers: this.diffHeaders(original.responseHeaders, replay.response?.headers),
-            body: this.diffBody(original.responseBody, replay.response?.body),
+            status: this.diffStatus(base.statusCode, other.statusCode),
+            timing: this.diffTiming(base.responseTime, other.responseTime),
+            headers: this.diffHeaders(base.headers, other.headers, ignore),
+            body: this.diffBody(base.body, other.body, ignore, contentType),
             totalChanges: 0,
         };
 
@@ -128,101 +375,358 @@ class DiffReplayService extends EventEmitter {
     }
 
     /**
-     * Diff headers
+     * Diff headers; ignored headers that differ are listed, not counted
      */
-    diffHeaders(original = {}, replay = {}) {
+    diffHeaders(original = {}, replay = {}, ignore = NO_IGNORE) {
         const changes = [];
+        const ignored = [];
         const allKeys = new Set([...Object.keys(original), ...Object.keys(replay)]);
 
         for (const key of allKeys) {
             const origVal = original[key];
             const replayVal = replay[key];
 
+            let change = null;
             if (origVal === undefined) {
-                changes.push({ key, type: 'added', value: replayVal });
+                change = { key, type: 'added', value: replayVal };
             } else if (replayVal === undefined) {
-                changes.push({ key, type: 'removed', value: origVal });
-            } else if (origVal !== replayVal) {
-                changes.push({ key, type: 'modified', original: origVal, replay: replayVal });
+                change = { key, type: 'removed', value: origVal };
+            } else if (this.mask(this.headerValue(origVal), ignore) !== this.mask(this.headerValue(replayVal), ignore)) {
+                change = { key, type: 'modified', original: origVal, replay: replayVal };
+            }
+
+            if (change && ignore.headers.has(key.toLowerCase())) {
+                ignored.push(key);
+            } else if (change) {
+                changes.push(change);
             }
         }
 
-        return { changes, total: allKeys.size };
+        return { changes, ignored, total: allKeys.size };
     }
 
     /**
-     * Diff body content
+     * Diff body content: JSON by path, anything else line by line
+     * @param {*} original - Display body (parsed JSON, text or base64)
+     * @param {*} replay - Display body compared against original
+     * @param {Object} ignore - Compiled ignore rules
+     * @param {string} contentType - Picks HTML/XML line splitting
      */
-    diffBody(original, replay) {
-        const origStr = typeof original === 'string' ? original : JSON.stringify(original);
-        const replayStr = typeof replay === 'string' ? replay : JSON.stringify(replay);
+    diffBody(original, replay, ignore = NO_IGNORE, contentType = '') {
+        const origStr = this.bodyText(original);
+        const replayStr = this.bodyText(replay);
 
         if (origStr === replayStr) {
             return { changed: false, type: 'identical' };
         }
 
-        // Try JSON diff
-        try {
-            const origJson = JSON.parse(origStr);
-            const replayJson = JSON.parse(replayStr);
-            const jsonDiff = this.jsonDiff(origJson, replayJson);
+        const origJson = this.parseJson(original);
+        const replayJson = this.parseJson(replay);
+        if (origJson !== undefined && replayJson !== undefined) {
+            const { additions, removals, modifications } = this.jsonDiff(
+                this.prepareJson(origJson, ignore),
+                this.prepareJson(replayJson, ignore)
+            );
             return {
-                changed: true,
+                changed: additions.length + removals.length + modifications.length > 0,
                 type: 'json',
-                additions: jsonDiff.additions,
-                removals: jsonDiff.removals,
-                modifications: jsonDiff.modifications,
-            };
-        } catch {
-            // Text diff (simplified)
-            return {
-                changed: true,
-                type: 'text',
-                originalLength: origStr?.length || 0,
-                replayLength: replayStr?.length || 0,
-                lengthDelta: (replayStr?.length || 0) - (origStr?.length || 0),
+                additions,
+                removals,
+                modifications,
             };
         }
+
+        return this.textDiff(origStr, replayStr, ignore, this.textFormat(contentType, origStr || replayStr));
     }
 
     /**
-     * Simple JSON diff
+     * Line diff in unified hunks; changed line pairs carry word segments
+     * @returns {Object} { changed, type: 'text', format, additions,
+     *   removals, hunks: [{ originalStart, originalLines, replayStart,
+     *   replayLines, lines: [{ type: context | added | removed, text,
+     *   originalLine, replayLine, words }] }] }; tooLarge instead of hunks
+     *   when the bodies are too far apart to align
      */
-    jsonDiff(original, replay, path = '') {
-        const result = { additions: [], removals: [], modifications: [] };
+    textDiff(original, replay, ignore, format = 'text') {
+        const summary = {
+            type: 'text',
+            format,
+            originalLength: original.length,
+            replayLength: replay.length,
+            lengthDelta: replay.length - original.length,
+        };
 
-        if (typeof original !== typeof replay) {
-            result.modifications.push({ path: path || 'root', original, replay });
-            return result;
+        const a = this.splitLines(this.mask(original, ignore), format);
+        const b = this.splitLines(this.mask(replay, ignore), format);
+        const ops = a.length <= MAX_DIFF_LINES && b.length <= MAX_DIFF_LINES
+            ? diffSequences(a, b, { maxEdits: MAX_DIFF_EDITS })
+            : null;
+
+        if (!ops) {
+            return { changed: true, ...summary, tooLarge: true };
         }
 
-        if (typeof original !== 'object' || original === null) {
-            if (original !== replay) {
-                result.modifications.push({ path: path || 'root', original, replay });
+        const additions = ops.filter(op => op.type === 'insert').length;
+        const removals = ops.filter(op => op.type === 'delete').length;
+        const { hunks, truncated } = this.buildHunks(ops, a, b);
+
+        return { changed: additions + removals > 0, ...summary, additions, removals, hunks, truncated };
+    }
+
+    /**
+     * Groups an edit script into hunks with CONTEXT_LINES around changes
+     */
+    buildHunks(ops, a, b) {
+        // Changes closer than twice the context share a hunk
+        const ranges = [];
+        ops.forEach((op, index) => {
+            if (op.type === 'equal') return;
+            const last = ranges[ranges.length - 1];
+            if (last && index - last.end - 1 <= 2 * CONTEXT_LINES) {
+                last.end = index;
+            } else {
+                ranges.push({ start: index, end: index });
+            }
+        });
+
+        const hunks = [];
+        let lineCount = 0;
+        for (const range of ranges) {
+            const from = Math.max(0, range.start - CONTEXT_LINES);
+            const slice = ops.slice(from, Math.min(ops.length, range.end + CONTEXT_LINES + 1));
+            if (lineCount + slice.length > MAX_HUNK_LINES) {
+                return { hunks, truncated: true };
             }
-            return result;
+            lineCount += slice.length;
+
+            const before = ops.slice(0, from);
+            const lines = slice.map(op => {
+                if (op.type === 'delete') return { type: 'removed', text: a[op.aIndex], originalLine: op.aIndex + 1 };
+                if (op.type === 'insert') return { type: 'added', text: b[op.bIndex], replayLine: op.bIndex + 1 };
+                return { type: 'context', text: a[op.aIndex], originalLine: op.aIndex + 1, replayLine: op.bIndex + 1 };
+            });
+            this.addWordDiffs(lines);
+
+            hunks.push({
+                originalStart: before.filter(op => op.type !== 'insert').length + 1,
+                originalLines: slice.filter(op => op.type !== 'insert').length,
+                replayStart: before.filter(op => op.type !== 'delete').length + 1,
+                replayLines: slice.filter(op => op.type !== 'delete').length,
+                lines,
+            });
         }
+        return { hunks, truncated: false };
+    }
 
-        const allKeys = new Set([...Object.keys(original), ...Object.keys(replay)]);
+    /**
+     * Pairs each run of removed lines with the added lines after it and
+     * marks the words that changed on both sides
+     */
+    addWordDiffs(lines) {
+        for (let index = 0; index < lines.length;) {
+            const removed = [];
+            const added = [];
+            while (lines[index]?.type === 'removed') removed.push(lines[index++]);
+            while (lines[index]?.type === 'added') added.push(lines[index++]);
+            if (!removed.length && !added.length) {
+                index++;
+                continue;
+            }
 
-        for (const key of allKeys) {
-            const keyPath = path ? `${path}.${key}` : key;
+            for (let pair = 0; pair < Math.min(removed.length, added.length); pair++) {
+                const words = this.wordDiff(removed[pair].text, added[pair].text);
+                if (words) {
+                    removed[pair].words = words.removed;
+                    added[pair].words = words.added;
+                }
+            }
+        }
+    }
 
-            if (!(key in original)) {
-                result.additions.push({ path: keyPath, value: replay[key] });
-            } else if (!(key in replay)) {
-                result.removals.push({ path: keyPath, value: original[key] });
+    /**
+     * Word-level segments for a changed line pair; null when the lines
+     * share nothing or are too long to align
+     */
+    wordDiff(before, after) {
+        const tokenize = text => text.match(/\w+|\s+|[^\w\s]/g) || [];
+        const a = tokenize(before);
+        const b = tokenize(after);
+        if (a.length > MAX_WORD_TOKENS || b.length > MAX_WORD_TOKENS) return null;
+
+        const ops = diffSequences(a, b, { maxEdits: MAX_DIFF_EDITS });
+        if (!ops || !ops.some(op => op.type === 'equal' && a[op.aIndex].trim())) return null;
+
+        const segments = (skip, changed, tokens, indexKey) => ops.reduce((result, op) => {
+            if (op.type === skip) return result;
+            const type = op.type === 'equal' ? 'equal' : changed;
+            const last = result[result.length - 1];
+            if (last?.type === type) {
+                last.text += tokens[op[indexKey]];
             } else {
-                const nested = this.jsonDiff(original[key], replay[key], keyPath);
-                result.additions.push(...nested.additions);
-                result.removals.push(...nested.removals);
-                result.modifications.push(...nested.modifications);
+                result.push({ type, text: tokens[op[indexKey]] });
+            }
+            return result;
+        }, []);
+
+        return {
+            removed: segments('insert', 'removed', a, 'aIndex'),
+            added: segments('delete', 'added', b, 'bIndex'),
+        };
+    }
+
+    /**
+     * HTML and XML put one tag per line so minified markup still diffs by line
+     */
+    splitLines(text, format) {
+        const source = format === 'html' || format === 'xml' ? text.replace(/>\s*</g, '>\n<') : text;
+        return source.split(/\r?\n/);
+    }
+
+    /**
+     * text, html or xml, from the content type or the body itself
+     */
+    textFormat(contentType, sample = '') {
+        const type = contentType.toLowerCase();
+        if (type.includes('html')) return 'html';
+        if (type.includes('xml')) return 'xml';
+        if (type) return 'text';
+        if (/^\s*<(!doctype html|html)/i.test(sample)) return 'html';
+        return /^\s*</.test(sample) ? 'xml' : 'text';
+    }
+
+    /**
+     * Path-level JSON diff; arrays are aligned on their elements so an
+     * insertion reports one addition rather than shifting every index.
+     * Paths are JSON paths ($.items[2].price) usable as ignore rules;
+     * removed and modified elements use their original index, added ones
+     * their index in the replay
+     */
+    jsonDiff(original, replay, path = '$', result = { additions: [], removals: [], modifications: [] }) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (Array.isArray(original) && Array.isArray(replay)) {
+            this.jsonArrayDiff(original, replay, path, result);
+        } else if (isObject(original) && isObject(replay)) {
+            const allKeys = new Set([...Object.keys(original), ...Object.keys(replay)]);
+
+            for (const key of allKeys) {
+                const keyPath = PLAIN_KEY.test(key)
+                    ? `${path}.${key}`
+                    : `${path}[${key.includes("'") ? JSON.stringify(key) : `'${key}'`}]`;
+
+                if (!(key in original)) {
+                    result.additions.push({ path: keyPath, value: replay[key] });
+                } else if (!(key in replay)) {
+                    result.removals.push({ path: keyPath, value: original[key] });
+                } else {
+                    this.jsonDiff(original[key], replay[key], keyPath, result);
+                }
             }
+        } else if (original !== replay && stableStringify(original) !== stableStringify(replay)) {
+            result.modifications.push({ path, original, replay });
         }
 
         return result;
     }
 
+    /**
+     * Aligns two arrays on equal elements; unmatched runs pair up as
+     * modifications, leftovers are additions or removals
+     */
+    jsonArrayDiff(original, replay, path, result) {
+        const ops = diffSequences(original.map(stableStringify), replay.map(stableStringify), { maxEdits: MAX_DIFF_EDITS });
+
+        // Too far apart to align: compare by position
+        if (!ops) {
+            for (let index = 0; index < Math.max(original.length, replay.length); index++) {
+                if (index >= original.length) {
+                    result.additions.push({ path: `${path}[${index}]`, value: replay[index] });
+                } else if (index >= replay.length) {
+                    result.removals.push({ path: `${path}[${index}]`, value: original[index] });
+                } else {
+                    this.jsonDiff(original[index], replay[index], `${path}[${index}]`, result);
+                }
+            }
+            return;
+        }
+
+        let removed = [];
+        let added = [];
+        const flush = () => {
+            const paired = Math.min(removed.length, added.length);
+            for (let index = 0; index < paired; index++) {
+                this.jsonDiff(original[removed[index]], replay[added[index]], `${path}[${removed[index]}]`, result);
+            }
+            removed.slice(paired).forEach(index => result.removals.push({ path: `${path}[${index}]`, value: original[index] }));
+            added.slice(paired).forEach(index => result.additions.push({ path: `${path}[${index}]`, value: replay[index] }));
+            removed = [];
+            added = [];
+        };
+
+        for (const op of ops) {
+            if (op.type === 'equal') flush();
+            else if (op.type === 'delete') removed.push(op.aIndex);
+            else added.push(op.bIndex);
+        }
+        flush();
+    }
+
+    /**
+     * Copy of a JSON value without ignored paths and with masked strings
+     */
+    prepareJson(value, ignore, keys = []) {
+        if (ignore.paths.some(segments => this.matchesIgnorePath(segments, keys))) {
+            return IGNORED;
+        }
+        if (typeof value === 'string') {
+            return this.mask(value, ignore);
+        }
+        if (Array.isArray(value)) {
+            return value
+                .map((item, index) => this.prepareJson(item, ignore, [...keys, index]))
+                .filter(item => item !== IGNORED);
+        }
+        if (value !== null && typeof value === 'object') {
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                const prepared = this.prepareJson(item, ignore, [...keys, key]);
+                if (prepared !== IGNORED) copy[key] = prepared;
+            }
+            return copy;
+        }
+        return value;
+    }
+
+    /**
+     * Replaces mask matches with a placeholder
+     */
+    mask(text, ignore) {
+        return ignore.masks.reduce((masked, pattern) => masked.replace(pattern, MASK), text);
+    }
+
+    headerValue(value) {
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    bodyText(body) {
+        if (body === null || body === undefined) return '';
+        return typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    /**
+     * Parsed JSON body, or undefined for text
+     */
+    parseJson(body) {
+        if (typeof body !== 'string') {
+            return body === null || body === undefined ? undefined : body;
+        }
+        try {
+            return JSON.parse(body);
+        } catch {
+            return undefined;
+        }
+    }
+
     /**
      * Get diff history
      */
@@ -255,4 +759,17 @@ class DiffReplayService extends EventEmitter {
     }
 }
 
+/**
+ * JSON with sorted keys, so equal objects compare equal
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
 module.exports = DiffReplayService;
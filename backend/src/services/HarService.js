@@ -0,0 +1,382 @@
+/**
+ * HarService
+ *
+ * Moves captured traffic in and out as HAR 1.2:
+ * - Export a tunnel's traffic, or any filtered set, for browser devtools
+ *   or a teammate, with timings rebuilt from traffic control effects
+ * - Import HAR files into the inspector, where entries can be inspected,
+ *   searched and replayed like live captures
+ *
+ * Gateway-specific data travels in underscore fields (_tunnelId,
+ * _subdomain, _clientIp, _effects) so exports import back losslessly.
+ */
+
+const http = require('http');
+const {
+    createLogger,
+    generateRequestId,
+    getContentType,
+    decompressBody,
+} = require('../../shared/src');
+const { version } = require('../../package.json');
+
+// Entries per export or import
+const MAX_HAR_ENTRIES = 10000;
+
+const TEXT_CONTENT_TYPE = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+class HarService {
+    constructor(inspectorService, tunnelManager, config = {}) {
+        this.logger = createLogger({ name: 'HarService' });
+        this.inspectorService = inspectorService;
+        this.tunnelManager = tunnelManager;
+        this.publicDomain = config.publicDomain || 'localhost';
+        this.httpPort = config.httpPort || 80;
+    }
+
+    // ===== Export =====
+
+    /**
+     * Builds a HAR log from stored traffic, oldest entry first
+     * @param {Object} options - tunnelId, plus the inspector's filters
+     *   (q, method, statusCode, path, since, until, limit)
+     * @returns {Object} HAR document
+     * @throws {Error} When a filter is invalid
+     */
+    exportHar({ tunnelId, ...filters } = {}) {
+        const query = {
+            ...filters,
+            limit: Math.min(parseInt(filters.limit, 10) || MAX_HAR_ENTRIES, MAX_HAR_ENTRIES),
+        };
+        const traffic = tunnelId
+            ? this.inspectorService.getTrafficByTunnel(tunnelId, query)
+            : this.inspectorService.getAllTraffic(query);
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'DevTunnel+', version },
+                pages: [],
+                entries: traffic.reverse().map(t => this.toHarEntry(t)),
+            },
+        };
+    }
+
+    toHarEntry(traffic) {
+        const { request, response } = traffic;
+        const url = new URL(request.path || '/', this.baseUrl(traffic.subdomain));
+        const timings = this.buildTimings(traffic);
+
+        const entry = {
+            startedDateTime: new Date(request.timestamp || traffic.createdAt).toISOString(),
+            time: timings.blocked + timings.send + timings.wait + timings.receive,
+            request: {
+                method: request.method,
+                url: url.toString(),
+                httpVersion: 'HTTP/1.1',
+                cookies: this.requestCookies(request.headers),
+                headers: this.toHarHeaders(request.headers),
+                queryString: Array.from(url.searchParams, ([name, value]) => ({ name, value })),
+                headersSize: -1,
+                bodySize: request.body ? (request.bodySize || this.requestBodyBuffer(request).length) : 0,
+            },
+            response: this.toHarResponse(response),
+            cache: {},
+            timings,
+            _requestId: traffic.requestId,
+            _tunnelId: traffic.tunnelId,
+            _subdomain: traffic.subdomain,
+            _clientIp: request.clientIp || null,
+            _effects: traffic.effects || [],
+        };
+
+        if (request.body) {
+            entry.request.postData = {
+                mimeType: getContentType(request.headers || {}),
+                text: request.body,
+            };
+            // HAR has no encoding for postData; binary bodies stay base64
+            if (request.bodyEncoding === 'base64') {
+                entry.request.postData._encoding = 'base64';
+            }
+            if (request.bodyTruncated) {
+                entry.request.postData.comment = `Truncated: ${request.bodySize} bytes sent`;
+            }
+        }
+        return entry;
+    }
+
+    toHarResponse(response) {
+        if (!response) {
+            return {
+                status: 0,
+                statusText: '',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: [],
+                content: { size: 0, mimeType: '' },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: -1,
+                _error: 'No response',
+            };
+        }
+
+        const headers = response.headers || {};
+        const mimeType = getContentType(headers);
+        const raw = response.body ? Buffer.from(response.body, 'base64') : Buffer.alloc(0);
+
+        // HAR content is the decoded body; compression is what the encoding saved
+        let body = raw;
+        try {
+            body = decompressBody(raw, headers['content-encoding']);
+        } catch { }
+
+        const content = { size: body.length, mimeType };
+        if (body.length > 0) {
+            const text = body.toString('utf8');
+            const textual = mimeType ? TEXT_CONTENT_TYPE.test(mimeType) : !body.includes(0);
+            if (textual && Buffer.byteLength(text) === body.length) {
+                content.text = text;
+            } else {
+                content.text = body.toString('base64');
+                content.encoding = 'base64';
+            }
+        }
+        if (body !== raw) {
+            content.compression = body.length - raw.length;
+        }
+
+        const result = {
+            status: response.statusCode || 0,
+            statusText: http.STATUS_CODES[response.statusCode] || '',
+            httpVersion: 'HTTP/1.1',
+            cookies: this.responseCookies(headers),
+            headers: this.toHarHeaders(headers),
+            content,
+            redirectURL: headers.location || '',
+            headersSize: -1,
+            bodySize: raw.length,
+        };
+        if (response.error) {
+            result._error = response.error;
+        }
+        return result;
+    }
+
+    /**
+     * Splits the response time into HAR phases
+     *
+     * blocked: time held by pauses, breakpoints, latency and chaos delays
+     * send/receive: bytes at the shaped link rate (receive happens after
+     * the response time was taken); wait: the rest
+     */
+    buildTimings(traffic) {
+        let blocked = 0;
+        let send = 0;
+        let receive = 0;
+
+        for (const effect of traffic.effects || []) {
+            if (effect.type === 'paused') blocked += effect.duration || 0;
+            else if (effect.type === 'breakpoint' && effect.stage === 'request') blocked += effect.duration || 0;
+            else if (effect.type === 'throttled') blocked += effect.delay || 0;
+            else if (effect.type === 'chaos' && effect.fault?.type === 'latency') blocked += effect.fault.delay || 0;
+            else if (effect.type === 'shaped' && effect.rate > 0) {
+                const duration = Math.round(effect.bytes * 8 / effect.rate * 1000);
+                if (effect.direction === 'uplink') send += duration;
+                else receive += duration;
+            }
+        }
+
+        const total = traffic.responseTime || 0;
+        blocked = Math.min(blocked, total);
+        send = Math.min(send, total - blocked);
+
+        return {
+            blocked,
+            dns: -1,
+            connect: -1,
+            send,
+            wait: total - blocked - send,
+            receive,
+            ssl: -1,
+        };
+    }
+
+    toHarHeaders(headers = {}) {
+        const result = [];
+        for (const [name, value] of Object.entries(headers || {})) {
+            for (const item of Array.isArray(value) ? value : [value]) {
+                result.push({ name, value: String(item) });
+            }
+        }
+        return result;
+    }
+
+    requestCookies(headers = {}) {
+        const cookie = headers?.cookie;
+        if (!cookie) return [];
+        return String(cookie).split(';').map((pair) => {
+            const index = pair.indexOf('=');
+            return {
+                name: pair.slice(0, index === -1 ? undefined : index).trim(),
+                value: index === -1 ? '' : pair.slice(index + 1).trim(),
+            };
+        }).filter(c => c.name);
+    }
+
+    responseCookies(headers) {
+        const setCookie = headers['set-cookie'];
+        if (!setCookie) return [];
+        return (Array.isArray(setCookie) ? setCookie : [setCookie]).map((line) => {
+            const [pair] = String(line).split(';');
+            const index = pair.indexOf('=');
+            return {
+                name: pair.slice(0, index === -1 ? undefined : index).trim(),
+                value: index === -1 ? '' : pair.slice(index + 1).trim(),
+            };
+        });
+    }
+
+    baseUrl(subdomain) {
+        const port = this.httpPort !== 80 && this.httpPort !== 443 ? `:${this.httpPort}` : '';
+        return `http://${subdomain || 'imported'}.${this.publicDomain}${port}`;
+    }
+
+    // ===== Import =====
+
+    /**
+     * Loads HAR entries into the inspector
+     *
+     * Entries are checked before any is stored. Each gets a new request ID;
+     * the subdomain (option, _subdomain, or the public URL's host) picks
+     * the tunnel a replay goes through.
+     * @param {Object} har - HAR document
+     * @param {Object} options - subdomain: tunnel for all entries
+     * @returns {Object} { imported, requestIds }
+     * @throws {Error} When the document or an entry is invalid
+     */
+    importHar(har, { subdomain = null } = {}) {
+        const entries = har?.log?.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('Not a HAR file: expected log.entries');
+        }
+        if (entries.length > MAX_HAR_ENTRIES) {
+            throw new Error(`A HAR import takes at most ${MAX_HAR_ENTRIES} entries`);
+        }
+
+        const parsed = entries
+            .map((entry, index) => this.parseEntry(entry, index, subdomain))
+            .sort((a, b) => a.request.timestamp - b.request.timestamp);
+
+        const requestIds = parsed.map(({ request, response, effects }) =>
+            this.inspectorService.importTraffic(request, response, effects).requestId);
+
+        this.logger.info(`Imported ${requestIds.length} HAR entries`);
+        return { imported: requestIds.length, requestIds };
+    }
+
+    parseEntry(entry, index, subdomainOverride) {
+        const at = `entries[${index}]`;
+        const harRequest = entry?.request;
+        if (!harRequest || typeof harRequest.method !== 'string') {
+            throw new Error(`${at}.request.method is required`);
+        }
+
+        let url;
+        try {
+            url = new URL(harRequest.url);
+        } catch {
+            throw new Error(`${at}.request.url is not a valid URL`);
+        }
+
+        const startedAt = Date.parse(entry.startedDateTime);
+        const timestamp = Number.isNaN(startedAt) ? Date.now() : startedAt;
+        const subdomain = subdomainOverride || entry._subdomain || this.subdomainFromHost(url.hostname) || 'imported';
+        const tunnel = this.tunnelManager.getTunnelBySubdomain(subdomain);
+
+        const request = {
+            requestId: generateRequestId(),
+            tunnelId: tunnel ? tunnel.tunnelId : (entry._tunnelId || 'imported'),
+            subdomain,
+            method: harRequest.method.toUpperCase(),
+            path: url.pathname + url.search,
+            headers: this.fromHarHeaders(harRequest.headers),
+            ...this.requestBody(harRequest.postData),
+            query: Object.fromEntries(url.searchParams),
+            timestamp,
+            clientIp: entry._clientIp || null,
+        };
+
+        const harResponse = entry.response;
+        let response = null;
+        if (harResponse && (harResponse.status > 0 || harResponse.content?.text)) {
+            const headers = this.fromHarHeaders(harResponse.headers);
+            // The HAR body is already decoded
+            delete headers['content-encoding'];
+
+            const content = harResponse.content || {};
+            const body = content.text
+                ? Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8')
+                : null;
+            const time = Math.max(0, Math.round(entry.time || 0));
+
+            response = {
+                statusCode: harResponse.status,
+                headers,
+                body: body ? body.toString('base64') : null,
+                error: harResponse._error,
+                responseTime: time,
+                timestamp: timestamp + time,
+            };
+        }
+
+        return { request, response, effects: Array.isArray(entry._effects) ? entry._effects : [] };
+    }
+
+    requestBody(postData) {
+        if (typeof postData?.text === 'string') {
+            return { body: postData.text, bodyEncoding: postData._encoding === 'base64' ? 'base64' : 'utf8' };
+        }
+        if (Array.isArray(postData?.params)) {
+            const body = new URLSearchParams(postData.params.map(p => [p.name, p.value || ''])).toString();
+            return { body, bodyEncoding: 'utf8' };
+        }
+        return { body: null, bodyEncoding: 'utf8' };
+    }
+
+    requestBodyBuffer(request) {
+        return Buffer.from(request.body, request.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+    }
+
+    /**
+     * HAR header lists back to Node-style header objects
+     */
+    fromHarHeaders(list) {
+        const headers = {};
+        for (const { name, value } of Array.isArray(list) ? list : []) {
+            // HTTP/2 pseudo-headers (:authority, :path, ...) aren't headers
+            if (typeof name !== 'string' || name.startsWith(':')) continue;
+
+            const key = name.toLowerCase();
+            if (key === 'set-cookie') {
+                headers[key] = [...(headers[key] || []), String(value)];
+            } else {
+                headers[key] = key in headers ? `${headers[key]}, ${value}` : String(value);
+            }
+        }
+        return headers;
+    }
+
+    /**
+     * The tunnel subdomain in a public URL host (sub.<public domain>)
+     */
+    subdomainFromHost(hostname) {
+        const suffix = `.${this.publicDomain}`;
+        if (!hostname.endsWith(suffix)) return null;
+        const label = hostname.slice(0, -suffix.length);
+        return label && !label.includes('.') ? label : null;
+    }
+}
+
+module.exports = HarService;
@@ -6,6 +6,7 @@
  * - Throughput calculation (requests/sec, bytes/sec)
  * - Error rate tracking by status code
  * - Real-time event emission for WebSocket updates
+ * - Pluggable traffic storage (in memory, or JSONL segments on disk)
  */
 
 const { EventEmitter } = require('events');
@@ -16,6 +17,9 @@ const {
     getContentType,
     isJsonContentType,
 } = require('../../shared/src');
+const { MemoryTrafficStore } = require('./TrafficStore');
+const JsonlTrafficStore = require('./JsonlTrafficStore');
+const TrafficQuery = require('./TrafficQuery');
 
 /**
  * Represents a captured request/response pair
@@ -32,6 +36,8 @@ class InspectedTraffic {
             path: request.path,
             headers: request.headers,
             body: request.body,
+            // 'base64' for bodies that aren't valid UTF-8 text
+            bodyEncoding: request.bodyEncoding || 'utf8',
             query: request.query,
             timestamp: request.timestamp,
             clientIp: request.clientIp,
@@ -40,11 +46,17 @@ class InspectedTraffic {
         // Response data (filled in later)
         this.response = null;
 
+        // Traffic control effects applied on the way (paused, throttled, ...)
+        this.effects = [];
+
         // Timing and sizes
         this.responseTime = null;
         this.requestSize = this.calculateSize(request.body, request.headers);
         this.responseSize = 0;
         this.createdAt = Date.now();
+
+        // Set for traffic loaded from a HAR file rather than captured
+        this.importedAt = null;
     }
 
     /**
@@ -61,6 +73,20 @@ class InspectedTraffic {
         return size;
     }
 
+    /**
+     * Attaches a request body that finished streaming after capture
+     */
+    setRequestBody(body, size, bodyEncoding = 'utf8') {
+        this.request.body = body;
+        this.request.bodyEncoding = bodyEncoding;
+        this.requestSize = this.calculateSize(body, this.request.headers);
+        const captured = body ? Buffer.byteLength(body, bodyEncoding === 'base64' ? 'base64' : 'utf8') : 0;
+        if (size !== undefined && size > captured) {
+            this.request.bodySize = size;
+            this.request.bodyTruncated = true;
+        }
+    }
+
     /**
      * Attaches response data
      */
@@ -76,6 +102,32 @@ class InspectedTraffic {
         this.responseSize = this.calculateSize(response.body, response.headers);
     }
 
+    /**
+     * Raw fields for storage
+     */
+    toRecord() {
+        return {
+            requestId: this.requestId,
+            tunnelId: this.tunnelId,
+            subdomain: this.subdomain,
+            request: this.request,
+            response: this.response,
+            effects: this.effects,
+            responseTime: this.responseTime,
+            requestSize: this.requestSize,
+            responseSize: this.responseSize,
+            createdAt: this.createdAt,
+            importedAt: this.importedAt,
+        };
+    }
+
+    /**
+     * Rebuilds traffic read back from storage
+     */
+    static fromRecord(record) {
+        return Object.assign(Object.create(InspectedTraffic.prototype), record);
+    }
+
     /**
      * Formats the traffic for JSON output
      */
@@ -95,7 +147,9 @@ class InspectedTraffic {
             responseTime: this.responseTime,
             requestSize: this.requestSize,
             responseSize: this.responseSize,
+            effects: this.effects,
             createdAt: this.createdAt,
+            importedAt: this.importedAt,
         };
 
         // Try to parse JSON bodies for better display
@@ -114,32 +168,6 @@ class InspectedTraffic {
 
         return result;
     }
-
-    /**
-     * Generates a curl command for this request
-     */
-    toCurl() {
-        const parts = ['curl'];
-
-        if (this.request.method !== 'GET') {
-            parts.push(`-X ${this.request.method}`);
-        }
-
-        for (const [key, value] of Object.entries(this.request.headers)) {
-            if (!['host', 'content-length'].includes(key.toLowerCase())) {
-                parts.push(`-H '${key}: ${value}'`);
-            }
-        }
-
-        if (this.request.body) {
-            parts.push(`-d '${this.request.body.replace(/'/g, "'\\''")}'`);
-        }
-
-        const url = `https://${this.subdomain}.example.com${this.request.path}`;
-        parts.push(`'${url}'`);
-
-        return parts.join(' \\\n  ');
-    }
 }
 
 /**
@@ -185,18 +213,8 @@ class InspectorService extends EventEmitter {
         super();
         this.logger = createLogger({ name: 'InspectorService' });
 
-        // Configuration
-        this.maxStoredRequests = options.maxStoredRequests || TUNNEL_CONFIG.MAX_STORED_REQUESTS;
-        this.retentionMinutes = options.retentionMinutes || TUNNEL_CONFIG.TRAFFIC_HISTORY_MINUTES;
-
-        // Storage by tunnel ID
-        this.trafficByTunnel = new Map();
-
-        // All traffic (limited circular buffer)
-        this.allTraffic = [];
-
-        // Map of requestId -> InspectedTraffic for fast lookup
-        this.trafficByRequestId = new Map();
+        // Captured traffic, indexed by tunnel, path, status and time
+        this.store = this.createStore(options);
 
         // ===== REAL-TIME METRICS =====
 
@@ -228,23 +246,39 @@ class InspectorService extends EventEmitter {
         this.metricsInterval = setInterval(() => this.emitMetrics(), 5000);
     }
 
+    /**
+     * Creates the traffic store
+     * @param {Object} options - { store: 'memory' | 'file', directory (file),
+     *   maxStoredRequests, retentionMinutes, maxBytes, scanLimit (file) }
+     */
+    createStore(options) {
+        if (options.store === 'file') {
+            return new JsonlTrafficStore({
+                directory: options.directory || TUNNEL_CONFIG.TRAFFIC_STORE_DIR,
+                revive: record => InspectedTraffic.fromRecord(record),
+                maxRequests: options.maxStoredRequests || null,
+                maxAge: (options.retentionMinutes || TUNNEL_CONFIG.STORED_TRAFFIC_HISTORY_MINUTES) * 60 * 1000,
+                maxBytes: options.maxBytes || TUNNEL_CONFIG.MAX_STORED_TRAFFIC_BYTES,
+                scanLimit: options.scanLimit || TUNNEL_CONFIG.STORED_TRAFFIC_SCAN_LIMIT,
+            });
+        }
+        if (options.store && options.store !== 'memory') {
+            throw new Error(`Unknown traffic store: ${options.store} (use memory or file)`);
+        }
+
+        return new MemoryTrafficStore({
+            maxRequests: options.maxStoredRequests || TUNNEL_CONFIG.MAX_STORED_REQUESTS,
+            maxAge: (options.retentionMinutes || TUNNEL_CONFIG.TRAFFIC_HISTORY_MINUTES) * 60 * 1000,
+            maxBytes: options.maxBytes || null,
+        });
+    }
+
     /**
      * Records an incoming request
      */
     recordRequest(request) {
         const traffic = new InspectedTraffic(request);
-
-        // Store in maps
-        this.trafficByRequestId.set(request.requestId, traffic);
-
-        // Store by tunnel
-        if (!this.trafficByTunnel.has(request.tunnelId)) {
-            this.trafficByTunnel.set(request.tunnelId, []);
-        }
-        this.trafficByTunnel.get(request.tunnelId).push(traffic);
-
-        // Store in global list
-        this.allTraffic.push(traffic);
+        this.store.put(traffic);
 
         // Update metrics
         this.requestsWindow.add(1);
@@ -258,9 +292,6 @@ class InspectorService extends EventEmitter {
         const path = request.path || '/';
         this.pathCounts.set(path, (this.pathCounts.get(path) || 0) + 1);
 
-        // Enforce limits
-        this.enforceLimit();
-
         // Emit event for real-time updates
         this.emit('request', traffic.toJSON());
 
@@ -272,11 +303,56 @@ class InspectorService extends EventEmitter {
         return traffic;
     }
 
+    /**
+     * Stores traffic captured elsewhere (e.g. a HAR file)
+     *
+     * Imported traffic can be inspected, searched and replayed like live
+     * captures, but stays out of the live metrics and events.
+     * @param {Object} request - As for recordRequest
+     * @param {Object|null} response - As for recordResponse
+     * @returns {Object} Stored traffic
+     */
+    importTraffic(request, response, effects = []) {
+        const traffic = new InspectedTraffic(request);
+        traffic.importedAt = traffic.createdAt;
+        traffic.effects = effects;
+        if (response) {
+            traffic.setResponse(response);
+        }
+        this.store.put(traffic);
+        return traffic.toJSON();
+    }
+
+    /**
+     * Records a request body that was streamed after the request was recorded
+     */
+    recordRequestBody(requestId, body, size, bodyEncoding) {
+        const traffic = this.store.get(requestId);
+        if (!traffic) return;
+
+        traffic.setRequestBody(body, size, bodyEncoding);
+        this.store.put(traffic);
+        this.bytesInWindow.add(size || 0);
+    }
+
+    /**
+     * Notes a traffic control effect applied to a request
+     * @param {string} requestId - Request ID
+     * @param {Object} effect - { type, ...details }
+     */
+    recordEffect(requestId, effect) {
+        const traffic = this.store.get(requestId);
+        if (!traffic) return;
+
+        traffic.effects.push({ ...effect, timestamp: Date.now() });
+        this.store.put(traffic);
+    }
+
     /**
      * Records a response for a request
      */
     recordResponse(response) {
-        const traffic = this.trafficByRequestId.get(response.requestId);
+        const traffic = this.store.get(response.requestId);
 
         if (!traffic) {
             this.logger.warn(`No request found for response: ${response.requestId}`);
@@ -284,6 +360,7 @@ class InspectorService extends EventEmitter {
         }
 
         traffic.setResponse(response);
+        this.store.put(traffic);
 
         // Update metrics
         this.bytesOutWindow.add(traffic.responseSize);
@@ -371,14 +448,15 @@ class InspectorService extends EventEmitter {
 
     /**
      * Gets latency percentiles
+     * @param {Array<number>} values - Latencies (default: the 5 minute window)
      */
-    getLatencyPercentiles() {
-        const latencies = this.latencyWindow.getValues().sort((a, b) => a - b);
+    getLatencyPercentiles(values = this.latencyWindow.getValues()) {
+        const latencies = [...values].sort((a, b) => a - b);
 
         return {
             min: latencies.length > 0 ? latencies[0] : 0,
             max: latencies.length > 0 ? latencies[latencies.length - 1] : 0,
-            avg: this.getAverageLatency(),
+            avg: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : 0,
             p50: this.percentile(latencies, 50),
             p95: this.percentile(latencies, 95),
             p99: this.percentile(latencies, 99),
@@ -407,12 +485,13 @@ class InspectorService extends EventEmitter {
 
     /**
      * Gets error rate as percentage
+     * @param {Map<number, number>} statusCodeCounts - Default: all captured responses
      */
-    getErrorRate() {
+    getErrorRate(statusCodeCounts = this.statusCodeCounts) {
         let total = 0;
         let errors = 0;
 
-        for (const [code, count] of this.statusCodeCounts) {
+        for (const [code, count] of statusCodeCounts) {
             total += count;
             if (code >= 400) errors += count;
         }
@@ -422,8 +501,9 @@ class InspectorService extends EventEmitter {
 
     /**
      * Gets error breakdown by status code
+     * @param {Map<number, number>} statusCodeCounts - Default: all captured responses
      */
-    getErrorBreakdown() {
+    getErrorBreakdown(statusCodeCounts = this.statusCodeCounts) {
         const breakdown = {
             '2xx': 0,
             '3xx': 0,
@@ -432,7 +512,7 @@ class InspectorService extends EventEmitter {
             other: 0,
         };
 
-        for (const [code, count] of this.statusCodeCounts) {
+        for (const [code, count] of statusCodeCounts) {
             if (code >= 200 && code < 300) breakdown['2xx'] += count;
             else if (code >= 300 && code < 400) breakdown['3xx'] += count;
             else if (code >= 400 && code < 500) breakdown['4xx'] += count;
@@ -468,105 +548,47 @@ class InspectorService extends EventEmitter {
      * Gets traffic for a specific tunnel
      */
     getTrafficByTunnel(tunnelId, options = {}) {
-        const traffic = this.trafficByTunnel.get(tunnelId) || [];
-        return this.filterAndPaginate(traffic, options);
+        return this.filterAndPaginate({ ...options, tunnelId });
     }
 
     /**
      * Gets all traffic
      */
     getAllTraffic(options = {}) {
-        return this.filterAndPaginate(this.allTraffic, options);
+        return this.filterAndPaginate(options);
     }
 
     /**
      * Gets a specific request by ID
      */
     getTrafficById(requestId) {
-        const traffic = this.trafficByRequestId.get(requestId);
+        const traffic = this.store.get(requestId);
         return traffic ? traffic.toJSON() : null;
     }
 
     /**
-     * Gets the curl command for a request
-     */
-    getCurlCommand(requestId) {
-        const traffic = this.trafficByRequestId.get(requestId);
-        return traffic ? traffic.toCurl() : null;
-    }
-
-    /**
-     * Filters and paginates traffic data
+     * Filters and paginates traffic data through the store's indexes
+     * @param {Object} options - { q (see TrafficQuery), tunnelId, method,
+     *   statusCode, path (regex), since, until, limit, offset, sanitize }
+     * @throws {Error} When the query is invalid
      */
-    filterAndPaginate(traffic, options = {}) {
-        let result = [...traffic];
-
-        if (options.method) {
-            result = result.filter(t => t.request.method === options.method.toUpperCase());
-        }
-
-        if (options.statusCode) {
-            result = result.filter(t => t.response?.statusCode === parseInt(options.statusCode, 10));
+    filterAndPaginate(options = {}) {
+        let storeOptions = options;
+        if (options.q) {
+            const query = TrafficQuery.parse(options.q);
+            storeOptions = { ...query.indexHints(), ...options, filter: traffic => query.matches(traffic) };
         }
-
-        if (options.path) {
-            const pattern = new RegExp(options.path, 'i');
-            result = result.filter(t => pattern.test(t.request.path));
-        }
-
-        if (options.since) {
-            const since = new Date(options.since).getTime();
-            result = result.filter(t => t.createdAt >= since);
-        }
-
-        result.sort((a, b) => b.createdAt - a.createdAt);
-
-        const limit = options.limit || 50;
-        const offset = options.offset || 0;
-        result = result.slice(offset, offset + limit);
-
-        return result.map(t => t.toJSON(options.sanitize));
+        return this.store.query(storeOptions).map(t => t.toJSON(options.sanitize));
     }
 
     /**
-     * Enforces storage limits
-     */
-    enforceLimit() {
-        while (this.allTraffic.length > this.maxStoredRequests) {
-            const removed = this.allTraffic.shift();
-            this.trafficByRequestId.delete(removed.requestId);
-        }
-
-        for (const [tunnelId, traffic] of this.trafficByTunnel) {
-            while (traffic.length > this.maxStoredRequests / 2) {
-                traffic.shift();
-            }
-        }
-    }
-
-    /**
-     * Cleans up old traffic data
+     * Drops traffic past the retention period
      */
     cleanup() {
-        const cutoff = Date.now() - (this.retentionMinutes * 60 * 1000);
-
-        this.allTraffic = this.allTraffic.filter(t => t.createdAt >= cutoff);
-
-        for (const [tunnelId, traffic] of this.trafficByTunnel) {
-            this.trafficByTunnel.set(
-                tunnelId,
-                traffic.filter(t => t.createdAt >= cutoff)
-            );
-        }
-
-        for (const [requestId, traffic] of this.trafficByRequestId) {
-            if (traffic.createdAt < cutoff) {
-                this.trafficByRequestId.delete(requestId);
-            }
-        }
+        this.store.prune();
 
         this.logger.debug('Traffic cleanup completed', {
-            remaining: this.allTraffic.length,
+            remaining: this.store.count(),
         });
     }
 
@@ -574,9 +596,7 @@ class InspectorService extends EventEmitter {
      * Clears all traffic data and resets metrics
      */
     clear() {
-        this.allTraffic = [];
-        this.trafficByTunnel.clear();
-        this.trafficByRequestId.clear();
+        this.store.clear();
         this.statusCodeCounts.clear();
         this.methodCounts.clear();
         this.pathCounts.clear();
@@ -588,11 +608,12 @@ class InspectorService extends EventEmitter {
     }
 
     /**
-     * Stops timers
+     * Stops timers and flushes the store
      */
     destroy() {
         if (this.cleanupInterval) clearInterval(this.cleanupInterval);
         if (this.metricsInterval) clearInterval(this.metricsInterval);
+        this.store.close();
     }
 
     /**
@@ -615,9 +636,9 @@ class InspectorService extends EventEmitter {
 
         return {
             // Request counts
-            totalRequests: this.allTraffic.length,
+            totalRequests: this.store.count(),
             totalResponses,
-            pendingRequests: this.allTraffic.length - totalResponses,
+            pendingRequests: this.store.count() - this.store.answeredCount(),
 
             // Success/Error rates (computed from real status codes)
             successRate: totalResponses > 0 ? ((successCount / totalResponses) * 100).toFixed(2) : 0,
@@ -641,7 +662,7 @@ class InspectorService extends EventEmitter {
             timeSeries: this.timeSeriesData,
 
             // Tunnel info
-            activeTunnels: this.trafficByTunnel.size,
+            activeTunnels: this.store.tunnelCount(),
         };
     }
 }
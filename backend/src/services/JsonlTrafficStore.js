@@ -0,0 +1,275 @@
+/**
+ * JsonlTrafficStore
+ *
+ * File-backed traffic store that survives gateway restarts:
+ * - Records are appended as JSON lines to segment files; an update
+ *   appends the record again and the index points at the latest copy
+ * - Only the index lives in memory; records are read back from disk
+ *   when a query returns them, through one read descriptor per segment
+ * - Writes are batched and flushed every second (and on close)
+ * - Retention deletes whole segments once no indexed record lives in
+ *   them, or the oldest segments when the store outgrows its size limit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../../shared/src');
+const { TrafficStore } = require('./TrafficStore');
+
+// A new segment starts once the current one reaches this size (bytes)
+const SEGMENT_SIZE = 16 * 1024 * 1024;
+
+const FLUSH_INTERVAL = 1000;
+
+const SEGMENT_PATTERN = /^traffic-(\d+)\.jsonl$/;
+
+class JsonlTrafficStore extends TrafficStore {
+    /**
+     * @param {Object} options - { directory, revive: record => traffic,
+     *   maxRequests, maxAge (ms), maxBytes: limit for the segment files }
+     */
+    constructor({ directory, revive, ...limits }) {
+        super(limits);
+        this.logger = createLogger({ name: 'JsonlTrafficStore' });
+
+        this.directory = directory;
+        this.revive = revive;
+
+        // Segments in write order (number -> { number, file, size, live })
+        this.segments = new Map();
+        this.active = null;
+        this.fd = null;
+
+        // Records waiting for the next flush (requestId -> traffic)
+        this.pending = new Map();
+
+        fs.mkdirSync(directory, { recursive: true });
+        this.loading = false;
+        this.loadSegments();
+        this.openSegment((this.active ? this.active.number : 0) + 1);
+
+        // Segments holding only superseded or expired copies go, once
+        // every segment has been read
+        for (const segment of [...this.segments.values()]) {
+            this.release(segment);
+        }
+        this.enforceLimits();
+        this.prune();
+        this.logger.info(`Loaded ${this.index.size} stored requests`, { directory });
+
+        this.flushInterval = setInterval(() => this.flush(), FLUSH_INTERVAL);
+        this.flushInterval.unref();
+    }
+
+    /**
+     * Rebuilds the index from the segment files
+     *
+     * Nothing is released while loading: a record rewritten within the
+     * segment being read would otherwise empty it and delete its file.
+     */
+    loadSegments() {
+        this.loading = true;
+        const numbers = fs.readdirSync(this.directory)
+            .map(name => SEGMENT_PATTERN.exec(name))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10))
+            .sort((a, b) => a - b);
+
+        let skipped = 0;
+        for (const number of numbers) {
+            const segment = this.addSegment(number);
+            const data = fs.readFileSync(segment.file);
+            segment.size = data.length;
+
+            let offset = 0;
+            while (offset < data.length) {
+                let end = data.indexOf(0x0a, offset);
+                // A line without a newline was cut short by a crash
+                if (end === -1) end = data.length;
+                const length = end - offset;
+
+                try {
+                    const record = JSON.parse(data.toString('utf8', offset, end));
+                    this.locate(this.index.update(record), segment, offset, length);
+                } catch {
+                    skipped++;
+                }
+                offset = end + 1;
+            }
+            this.active = segment;
+        }
+        this.loading = false;
+
+        if (skipped > 0) {
+            this.logger.warn(`Skipped ${skipped} unreadable lines in ${this.directory}`);
+        }
+    }
+
+    addSegment(number) {
+        const segment = {
+            number,
+            file: path.join(this.directory, `traffic-${String(number).padStart(8, '0')}.jsonl`),
+            size: 0,
+            live: 0,
+            readFd: null,
+        };
+        this.segments.set(number, segment);
+        return segment;
+    }
+
+    openSegment(number) {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+        }
+        this.active = this.addSegment(number);
+        this.fd = fs.openSync(this.active.file, 'a');
+    }
+
+    /**
+     * Points an index entry at its latest copy on disk
+     */
+    locate(entry, segment, offset, length) {
+        if (entry.segment) {
+            entry.segment.live--;
+            this.release(entry.segment);
+        }
+        entry.segment = segment;
+        entry.offset = offset;
+        entry.length = length;
+        segment.live++;
+    }
+
+    put(traffic) {
+        this.pending.set(traffic.requestId, traffic);
+        this.index.update(traffic);
+        this.enforceLimits();
+    }
+
+    load(entry) {
+        const pending = this.pending.get(entry.requestId);
+        if (pending) return pending;
+        if (!entry.segment) return null;
+
+        const { segment } = entry;
+        const buffer = Buffer.alloc(entry.length);
+        try {
+            if (segment.readFd === null) {
+                segment.readFd = fs.openSync(segment.file, 'r');
+            }
+            fs.readSync(segment.readFd, buffer, 0, entry.length, entry.offset);
+            return this.revive(JSON.parse(buffer.toString('utf8')));
+        } catch (error) {
+            this.logger.warn(`Unreadable stored request: ${entry.requestId}`, { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Appends pending records to the active segment
+     */
+    flush() {
+        if (this.pending.size === 0) return;
+
+        const lines = [];
+        for (const traffic of this.pending.values()) {
+            const entry = this.index.get(traffic.requestId);
+            if (!entry) continue;
+
+            const line = Buffer.from(JSON.stringify(traffic.toRecord()) + '\n');
+            this.locate(entry, this.active, this.active.size, line.length - 1);
+            this.active.size += line.length;
+            lines.push(line);
+        }
+        this.pending.clear();
+
+        try {
+            fs.writeSync(this.fd, Buffer.concat(lines));
+        } catch (error) {
+            this.logger.error('Failed to write traffic segment', { error: error.message });
+        }
+
+        if (this.active.size >= SEGMENT_SIZE) {
+            this.openSegment(this.active.number + 1);
+        }
+        this.enforceLimits();
+    }
+
+    /**
+     * Keeps the segment files under the size limit by dropping the
+     * oldest ones with the records that live in them
+     */
+    enforceLimits() {
+        super.enforceLimits();
+        if (!this.maxBytes) return;
+
+        let total = 0;
+        for (const segment of this.segments.values()) {
+            total += segment.size;
+        }
+        for (const segment of this.segments.values()) {
+            if (total <= this.maxBytes || segment === this.active) break;
+            total -= segment.size;
+            this.removed(this.index.removeWhere(entry => entry.segment === segment));
+            this.deleteSegment(segment);
+        }
+    }
+
+    removed(entries) {
+        for (const entry of entries) {
+            this.pending.delete(entry.requestId);
+            if (entry.segment) {
+                entry.segment.live--;
+                this.release(entry.segment);
+            }
+        }
+    }
+
+    /**
+     * Deletes a segment once nothing indexed lives in it
+     */
+    release(segment) {
+        if (segment.live <= 0 && segment !== this.active && !this.loading) {
+            this.deleteSegment(segment);
+        }
+    }
+
+    closeReader(segment) {
+        if (segment.readFd !== null) {
+            fs.closeSync(segment.readFd);
+            segment.readFd = null;
+        }
+    }
+
+    deleteSegment(segment) {
+        if (!this.segments.delete(segment.number)) return;
+        this.closeReader(segment);
+        try {
+            fs.unlinkSync(segment.file);
+        } catch (error) {
+            this.logger.warn(`Failed to delete traffic segment ${segment.file}`, { error: error.message });
+        }
+    }
+
+    clear() {
+        super.clear();
+        this.pending.clear();
+        this.openSegment(this.active.number + 1);
+        for (const segment of [...this.segments.values()]) {
+            if (segment !== this.active) this.deleteSegment(segment);
+        }
+    }
+
+    close() {
+        clearInterval(this.flushInterval);
+        this.flush();
+        for (const segment of this.segments.values()) {
+            this.closeReader(segment);
+        }
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = JsonlTrafficStore;
@@ -0,0 +1,469 @@
+/**
+ * LoadTestService
+ *
+ * Load tests built on replay:
+ * - A captured request or a replay collection is replayed back to back
+ *   by a pool of workers (the concurrency) through its tunnel, until a
+ *   duration or request count is reached or the test is stopped
+ * - Workers can start gradually over a ramp-up period
+ * - Latency percentiles, status and error breakdowns and throughput are
+ *   computed with the inspector's math and emitted every second
+ * - Final reports are kept so later runs can be compared against them
+ */
+
+const EventEmitter = require('events');
+const { createLogger, generateRequestId } = require('../../shared/src');
+
+const MAX_CONCURRENCY = 200;
+
+const MAX_DURATION = 10 * 60 * 1000;
+
+const MAX_COUNT = 100000;
+
+// Finished reports kept for comparison
+const MAX_REPORTS = 50;
+
+const PROGRESS_INTERVAL = 1000;
+
+class LoadTestService extends EventEmitter {
+    constructor(replayService, replayCollectionService, inspectorService, tunnelManager) {
+        super();
+        this.logger = createLogger({ name: 'LoadTest' });
+        this.replayService = replayService;
+        this.replayCollectionService = replayCollectionService;
+        this.inspectorService = inspectorService;
+        this.tunnelManager = tunnelManager;
+
+        // Tests, running and finished (id -> test)
+        this.tests = new Map();
+    }
+
+    /**
+     * Starts a load test; it runs in the background
+     * @param {Object} options - { name, requestId | collectionId,
+     *   modifications (request), variables (collection), subdomain,
+     *   concurrency, duration (ms) and/or count, rampUp (ms) }
+     * @returns {Object} Report of the started test
+     * @throws {Error} When the options are invalid or a tunnel is offline
+     */
+    start({
+        name,
+        requestId,
+        collectionId,
+        modifications = {},
+        variables = {},
+        subdomain = null,
+        concurrency = 10,
+        duration = null,
+        count = null,
+        rampUp = 0,
+    } = {}) {
+        if (Boolean(requestId) === Boolean(collectionId)) {
+            throw new Error('Give either a requestId or a collectionId');
+        }
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+            throw new Error(`Concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+        }
+        if (duration === null && count === null) {
+            throw new Error('Give a duration, a count or both');
+        }
+        if (duration !== null && (!Number.isInteger(duration) || duration < 1 || duration > MAX_DURATION)) {
+            throw new Error(`Duration must be between 1 and ${MAX_DURATION} ms`);
+        }
+        if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+            throw new Error(`Count must be between 1 and ${MAX_COUNT}`);
+        }
+        if (!Number.isInteger(rampUp) || rampUp < 0 || (duration !== null && rampUp >= duration)) {
+            throw new Error('Ramp-up must be a whole number of ms shorter than the duration');
+        }
+
+        const target = requestId
+            ? { type: 'request', requestId, modifications, subdomain }
+            : { type: 'collection', collectionId, variables, subdomain };
+        this.checkTunnels(target);
+
+        const test = {
+            id: generateRequestId(),
+            name: name || `${requestId ? 'Request' : 'Collection'} ${requestId || collectionId}`,
+            target,
+            options: { concurrency, duration, count, rampUp },
+            status: 'running',
+            startedAt: Date.now(),
+            finishedAt: null,
+            endsAt: duration !== null ? Date.now() + duration : null,
+            stopRequested: false,
+            issued: 0,
+            activeWorkers: 0,
+            inFlight: 0,
+            timers: new Set(),
+
+            // Totals
+            requests: 0,
+            iterations: 0,
+            failures: 0,
+            latencies: [],
+            latencyTotals: { count: 0, sum: 0, min: Infinity, max: 0 },
+            statusCodeCounts: new Map(),
+            errors: new Map(),
+
+            // Current second, folded into the time series on each tick
+            tick: { requests: 0, failures: 0, errors: 0, latencies: [] },
+            tickLatency: null,
+            timeSeries: [],
+        };
+        this.tests.set(test.id, test);
+
+        this.logger.info(`Load test started: ${test.id}`, { target, ...test.options });
+
+        test.progressInterval = setInterval(() => this.progress(test), PROGRESS_INTERVAL);
+        test.done = Promise.all(Array.from({ length: concurrency }, (_, index) => this.worker(test, index)))
+            .then(() => this.finish(test));
+
+        return this.toReport(test);
+    }
+
+    /**
+     * Stops a running test; in-flight requests finish first
+     * @returns {Promise<Object|null>} Final report, null if unknown
+     */
+    async stop(id) {
+        const test = this.tests.get(id);
+        if (!test) return null;
+
+        test.stopRequested = true;
+        for (const cancel of test.timers) cancel();
+        await test.done;
+        return this.toReport(test);
+    }
+
+    getReport(id) {
+        const test = this.tests.get(id);
+        return test ? this.toReport(test) : null;
+    }
+
+    /**
+     * Reports, newest first, without their time series
+     */
+    getReports() {
+        return Array.from(this.tests.values())
+            .reverse()
+            .map(test => {
+                const { timeSeries, ...summary } = this.toReport(test);
+                return summary;
+            });
+    }
+
+    removeReport(id) {
+        const test = this.tests.get(id);
+        if (!test || test.status === 'running') return false;
+        return this.tests.delete(id);
+    }
+
+    /**
+     * Compares a report with an earlier (baseline) one
+     * @returns {Object|null} Per-metric { baseline, current, delta,
+     *   percentChange }, null if either report is unknown
+     */
+    compare(id, baselineId) {
+        const current = this.getReport(id);
+        const baseline = this.getReport(baselineId);
+        if (!current || !baseline) return null;
+
+        const metric = (before, after) => {
+            const delta = Math.round((after - before) * 100) / 100;
+            return {
+                baseline: before,
+                current: after,
+                delta,
+                percentChange: before ? Math.round((delta / before) * 100) : 0,
+            };
+        };
+
+        return {
+            id,
+            baselineId,
+            latency: Object.fromEntries(['min', 'avg', 'p50', 'p95', 'p99', 'max']
+                .map(key => [key, metric(baseline.latency[key], current.latency[key])])),
+            requestsPerSecond: metric(
+                parseFloat(baseline.throughput.requestsPerSecond),
+                parseFloat(current.throughput.requestsPerSecond)
+            ),
+            errorRate: metric(parseFloat(baseline.errorRate), parseFloat(current.errorRate)),
+        };
+    }
+
+    /**
+     * Fails fast when a target's tunnel is offline
+     */
+    checkTunnels(target) {
+        const subdomains = new Set();
+        if (target.type === 'request') {
+            const original = this.inspectorService.getTrafficById(target.requestId);
+            if (!original) {
+                throw new Error(`Request ${target.requestId} not found in traffic history`);
+            }
+            subdomains.add(target.subdomain || original.subdomain);
+        } else {
+            const collection = this.replayCollectionService.getCollection(target.collectionId);
+            if (!collection) {
+                throw new Error(`Collection ${target.collectionId} not found`);
+            }
+            for (const step of collection.steps) {
+                const original = this.inspectorService.getTrafficById(step.requestId);
+                subdomains.add(target.subdomain || collection.subdomain || original?.subdomain);
+            }
+        }
+
+        for (const subdomain of subdomains) {
+            if (!subdomain || !this.tunnelManager.getTunnelBySubdomain(subdomain)) {
+                throw new Error(`Tunnel ${subdomain} is not connected`);
+            }
+        }
+    }
+
+    /**
+     * One worker: waits for its ramp-up slot, then replays until done
+     */
+    async worker(test, index) {
+        const delay = Math.floor(test.options.rampUp * index / test.options.concurrency);
+        if (delay > 0) {
+            await this.wait(test, delay);
+        }
+
+        test.activeWorkers++;
+        while (this.claim(test)) {
+            test.inFlight++;
+            await this.iterate(test);
+            test.inFlight--;
+        }
+        test.activeWorkers--;
+    }
+
+    /**
+     * Takes the next iteration if the test isn't done
+     */
+    claim(test) {
+        if (test.stopRequested) return false;
+        if ((test.endsAt !== null && Date.now() >= test.endsAt) ||
+            (test.options.count !== null && test.issued >= test.options.count)) {
+            // Workers still ramping up have nothing left to do
+            for (const cancel of test.timers) cancel();
+            return false;
+        }
+        test.issued++;
+        return true;
+    }
+
+    /**
+     * Sleeps unless the test is stopped first
+     */
+    wait(test, delay) {
+        return new Promise((resolve) => {
+            const cancel = () => {
+                clearTimeout(timer);
+                test.timers.delete(cancel);
+                resolve();
+            };
+            const timer = setTimeout(cancel, delay);
+            test.timers.add(cancel);
+        });
+    }
+
+    /**
+     * Replays the target once; a collection counts each step's request
+     */
+    async iterate(test) {
+        const { target } = test;
+        test.iterations++;
+
+        if (target.type === 'request') {
+            try {
+                const replay = await this.replayService.replayRequest(target.requestId, target.modifications, {
+                    subdomain: target.subdomain,
+                    record: false,
+                    direct: false,
+                });
+                this.recordSample(test, replay.duration, replay.response?.statusCode);
+            } catch (error) {
+                this.recordFailure(test, error.message);
+            }
+            return;
+        }
+
+        let run;
+        try {
+            run = await this.replayCollectionService.runCollection(target.collectionId, {
+                subdomain: target.subdomain,
+                variables: target.variables,
+                record: false,
+                direct: false,
+            });
+        } catch (error) {
+            this.recordFailure(test, error.message);
+            return;
+        }
+        if (!run) {
+            this.recordFailure(test, `Collection ${target.collectionId} not found`);
+            return;
+        }
+
+        for (const step of run.steps) {
+            if (step.replay) {
+                this.recordSample(test, step.replay.duration, step.replay.response?.statusCode);
+            } else if (step.status === 'failed') {
+                this.recordFailure(test, step.error);
+            }
+        }
+    }
+
+    recordSample(test, latency, statusCode) {
+        test.requests++;
+        test.latencies.push(latency);
+        const totals = test.latencyTotals;
+        totals.count++;
+        totals.sum += latency;
+        totals.min = Math.min(totals.min, latency);
+        totals.max = Math.max(totals.max, latency);
+        test.statusCodeCounts.set(statusCode, (test.statusCodeCounts.get(statusCode) || 0) + 1);
+
+        test.tick.requests++;
+        test.tick.latencies.push(latency);
+        if (statusCode >= 400) test.tick.errors++;
+    }
+
+    /**
+     * Requests that got no response (timeouts, offline tunnels)
+     */
+    recordFailure(test, message) {
+        test.requests++;
+        test.failures++;
+        test.errors.set(message, (test.errors.get(message) || 0) + 1);
+
+        test.tick.requests++;
+        test.tick.failures++;
+    }
+
+    /**
+     * Folds the last second into the time series and emits progress
+     */
+    progress(test) {
+        const { tick } = test;
+        test.tick = { requests: 0, failures: 0, errors: 0, latencies: [] };
+
+        const latency = this.inspectorService.getLatencyPercentiles(tick.latencies);
+        test.tickLatency = latency;
+        const point = {
+            timestamp: Date.now(),
+            elapsed: Date.now() - test.startedAt,
+            requestsPerSec: tick.requests,
+            avgLatency: latency.avg,
+            p95: latency.p95,
+            errors: tick.errors + tick.failures,
+            activeWorkers: test.activeWorkers,
+        };
+        test.timeSeries.push(point);
+
+        this.emit('progress', { ...this.toReport(test, { timeSeries: false }), latest: point });
+    }
+
+    finish(test) {
+        clearInterval(test.progressInterval);
+        this.progress(test);
+
+        test.status = test.stopRequested ? 'stopped' : 'completed';
+        test.finishedAt = Date.now();
+        // The only sort of the full sample set; the samples aren't needed after it
+        test.latency = this.inspectorService.getLatencyPercentiles(test.latencies);
+        test.latencies = [];
+        this.pruneReports();
+
+        const report = this.toReport(test);
+        this.logger.info(`Load test ${test.status}: ${test.id}`, {
+            requests: report.requests,
+            requestsPerSecond: report.throughput.requestsPerSecond,
+            p95: report.latency.p95,
+            errorRate: report.errorRate,
+        });
+        this.emit('completed', report);
+    }
+
+    /**
+     * Drops the oldest finished reports beyond the limit
+     */
+    pruneReports() {
+        const finished = Array.from(this.tests.values()).filter(test => test.status !== 'running');
+        for (const test of finished.slice(0, Math.max(0, finished.length - MAX_REPORTS))) {
+            this.tests.delete(test.id);
+        }
+    }
+
+    /**
+     * Stops every running test (gateway shutdown)
+     */
+    destroy() {
+        for (const test of this.tests.values()) {
+            if (test.status === 'running') {
+                test.stopRequested = true;
+                for (const cancel of test.timers) cancel();
+            }
+        }
+    }
+
+    /**
+     * Latency while a test runs: totals so far, percentiles of the last second
+     */
+    runningLatency(test) {
+        const { count, sum, min, max } = test.latencyTotals;
+        const { p50 = 0, p95 = 0, p99 = 0 } = test.tickLatency || {};
+        return {
+            min: count > 0 ? min : 0,
+            max,
+            avg: count > 0 ? Math.round(sum / count) : 0,
+            p50,
+            p95,
+            p99,
+            count,
+        };
+    }
+
+    toReport(test, { timeSeries = true } = {}) {
+        const elapsed = (test.finishedAt || Date.now()) - test.startedAt;
+        const seconds = Math.max(elapsed, 1) / 1000;
+
+        let errors = test.failures;
+        for (const [code, count] of test.statusCodeCounts) {
+            if (code >= 400) errors += count;
+        }
+
+        const report = {
+            id: test.id,
+            name: test.name,
+            target: test.target,
+            options: test.options,
+            status: test.status,
+            startedAt: test.startedAt,
+            finishedAt: test.finishedAt,
+            elapsed,
+            activeWorkers: test.activeWorkers,
+            inFlight: test.inFlight,
+            iterations: test.iterations,
+            requests: test.requests,
+            latency: test.latency || this.runningLatency(test),
+            statusCodes: Object.fromEntries(test.statusCodeCounts),
+            errorBreakdown: this.inspectorService.getErrorBreakdown(test.statusCodeCounts),
+            errors: Object.fromEntries(test.errors),
+            failures: test.failures,
+            errorRate: test.requests > 0 ? ((errors / test.requests) * 100).toFixed(2) : 0,
+            throughput: {
+                requestsPerSecond: (test.requests / seconds).toFixed(2),
+                iterationsPerSecond: (test.iterations / seconds).toFixed(2),
+            },
+        };
+        if (timeSeries) {
+            report.timeSeries = test.timeSeries;
+        }
+        return report;
+    }
+}
+
+module.exports = LoadTestService;
@@ -0,0 +1,401 @@
+/**
+ * ReplayCollectionService
+ *
+ * Named, ordered sets of captured requests replayed as a flow:
+ * - Each step replays a captured request with optional edits
+ * - Steps run in sequence (stopping at the first failure by default)
+ *   or all at once in parallel
+ * - Steps can extract variables from their response (JSON path, header
+ *   or status, optionally narrowed by a regex) and later steps use them
+ *   as {{name}} in their edits, e.g. a login token in an auth header
+ * - Every run is stored with its per-step results in the replay history
+ */
+
+const EventEmitter = require('events');
+const { createLogger, generateRequestId, parseJsonPath } = require('../../shared/src');
+
+const RUN_MODES = ['sequence', 'parallel'];
+
+const MAX_STEPS = 100;
+
+const VARIABLE_NAME = /^[A-Za-z_][\w-]*$/;
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+class ReplayCollectionService extends EventEmitter {
+    constructor(replayService, inspectorService) {
+        super();
+        this.logger = createLogger({ name: 'ReplayCollections' });
+        this.replayService = replayService;
+        this.inspectorService = inspectorService;
+
+        // Collections (id -> collection)
+        this.collections = new Map();
+    }
+
+    /**
+     * Saves a collection (replaces one with the same ID)
+     * @param {Object} options - { id, name, subdomain, mode, variables,
+     *   steps: [{ id, requestId, modifications, extract: { name: source } }] }
+     *   where a source is '$.json.path', 'header.<name>', 'status' or
+     *   { from: 'body' | 'header' | 'status', path, name, pattern }
+     * @returns {Object} The collection
+     * @throws {Error} When the collection is invalid
+     */
+    createCollection({ id, name, subdomain = null, mode = 'sequence', variables = {}, steps } = {}) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('A collection needs at least one step');
+        }
+        if (steps.length > MAX_STEPS) {
+            throw new Error(`A collection takes at most ${MAX_STEPS} steps`);
+        }
+        this.validateMode(mode);
+        this.validateVariables(variables);
+
+        const existing = id ? this.collections.get(id) : null;
+        const collection = {
+            id: id || generateRequestId(),
+            name: name || id || 'Unnamed collection',
+            subdomain,
+            mode,
+            variables,
+            steps: steps.map((step, index) => this.normalizeStep(step, index)),
+            createdAt: existing ? existing.createdAt : Date.now(),
+            updatedAt: Date.now(),
+        };
+
+        const ids = new Set(collection.steps.map(step => step.id));
+        if (ids.size !== collection.steps.length) {
+            throw new Error('Step IDs must be unique');
+        }
+
+        this.collections.set(collection.id, collection);
+        this.logger.info(`Replay collection saved: ${collection.id}`, { steps: collection.steps.length });
+        return collection;
+    }
+
+    removeCollection(id) {
+        return this.collections.delete(id);
+    }
+
+    getCollections() {
+        return Array.from(this.collections.values());
+    }
+
+    getCollection(id) {
+        return this.collections.get(id) || null;
+    }
+
+    /**
+     * Runs a collection and stores the run in the replay history
+     * @param {string} id - Collection ID
+     * @param {Object} options - mode, subdomain: tunnel for every step,
+     *   variables: merged over the collection's, stopOnFailure (sequence
+     *   runs, default true), record: false keeps the run out of the
+     *   history and logs quietly (load tests), direct: false fails steps
+     *   whose tunnel is gone instead of replaying directly
+     * @returns {Promise<Object|null>} Run record, null if unknown
+     * @throws {Error} When the options are invalid
+     */
+    async runCollection(id, { mode, subdomain, variables = {}, stopOnFailure = true, record = true, direct = true } = {}) {
+        const collection = this.collections.get(id);
+        if (!collection) return null;
+
+        const runMode = mode || collection.mode;
+        this.validateMode(runMode);
+        this.validateVariables(variables);
+
+        const run = {
+            replayId: generateRequestId(),
+            type: 'collection',
+            collectionId: collection.id,
+            name: collection.name,
+            mode: runMode,
+            subdomain: subdomain || collection.subdomain,
+            replayedAt: new Date().toISOString(),
+            variables: { ...collection.variables, ...variables },
+            steps: collection.steps.map(step => ({
+                stepId: step.id,
+                requestId: step.requestId,
+                status: 'pending',
+                replay: null,
+                extracted: {},
+                error: null,
+                duration: 0,
+            })),
+            duration: 0,
+            success: false,
+        };
+
+        const startTime = Date.now();
+        this.emit('runStarted', { runId: run.replayId, collectionId: collection.id });
+        const log = record ? 'info' : 'debug';
+        this.logger[log](`Running replay collection: ${collection.id}`, { mode: runMode, steps: run.steps.length });
+
+        if (runMode === 'parallel') {
+            await Promise.all(collection.steps.map((step, index) => this.runStep(run, step, run.steps[index], direct)));
+        } else {
+            for (const [index, step] of collection.steps.entries()) {
+                const result = run.steps[index];
+                await this.runStep(run, step, result, direct);
+                if (result.status === 'failed' && stopOnFailure) {
+                    for (const skipped of run.steps.slice(index + 1)) {
+                        skipped.status = 'skipped';
+                    }
+                    break;
+                }
+            }
+        }
+
+        run.duration = Date.now() - startTime;
+        run.success = run.steps.every(result => result.status === 'passed');
+        if (record) {
+            this.replayService.addToHistory(run);
+        }
+
+        this.emit('runCompleted', run);
+        this.logger[log](`Replay collection finished: ${collection.id}`, {
+            success: run.success,
+            duration: run.duration,
+        });
+        return run;
+    }
+
+    /**
+     * Replays one step with the run's variables filled in
+     *
+     * A step passes when the replay succeeds and every variable it
+     * extracts is found.
+     */
+    async runStep(run, step, result, direct = true) {
+        const startTime = Date.now();
+        try {
+            const { body, ...edits } = step.modifications;
+            const modifications = interpolate(edits, run.variables, false);
+            if (body !== undefined) {
+                modifications.body = interpolate(body, run.variables, true);
+            }
+            result.replay = await this.replayService.replayRequest(step.requestId, modifications, {
+                subdomain: run.subdomain,
+                record: false,
+                direct,
+            });
+
+            for (const [name, source] of Object.entries(step.extract)) {
+                const value = extractValue(result.replay.response, source);
+                if (value === undefined) {
+                    throw new Error(`Variable ${name}: ${describeSource(source)} not found in the response`);
+                }
+                result.extracted[name] = value;
+                run.variables[name] = value;
+            }
+
+            result.status = result.replay.success ? 'passed' : 'failed';
+            if (!result.replay.success) {
+                result.error = `Status ${result.replay.response?.statusCode}`;
+            }
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+        }
+
+        result.duration = Date.now() - startTime;
+        this.emit('stepCompleted', { runId: run.replayId, ...result, replay: undefined });
+    }
+
+    /**
+     * Stored runs of a collection, newest first
+     */
+    getRuns(id, limit = 20) {
+        return this.replayService.getHistory(this.replayService.maxHistory)
+            .filter(record => record.type === 'collection' && record.collectionId === id)
+            .slice(0, limit);
+    }
+
+    /**
+     * Validates a step and parses its extract sources
+     */
+    normalizeStep(step, index) {
+        const at = `steps[${index}]`;
+        if (!step || typeof step !== 'object') {
+            throw new Error(`${at} must be an object`);
+        }
+        if (typeof step.requestId !== 'string' || !step.requestId) {
+            throw new Error(`${at}.requestId is required`);
+        }
+        if (!this.inspectorService.getTrafficById(step.requestId)) {
+            throw new Error(`${at}: request ${step.requestId} not found in traffic history`);
+        }
+
+        const { modifications = {}, extract = {} } = step;
+        if (!modifications || typeof modifications !== 'object' || Array.isArray(modifications)) {
+            throw new Error(`${at}.modifications must be an object`);
+        }
+        if (!extract || typeof extract !== 'object' || Array.isArray(extract)) {
+            throw new Error(`${at}.extract must map variable names to sources`);
+        }
+
+        const sources = {};
+        for (const [name, source] of Object.entries(extract)) {
+            if (!VARIABLE_NAME.test(name)) {
+                throw new Error(`${at}.extract: invalid variable name ${name}`);
+            }
+            sources[name] = this.parseSource(source, `${at}.extract.${name}`);
+        }
+
+        return {
+            id: step.id || `step${index + 1}`,
+            requestId: step.requestId,
+            modifications,
+            extract: sources,
+        };
+    }
+
+    /**
+     * Extract sources: '$.path' (response JSON), 'header.<name>', 'status',
+     * or { from, path, name, pattern } where the pattern's first group
+     * (or whole match) narrows the value
+     */
+    parseSource(source, at) {
+        let spec = source;
+        if (typeof source === 'string') {
+            if (source === 'status') spec = { from: 'status' };
+            else if (source.startsWith('header.')) spec = { from: 'header', name: source.slice(7) };
+            else spec = { from: 'body', path: source };
+        }
+        if (!spec || typeof spec !== 'object') {
+            throw new Error(`${at} must be a JSON path, header.<name>, status or an object`);
+        }
+
+        const { from, path = '$', name, pattern } = spec;
+        const parsed = { from, path: null, name: null, pattern: null };
+
+        switch (from) {
+            case 'body':
+                try {
+                    parseJsonPath(path);
+                } catch (error) {
+                    throw new Error(`${at}: ${error.message}`);
+                }
+                parsed.path = path;
+                break;
+            case 'header':
+                if (typeof name !== 'string' || !name) {
+                    throw new Error(`${at}: a header source needs a name`);
+                }
+                parsed.name = name.toLowerCase();
+                break;
+            case 'status':
+                break;
+            default:
+                throw new Error(`${at}.from must be one of: body, header, status`);
+        }
+
+        if (pattern !== undefined) {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                throw new Error(`${at}: invalid pattern: ${error.message}`);
+            }
+            parsed.pattern = pattern;
+        }
+        return parsed;
+    }
+
+    validateMode(mode) {
+        if (!RUN_MODES.includes(mode)) {
+            throw new Error(`Mode must be one of: ${RUN_MODES.join(', ')}`);
+        }
+    }
+
+    validateVariables(variables) {
+        if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+            throw new Error('Variables must be an object');
+        }
+        for (const name of Object.keys(variables)) {
+            if (!VARIABLE_NAME.test(name)) {
+                throw new Error(`Invalid variable name: ${name}`);
+            }
+        }
+    }
+}
+
+/**
+ * Fills {{name}} placeholders in strings, recursing into objects and
+ * arrays. With keepTypes (bodies) a string that is a single placeholder
+ * takes the variable's value as is, so numbers and objects keep their type.
+ * @throws {Error} When a placeholder names an unknown variable
+ */
+function interpolate(value, variables, keepTypes) {
+    if (typeof value === 'string') {
+        const whole = /^\{\{\s*([A-Za-z_][\w-]*)\s*\}\}$/.exec(value);
+        if (whole && keepTypes) {
+            return lookup(variables, whole[1]);
+        }
+        return value.replace(PLACEHOLDER, (match, name) => {
+            const found = lookup(variables, name);
+            return typeof found === 'string' ? found : JSON.stringify(found);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => interpolate(item, variables, keepTypes));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = interpolate(item, variables, keepTypes);
+        }
+        return result;
+    }
+    return value;
+}
+
+function lookup(variables, name) {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+        throw new Error(`Unknown variable {{${name}}}`);
+    }
+    return variables[name];
+}
+
+/**
+ * Reads an extract source from a replay response
+ * @returns {*} The value, undefined when missing
+ */
+function extractValue(response, source) {
+    if (!response) return undefined;
+
+    let value;
+    if (source.from === 'status') {
+        value = response.statusCode;
+    } else if (source.from === 'header') {
+        const entry = Object.entries(response.headers || {}).find(([key]) => key.toLowerCase() === source.name);
+        value = entry ? entry[1] : undefined;
+    } else {
+        value = response.body;
+        for (const segment of parseJsonPath(source.path)) {
+            if (value === null || typeof value !== 'object') return undefined;
+            value = typeof segment === 'number' && segment < 0 && Array.isArray(value)
+                ? value[value.length + segment]
+                : value[segment];
+        }
+    }
+    if (value === undefined || value === null) return undefined;
+    if (source.pattern === null) return value;
+
+    // Patterns search each value of a repeated header (e.g. set-cookie)
+    const regex = new RegExp(source.pattern);
+    for (const item of Array.isArray(value) ? value : [value]) {
+        const text = typeof item === 'string' ? item : JSON.stringify(item);
+        const match = regex.exec(text);
+        if (match) return match[1] !== undefined ? match[1] : match[0];
+    }
+    return undefined;
+}
+
+function describeSource(source) {
+    if (source.from === 'body') return source.path;
+    if (source.from === 'header') return `header ${source.name}`;
+    return 'status';
+}
+
+module.exports = ReplayCollectionService;
@@ -4,28 +4,33 @@
  * Handles:
  * - Store complete real request objects from inspector
  * - Replay through actual WebSocket tunnel to CLI client
- * - Real HTTP forwarding to local server
+ * - Direct HTTP(S) replay to the gateway or an explicit target URL
  * - Track replay history with full request/response data
- * - Export as curl commands
  */
 
+const http = require('http');
+const https = require('https');
 const {
     createLogger,
     generateRequestId,
     createHttpRequestMessage,
-    serializeMessage,
     decodeBody,
+    encodeBodyText,
     createDeferred,
     TUNNEL_CONFIG,
 } = require('../../shared/src');
 
 class ReplayService {
-    constructor(inspectorService, tunnelManager, requestForwarder) {
+    constructor(inspectorService, tunnelManager, requestForwarder, config = {}) {
         this.logger = createLogger({ name: 'ReplayService' });
         this.inspectorService = inspectorService;
         this.tunnelManager = tunnelManager;
         this.requestForwarder = requestForwarder;
 
+        // Direct replays without a target go back through this gateway
+        this.httpPort = config.httpPort || 80;
+        this.publicDomain = config.publicDomain || 'localhost';
+
         // Store replay history with complete request/response
         this.replayHistory = [];
         this.maxHistory = 100;
@@ -42,11 +47,20 @@ class ReplayService {
      * 5. CLI client makes real HTTP request to local server
      * 6. Return complete response
      * 
+     * Without a tunnel the request is sent directly to the gateway's
+     * public address for the subdomain (see replayDirect).
+     * 
      * @param {string} requestId - Original request ID to replay
      * @param {object} modifications - Optional modifications to the request
+     * @param {object} options - subdomain: tunnel to replay through instead
+     *   of the original one; target: http(s) base URL to send the request
+     *   to directly, skipping the tunnel (e.g. a staging server); insecure:
+     *   accept self-signed target certificates; record: false keeps it out
+     *   of the history (and logs at debug level); direct: false fails
+     *   instead of falling back to a direct replay when the tunnel is gone
      * @returns {Promise<object>} Replay result with real response
      */
-    async replayRequest(requestId, modifications = {}) {
+    async replayRequest(requestId, modifications = {}, options = {}) {
         // Get original request from inspector (real stored data)
         const original = this.inspectorService.getTrafficById(requestId);
 
@@ -54,16 +68,24 @@ class ReplayService {
             throw new Error(`Request ${requestId} not found in traffic history`);
         }
 
-        const originalRequest = original.request || {};
-        const subdomain = original.subdomain;
+        const subdomain = options.subdomain || original.subdomain;
+        const record = options.record !== false;
+
+        if (options.target) {
+            const target = this.parseTarget(options.target);
+            return this.replayDirect(original, modifications, { subdomain, target, insecure: options.insecure, record });
+        }
 
         // Find active tunnel for this subdomain
         const tunnel = this.tunnelManager.getTunnelBySubdomain(subdomain);
 
+        if (!tunnel && options.direct === false) {
+            throw new Error(`Tunnel ${subdomain} not found`);
+        }
+
         if (!tunnel) {
-            // Tunnel not found - try direct HTTP if available
-            this.logger.warn(`Tunnel ${subdomain} not found, attempting direct replay`);
-            return this.replayDirect(original, modifications);
+            this.logger.warn(`Tunnel ${subdomain} not found, replaying through the gateway`);
+            return this.replayDirect(original, modifications, { subdomain, record });
         }
 
         // Verify WebSocket is connected
@@ -76,7 +98,7 @@ class ReplayService {
         const replayRequestId = generateRequestId();
         const startTime = Date.now();
 
-        this.logger.info('Replaying through tunnel', {
+        this.logger[record ? 'info' : 'debug']('Replaying through tunnel', {
             originalId: requestId,
             replayId: replayRequestId,
             method: replayConfig.method,
@@ -87,6 +109,7 @@ class ReplayService {
         try {
             // Create HTTP request message for WebSocket
             const requestMessage = createHttpRequestMessage({
+                tunnelId: tunnel.tunnelId,
                 requestId: replayRequestId,
                 method: replayConfig.method,
                 path: replayConfig.path,
@@ -119,28 +142,12 @@ class ReplayService {
             });
 
             // Send through WebSocket to CLI client
-            tunnel.ws.send(serializeMessage(requestMessage));
+            tunnel.send(requestMessage);
 
             // Wait for response from CLI client
             const response = await promise;
             const duration = Date.now() - startTime;
 
-            // Decode response body for display
-            let decodedBody = null;
-            if (response.body) {
-                try {
-                    const buffer = decodeBody(response.body, response.bodyEncoding || 'base64');
-                    const bodyStr = buffer.toString('utf8');
-                    try {
-                        decodedBody = JSON.parse(bodyStr);
-                    } catch {
-                        decodedBody = bodyStr;
-                    }
-                } catch {
-                    decodedBody = response.body;
-                }
-            }
-
             // Create complete replay record
             const replayRecord = {
                 replayId: replayRequestId,
@@ -151,13 +158,7 @@ class ReplayService {
                 replayedVia: 'tunnel',
 
                 // Complete request data
-                request: {
-                    method: replayConfig.method,
-                    path: replayConfig.path,
-                    headers: replayConfig.headers,
-                    body: replayConfig.decodedBody,
-                    query: replayConfig.query,
-                },
+                request: this.describeRequest(replayConfig),
 
                 // Modifications applied
                 modifications: Object.keys(modifications).length > 0 ? modifications : null,
@@ -166,7 +167,7 @@ class ReplayService {
                 response: {
                     statusCode: response.statusCode,
                     headers: response.headers,
-                    body: decodedBody,
+                    body: this.displayBody(decodeBody(response.body, response.bodyEncoding || 'base64')),
                     rawBody: response.body,
                 },
 
@@ -175,9 +176,11 @@ class ReplayService {
             };
 
             // Store in history
-            this.addToHistory(replayRecord);
+            if (record) {
+                this.addToHistory(replayRecord);
+            }
 
-            this.logger.info('Replay completed', {
+            this.logger[record ? 'info' : 'debug']('Replay completed', {
                 replayId: replayRequestId,
                 statusCode: response.statusCode,
                 duration,
@@ -194,167 +197,223 @@ class ReplayService {
                 replayedAt: new Date().toISOString(),
                 subdomain,
                 replayedVia: 'tunnel',
-                request: {
-                    method: replayConfig.method,
-                    path: replayConfig.path,
-                    headers: replayConfig.headers,
-                    body: replayConfig.decodedBody,
-                },
+                request: this.describeRequest(replayConfig),
                 response: null,
                 error: error.message,
                 duration,
                 success: false,
             };
 
-            this.addToHistory(errorRecord);
+            if (record) {
+                this.addToHistory(errorRecord);
+            }
 
             throw error;
         }
     }
 
     /**
-     * Direct replay when tunnel is not available (fallback)
+     * Sends a replay over plain HTTP(S) instead of a tunnel
+     * 
+     * With a target URL the request goes there, under the target's path.
+     * Otherwise it goes to this gateway's own listener with the tunnel's
+     * public Host header, as if a client had sent it again.
+     * The record's replayedVia ('target' or 'gateway') and targetUrl say
+     * where it went.
      */
-    async replayDirect(original, modifications) {
-        const http = require('http');
-        const { URL } = require('url');
-
+    async replayDirect(original, modifications, {
+        subdomain = original.subdomain,
+        target = null,
+        insecure = false,
+        record = true,
+    } = {}) {
         const replayConfig = this.buildReplayRequest(original, modifications);
         const replayRequestId = generateRequestId();
-        const startTime = Date.now();
+        const replayedVia = target ? 'target' : 'gateway';
+
+        const { url, connectUrl, host } = target
+            ? this.targetUrl(target, replayConfig.path)
+            : this.gatewayUrl(subdomain, replayConfig.path);
+        for (const [name, value] of Object.entries(modifications.query || {})) {
+            url.searchParams.set(name, String(value));
+            connectUrl.searchParams.set(name, String(value));
+        }
 
-        this.logger.info('Replaying directly (no tunnel)', {
+        const headers = { ...replayConfig.headers, host };
+        if (replayConfig.body) {
+            headers['content-length'] = replayConfig.body.length;
+        }
+
+        this.logger[record ? 'info' : 'debug']('Replaying directly (no tunnel)', {
             originalId: original.requestId,
+            replayId: replayRequestId,
             method: replayConfig.method,
-            path: replayConfig.path,
+            url: url.toString(),
         });
 
-        return new Promise((resolve, reject) => {
-            const url = new URL(replayConfig.path, `http://${original.subdomain}.localhost:3000`);
+        const startTime = Date.now();
+        const result = {
+            replayId: replayRequestId,
+            originalRequestId: original.requestId,
+            replayedAt: new Date().toISOString(),
+            subdomain,
+            replayedVia,
+            targetUrl: url.toString(),
+            request: this.describeRequest(replayConfig),
+            modifications: Object.keys(modifications).length > 0 ? modifications : null,
+        };
 
-            const options = {
-                hostname: 'localhost',
-                port: 3000,
-                path: url.pathname + url.search,
+        try {
+            const response = await this.sendDirect(connectUrl, {
                 method: replayConfig.method,
-                headers: {
-                    ...replayConfig.headers,
-                    'host': `${original.subdomain}.localhost:3000`,
+                headers,
+                body: replayConfig.body,
+                servername: url.hostname,
+                rejectUnauthorized: !insecure,
+            });
+
+            Object.assign(result, {
+                response: {
+                    statusCode: response.statusCode,
+                    headers: response.headers,
+                    body: this.displayBody(response.body),
+                    rawBody: response.body.length > 0 ? response.body.toString('base64') : null,
                 },
-            };
+                duration: Date.now() - startTime,
+                success: response.statusCode >= 200 && response.statusCode < 400,
+            });
 
-            const req = http.request(options, (res) => {
+            if (record) {
+                this.addToHistory(result);
+            }
+            return result;
+        } catch (error) {
+            Object.assign(result, {
+                response: null,
+                error: error.message,
+                duration: Date.now() - startTime,
+                success: false,
+            });
+            if (record) {
+                this.addToHistory(result);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * One HTTP(S) request with the whole response body buffered
+     */
+    sendDirect(url, { method, headers, body, servername, rejectUnauthorized }) {
+        const transport = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, { method, headers, servername, rejectUnauthorized }, (res) => {
                 const chunks = [];
                 res.on('data', chunk => chunks.push(chunk));
-                res.on('end', () => {
-                    const duration = Date.now() - startTime;
-                    const body = Buffer.concat(chunks);
-
-                    let decodedBody;
-                    try {
-                        decodedBody = JSON.parse(body.toString('utf8'));
-                    } catch {
-                        decodedBody = body.toString('utf8');
-                    }
-
-                    const record = {
-                        replayId: replayRequestId,
-                        originalRequestId: original.requestId,
-                        replayedAt: new Date().toISOString(),
-                        subdomain: original.subdomain,
-                        replayedVia: 'direct',
-                        request: {
-                            method: replayConfig.method,
-                            path: replayConfig.path,
-                            headers: replayConfig.headers,
-                            body: replayConfig.decodedBody,
-                        },
-                        response: {
-                            statusCode: res.statusCode,
-                            headers: res.headers,
-                            body: decodedBody,
-                        },
-                        duration,
-                        success: res.statusCode >= 200 && res.statusCode < 400,
-                    };
-
-                    this.addToHistory(record);
-                    resolve(record);
-                });
+                res.on('end', () => resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks),
+                }));
+                res.on('error', reject);
             });
 
-            req.on('error', (error) => {
-                const duration = Date.now() - startTime;
-                const record = {
-                    replayId: replayRequestId,
-                    originalRequestId: original.requestId,
-                    replayedAt: new Date().toISOString(),
-                    subdomain: original.subdomain,
-                    replayedVia: 'direct',
-                    request: replayConfig,
-                    response: null,
-                    error: error.message,
-                    duration,
-                    success: false,
-                };
-                this.addToHistory(record);
-                reject(error);
+            req.on('error', reject);
+            req.setTimeout(TUNNEL_CONFIG.REQUEST_TIMEOUT, () => {
+                req.destroy(new Error('Direct replay timeout'));
             });
 
-            req.setTimeout(30000, () => {
-                req.destroy();
-                reject(new Error('Direct replay timeout'));
-            });
+            req.end(body || undefined);
+        });
+    }
 
-            if (replayConfig.body) {
-                const bodyStr = typeof replayConfig.body === 'string'
-                    ? replayConfig.body
-                    : JSON.stringify(replayConfig.body);
-                req.write(bodyStr);
-            }
+    /**
+     * Validates an explicit replay target
+     * @throws {Error} Unless it is an absolute http(s) URL
+     */
+    parseTarget(target) {
+        let url;
+        try {
+            url = new URL(target);
+        } catch {
+            throw new Error(`Invalid target URL: ${target}`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error(`Target must be an http or https URL, got ${url.protocol}`);
+        }
+        return url;
+    }
 
-            req.end();
-        });
+    /**
+     * The request path under the target's own path
+     */
+    targetUrl(target, path) {
+        const basePath = target.pathname.replace(/\/+$/, '');
+        const url = new URL(basePath + path, target.origin);
+        return { url, connectUrl: new URL(url), host: url.host };
+    }
+
+    /**
+     * The tunnel's public URL, reached through this gateway's listener
+     */
+    gatewayUrl(subdomain, path) {
+        const port = this.httpPort !== 80 && this.httpPort !== 443 ? `:${this.httpPort}` : '';
+        const host = `${subdomain}.${this.publicDomain}${port}`;
+        return {
+            url: new URL(path, `http://${host}`),
+            connectUrl: new URL(path, `http://127.0.0.1:${this.httpPort}`),
+            host,
+        };
+    }
+
+    /**
+     * Body for display: parsed JSON, text, or base64 when binary
+     */
+    displayBody(buffer) {
+        const { body, bodyEncoding } = encodeBodyText(buffer);
+        if (bodyEncoding === 'base64' || body === null) return body;
+        try {
+            return JSON.parse(body);
+        } catch {
+            return body;
+        }
+    }
+
+    /**
+     * Request data as kept in a replay record
+     */
+    describeRequest(replayConfig) {
+        return {
+            method: replayConfig.method,
+            path: replayConfig.path,
+            headers: replayConfig.headers,
+            body: replayConfig.decodedBody,
+            bodyEncoding: replayConfig.bodyEncoding,
+            query: replayConfig.query,
+        };
     }
 
     /**
      * Builds replay request from original with modifications
+     * 
+     * body is the raw bytes to send: the captured body (base64 when it
+     * was binary) or modifications.body (a string, base64 with
+     * bodyEncoding: 'base64', or JSON for anything else)
      */
     buildReplayRequest(original, modifications) {
         const req = original.request || {};
-
-        // Decode original body if needed
-        let decodedBody = null;
-        if (req.parsedBody) {
-            decodedBody = req.parsedBody;
-        } else if (req.body) {
-            try {
-                if (typeof req.body === 'string') {
-                    try {
-                        const decoded = Buffer.from(req.body, 'base64').toString('utf8');
-                        decodedBody = JSON.parse(decoded);
-                    } catch {
-                        try {
-                            decodedBody = JSON.parse(req.body);
-                        } catch {
-                            decodedBody = req.body;
-                        }
-                    }
-                } else {
-                    decodedBody = req.body;
-                }
-            } catch {
-                decodedBody = req.body;
-            }
-        }
+        const bodyEncoding = req.bodyEncoding === 'base64' ? 'base64' : 'utf8';
+        const body = req.body ? Buffer.from(req.body, bodyEncoding) : null;
 
         // Build base config from real stored request
-        let config = {
+        const config = {
             method: req.method || 'GET',
             path: req.path || '/',
             headers: { ...req.headers },
-            body: decodedBody ? Buffer.from(JSON.stringify(decodedBody)) : null,
-            decodedBody,
+            body,
+            decodedBody: this.displayBody(body),
+            bodyEncoding,
             query: req.query || {},
         };
 
@@ -372,21 +431,26 @@ class ReplayService {
         }
 
         if (modifications.body !== undefined) {
+            const base64 = modifications.bodyEncoding === 'base64' && typeof modifications.body === 'string';
             config.decodedBody = modifications.body;
-            config.body = modifications.body ? Buffer.from(
-                typeof modifications.body === 'string'
-                    ? modifications.body
-                    : JSON.stringify(modifications.body)
-            ) : null;
+            config.bodyEncoding = base64 ? 'base64' : 'utf8';
+            if (!modifications.body) {
+                config.body = null;
+            } else if (typeof modifications.body === 'string') {
+                config.body = Buffer.from(modifications.body, config.bodyEncoding);
+            } else {
+                config.body = Buffer.from(JSON.stringify(modifications.body));
+            }
         }
 
         if (modifications.query) {
             config.query = { ...config.query, ...modifications.query };
         }
 
-        // Clean headers for replay
+        // Clean headers for replay; the body is sent whole
         const cleanHeaders = { ...config.headers };
         delete cleanHeaders['content-length'];
+        delete cleanHeaders['transfer-encoding'];
         delete cleanHeaders['host'];
         delete cleanHeaders['connection'];
         config.headers = cleanHeaders;
@@ -394,51 +458,6 @@ class ReplayService {
         return config;
     }
 
-    /**
-     * Generates a curl command for a request
-     */
-    generateCurl(requestId) {
-        const traffic = this.inspectorService.getTrafficById(requestId);
-
-        if (!traffic) {
-            throw new Error(`Request ${requestId} not found`);
-        }
-
-        const req = traffic.request || {};
-        const subdomain = traffic.subdomain;
-
-        let curl = `curl -X ${req.method || 'GET'}`;
-
-        // Add headers
-        if (req.headers) {
-            Object.entries(req.headers).forEach(([key, value]) => {
-                if (!['host', 'content-length', 'connection'].includes(key.toLowerCase())) {
-                    curl += ` \\\n  -H '${key}: ${value}'`;
-                }
-            });
-        }
-
-        // Add host header for subdomain
-        if (subdomain) {
-            curl += ` \\\n  -H 'Host: ${subdomain}.localhost:3000'`;
-        }
-
-        // Add body (decode if needed)
-        let body = req.parsedBody || req.body;
-        if (body) {
-            if (typeof body !== 'string') {
-                body = JSON.stringify(body);
-            }
-            curl += ` \\\n  -d '${body.replace(/'/g, "\\'")}'`;
-        }
-
-        // Add URL
-        const url = `http://localhost:3000${req.path || '/'}`;
-        curl += ` \\\n  '${url}'`;
-
-        return curl;
-    }
-
     /**
      * Adds replay to history
      */
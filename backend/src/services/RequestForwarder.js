@@ -4,27 +4,49 @@
  * Handles:
  * - Raw HTTP request acceptance
  * - Full request serialization over WebSocket
+ * - Request body streaming to the CLI client
  * - Response streaming back to client
  * - Concurrent request tracking
  * - Binary data support
+ * - Traffic control (pause, chaos, modification rules, mocks, throttling)
+ * - Bandwidth shaping: bodies are read and written at the link rate
+ * - Seeded chaos scenarios (status, latency, drop, reset, truncate faults)
+ * - Breakpoints that hold a request or response for editing
  */
 
 const {
     createLogger,
     generateRequestId,
     createHttpRequestMessage,
+    createHttpRequestChunkMessage,
+    createHttpRequestEndMessage,
+    createHttpResponsePauseMessage,
+    createHttpResponseResumeMessage,
+    createHttpRequestCancelMessage,
+    Capability,
     MessageType,
-    serializeMessage,
     decodeBody,
+    encodeBodyText,
+    chunkBuffer,
+    MAX_CHUNK_SIZE,
     TUNNEL_CONFIG,
     ERROR_CODES,
     createDeferred,
 } = require('../../shared/src');
 
 class RequestForwarder {
-    constructor(tunnelManager, inspectorService) {
+    constructor(
+        tunnelManager,
+        inspectorService,
+        trafficControlService = null,
+        breakpointService = null,
+        chaosScenarioService = null
+    ) {
         this.tunnelManager = tunnelManager;
         this.inspectorService = inspectorService;
+        this.trafficControlService = trafficControlService;
+        this.breakpointService = breakpointService;
+        this.chaosScenarioService = chaosScenarioService;
         this.logger = createLogger({ name: 'RequestForwarder' });
 
         // Track active requests for streaming
@@ -41,6 +63,14 @@ class RequestForwarder {
      * 4. CLI client makes real HTTP request to local server
      * 5. CLI client sends response back over WebSocket
      * 6. Gateway streams response to original HTTP client
+     *
+     * Streaming responses (http:response with streaming: true) are written
+     * to the client as chunks arrive, so the request timeout only covers
+     * the time until the response headers are received.
+     *
+     * Large or chunked request bodies are streamed the other way with
+     * http:request:chunk / http:request:end, and the timeout starts once
+     * the last chunk has been sent.
      */
     async forwardRequest({ subdomain, req, res }) {
         const requestId = generateRequestId();
@@ -58,6 +88,12 @@ class RequestForwarder {
             });
         }
 
+        // CLI is reconnecting: hold the request until it resumes or the grace period ends
+        if (tunnel.isDetached()) {
+            this.logger.debug(`Holding request for detached tunnel: ${subdomain}`);
+            await tunnel.waitUntilAttached();
+        }
+
         // Verify WebSocket is connected
         if (tunnel.ws.readyState !== 1) {
             this.logger.warn(`Tunnel WebSocket not ready: ${subdomain}`);
@@ -68,20 +104,13 @@ class RequestForwarder {
         }
 
         try {
-            // Collect raw body (already parsed as Buffer by Express)
-            const rawBody = req.body && req.body.length > 0 ? req.body : null;
+            // Small bodies with a known length travel inline; everything
+            // else is piped to the CLI client in bounded chunks
+            const streamBody = this.shouldStreamBody(req, tunnel);
+            const uplink = this.getLink(tunnel, req, 'uplink');
+            const rawBody = this.hasRequestBody(req) && !streamBody ? await this.readBody(req, uplink) : null;
 
-            // Build complete HTTP request message
-            const requestMessage = createHttpRequestMessage({
-                requestId,
-                method: req.method,
-                path: req.originalUrl,
-                headers: this.sanitizeRequestHeaders(req.headers),
-                body: rawBody,
-                query: req.query,
-            });
-
-            // Record for inspection/debugging
+            // Record for inspection/debugging (as received from the public client)
             const inspectData = {
                 requestId,
                 tunnelId: tunnel.tunnelId,
@@ -89,39 +118,102 @@ class RequestForwarder {
                 method: req.method,
                 path: req.originalUrl,
                 headers: { ...req.headers },
-                body: rawBody ? rawBody.toString('utf8') : null,
+                ...encodeBodyText(rawBody),
                 query: req.query,
                 timestamp: Date.now(),
                 clientIp: req.ip || req.connection?.remoteAddress,
             };
-            this.inspectorService.recordRequest(inspectData);
+            if (tunnel.inspect) {
+                this.inspectorService.recordRequest(inspectData);
+            }
+            if (uplink && rawBody) {
+                this.recordShaped(tunnel, requestId, uplink, rawBody.length);
+            }
+
+            // Traffic control may hold, drop, rewrite or delay the request
+            const outgoing = await this.applyRequestControls({ requestId, tunnel, req, res, rawBody, streamBody });
+            if (req.socket?.destroyed) {
+                throw Object.assign(new Error('Client closed connection'), { code: 'CLIENT_CLOSED' });
+            }
+
+            // Answered by a mock, a chaos fault or at a breakpoint: the CLI never sees the request
+            const downlink = this.getLink(tunnel, req, 'downlink');
+            if (outgoing.response) {
+                return this.sendGatewayResponse({ requestId, tunnel, res, startTime, outgoing, downlink });
+            }
+
+            await this.ensureAttached(tunnel);
+
+            // Build HTTP request message (body follows in chunks when streaming)
+            const requestMessage = createHttpRequestMessage({
+                tunnelId: tunnel.tunnelId,
+                requestId,
+                method: outgoing.method,
+                path: outgoing.path,
+                headers: outgoing.headers,
+                body: outgoing.body,
+                query: req.query,
+                streaming: outgoing.streaming,
+            });
+
+            // Response rules are known up front; body edits need the whole body
+            const responseRules = this.trafficControlService
+                ? this.trafficControlService.getMatchingModifications(outgoing, tunnel.tunnelId, 'response')
+                : [];
 
             // Create deferred promise for response
             const { promise, resolve, reject } = createDeferred();
 
-            // Set request timeout
-            const timeout = setTimeout(() => {
-                this.cleanupRequest(tunnel, requestId);
-                reject(new Error('Request timeout'));
-            }, TUNNEL_CONFIG.REQUEST_TIMEOUT);
+            // Request timeout, armed once the request body has been sent
+            const timer = { id: null };
+            const armTimeout = () => {
+                timer.id = setTimeout(() => {
+                    this.cleanupRequest(tunnel, requestId);
+                    reject(new Error('Request timeout'));
+                }, TUNNEL_CONFIG.REQUEST_TIMEOUT);
+            };
 
-            // Store pending request with streaming state
+            // Store pending request; the tunnel adds the streaming state
             tunnel.addPendingRequest(requestId, {
                 resolve: (response) => {
-                    clearTimeout(timeout);
+                    clearTimeout(timer.id);
                     resolve(response);
                 },
                 reject: (error) => {
-                    clearTimeout(timeout);
+                    clearTimeout(timer.id);
                     reject(error);
                 },
                 req,
                 res,
                 inspectData,
                 startTime,
-                // Streaming state for chunked responses
-                streaming: false,
-                chunks: [],
+                timer,
+                // Paced writes for a throttled downlink
+                downlink,
+                responseRules,
+                bufferResponse: !!outgoing.fault || responseRules.some(rule => this.editsResponseBody(rule)),
+                // Upload flow control for streamed request bodies
+                uploadPaused: false,
+                socketPaused: false,
+                pacingPaused: false,
+                uplink,
+            });
+
+            // Public client went away before the response finished
+            res.on('close', () => {
+                if (!res.writableEnded && tunnel.getPendingRequest(requestId)) {
+                    tunnel.removePendingRequest(requestId);
+                    if (tunnel.hasCapability(Capability.STREAMING)) {
+                        this.sendToTunnel(tunnel, createHttpRequestCancelMessage({
+                            tunnelId: tunnel.tunnelId,
+                            requestId,
+                        }));
+                    }
+
+                    const err = new Error('Client closed connection');
+                    err.code = 'CLIENT_CLOSED';
+                    reject(err);
+                }
             });
 
             // Track active request
@@ -132,37 +224,77 @@ class RequestForwarder {
             });
 
             // Send request through WebSocket to CLI client
-            tunnel.ws.send(serializeMessage(requestMessage));
+            tunnel.send(requestMessage);
+
+            let requestSize = outgoing.body ? outgoing.body.length : 0;
+
+            if (outgoing.streaming) {
+                this.pipeRequestBody(tunnel, requestId, req)
+                    .then(({ size, captured }) => {
+                        requestSize = size;
+                        if (tunnel.inspect) {
+                            const { body, bodyEncoding } = encodeBodyText(captured);
+                            this.inspectorService.recordRequestBody(requestId, body, size, bodyEncoding);
+                        }
+                        if (uplink && size > 0) {
+                            this.recordShaped(tunnel, requestId, uplink, size);
+                        }
+                        if (tunnel.getPendingRequest(requestId)) {
+                            armTimeout();
+                        }
+                    })
+                    .catch((error) => {
+                        this.logger.debug(`Request body stream failed: ${requestId}`, { error: error.message });
+                    });
+            } else {
+                armTimeout();
+            }
 
             this.logger.debug(`Request tunneled: ${requestId}`, {
                 method: req.method,
                 path: req.originalUrl,
                 subdomain,
-                bodySize: rawBody ? rawBody.length : 0,
+                bodySize: requestSize,
+                streaming: outgoing.streaming,
             });
 
             // Wait for complete response from CLI client
-            const response = await promise;
+            let response = await promise;
+            if (!response.streamed) {
+                response = this.applyResponseModifications(requestId, tunnel, responseRules, response);
+            }
+            response = await this.applyResponseBreakpoint({ requestId, tunnel, res, outgoing, response });
+            response = await this.applyResponseControls(requestId, tunnel, response);
             const responseTime = Date.now() - startTime;
 
             // Record response for inspection
-            this.inspectorService.recordResponse({
-                requestId,
-                tunnelId: tunnel.tunnelId,
-                statusCode: response.statusCode,
-                headers: response.headers,
-                body: response.body,
-                responseTime,
-                timestamp: Date.now(),
-            });
+            if (tunnel.inspect) {
+                this.inspectorService.recordResponse({
+                    requestId,
+                    tunnelId: tunnel.tunnelId,
+                    statusCode: response.statusCode,
+                    headers: response.headers,
+                    body: response.body,
+                    responseTime,
+                    timestamp: Date.now(),
+                });
+            }
 
             // Update tunnel statistics
-            const requestSize = rawBody ? rawBody.length : 0;
-            const responseSize = response.body ? decodeBody(response.body).length : 0;
+            const responseSize = response.streamed
+                ? response.size
+                : (response.body ? decodeBody(response.body).length : 0);
             tunnel.recordRequest(requestSize, responseSize);
 
-            // Send HTTP response to original client
-            this.sendResponse(res, response);
+            // Send HTTP response to original client (streamed ones are already written)
+            if (outgoing.fault) {
+                this.sendFaultyResponse(req, res, response, outgoing.fault);
+            } else if (!response.streamed) {
+                await this.sendResponse(res, response, downlink);
+            }
+            if (downlink && responseSize > 0) {
+                this.recordShaped(tunnel, requestId, downlink, responseSize);
+            }
 
             // Cleanup
             this.activeRequests.delete(requestId);
@@ -170,27 +302,33 @@ class RequestForwarder {
         } catch (error) {
             const responseTime = Date.now() - startTime;
 
-            this.logger.error(`Request tunnel failed: ${requestId}`, {
+            const logLevel = ['CLIENT_CLOSED', 'DROPPED'].includes(error.code) ? 'debug' : 'error';
+            this.logger[logLevel](`Request tunnel failed: ${requestId}`, {
                 error: error.message,
                 subdomain,
             });
 
             // Record error
-            this.inspectorService.recordResponse({
-                requestId,
-                tunnelId: tunnel?.tunnelId,
-                statusCode: error.statusCode || 502,
-                error: error.message,
-                responseTime,
-                timestamp: Date.now(),
-            });
+            if (tunnel.inspect) {
+                this.inspectorService.recordResponse({
+                    requestId,
+                    tunnelId: tunnel.tunnelId,
+                    statusCode: error.statusCode || 502,
+                    error: error.message,
+                    responseTime,
+                    timestamp: Date.now(),
+                });
+            }
 
             // Cleanup
             this.cleanupRequest(tunnel, requestId);
             this.activeRequests.delete(requestId);
 
             // Send error response
-            if (!res.headersSent) {
+            if (error.code === 'DROPPED') {
+                // Chaos drop: the connection dies without a response
+                req.socket?.destroy();
+            } else if (!res.headersSent) {
                 if (error.message === 'Request timeout') {
                     res.status(504).json({
                         error: 'Gateway timeout',
@@ -203,32 +341,706 @@ class RequestForwarder {
                         message: error.message,
                     });
                 }
+            } else if (!res.writableEnded) {
+                // Stream broke mid-body: abort so the client sees a truncated response
+                res.destroy();
             }
         }
     }
 
     /**
-     * Sends HTTP response to the original client
+     * Runs a request through traffic control before it reaches the CLI
+     *
+     * Holds it while traffic is paused, drops it in chaos mode, applies
+     * chaos scenario faults and modification rules, stops at breakpoints
+     * and adds throttle latency, using the tunnel's settings. Each effect
+     * is noted on the inspected traffic entry.
+     * @returns {Promise<Object>} Outgoing { method, path, headers, body,
+     *   streaming }, plus a response when it was answered at the gateway,
+     *   or a fault to apply to the response
+     * @throws {Error} DROPPED / CLIENT_CLOSED when the request ends here
+     */
+    async applyRequestControls({ requestId, tunnel, req, res, rawBody, streamBody }) {
+        const control = this.trafficControlService;
+        const outgoing = {
+            method: req.method,
+            path: req.originalUrl,
+            headers: this.sanitizeRequestHeaders(req.headers),
+            body: rawBody,
+            streaming: streamBody,
+        };
+
+        if (!control) return outgoing;
+
+        // Paused: hold until resume, unless the client gives up first
+        const held = control.waitIfPaused({
+            requestId,
+            tunnelId: tunnel.tunnelId,
+            subdomain: tunnel.subdomain,
+            method: req.method,
+            path: req.originalUrl,
+        });
+        if (held) {
+            const pausedAt = Date.now();
+            const onClose = () => control.dequeue(requestId);
+            res.once('close', onClose);
+            const released = await held;
+            res.off('close', onClose);
+
+            this.recordEffect(tunnel, requestId, { type: 'paused', duration: Date.now() - pausedAt });
+            if (!released) {
+                throw Object.assign(new Error('Client closed connection'), { code: 'CLIENT_CLOSED' });
+            }
+        }
+
+        if (control.shouldDrop(tunnel.tunnelId)) {
+            this.recordEffect(tunnel, requestId, { type: 'dropped' });
+            throw Object.assign(new Error('Connection dropped (chaos mode)'), { code: 'DROPPED' });
+        }
+
+        const scenarioFault = await this.applyScenarioFault({ requestId, tunnel, req, outgoing });
+        if (outgoing.response) return outgoing;
+        if (scenarioFault) {
+            // Reset and truncate happen to the response
+            outgoing.fault = scenarioFault;
+        }
+
+        const rules = control.getMatchingModifications(outgoing, tunnel.tunnelId);
+        if (rules.length) {
+            const modified = control.applyModifications(outgoing, tunnel.tunnelId);
+            const changes = {};
+
+            if (modified.path !== outgoing.path) {
+                changes.path = modified.path;
+                outgoing.path = modified.path;
+            }
+            if (modified.headers !== outgoing.headers) {
+                changes.headers = rules.flatMap(rule => Object.keys(rule.modification?.headers || {}));
+                outgoing.headers = modified.headers;
+            }
+            if (rules.some(rule => rule.modification?.body !== undefined)) {
+                this.replaceRequestBody(req, outgoing, this.toBodyBuffer(modified.body));
+                changes.body = outgoing.body ? outgoing.body.length : 0;
+            }
+
+            this.recordEffect(tunnel, requestId, {
+                type: 'modified',
+                direction: 'request',
+                rules: rules.map(rule => rule.id),
+                changes,
+            });
+        }
+
+        const mock = control.getMock(outgoing, tunnel.tunnelId);
+        if (mock) {
+            if (mock.delay > 0) {
+                await control.delay(mock.delay);
+            }
+            this.recordEffect(tunnel, requestId, {
+                type: 'mocked',
+                rule: mock.rule.id,
+                statusCode: mock.response.statusCode,
+                delay: mock.delay,
+            });
+            if (outgoing.streaming) req.resume();
+            outgoing.response = this.toTunnelResponse(mock.response);
+            return outgoing;
+        }
+
+        const decision = await this.waitAtBreakpoint('request', { requestId, tunnel, res, request: outgoing });
+        if (decision?.action === 'respond') {
+            // Mocked at the gateway: discard the body and skip the network
+            if (outgoing.streaming) req.resume();
+            outgoing.response = this.toTunnelResponse(decision.response);
+            return outgoing;
+        }
+        if (decision?.request) {
+            const { body, ...edits } = decision.request;
+            Object.assign(outgoing, edits);
+            if (body !== undefined) {
+                this.replaceRequestBody(req, outgoing, body);
+            }
+        }
+
+        // Bodies are paced by the link; this is the latency (and jitter)
+        const delay = await this.throttle(tunnel, requestId);
+        if (delay > 0) {
+            this.recordEffect(tunnel, requestId, {
+                type: 'throttled',
+                direction: 'request',
+                profile: control.getThrottleConfig(tunnel.tunnelId).profile,
+                delay: Math.round(delay),
+            });
+        }
+
+        return outgoing;
+    }
+
+    /**
+     * Applies the fault a running chaos scenario picked for this request
+     *
+     * Status faults answer at the gateway, latency waits, drop ends the
+     * request here.
+     * @returns {Promise<Object|null>} Reset or truncate fault for the response
+     * @throws {Error} DROPPED
+     */
+    async applyScenarioFault({ requestId, tunnel, req, outgoing }) {
+        const scenarios = this.chaosScenarioService;
+        if (!scenarios) return null;
+
+        const result = scenarios.evaluate({ ...outgoing, requestId }, tunnel.tunnelId);
+        if (!result) return null;
+
+        const { fault } = result;
+        this.recordEffect(tunnel, requestId, {
+            type: 'chaos',
+            scenario: result.scenario,
+            rule: result.rule,
+            match: result.match,
+            fault,
+        });
+
+        switch (fault.type) {
+            case 'drop':
+                throw Object.assign(new Error('Connection dropped (chaos scenario)'), { code: 'DROPPED' });
+            case 'latency':
+                await this.trafficControlService.delay(fault.delay);
+                return null;
+            case 'status':
+                if (outgoing.streaming) req.resume();
+                outgoing.response = this.toTunnelResponse({
+                    statusCode: fault.statusCode,
+                    headers: fault.headers,
+                    body: this.toBodyBuffer(fault.body),
+                });
+                return null;
+            default:
+                return fault;
+        }
+    }
+
+    /**
+     * Sends a buffered response broken by a chaos fault
+     *
+     * truncate: a complete-looking response with only the first part of the
+     * body. reset: the full length is announced, then the connection is
+     * reset (RST, so the client sees ECONNRESET) after the first part.
+     */
+    sendFaultyResponse(req, res, response, fault) {
+        const body = response.body ? decodeBody(response.body, response.bodyEncoding || 'base64') : Buffer.alloc(0);
+        const part = body.subarray(0, Math.floor(body.length * fault.ratio));
+
+        // Skip gateway compression so the cut lands where the ratio puts it
+        req.headers['accept-encoding'] = 'identity';
+
+        this.writeHead(res, response.statusCode, response.headers);
+        if (fault.type === 'truncate') {
+            res.send(part);
+            return;
+        }
+
+        res.set('Content-Length', String(body.length));
+        res.write(part, () => {
+            const { socket } = res;
+            if (socket?.resetAndDestroy) socket.resetAndDestroy();
+            else socket?.destroy();
+        });
+    }
+
+    /**
+     * Applies response modification rules to a complete response
+     */
+    applyResponseModifications(requestId, tunnel, rules, response) {
+        if (!rules.length) return response;
+
+        const body = response.body ? decodeBody(response.body, response.bodyEncoding || 'base64') : null;
+        const { response: modified, changes } = this.trafficControlService.applyResponseModifications(
+            { statusCode: response.statusCode, headers: response.headers, body },
+            rules,
+            tunnel.tunnelId
+        );
+        this.recordResponseModified(tunnel, requestId, rules, changes);
+
+        if (!changes.body) {
+            return { ...response, statusCode: modified.statusCode, headers: modified.headers };
+        }
+        return this.toTunnelResponse(modified);
+    }
+
+    /**
+     * Whether a rule replaces or patches the response body
+     */
+    editsResponseBody(rule) {
+        const edits = rule.modification.response || {};
+        return edits.body !== undefined || edits.patch !== undefined;
+    }
+
+    recordResponseModified(tunnel, requestId, rules, changes) {
+        this.recordEffect(tunnel, requestId, {
+            type: 'modified',
+            direction: 'response',
+            rules: rules.map(rule => rule.id),
+            changes,
+        });
+    }
+
+    /**
+     * Stops a buffered response at a matching breakpoint
+     * (streamed responses are already on their way to the client)
+     */
+    async applyResponseBreakpoint({ requestId, tunnel, res, outgoing, response }) {
+        if (response.streamed) return response;
+
+        const decision = await this.waitAtBreakpoint('response', {
+            requestId,
+            tunnel,
+            res,
+            request: outgoing,
+            response: {
+                statusCode: response.statusCode,
+                headers: response.headers,
+                body: response.body ? decodeBody(response.body, response.bodyEncoding || 'base64') : null,
+            },
+        });
+        if (!decision?.response) return response;
+
+        const { statusCode, headers, body } = decision.response;
+        const edited = this.toTunnelResponse({
+            statusCode: statusCode ?? response.statusCode,
+            headers: headers ?? response.headers,
+            body,
+        });
+        return body === undefined
+            ? { ...edited, body: response.body, bodyEncoding: response.bodyEncoding }
+            : edited;
+    }
+
+    /**
+     * Holds a request or its response at a matching breakpoint until the
+     * dashboard decides, the hold times out or the client goes away
+     * @returns {Promise<Object|null>} Decision, or null when no rule matched
+     * @throws {Error} DROPPED / CLIENT_CLOSED when the request ends here
+     */
+    async waitAtBreakpoint(stage, { requestId, tunnel, res, request, response = null }) {
+        const breakpoints = this.breakpointService;
+        if (!breakpoints) return null;
+
+        const rule = breakpoints.match(stage, request, tunnel.tunnelId);
+        if (!rule) return null;
+
+        const heldAt = Date.now();
+        const hold = breakpoints.hold(rule, {
+            stage,
+            requestId,
+            tunnelId: tunnel.tunnelId,
+            subdomain: tunnel.subdomain,
+            request: {
+                method: request.method,
+                path: request.path,
+                headers: request.headers,
+                body: request.body,
+                streaming: request.streaming,
+            },
+            response,
+        });
+
+        const onClose = () => breakpoints.cancel(hold.id);
+        res.once('close', onClose);
+        const decision = await hold.decision;
+        res.off('close', onClose);
+
+        const edits = decision.request || decision.response;
+        this.recordEffect(tunnel, requestId, {
+            type: 'breakpoint',
+            stage,
+            rule: rule.id,
+            action: decision.action,
+            reason: decision.reason,
+            edited: edits ? Object.keys(edits) : [],
+            duration: Date.now() - heldAt,
+        });
+
+        if (decision.action === 'cancel' && decision.reason === 'closed') {
+            throw new Error('Tunnel closed');
+        }
+        if (decision.action === 'cancel') {
+            throw Object.assign(new Error('Client closed connection'), { code: 'CLIENT_CLOSED' });
+        }
+        if (decision.action === 'drop') {
+            throw Object.assign(new Error('Connection dropped at breakpoint'), { code: 'DROPPED' });
+        }
+        return decision;
+    }
+
+    /**
+     * Answers a request at the gateway without forwarding it
+     */
+    sendGatewayResponse({ requestId, tunnel, res, startTime, outgoing, downlink = null }) {
+        const { response } = outgoing;
+
+        if (tunnel.inspect) {
+            this.inspectorService.recordResponse({
+                requestId,
+                tunnelId: tunnel.tunnelId,
+                statusCode: response.statusCode,
+                headers: response.headers,
+                body: response.body,
+                responseTime: Date.now() - startTime,
+                timestamp: Date.now(),
+            });
+        }
+
+        const responseSize = response.body ? decodeBody(response.body).length : 0;
+        tunnel.recordRequest(outgoing.body ? outgoing.body.length : 0, responseSize);
+        return this.sendResponse(res, response, downlink);
+    }
+
+    /**
+     * Swaps the request body; a streamed original is drained and discarded
+     */
+    replaceRequestBody(req, outgoing, body) {
+        outgoing.body = body;
+        if (outgoing.streaming) {
+            req.resume();
+            outgoing.streaming = false;
+        }
+        outgoing.headers = { ...outgoing.headers };
+        delete outgoing.headers['content-length'];
+        delete outgoing.headers['transfer-encoding'];
+    }
+
+    /**
+     * Builds a response in the shape the CLI sends (base64 body)
+     */
+    toTunnelResponse({ statusCode = 200, headers = {}, body = null }) {
+        const responseHeaders = { ...headers };
+        delete responseHeaders['content-length'];
+        delete responseHeaders['transfer-encoding'];
+        return {
+            statusCode,
+            headers: responseHeaders,
+            body: body ? body.toString('base64') : null,
+            bodyEncoding: 'base64',
+        };
+    }
+
+    /**
+     * Applies chaos corruption to a buffered response
+     * (streamed responses pass through untouched; throttled bodies are
+     * paced as they are written)
+     */
+    async applyResponseControls(requestId, tunnel, response) {
+        const control = this.trafficControlService;
+        if (!control || response.streamed) return response;
+
+        const body = response.body ? decodeBody(response.body, response.bodyEncoding || 'base64') : null;
+        if (body) {
+            const corrupted = control.maybeCorrupt(body, tunnel.tunnelId);
+            if (corrupted !== body) {
+                this.recordEffect(tunnel, requestId, { type: 'corrupted' });
+                return { ...response, body: corrupted.toString('base64'), bodyEncoding: 'base64' };
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * Waits out the throttle latency before a request is forwarded
+     * @throws {Error} 503 when the throttle profile is offline
+     */
+    async throttle(tunnel, requestId) {
+        try {
+            return await this.trafficControlService.applyThrottle(0, { tunnelId: tunnel.tunnelId });
+        } catch (error) {
+            this.recordEffect(tunnel, requestId, { type: 'offline', direction: 'request' });
+            throw Object.assign(error, { statusCode: 503 });
+        }
+    }
+
+    /**
+     * Throttled link for one direction of a request, or null
      */
-    sendResponse(res, response) {
-        res.status(response.statusCode);
+    getLink(tunnel, req, direction) {
+        if (!this.trafficControlService) return null;
+        return this.trafficControlService.getLink(direction, {
+            tunnelId: tunnel.tunnelId,
+            clientIp: req.ip || req.connection?.remoteAddress,
+        });
+    }
+
+    recordShaped(tunnel, requestId, link, bytes) {
+        this.recordEffect(tunnel, requestId, {
+            type: 'shaped',
+            direction: link.key.endsWith('|uplink') ? 'uplink' : 'downlink',
+            rate: Math.round(link.rate * 8),
+            bytes,
+        });
+    }
+
+    /**
+     * Writes body bytes to the client no faster than the link allows
+     */
+    async writePaced(res, body, link) {
+        for (let offset = 0; offset < body.length && !res.destroyed; offset += link.segmentSize) {
+            const segment = body.subarray(offset, offset + link.segmentSize);
+            await this.trafficControlService.pace(link, segment.length);
+            if (res.destroyed) return;
+
+            const writable = res.write(segment);
+            if (typeof res.flush === 'function') {
+                res.flush();
+            }
+            if (!writable) {
+                await this.waitForDrain(res);
+            }
+        }
+    }
+
+    waitForDrain(res) {
+        return new Promise((resolve) => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    }
+
+    /**
+     * Notes a traffic control effect on the inspected request
+     */
+    recordEffect(tunnel, requestId, effect) {
+        if (tunnel.inspect) {
+            this.inspectorService.recordEffect(requestId, effect);
+        }
+    }
+
+    /**
+     * Converts a modification rule's body to bytes
+     */
+    toBodyBuffer(body) {
+        if (body === null || body === undefined) return null;
+        if (Buffer.isBuffer(body)) return body;
+        if (typeof body === 'string') return Buffer.from(body);
+        return Buffer.from(JSON.stringify(body));
+    }
+
+    /**
+     * Waits for a tunnel that detached while the request was held
+     * @throws {Error} If the CLI didn't come back
+     */
+    async ensureAttached(tunnel) {
+        if (tunnel.isDetached()) {
+            await tunnel.waitUntilAttached();
+        }
+        if (tunnel.ws.readyState !== 1) {
+            throw Object.assign(new Error('Tunnel connection unavailable'), { code: ERROR_CODES.CONNECTION_CLOSED });
+        }
+    }
+
+    /**
+     * Checks whether the public request carries a body
+     */
+    hasRequestBody(req) {
+        if (req.headers['transfer-encoding'] !== undefined) return true;
+        return parseInt(req.headers['content-length'], 10) > 0;
+    }
+
+    /**
+     * Decides whether a request body should be streamed in chunks.
+     * Clients without the streaming capability always get it inline.
+     */
+    shouldStreamBody(req, tunnel) {
+        if (!this.hasRequestBody(req)) return false;
+        if (!tunnel.hasCapability(Capability.STREAMING)) return false;
+
+        const contentLength = parseInt(req.headers['content-length'], 10);
+        return isNaN(contentLength) || contentLength > MAX_CHUNK_SIZE;
+    }
+
+    /**
+     * Reads a small request body into memory, at the uplink rate if throttled
+     */
+    readBody(req, uplink = null) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let pacing = Promise.resolve();
+            req.on('data', (chunk) => {
+                chunks.push(chunk);
+                if (uplink) {
+                    req.pause();
+                    pacing = this.trafficControlService.pace(uplink, chunk.length).then(() => req.resume());
+                }
+            });
+            // A paused stream can still end; the last chunk waits for its pacing
+            req.on('end', () => pacing.then(() => resolve(chunks.length > 0 ? Buffer.concat(chunks) : null)));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Pipes the public request body to the CLI client in bounded chunks
+     *
+     * Reading pauses while the tunnel socket is backed up, the CLI client
+     * reports that the local server is not keeping up, or a throttled
+     * uplink has no room for more bytes.
+     * Resolves with the total size and the first MAX_INSPECTED_BODY_SIZE bytes.
+     */
+    pipeRequestBody(tunnel, requestId, req) {
+        return new Promise((resolve, reject) => {
+            const captured = [];
+            let capturedSize = 0;
+            let size = 0;
+            let index = 0;
+
+            const pending = tunnel.getPendingRequest(requestId);
+            if (pending) {
+                pending.requestStream = req;
+            }
+
+            const send = (data) => {
+                // Response already finished or request cancelled: drain and drop
+                if (!tunnel.getPendingRequest(requestId)) return;
+
+                for (const { chunk } of chunkBuffer(data)) {
+                    this.sendToTunnel(tunnel, createHttpRequestChunkMessage({
+                        tunnelId: tunnel.tunnelId,
+                        requestId,
+                        chunk,
+                        index: index++,
+                    }));
+                }
+                this.checkUploadBackpressure(tunnel, pending);
+            };
+
+            // Throttled uplink: reading stops while each segment waits for the
+            // link, and the end waits for the last segment
+            let pacing = Promise.resolve();
+            const sendPaced = async (data) => {
+                const { uplink } = pending;
+                pending.pacingPaused = true;
+                this.updateUploadFlow(pending);
+                for (let offset = 0; offset < data.length; offset += uplink.segmentSize) {
+                    const segment = data.subarray(offset, offset + uplink.segmentSize);
+                    await this.trafficControlService.pace(uplink, segment.length);
+                    send(segment);
+                }
+                pending.pacingPaused = false;
+                this.updateUploadFlow(pending);
+            };
+
+            req.on('data', (data) => {
+                size += data.length;
+
+                const room = TUNNEL_CONFIG.MAX_INSPECTED_BODY_SIZE - capturedSize;
+                if (room > 0) {
+                    const piece = data.length > room ? data.subarray(0, room) : data;
+                    captured.push(piece);
+                    capturedSize += piece.length;
+                }
+
+                if (pending?.uplink) {
+                    pacing = pacing.then(() => sendPaced(data));
+                } else {
+                    send(data);
+                }
+            });
+
+            req.on('end', () => pacing.then(() => {
+                if (tunnel.getPendingRequest(requestId)) {
+                    this.sendToTunnel(tunnel, createHttpRequestEndMessage({ tunnelId: tunnel.tunnelId, requestId }));
+                }
+                resolve({ size, captured: Buffer.concat(captured) });
+            }));
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Pauses an upload while the tunnel socket has too much queued data
+     */
+    checkUploadBackpressure(tunnel, pending) {
+        if (!pending || pending.socketPaused) return;
+        if (tunnel.ws.bufferedAmount < TUNNEL_CONFIG.STREAM_HIGH_WATER_MARK) return;
+
+        pending.socketPaused = true;
+        this.updateUploadFlow(pending);
+
+        const poll = setInterval(() => {
+            if (tunnel.ws.readyState !== 1 ||
+                tunnel.ws.bufferedAmount < TUNNEL_CONFIG.STREAM_HIGH_WATER_MARK / 2) {
+                clearInterval(poll);
+                pending.socketPaused = false;
+                this.updateUploadFlow(pending);
+            }
+        }, 50);
+    }
+
+    /**
+     * Handles upload pause/resume from the CLI client
+     */
+    handleRequestPause(tunnel, payload, paused) {
+        const pending = tunnel.getPendingRequest(payload.requestId);
+        if (!pending) return;
+
+        pending.uploadPaused = paused;
+        this.updateUploadFlow(pending);
+    }
+
+    /**
+     * Applies the combined pause state to the public request stream
+     */
+    updateUploadFlow(pending) {
+        if (!pending.requestStream) return;
+
+        if (pending.uploadPaused || pending.socketPaused || pending.pacingPaused) {
+            pending.requestStream.pause();
+        } else {
+            pending.requestStream.resume();
+        }
+    }
+
+    /**
+     * Writes status and headers to the original client
+     */
+    writeHead(res, statusCode, headers) {
+        res.status(statusCode);
 
         // Filter hop-by-hop headers
         const hopByHop = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'proxy-connection'];
 
-        for (const [key, value] of Object.entries(response.headers || {})) {
+        for (const [key, value] of Object.entries(headers || {})) {
             if (!hopByHop.includes(key.toLowerCase())) {
                 res.set(key, value);
             }
         }
+    }
+
+    /**
+     * Sends HTTP response to the original client
+     * @returns {Promise<void>|undefined} Settles once a paced body is written
+     */
+    sendResponse(res, response, downlink = null) {
+        this.writeHead(res, response.statusCode, response.headers);
 
         // Decode and send body
-        if (response.body) {
-            const bodyBuffer = decodeBody(response.body, response.bodyEncoding || 'base64');
-            res.send(bodyBuffer);
-        } else {
+        if (!response.body) {
             res.end();
+            return;
+        }
+
+        const bodyBuffer = decodeBody(response.body, response.bodyEncoding || 'base64');
+        if (!downlink) {
+            res.send(bodyBuffer);
+            return;
         }
+
+        res.set('Content-Length', String(bodyBuffer.length));
+        return this.writePaced(res, bodyBuffer, downlink).then(() => res.end());
     }
 
     /**
@@ -248,6 +1060,26 @@ class RequestForwarder {
             pending.streaming = true;
             pending.statusCode = statusCode;
             pending.responseHeaders = headers;
+
+            if (pending.res && !pending.bufferResponse) {
+                // Rules can still change the status and headers of a stream
+                if (pending.responseRules?.length) {
+                    const { response: modified, changes } = this.trafficControlService.applyResponseModifications(
+                        { statusCode, headers, body: undefined },
+                        pending.responseRules,
+                        tunnel.tunnelId
+                    );
+                    this.recordResponseModified(tunnel, requestId, pending.responseRules, changes);
+                    pending.statusCode = modified.statusCode;
+                    pending.responseHeaders = modified.headers;
+                }
+
+                // Headers arrived: the stream may now run as long as it needs
+                clearTimeout(pending.timer.id);
+                this.writeHead(pending.res, pending.statusCode, pending.responseHeaders);
+                pending.res.flushHeaders();
+            }
+
             this.logger.debug(`Streaming response started: ${requestId}`);
         } else {
             // Complete response in single message
@@ -255,7 +1087,8 @@ class RequestForwarder {
             pending.resolve({
                 statusCode,
                 headers,
-                body,
+                // Binary framing delivers raw bytes; downstream expects base64
+                body: Buffer.isBuffer(body) ? body.toString('base64') : body,
                 bodyEncoding,
             });
             this.logger.debug(`Complete response: ${requestId}`, { statusCode });
@@ -264,6 +1097,10 @@ class RequestForwarder {
 
     /**
      * Handles streaming response chunk
+     *
+     * Chunks are written straight to the public client. Only the first
+     * MAX_INSPECTED_BODY_SIZE bytes are kept for inspection. Pending
+     * requests without a client (replays) keep the whole body.
      */
     handleResponseChunk(tunnel, payload) {
         const { requestId, chunk, index } = payload;
@@ -274,13 +1111,86 @@ class RequestForwarder {
             return;
         }
 
-        // Store chunk in order
-        pending.chunks[index] = chunk;
-        this.logger.debug(`Chunk received: ${requestId} index ${index}`);
+        const buffer = decodeBody(chunk) || Buffer.alloc(0);
+        pending.bodySize += buffer.length;
+        tunnel.touch();
+
+        if (!pending.res || pending.bufferResponse) {
+            // Body rules need the whole response, within the usual body limit
+            if (pending.bufferResponse && pending.bodySize > TUNNEL_CONFIG.MAX_BODY_SIZE) {
+                tunnel.removePendingRequest(requestId);
+                this.sendToTunnel(tunnel, createHttpRequestCancelMessage({ tunnelId: tunnel.tunnelId, requestId }));
+                pending.reject(new Error('Response too large to modify'));
+                return;
+            }
+            pending.chunks.push(buffer);
+            return;
+        }
+
+        const room = TUNNEL_CONFIG.MAX_INSPECTED_BODY_SIZE - pending.capturedSize;
+        if (room > 0) {
+            const captured = buffer.length > room ? buffer.subarray(0, room) : buffer;
+            pending.chunks.push(captured);
+            pending.capturedSize += captured.length;
+        }
+
+        const { res } = pending;
+        if (pending.downlink) {
+            this.queuePacedChunk(tunnel, requestId, pending, buffer);
+            return;
+        }
+
+        const writable = res.write(buffer);
+
+        // Push through the compression middleware so events are not held back
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+
+        if (!writable && !pending.paused) {
+            pending.paused = true;
+            this.sendToTunnel(tunnel, createHttpResponsePauseMessage({ tunnelId: tunnel.tunnelId, requestId }));
+
+            res.once('drain', () => {
+                pending.paused = false;
+                if (tunnel.getPendingRequest(requestId)) {
+                    this.sendToTunnel(tunnel, createHttpResponseResumeMessage({ tunnelId: tunnel.tunnelId, requestId }));
+                }
+            });
+        }
+
+        this.logger.trace(`Chunk received: ${requestId} index ${index}`);
+    }
+
+    /**
+     * Queues a streamed chunk behind the throttled downlink
+     *
+     * The CLI client is paused while too many bytes are waiting.
+     */
+    queuePacedChunk(tunnel, requestId, pending, buffer) {
+        pending.queuedBytes += buffer.length;
+        pending.writes = pending.writes
+            .then(() => this.writePaced(pending.res, buffer, pending.downlink))
+            .then(() => {
+                pending.queuedBytes -= buffer.length;
+                if (pending.paused && pending.queuedBytes < TUNNEL_CONFIG.STREAM_HIGH_WATER_MARK / 2) {
+                    pending.paused = false;
+                    if (tunnel.getPendingRequest(requestId)) {
+                        this.sendToTunnel(tunnel, createHttpResponseResumeMessage({ tunnelId: tunnel.tunnelId, requestId }));
+                    }
+                }
+            });
+
+        if (!pending.paused && pending.queuedBytes >= TUNNEL_CONFIG.STREAM_HIGH_WATER_MARK) {
+            pending.paused = true;
+            this.sendToTunnel(tunnel, createHttpResponsePauseMessage({ tunnelId: tunnel.tunnelId, requestId }));
+        }
     }
 
     /**
      * Handles streaming response end
+     *
+     * A paced stream finishes once its queued chunks are written.
      */
     handleResponseEnd(tunnel, payload) {
         const { requestId } = payload;
@@ -293,22 +1203,34 @@ class RequestForwarder {
 
         tunnel.removePendingRequest(requestId);
 
-        // Combine all chunks
-        const combinedBody = pending.chunks
-            .filter(c => c !== undefined)
-            .map(c => Buffer.from(c, 'base64'))
-            .reduce((acc, buf) => Buffer.concat([acc, buf]), Buffer.alloc(0));
+        const body = Buffer.concat(pending.chunks);
 
-        pending.resolve({
-            statusCode: pending.statusCode,
-            headers: pending.responseHeaders,
-            body: combinedBody.toString('base64'),
-            bodyEncoding: 'base64',
-        });
+        const streamed = !!pending.res && !pending.bufferResponse;
+        const finish = () => {
+            if (streamed) {
+                pending.res.end();
+            }
+
+            pending.resolve({
+                statusCode: pending.statusCode,
+                headers: pending.responseHeaders,
+                body: body.toString('base64'),
+                bodyEncoding: 'base64',
+                streamed,
+                size: pending.bodySize,
+                truncated: body.length < pending.bodySize,
+            });
+        };
+
+        if (streamed && pending.downlink) {
+            pending.writes.then(finish);
+        } else {
+            finish();
+        }
 
         this.logger.debug(`Streaming response complete: ${requestId}`, {
             chunks: pending.chunks.length,
-            totalSize: combinedBody.length,
+            totalSize: pending.bodySize,
         });
     }
 
@@ -367,6 +1289,13 @@ class RequestForwarder {
         return sanitized;
     }
 
+    /**
+     * Sends a protocol message to the CLI client
+     */
+    sendToTunnel(tunnel, message) {
+        tunnel.send(message);
+    }
+
     /**
      * Cleans up a pending request
      */
@@ -0,0 +1,384 @@
+/**
+ * SnippetGenerator
+ *
+ * Turns a captured request into code that sends it again:
+ * - cURL, HTTPie, fetch, axios, Python requests, Go net/http,
+ *   PowerShell Invoke-WebRequest and raw HTTP/1.1
+ * - Requests target the tunnel's public URL from the gateway config
+ * - Bodies are quoted per language; multiline text stays intact and
+ *   binary bodies are carried as base64 (or escaped bytes) and decoded
+ */
+
+const { getContentType, isJsonContentType } = require('../../shared/src');
+
+const LANGUAGES = {
+    curl: 'cURL',
+    httpie: 'HTTPie',
+    fetch: 'JavaScript fetch',
+    axios: 'JavaScript axios',
+    python: 'Python requests',
+    go: 'Go net/http',
+    powershell: 'PowerShell',
+    http: 'HTTP/1.1',
+};
+
+// Set by the client sending the snippet
+const SKIPPED_HEADERS = new Set(['host', 'content-length', 'connection', 'transfer-encoding', 'keep-alive']);
+
+// Control characters and replacement characters mean the body isn't text
+const BINARY_PATTERN = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f\ufffd]/;
+
+const GO_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '"': '\\"', '\\': '\\\\' };
+
+class SnippetGenerator {
+    constructor(config = {}) {
+        this.publicDomain = config.publicDomain || 'localhost';
+        this.httpPort = config.httpPort || 80;
+    }
+
+    /**
+     * Generates a snippet that repeats a captured request
+     * @param {Object} traffic - Traffic record (InspectedTraffic JSON)
+     * @param {string} lang - Language ID
+     * @returns {string} Snippet source
+     * @throws {Error} When the language is unknown
+     */
+    generate(traffic, lang = 'curl') {
+        if (!LANGUAGES[lang]) {
+            throw new Error(`Unknown snippet language: ${lang} (expected one of ${Object.keys(LANGUAGES).join(', ')})`);
+        }
+        return this[lang](this.buildRequest(traffic));
+    }
+
+    /**
+     * Normalizes a traffic record into { method, url, headers, body }
+     *
+     * body: { buffer, text, binary, json } or null; json is the parsed
+     * value when a JSON content type carries valid JSON
+     */
+    buildRequest(traffic) {
+        const request = traffic.request || {};
+        const url = new URL(request.path || '/', this.baseUrl(traffic.subdomain));
+
+        const headers = [];
+        for (const [name, value] of Object.entries(request.headers || {})) {
+            if (SKIPPED_HEADERS.has(name.toLowerCase())) continue;
+            headers.push([name, Array.isArray(value) ? value.join(', ') : String(value)]);
+        }
+
+        let body = null;
+        if (request.body) {
+            const base64 = request.bodyEncoding === 'base64';
+            const text = typeof request.body === 'string' ? request.body : JSON.stringify(request.body);
+            const buffer = Buffer.from(text, base64 ? 'base64' : 'utf8');
+            body = { buffer, text, binary: base64 || BINARY_PATTERN.test(text), json: undefined };
+
+            if (!body.binary && isJsonContentType(getContentType(request.headers || {}))) {
+                try {
+                    body.json = JSON.parse(text);
+                } catch { }
+            }
+        }
+
+        return {
+            method: (request.method || 'GET').toUpperCase(),
+            url,
+            headers,
+            body,
+        };
+    }
+
+    baseUrl(subdomain) {
+        const port = this.httpPort !== 80 && this.httpPort !== 443 ? `:${this.httpPort}` : '';
+        return `http://${subdomain || 'localhost'}.${this.publicDomain}${port}`;
+    }
+
+    // ===== Shell =====
+
+    curl({ method, url, headers, body }) {
+        const command = method !== 'GET' || body ? `curl -X ${method}` : 'curl';
+        const parts = [`${command} ${shellQuote(url.toString())}`];
+        for (const [name, value] of headers) {
+            parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+        }
+
+        if (body?.binary) {
+            parts.push('--data-binary @-');
+            return `${decodeBase64Pipe(body)}${parts.join(' \\\n  ')}`;
+        }
+        if (body) {
+            parts.push(`--data-raw ${shellQuote(body.text)}`);
+        }
+        return parts.join(' \\\n  ');
+    }
+
+    httpie({ method, url, headers, body }) {
+        const parts = [`http ${method} ${shellQuote(url.toString())}`];
+        for (const [name, value] of headers) {
+            // "Name;" sends an empty header; "Name:" would drop it
+            parts.push(shellQuote(value === '' ? `${name};` : `${name}:${value}`));
+        }
+
+        if (body?.binary) {
+            return `${decodeBase64Pipe(body)}${parts.join(' \\\n  ')}`;
+        }
+        if (body) {
+            parts.push(`--raw ${shellQuote(body.text)}`);
+        }
+        return parts.join(' \\\n  ');
+    }
+
+    powershell({ method, url, headers, body }) {
+        const lines = [];
+        const args = [`-Uri ${powershellQuote(url.toString())}`, `-Method ${method}`];
+
+        // Invoke-WebRequest rejects Content-Type among -Headers
+        const contentType = headers.find(([name]) => name.toLowerCase() === 'content-type');
+        const rest = headers.filter(header => header !== contentType);
+
+        if (rest.length > 0) {
+            lines.push('$headers = @{');
+            for (const [name, value] of rest) {
+                lines.push(`    ${powershellQuote(name)} = ${powershellQuote(value)}`);
+            }
+            lines.push('}');
+            args.push('-Headers $headers');
+        }
+        if (contentType) {
+            args.push(`-ContentType ${powershellQuote(contentType[1])}`);
+        }
+        if (body) {
+            if (body.binary) {
+                lines.push(`$body = [Convert]::FromBase64String(${powershellQuote(body.buffer.toString('base64'))})`);
+            } else if (/[^\x00-\x7f]/.test(body.text)) {
+                // String bodies are sent as ISO-8859-1 unless given as bytes
+                lines.push(`$body = [System.Text.Encoding]::UTF8.GetBytes(${powershellQuote(body.text)})`);
+            } else {
+                lines.push(`$body = ${powershellQuote(body.text)}`);
+            }
+            args.push('-Body $body');
+        }
+
+        if (lines.length > 0) lines.push('');
+        lines.push(`$response = Invoke-WebRequest ${args.join(' `\n    ')}`);
+        lines.push('$response.Content');
+        return lines.join('\n');
+    }
+
+    // ===== JavaScript =====
+
+    fetch({ method, url, headers, body }) {
+        const options = [];
+        if (method !== 'GET') {
+            options.push(`method: ${JSON.stringify(method)}`);
+        }
+        if (headers.length > 0) {
+            options.push(`headers: ${jsObject(headers, '  ')}`);
+        }
+        if (body) {
+            if (body.binary) {
+                options.push(`body: Uint8Array.from(atob(${JSON.stringify(body.buffer.toString('base64'))}), c => c.charCodeAt(0))`);
+            } else if (body.json !== undefined) {
+                options.push(`body: JSON.stringify(${indent(JSON.stringify(body.json, null, 2), '  ')})`);
+            } else {
+                options.push(`body: ${JSON.stringify(body.text)}`);
+            }
+        }
+
+        const args = options.length > 0
+            ? `${JSON.stringify(url.toString())}, {\n  ${options.join(',\n  ')}\n}`
+            : JSON.stringify(url.toString());
+        return [
+            `const response = await fetch(${args});`,
+            '',
+            'console.log(response.status, await response.text());',
+        ].join('\n');
+    }
+
+    axios({ method, url, headers, body }) {
+        const options = [
+            `method: ${JSON.stringify(method.toLowerCase())}`,
+            `url: ${JSON.stringify(url.toString())}`,
+        ];
+        if (headers.length > 0) {
+            options.push(`headers: ${jsObject(headers, '  ')}`);
+        }
+        if (body) {
+            if (body.binary) {
+                options.push(`data: Buffer.from(${JSON.stringify(body.buffer.toString('base64'))}, "base64")`);
+            } else if (body.json !== undefined) {
+                options.push(`data: ${indent(JSON.stringify(body.json, null, 2), '  ')}`);
+            } else {
+                options.push(`data: ${JSON.stringify(body.text)}`);
+            }
+        }
+        // Keep the response body as sent
+        options.push('responseType: "text"');
+
+        return [
+            'import axios from "axios";',
+            '',
+            `const response = await axios({\n  ${options.join(',\n  ')}\n});`,
+            '',
+            'console.log(response.status, response.data);',
+        ].join('\n');
+    }
+
+    // ===== Python =====
+
+    python({ method, url, headers, body }) {
+        const imports = ['import requests'];
+        const args = [JSON.stringify(method), JSON.stringify(url.toString())];
+
+        if (headers.length > 0) {
+            const items = headers.map(([name, value]) => `        ${JSON.stringify(name)}: ${JSON.stringify(value)},`);
+            args.push(`headers={\n${items.join('\n')}\n    }`);
+        }
+        if (body) {
+            if (body.binary) {
+                imports.unshift('import base64');
+                args.push(`data=base64.b64decode(${JSON.stringify(body.buffer.toString('base64'))})`);
+            } else if (body.json !== undefined) {
+                args.push(`json=${indent(pythonLiteral(body.json), '    ')}`);
+            } else if (/[^\x00-\x7f]/.test(body.text)) {
+                // str bodies are sent as ISO-8859-1
+                args.push(`data=${JSON.stringify(body.text)}.encode("utf-8")`);
+            } else {
+                args.push(`data=${JSON.stringify(body.text)}`);
+            }
+        }
+
+        return [
+            ...imports,
+            '',
+            `response = requests.request(\n    ${args.join(',\n    ')},\n)`,
+            '',
+            'print(response.status_code)',
+            'print(response.text)',
+        ].join('\n');
+    }
+
+    // ===== Go =====
+
+    go({ method, url, headers, body }) {
+        const imports = ['"fmt"', '"io"', '"net/http"'];
+        let reader = 'nil';
+        if (body) {
+            imports.push('"strings"');
+            reader = `strings.NewReader(${goString(body)})`;
+        }
+
+        const lines = [
+            'package main',
+            '',
+            'import (',
+            ...imports.sort().map(name => `\t${name}`),
+            ')',
+            '',
+            'func main() {',
+            `\treq, err := http.NewRequest(${goString({ text: method })}, ${goString({ text: url.toString() })}, ${reader})`,
+            '\tif err != nil {',
+            '\t\tpanic(err)',
+            '\t}',
+        ];
+        for (const [name, value] of headers) {
+            lines.push(`\treq.Header.Set(${goString({ text: name })}, ${goString({ text: value })})`);
+        }
+        lines.push(
+            '',
+            '\tres, err := http.DefaultClient.Do(req)',
+            '\tif err != nil {',
+            '\t\tpanic(err)',
+            '\t}',
+            '\tdefer res.Body.Close()',
+            '',
+            '\tdata, err := io.ReadAll(res.Body)',
+            '\tif err != nil {',
+            '\t\tpanic(err)',
+            '\t}',
+            '\tfmt.Println(res.Status)',
+            '\tfmt.Println(string(data))',
+            '}',
+        );
+        return lines.join('\n');
+    }
+
+    // ===== Raw HTTP =====
+
+    http({ method, url, headers, body }) {
+        const lines = [
+            `${method} ${url.pathname}${url.search} HTTP/1.1`,
+            `Host: ${url.host}`,
+            ...headers.map(([name, value]) => `${name}: ${value}`),
+        ];
+        if (!body) {
+            return lines.join('\n');
+        }
+
+        lines.push(`Content-Length: ${body.buffer.length}`, '');
+        lines.push(body.binary
+            ? `[${body.buffer.length} bytes of binary data, base64: ${body.buffer.toString('base64')}]`
+            : body.text);
+        return lines.join('\n');
+    }
+}
+
+/**
+ * POSIX shell single quotes; embedded quotes become '\''
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Shell prefix that pipes a binary body into the command's stdin
+ */
+function decodeBase64Pipe(body) {
+    return `echo ${shellQuote(body.buffer.toString('base64'))} | base64 --decode | \\\n`;
+}
+
+/**
+ * PowerShell single quotes; the typographic quotes PowerShell also
+ * accepts as delimiters are doubled too
+ */
+function powershellQuote(value) {
+    return `'${String(value).replace(/['\u2018\u2019\u201a\u201b]/g, '$&$&')}'`;
+}
+
+/**
+ * Go string literal: a raw `string` for plain multiline text, otherwise
+ * an interpreted one (binary bodies as \x escaped bytes)
+ */
+function goString({ text, buffer, binary }) {
+    if (binary) {
+        return `"${buffer.toString('latin1').replace(/[\\"\x00-\x1f\x7f-\xff]/g, goEscape)}"`;
+    }
+    if (text.includes('\n') && !/[`\r\x00-\x08\x0b-\x1f\x7f]/.test(text)) {
+        return `\`${text}\``;
+    }
+    return `"${text.replace(/[\\"\x00-\x1f\x7f]/g, goEscape)}"`;
+}
+
+function goEscape(char) {
+    return GO_ESCAPES[char] || `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * JSON rendered as a Python literal
+ */
+function pythonLiteral(value) {
+    const constants = { true: 'True', false: 'False', null: 'None' };
+    return JSON.stringify(value, null, 4)
+        .replace(/"(?:[^"\\]|\\.)*"|\b(?:true|false|null)\b/g, token => constants[token] || token);
+}
+
+function jsObject(headers, prefix) {
+    const items = headers.map(([name, value]) => `${prefix}  ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+    return `{\n${items.join(',\n')}\n${prefix}}`;
+}
+
+function indent(text, prefix) {
+    return text.split('\n').join(`\n${prefix}`);
+}
+
+module.exports = SnippetGenerator;
@@ -3,47 +3,105 @@
  * 
  * Advanced traffic manipulation features:
  * - Pause/Resume traffic stream
- * - Network throttling (simulate slow connections)
- * - Request modification in-flight
- * - Chaos testing mode (random packet drops)
+ * - Network throttling: latency and jitter, plus downlink/uplink rates,
+ *   packet loss and token-bucket pacing of body bytes (per client or tunnel)
+ * - Request and response modification in-flight
+ * - Mock responses answered at the gateway
+ * - Chaos testing mode (random packet drops), repeatable with a seed
+ *
+ * RequestForwarder consults this service for every tunneled request.
+ *
+ * Settings are scoped: the global scope is the default for every tunnel,
+ * and a tunnel can override pause, throttle or chaos with its own value.
+ * Modification rules from both scopes apply, global rules first. Methods
+ * take an optional tunnelId; omit it to work on the global default.
  */
 
 const EventEmitter = require('events');
-const { createLogger } = require('../../shared/src');
+const {
+    createLogger,
+    createSeededRandom,
+    parseJsonPath,
+    applyJsonPatch,
+    safeJsonParse,
+    decompressBody,
+} = require('../../shared/src');
+const BandwidthShaper = require('./BandwidthShaper');
+
+const SHAPE_BY = ['client', 'tunnel'];
+
+const DEFAULT_CHAOS_MODE = {
+    enabled: false,
+    dropRate: 0.1, // 10% packet drop
+    corruptRate: 0.05, // 5% corruption
+    delayVariance: 500, // Random delay variance in ms
+    seed: null, // Set to replay the same drops, corruption and delays
+};
+
+/**
+ * Settings for the global default or for one tunnel
+ *
+ * In a tunnel scope, null means "use the global value".
+ */
+class TrafficControlScope {
+    constructor(tunnelId = null) {
+        const isGlobal = tunnelId === null;
+
+        this.tunnelId = tunnelId;
+        this.isPaused = isGlobal ? false : null;
+        this.activeThrottle = isGlobal ? 'none' : null;
+        this.customThrottle = { latency: 0, downlink: Infinity, uplink: Infinity, jitter: 0, packetLoss: 0 };
+        this.shapeBy = 'client';
+        this.chaosMode = isGlobal ? { ...DEFAULT_CHAOS_MODE } : null;
+        this.chaosRandom = Math.random;
+        this.requestModifications = new Map();
+        this.stats = {
+            totalPaused: 0,
+            totalThrottled: 0,
+            totalDropped: 0,
+            totalModified: 0,
+        };
+    }
+
+    /**
+     * Settings this tunnel sets itself
+     */
+    getOverrides() {
+        return {
+            paused: this.isPaused !== null,
+            throttle: this.activeThrottle !== null,
+            chaosMode: this.chaosMode !== null,
+            modifications: this.requestModifications.size > 0,
+        };
+    }
+}
 
 class TrafficControlService extends EventEmitter {
     constructor() {
         super();
         this.logger = createLogger({ name: 'TrafficControl' });
 
-        // Traffic stream state
-        this.isPaused = false;
-        this.pausedRequests = [];
-
-        // Network throttling (latency in ms)
+        // Network throttling (latency and jitter in ms, downlink/uplink in bits/s)
         this.throttleProfiles = {
-            none: { latency: 0, bandwidth: Infinity, name: 'No Throttle' },
-            fast3g: { latency: 100, bandwidth: 1500000, name: 'Fast 3G' },
-            slow3g: { latency: 400, bandwidth: 400000, name: 'Slow 3G' },
-            edge: { latency: 800, bandwidth: 50000, name: 'EDGE' },
-            offline: { latency: Infinity, bandwidth: 0, name: 'Offline' },
-            custom: { latency: 0, bandwidth: Infinity, name: 'Custom' },
-        };
-        this.activeThrottle = 'none';
-        this.customThrottle = { latency: 0, bandwidth: Infinity };
-
-        // Chaos testing
-        this.chaosMode = {
-            enabled: false,
-            dropRate: 0.1, // 10% packet drop
-            corruptRate: 0.05, // 5% corruption
-            delayVariance: 500, // Random delay variance in ms
+            none: { latency: 0, downlink: Infinity, uplink: Infinity, name: 'No Throttle' },
+            fast3g: { latency: 100, downlink: 1500000, uplink: 750000, name: 'Fast 3G' },
+            slow3g: { latency: 400, downlink: 400000, uplink: 400000, jitter: 50, name: 'Slow 3G' },
+            edge: { latency: 800, downlink: 50000, uplink: 25000, jitter: 100, packetLoss: 0.01, name: 'EDGE' },
+            offline: { latency: Infinity, downlink: 0, uplink: 0, name: 'Offline' },
+            custom: { latency: 0, downlink: Infinity, uplink: Infinity, name: 'Custom' },
         };
 
-        // Request modifications (pattern -> modification)
-        this.requestModifications = new Map();
+        // Token buckets that pace body bytes
+        this.shaper = new BandwidthShaper();
+
+        // Global default and per-tunnel overrides (tunnelId -> scope)
+        this.globalScope = new TrafficControlScope();
+        this.tunnelScopes = new Map();
 
-        // Stats
+        // Requests held while paused, for every scope
+        this.pausedRequests = [];
+
+        // Gateway-wide stats
         this.stats = {
             totalPaused: 0,
             totalThrottled: 0,
@@ -54,103 +112,314 @@ class TrafficControlService extends EventEmitter {
         this.logger.info('TrafficControlService initialized');
     }
 
+    /**
+     * Scope for a tunnel, or the global scope
+     * @param {string|null} tunnelId
+     * @param {boolean} create - Create the tunnel scope if it doesn't exist
+     * @returns {TrafficControlScope|null}
+     */
+    getScope(tunnelId = null, create = false) {
+        if (!tunnelId) return this.globalScope;
+
+        let scope = this.tunnelScopes.get(tunnelId) || null;
+        if (!scope && create) {
+            scope = new TrafficControlScope(tunnelId);
+            this.tunnelScopes.set(tunnelId, scope);
+        }
+        return scope;
+    }
+
+    /**
+     * Scope whose value for a setting applies to a tunnel
+     */
+    resolveScope(tunnelId, setting) {
+        const scope = this.getScope(tunnelId);
+        return scope && scope[setting] !== null ? scope : this.globalScope;
+    }
+
+    /**
+     * Counts an effect gateway-wide and for the tunnel
+     */
+    countStat(tunnelId, stat) {
+        this.stats[stat]++;
+        const scope = tunnelId ? this.getScope(tunnelId) : null;
+        if (scope) {
+            scope.stats[stat]++;
+        }
+    }
+
+    /**
+     * Tunnels that override the global default
+     */
+    getTunnelIds() {
+        return Array.from(this.tunnelScopes.keys());
+    }
+
+    /**
+     * Drops a tunnel's overrides so it follows the global default again
+     *
+     * Requests the tunnel held stay held if the global scope is paused.
+     */
+    resetTunnel(tunnelId) {
+        if (!this.tunnelScopes.delete(tunnelId)) return false;
+
+        const globalPaused = this.globalScope.isPaused;
+        for (const request of this.pausedRequests.filter(req => req.heldBy === tunnelId)) {
+            if (globalPaused) {
+                request.heldBy = null;
+            } else {
+                this.release(request, true);
+            }
+        }
+
+        this.emit('tunnelReset', { tunnelId });
+        this.logger.info(`Traffic control reset to global default for tunnel ${tunnelId}`);
+        return true;
+    }
+
+    /**
+     * Forgets a closed tunnel, letting its held requests fail normally
+     */
+    removeTunnel(tunnelId) {
+        this.tunnelScopes.delete(tunnelId);
+        this.shaper.removeTunnel(tunnelId);
+        for (const request of this.pausedRequests.filter(req => req.tunnelId === tunnelId)) {
+            this.release(request, true);
+        }
+    }
+
     /**
      * Pause/Resume traffic stream
      */
-    pause() {
-        this.isPaused = true;
-        this.emit('paused');
-        this.logger.info('Traffic stream paused');
-        return { paused: true, queueSize: this.pausedRequests.length };
+    pause(tunnelId = null) {
+        const scope = this.getScope(tunnelId, true);
+        scope.isPaused = true;
+        this.emit('paused', { tunnelId });
+        this.logger.info(`Traffic stream paused${this.describeScope(tunnelId)}`);
+        return { paused: true, tunnelId, queueSize: this.getQueue(tunnelId).length };
     }
 
-    resume() {
-        this.isPaused = false;
-        const queued = [...this.pausedRequests];
-        this.pausedRequests = [];
-        this.emit('resumed', queued);
-        this.logger.info(`Traffic stream resumed, processing ${queued.length} queued requests`);
-        return { paused: false, processed: queued.length };
+    /**
+     * Resuming a tunnel lets it flow even while the global scope is paused
+     */
+    resume(tunnelId = null) {
+        const scope = this.getScope(tunnelId, true);
+        scope.isPaused = false;
+
+        const queued = this.pausedRequests.filter(req => (tunnelId ? req.tunnelId === tunnelId : req.heldBy === null));
+        // Let held requests continue
+        for (const request of queued) {
+            this.release(request, true);
+        }
+        this.emit('resumed', { tunnelId, requests: queued });
+        this.logger.info(`Traffic stream resumed${this.describeScope(tunnelId)}, processing ${queued.length} queued requests`);
+        return { paused: false, tunnelId, processed: queued.length };
     }
 
-    isPausedState() {
-        return this.isPaused;
+    isPausedState(tunnelId = null) {
+        return this.resolveScope(tunnelId, 'isPaused').isPaused;
     }
 
     /**
      * Queue request if paused
      */
     queueIfPaused(request) {
-        if (this.isPaused) {
-            this.pausedRequests.push({
-                ...request,
-                pausedAt: Date.now(),
-            });
-            this.stats.totalPaused++;
-            this.emit('requestQueued', request);
-            return true;
-        }
-        return false;
+        if (!this.isPausedState(request.tunnelId)) return false;
+
+        this.pausedRequests.push({
+            ...request,
+            heldBy: this.resolveScope(request.tunnelId, 'isPaused').tunnelId,
+            pausedAt: Date.now(),
+        });
+        this.countStat(request.tunnelId, 'totalPaused');
+        this.emit('requestQueued', request);
+        return true;
+    }
+
+    /**
+     * Holds a request until traffic is resumed
+     * @param {Object} request - { requestId, tunnelId, ... }
+     * @returns {Promise<boolean>|null} Resolves true when released, false when
+     *   removed from the queue; null if traffic isn't paused
+     */
+    waitIfPaused(request) {
+        if (!this.isPausedState(request.tunnelId)) return null;
+
+        return new Promise((resolve) => {
+            this.queueIfPaused({ ...request, release: resolve });
+        });
+    }
+
+    /**
+     * Removes a held request (e.g. its client disconnected)
+     */
+    dequeue(requestId) {
+        const request = this.pausedRequests.find(req => req.requestId === requestId);
+        if (!request) return false;
+
+        this.release(request, false);
+        return true;
     }
 
     /**
-     * Get paused request queue
+     * Takes a request off the queue and settles its wait
      */
-    getQueue() {
-        return this.pausedRequests.map(req => ({
-            ...req,
-            queuedFor: Date.now() - req.pausedAt,
-        }));
+    release(request, proceed) {
+        this.pausedRequests = this.pausedRequests.filter(req => req !== request);
+        request.release?.(proceed);
+    }
+
+    /**
+     * Get paused request queue (all tunnels unless one is given)
+     */
+    getQueue(tunnelId = null) {
+        return this.pausedRequests
+            .filter(req => !tunnelId || req.tunnelId === tunnelId)
+            .map(({ release, ...req }) => ({
+                ...req,
+                queuedFor: Date.now() - req.pausedAt,
+            }));
     }
 
     /**
      * Set network throttle profile
+     * @param {string} profile - Profile name
+     * @param {Object} customConfig - For custom: { latency, jitter, downlink,
+     *   uplink, packetLoss }; bandwidth sets both rates (bits/s)
+     * @param {string} tunnelId
+     * @param {Object} options - shapeBy: client (each client IP gets its own
+     *   link) or tunnel (all clients share one)
+     * @throws {Error} On an unknown profile or invalid settings
      */
-    setThrottle(profile, customConfig = null) {
-        if (profile === 'custom' && customConfig) {
-            this.customThrottle = {
-                latency: customConfig.latency || 0,
-                bandwidth: customConfig.bandwidth || Infinity,
-            };
+    setThrottle(profile, customConfig = null, tunnelId = null, { shapeBy } = {}) {
+        if (!this.throttleProfiles[profile]) {
+            throw new Error(`Unknown throttle profile: ${profile}`);
+        }
+        if (shapeBy !== undefined && !SHAPE_BY.includes(shapeBy)) {
+            throw new Error(`shapeBy must be one of: ${SHAPE_BY.join(', ')}`);
+        }
+        const custom = profile === 'custom' && customConfig ? this.normalizeCustomThrottle(customConfig) : null;
+
+        // A tunnel's first change keeps the shaping it inherited
+        const inheritedShapeBy = this.getThrottleConfig(tunnelId).shapeBy;
+        const scope = this.getScope(tunnelId, true);
+        if (custom) {
+            scope.customThrottle = custom;
         }
-        this.activeThrottle = profile;
-        this.emit('throttleChanged', this.getThrottleConfig());
-        this.logger.info(`Throttle set to: ${profile}`);
-        return this.getThrottleConfig();
+        scope.shapeBy = shapeBy || (scope.activeThrottle === null ? inheritedShapeBy : scope.shapeBy);
+        scope.activeThrottle = profile;
+
+        const config = this.getThrottleConfig(tunnelId);
+        this.emit('throttleChanged', { ...config, tunnelId });
+        this.logger.info(`Throttle set to: ${profile}${this.describeScope(tunnelId)}`);
+        return config;
+    }
+
+    getThrottleConfig(tunnelId = null) {
+        const scope = this.resolveScope(tunnelId, 'activeThrottle');
+        const profile = scope.activeThrottle;
+        const settings = profile === 'custom'
+            ? { ...scope.customThrottle, name: 'Custom' }
+            : this.throttleProfiles[profile];
+        return { jitter: 0, packetLoss: 0, ...settings, profile, shapeBy: scope.shapeBy };
     }
 
-    getThrottleConfig() {
-        if (this.activeThrottle === 'custom') {
-            return { ...this.customThrottle, name: 'Custom', profile: 'custom' };
+    normalizeCustomThrottle(config) {
+        const rate = (value, name) => {
+            if (value === undefined || value === null || value === Infinity) return Infinity;
+            if (typeof value !== 'number' || !(value > 0)) {
+                throw new Error(`${name} must be a positive number of bits per second`);
+            }
+            return value;
+        };
+        const { latency = 0, jitter = 0, packetLoss = 0, bandwidth } = config;
+
+        if (typeof latency !== 'number' || latency < 0) {
+            throw new Error('latency must be a non-negative number of ms');
         }
-        return { ...this.throttleProfiles[this.activeThrottle], profile: this.activeThrottle };
+        if (typeof jitter !== 'number' || jitter < 0) {
+            throw new Error('jitter must be a non-negative number of ms');
+        }
+        if (typeof packetLoss !== 'number' || packetLoss < 0 || packetLoss >= 1) {
+            throw new Error('packetLoss must be at least 0 and below 1');
+        }
+        return {
+            latency,
+            jitter,
+            packetLoss,
+            downlink: rate(config.downlink ?? bandwidth, 'downlink'),
+            uplink: rate(config.uplink ?? bandwidth, 'uplink'),
+        };
+    }
+
+    /**
+     * Link that paces body bytes in one direction
+     * @param {string} direction - downlink (to the client) or uplink
+     * @param {Object} client - { tunnelId, clientIp }
+     * @returns {Object|null} Link for pace(), null when the rate is unlimited
+     */
+    getLink(direction, { tunnelId = null, clientIp = null } = {}) {
+        const config = this.getThrottleConfig(tunnelId);
+        const rate = config[direction];
+        if (!(rate > 0) || rate === Infinity) return null;
+
+        const holder = config.shapeBy === 'tunnel' ? '*' : (clientIp || 'unknown');
+        const link = this.shaper.getLink(`${tunnelId || 'global'}|${holder}|${direction}`, {
+            rate: rate / 8,
+            packetLoss: config.packetLoss,
+            latency: config.latency,
+        });
+        return { ...link, tunnelId };
+    }
+
+    /**
+     * Waits until bytes may pass a link
+     *
+     * Packet loss draws from the chaos random source, so a seeded run
+     * loses the same segments.
+     * @returns {Promise<number>} Milliseconds waited
+     */
+    pace(link, bytes) {
+        return this.shaper.take(link, bytes, () => this.chaosRandom(link.tunnelId));
     }
 
     /**
      * Apply throttle delay to request
+     * Bodies are paced separately (see getLink); a dataSize here adds the
+     * transfer time in one go instead.
+     * @param {number} dataSize - Bytes transferred; adds bandwidth-based delay
+     * @param {Object} options - includeLatency: false for the second leg of a
+     *   round trip, so latency is only paid once per request; tunnelId picks
+     *   the tunnel's settings; direction: downlink or uplink rate
      */
-    async applyThrottle(dataSize = 0) {
-        const config = this.getThrottleConfig();
+    async applyThrottle(dataSize = 0, { includeLatency = true, tunnelId = null, direction = 'downlink' } = {}) {
+        const config = this.getThrottleConfig(tunnelId);
+        const chaosMode = this.getChaosMode(tunnelId);
 
         if (config.latency === Infinity) {
             throw new Error('Network offline');
         }
 
-        let totalDelay = config.latency;
+        let totalDelay = includeLatency ? config.latency : 0;
+        // Seeded like the rest of chaos, so a seeded run repeats its delays
+        if (includeLatency && config.jitter > 0) {
+            totalDelay += this.chaosRandom(tunnelId) * config.jitter;
+        }
 
         // Add bandwidth-based delay
-        if (config.bandwidth < Infinity && dataSize > 0) {
-            const transferTime = (dataSize * 8) / config.bandwidth * 1000;
+        const rate = config[direction];
+        if (rate < Infinity && dataSize > 0) {
+            const transferTime = (dataSize * 8) / rate * 1000;
             totalDelay += transferTime;
         }
 
         // Add chaos delay variance if enabled
-        if (this.chaosMode.enabled && this.chaosMode.delayVariance > 0) {
-            totalDelay += Math.random() * this.chaosMode.delayVariance;
+        if (includeLatency && chaosMode.enabled && chaosMode.delayVariance > 0) {
+            totalDelay += this.chaosRandom(tunnelId) * chaosMode.delayVariance;
         }
 
         if (totalDelay > 0) {
-            this.stats.totalThrottled++;
+            this.countStat(tunnelId, 'totalThrottled');
             await this.delay(totalDelay);
         }
 
@@ -159,32 +428,70 @@ class TrafficControlService extends EventEmitter {
 
     /**
      * Chaos testing mode
+     *
+     * A tunnel's first change starts from the settings it inherited.
+     * Setting a seed restarts its random sequence; a null seed goes back
+     * to Math.random.
+     * @throws {Error} On invalid settings
      */
-    setChaosMode(config) {
-        this.chaosMode = {
-            enabled: config.enabled ?? this.chaosMode.enabled,
-            dropRate: config.dropRate ?? this.chaosMode.dropRate,
-            corruptRate: config.corruptRate ?? this.chaosMode.corruptRate,
-            delayVariance: config.delayVariance ?? this.chaosMode.delayVariance,
+    setChaosMode(config, tunnelId = null) {
+        this.validateChaosMode(config);
+        const current = this.getChaosMode(tunnelId);
+        const scope = this.getScope(tunnelId, true);
+        scope.chaosMode = {
+            enabled: config.enabled ?? current.enabled,
+            dropRate: config.dropRate ?? current.dropRate,
+            corruptRate: config.corruptRate ?? current.corruptRate,
+            delayVariance: config.delayVariance ?? current.delayVariance,
+            seed: config.seed !== undefined ? config.seed : current.seed,
         };
-        this.emit('chaosModeChanged', this.chaosMode);
-        this.logger.info('Chaos mode updated', this.chaosMode);
-        return this.chaosMode;
+        scope.chaosRandom = scope.chaosMode.seed === null
+            ? Math.random
+            : createSeededRandom(scope.chaosMode.seed);
+        this.emit('chaosModeChanged', { ...scope.chaosMode, tunnelId });
+        this.logger.info(`Chaos mode updated${this.describeScope(tunnelId)}`, scope.chaosMode);
+        return scope.chaosMode;
     }
 
-    getChaosMode() {
-        return this.chaosMode;
+    /**
+     * Checks chaos settings before any of them apply
+     */
+    validateChaosMode({ dropRate, corruptRate, delayVariance, seed }) {
+        const isSet = value => value !== undefined && value !== null;
+        for (const [name, value] of [['dropRate', dropRate], ['corruptRate', corruptRate]]) {
+            if (isSet(value) && (typeof value !== 'number' || !(value >= 0 && value <= 1))) {
+                throw new Error(`${name} must be a number between 0 and 1`);
+            }
+        }
+        if (isSet(delayVariance) && (typeof delayVariance !== 'number' || !(delayVariance >= 0) || delayVariance === Infinity)) {
+            throw new Error('delayVariance must be a non-negative number of ms');
+        }
+        if (isSet(seed) && typeof seed !== 'string' && typeof seed !== 'number') {
+            throw new Error('seed must be a string, a number or null');
+        }
+    }
+
+    getChaosMode(tunnelId = null) {
+        return this.resolveScope(tunnelId, 'chaosMode').chaosMode;
+    }
+
+    /**
+     * Next chaos random number, from the scope that set the chaos mode
+     */
+    chaosRandom(tunnelId = null) {
+        return this.resolveScope(tunnelId, 'chaosMode').chaosRandom();
     }
 
     /**
      * Check if request should be dropped (chaos mode)
      */
-    shouldDrop() {
-        if (!this.chaosMode.enabled) return false;
-        const drop = Math.random() < this.chaosMode.dropRate;
+    shouldDrop(tunnelId = null) {
+        const chaosMode = this.getChaosMode(tunnelId);
+        if (!chaosMode.enabled) return false;
+        const drop = this.chaosRandom(tunnelId) < chaosMode.dropRate;
         if (drop) {
-            this.stats.totalDropped++;
-            this.emit('packetDropped');
+            this.countStat(tunnelId, 'totalDropped');
+            this.emit('packetDropped', { tunnelId });
         }
         return drop;
     }
@@ -192,81 +499,330 @@ class TrafficControlService extends EventEmitter {
     /**
      * Corrupt data randomly (chaos mode)
      */
-    maybeCorrupt(data) {
-        if (!this.chaosMode.enabled) return data;
-        if (Math.random() >= this.chaosMode.corruptRate) return data;
+    maybeCorrupt(data, tunnelId = null) {
+        const chaosMode = this.getChaosMode(tunnelId);
+        if (!chaosMode.enabled) return data;
+        if (this.chaosRandom(tunnelId) >= chaosMode.corruptRate) return data;
 
         // Simple corruption: flip some bytes
         if (typeof data === 'string') {
             const chars = data.split('');
-            const pos = Math.floor(Math.random() * chars.length);
-            chars[pos] = String.fromCharCode(Math.random() * 256);
+            const pos = Math.floor(this.chaosRandom(tunnelId) * chars.length);
+            chars[pos] = String.fromCharCode(this.chaosRandom(tunnelId) * 256);
             return chars.join('');
         }
+        if (Buffer.isBuffer(data) && data.length > 0) {
+            const corrupted = Buffer.from(data);
+            const pos = Math.floor(this.chaosRandom(tunnelId) * corrupted.length);
+            corrupted[pos] ^= 0xff;
+            return corrupted;
+        }
         return data;
     }
 
     /**
      * Request modification rules
+     *
+     * A modification can change the request (path, headers, body), the
+     * response coming back from the CLI (statusCode or `response`), or
+     * answer at the gateway with a `mock`:
+     *   response: { statusCode, headers: { name: value }, removeHeaders: [name],
+     *               body, patch: [{ path: '$.a.b', value } | { path, op: 'remove' }] }
+     *   mock: { statusCode, headers, body, delay }
+     * @throws {Error} When the modification is invalid
      */
-    addModification(id, pattern, modification) {
-        this.requestModifications.set(id, {
+    addModification(id, pattern, modification, tunnelId = null) {
+        this.validatePattern(pattern);
+        this.validateModification(modification || {});
+        this.getScope(tunnelId, true).requestModifications.set(id, {
             id,
+            tunnelId,
             pattern, // { path: RegExp, method: string, headers: object }
-            modification, // { headers: object, body: any, statusCode: number }
+            modification, // { path, headers, body, statusCode, response, mock }
             createdAt: Date.now(),
             hitCount: 0,
         });
-        this.emit('modificationAdded', { id, pattern, modification });
+        this.emit('modificationAdded', { id, tunnelId, pattern, modification });
         return true;
     }
 
-    removeModification(id) {
-        const removed = this.requestModifications.delete(id);
+    removeModification(id, tunnelId = null) {
+        const scope = this.getScope(tunnelId);
+        const removed = scope ? scope.requestModifications.delete(id) : false;
         if (removed) {
-            this.emit('modificationRemoved', { id });
+            this.emit('modificationRemoved', { id, tunnelId });
         }
         return removed;
     }
 
-    getModifications() {
-        return Array.from(this.requestModifications.values());
+    /**
+     * Rules defined in one scope (not including inherited global rules)
+     */
+    getModifications(tunnelId = null) {
+        const scope = this.getScope(tunnelId);
+        return scope ? Array.from(scope.requestModifications.values()) : [];
+    }
+
+    /**
+     * Rules whose pattern matches a request: global rules, then the tunnel's
+     * @param {string} stage - Only rules that act on the request, response or mock
+     */
+    getMatchingModifications(request, tunnelId = null, stage = 'request') {
+        const rules = tunnelId
+            ? [...this.getModifications(), ...this.getModifications(tunnelId)]
+            : this.getModifications();
+        return rules.filter(rule => this.hasStage(rule.modification, stage) &&
+            this.matchesPattern(request, rule.pattern));
+    }
+
+    /**
+     * Whether a modification acts on the request, the response or mocks
+     */
+    hasStage(modification = {}, stage) {
+        if (!modification) return false;
+        if (stage === 'mock') return Boolean(modification.mock);
+        if (stage === 'response') return Boolean(modification.response) || modification.statusCode !== undefined;
+        return modification.path !== undefined || modification.headers !== undefined ||
+            modification.body !== undefined;
     }
 
     /**
      * Apply modifications to request
      */
-    applyModifications(request) {
+    applyModifications(request, tunnelId = null) {
         let modified = { ...request };
         let wasModified = false;
 
-        for (const [id, rule] of this.requestModifications) {
-            // Check if pattern matches
-            if (this.matchesPattern(request, rule.pattern)) {
-                // Apply modifications
-                if (rule.modification.headers) {
-                    modified.headers = { ...modified.headers, ...rule.modification.headers };
-                    wasModified = true;
+        for (const rule of this.getMatchingModifications(request, tunnelId, 'request')) {
+            const modification = rule.modification || {};
+
+            // Apply modifications
+            if (modification.headers) {
+                modified.headers = { ...modified.headers, ...modification.headers };
+                wasModified = true;
+            }
+            if (modification.body !== undefined) {
+                modified.body = modification.body;
+                wasModified = true;
+            }
+            if (modification.path) {
+                modified.path = modification.path;
+                wasModified = true;
+            }
+
+            rule.hitCount++;
+            this.countStat(tunnelId, 'totalModified');
+        }
+
+        if (wasModified) {
+            this.emit('requestModified', { original: request, modified, tunnelId });
+        }
+
+        return modified;
+    }
+
+    /**
+     * First mock rule for a request
+     * @returns {Object|null} { rule, response: { statusCode, headers, body: Buffer }, delay }
+     */
+    getMock(request, tunnelId = null) {
+        const [rule] = this.getMatchingModifications(request, tunnelId, 'mock');
+        if (!rule) return null;
+
+        const { statusCode = 200, headers = {}, body = null, delay = 0 } = rule.modification.mock;
+        const response = { statusCode, headers: this.lowercaseHeaders(headers), body: null };
+        if (body !== null && body !== undefined) {
+            response.body = this.toBuffer(body);
+            if (typeof body === 'object' && !response.headers['content-type']) {
+                response.headers['content-type'] = 'application/json';
+            }
+        }
+
+        rule.hitCount++;
+        this.countStat(tunnelId, 'totalModified');
+        this.emit('requestMocked', { id: rule.id, tunnelId, statusCode });
+        return { rule, response, delay };
+    }
+
+    /**
+     * Applies response rules, in order
+     *
+     * Pass body: undefined to change only the status and headers (the body
+     * is already streaming). Compressed bodies are decoded before a patch.
+     * @param {Object} response - { statusCode, headers, body: Buffer|null }
+     * @returns {Object} { response, changes } - changes lists what was touched
+     */
+    applyResponseModifications(response, rules, tunnelId = null) {
+        let { statusCode, body } = response;
+        let headers = { ...response.headers };
+        const changes = {};
+        const headOnly = body === undefined;
+
+        for (const rule of rules) {
+            const edits = { ...rule.modification.response };
+            if (edits.statusCode === undefined && rule.modification.statusCode !== undefined) {
+                edits.statusCode = rule.modification.statusCode;
+            }
+
+            if (edits.statusCode !== undefined) {
+                statusCode = edits.statusCode;
+                changes.statusCode = statusCode;
+            }
+            for (const name of edits.removeHeaders || []) {
+                delete headers[name.toLowerCase()];
+                changes.headers = true;
+            }
+            if (edits.headers) {
+                headers = { ...headers, ...this.lowercaseHeaders(edits.headers) };
+                changes.headers = true;
+            }
+
+            if (!headOnly && edits.body !== undefined) {
+                body = this.toBuffer(edits.body);
+                delete headers['content-encoding'];
+                if (edits.body !== null && typeof edits.body === 'object') {
+                    headers['content-type'] = 'application/json';
                 }
-                if (rule.modification.body !== undefined) {
-                    modified.body = rule.modification.body;
-                    wasModified = true;
+                changes.body = true;
+            }
+            if (!headOnly && edits.patch) {
+                const patched = this.patchJsonBody(body, headers, edits.patch);
+                if (patched) {
+                    body = patched;
+                    delete headers['content-encoding'];
+                    changes.body = true;
+                } else {
+                    changes.patchSkipped = 'body is not JSON';
                 }
-                if (rule.modification.path) {
-                    modified.path = rule.modification.path;
-                    wasModified = true;
+            }
+
+            rule.hitCount++;
+            this.countStat(tunnelId, 'totalModified');
+        }
+
+        if (Object.keys(changes).length) {
+            this.emit('responseModified', { rules: rules.map(rule => rule.id), changes, tunnelId });
+        }
+        return { response: { ...response, statusCode, headers, body }, changes };
+    }
+
+    /**
+     * Applies JSON path patches to a response body
+     * @returns {Buffer|null} Patched body, or null when it isn't JSON
+     */
+    patchJsonBody(body, headers, patches) {
+        if (!body) return null;
+
+        let decoded;
+        try {
+            decoded = decompressBody(body, headers['content-encoding']);
+        } catch (error) {
+            return null;
+        }
+
+        const document = safeJsonParse(decoded.toString('utf8'));
+        if (document === null) return null;
+        return Buffer.from(JSON.stringify(applyJsonPatch(document, patches)));
+    }
+
+    /**
+     * Checks a modification's response and mock parts up front
+     */
+    validateModification(modification) {
+        const checkStatus = (statusCode, at) => {
+            if (statusCode !== undefined && (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599)) {
+                throw new Error(`${at} must be an integer between 100 and 599`);
+            }
+        };
+        const checkHeaders = (headers, at) => {
+            if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers))) {
+                throw new Error(`${at} must map header names to values`);
+            }
+        };
+
+        checkStatus(modification.statusCode, 'statusCode');
+
+        const { response, mock } = modification;
+        if (response !== undefined) {
+            if (!response || typeof response !== 'object') {
+                throw new Error('response must be an object');
+            }
+            checkStatus(response.statusCode, 'response.statusCode');
+            checkHeaders(response.headers, 'response.headers');
+            if (response.removeHeaders !== undefined &&
+                (!Array.isArray(response.removeHeaders) || response.removeHeaders.some(name => typeof name !== 'string'))) {
+                throw new Error('response.removeHeaders must be a list of header names');
+            }
+            if (response.patch !== undefined) {
+                if (!Array.isArray(response.patch)) {
+                    throw new Error('response.patch must be a list of { path, value } or { path, op: "remove" }');
                 }
+                response.patch.forEach((patch, index) => {
+                    parseJsonPath(patch?.path);
+                    if (patch.op === 'remove') return;
+                    if ((patch.op !== undefined && patch.op !== 'set') || !('value' in patch)) {
+                        throw new Error(`response.patch[${index}] needs a value, or op "remove"`);
+                    }
+                });
+            }
+        }
 
-                rule.hitCount++;
-                this.stats.totalModified++;
+        if (mock !== undefined) {
+            if (!mock || typeof mock !== 'object') {
+                throw new Error('mock must be an object');
+            }
+            checkStatus(mock.statusCode, 'mock.statusCode');
+            checkHeaders(mock.headers, 'mock.headers');
+            if (mock.delay !== undefined && (!Number.isInteger(mock.delay) || mock.delay < 0 || mock.delay > 60000)) {
+                throw new Error('mock.delay must be between 0 and 60000 ms');
             }
         }
+    }
 
-        if (wasModified) {
-            this.emit('requestModified', { original: request, modified });
+    lowercaseHeaders(headers) {
+        const result = {};
+        for (const [name, value] of Object.entries(headers)) {
+            result[name.toLowerCase()] = String(value);
         }
+        return result;
+    }
 
-        return modified;
+    toBuffer(body) {
+        if (body === null || body === undefined) return null;
+        if (Buffer.isBuffer(body)) return body;
+        return Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+
+    /**
+     * Checks a rule pattern up front so bad regexes fail here, not per request
+     * @param {Object} pattern - { method, path, headers }
+     * @param {string} at - Where the pattern sits, for error messages
+     * @throws {Error} When the pattern is invalid
+     */
+    validatePattern(pattern, at = 'pattern') {
+        if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+            throw new Error(`${at} must be an object with method, path and/or headers`);
+        }
+        if (pattern.method !== undefined && typeof pattern.method !== 'string') {
+            throw new Error(`${at}.method must be a string`);
+        }
+        const regexes = pattern.path !== undefined ? [['path', pattern.path]] : [];
+        if (pattern.headers !== undefined) {
+            if (!pattern.headers || typeof pattern.headers !== 'object' || Array.isArray(pattern.headers)) {
+                throw new Error(`${at}.headers must map header names to regexes`);
+            }
+            for (const [name, value] of Object.entries(pattern.headers)) {
+                if (value !== true) regexes.push([`header ${name}`, value]);
+            }
+        }
+        for (const [label, source] of regexes) {
+            try {
+                if (typeof source !== 'string') throw new Error('must be a string');
+                new RegExp(source);
+            } catch (error) {
+                throw new Error(`${at}: invalid ${label} pattern: ${error.message}`);
+            }
+        }
     }
 
     /**
@@ -282,23 +838,49 @@ class TrafficControlService extends EventEmitter {
         if (pattern.method && pattern.method !== request.method) {
             return false;
         }
+        // Header values are regexes; true only requires the header
+        for (const [name, expected] of Object.entries(pattern.headers || {})) {
+            const actual = request.headers?.[name.toLowerCase()];
+            if (actual === undefined) return false;
+            if (expected !== true && !new RegExp(expected).test(String(actual))) return false;
+        }
         return true;
     }
 
     /**
      * Get full control state
+     *
+     * For a tunnel: the settings in effect, which of them it overrides,
+     * and its own rules and stats.
      */
-    getState() {
+    getState(tunnelId = null) {
+        const state = {
+            tunnelId,
+            isPaused: this.isPausedState(tunnelId),
+            queueSize: this.getQueue(tunnelId).length,
+            throttle: this.getThrottleConfig(tunnelId),
+            chaosMode: this.getChaosMode(tunnelId),
+            modifications: this.getModifications(tunnelId),
+        };
+
+        if (!tunnelId) {
+            return { ...state, stats: this.stats, tunnels: this.getTunnelIds() };
+        }
+
+        // A tunnel without overrides reports an empty scope
+        const scope = this.getScope(tunnelId) || new TrafficControlScope(tunnelId);
         return {
-            isPaused: this.isPaused,
-            queueSize: this.pausedRequests.length,
-            throttle: this.getThrottleConfig(),
-            chaosMode: this.chaosMode,
-            modifications: this.getModifications(),
-            stats: this.stats,
+            ...state,
+            inheritedModifications: this.getModifications(),
+            overrides: scope.getOverrides(),
+            stats: scope.stats,
         };
     }
 
+    describeScope(tunnelId) {
+        return tunnelId ? ` for tunnel ${tunnelId}` : '';
+    }
+
     /**
      * Helper delay function
      */
@@ -0,0 +1,479 @@
+/**
+ * TrafficQuery
+ *
+ * Search language for captured traffic, e.g.
+ *
+ *   method:POST path:/orders/** status:5xx header.x-tenant:acme duration:>500
+ *   (status:>=400 OR duration:>2s) AND NOT ip:10.0.0.0/8
+ *
+ * - Predicates are field:value; a bare word searches the path
+ * - Terms next to each other are ANDed; AND, OR, NOT, - and parentheses
+ *   combine them (NOT binds tightest, then AND, then OR)
+ * - Values are globs (* and, for paths, ** across segments), numbers
+ *   with >, >=, <, <= or a..b ranges, and "quoted strings"
+ *
+ * Fields: method, status (500, 5xx, pending), path, header.<name>,
+ * resheader.<name>, query.<name>, body (text), body.<json path>,
+ * resbody.<json path>, duration (ms, s, m), size and reqsize (b, kb, mb),
+ * ip (glob or CIDR), tunnel (id or subdomain), time (ISO date or -15m).
+ */
+
+const { parseJsonPath, safeJsonParse, decompressBody } = require('../../shared/src');
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+const TIME_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+const TEXT_FIELDS = ['method', 'path', 'ip', 'tunnel'];
+const PREFIX_FIELDS = ['header', 'resheader', 'query', 'body', 'resbody'];
+
+class TrafficQuery {
+    /**
+     * Parses a query
+     * @param {string} text - Query text
+     * @returns {TrafficQuery}
+     * @throws {Error} On syntax errors, with the position
+     */
+    static parse(text) {
+        return new TrafficQuery(text);
+    }
+
+    constructor(text) {
+        this.text = String(text || '');
+        this.tokens = this.tokenize(this.text);
+        this.position = 0;
+        this.ast = this.tokens.length > 0 ? this.parseOr() : { type: 'all' };
+        if (this.position < this.tokens.length) {
+            this.fail(`unexpected ${this.describe(this.peek())}`, this.peek());
+        }
+        this.predicate = this.compile(this.ast);
+    }
+
+    /**
+     * Whether a captured request matches the query
+     * @param {Object} traffic - InspectedTraffic
+     */
+    matches(traffic) {
+        return this.predicate(traffic);
+    }
+
+    /**
+     * Store query options that narrow the scan without changing the result:
+     * status, path and time predicates ANDed at the top level
+     * @returns {Object} { statusCode, path (regex), since, until }
+     */
+    indexHints() {
+        const terms = this.ast.type === 'and' ? this.ast.terms : [this.ast];
+        const hints = {};
+
+        for (const term of terms) {
+            if (term.type !== 'predicate') continue;
+            const { field, value } = term;
+
+            if (field === 'status' && value.kind === 'compare' && value.op === '=') {
+                hints.statusCode = value.number;
+            } else if (field === 'path' && value.kind === 'text' && !hints.path) {
+                hints.path = `${value.regex.source.slice(0, -1)}(\\?.*)?$`;
+            } else if (field === 'time' && value.kind === 'compare') {
+                if (value.op === '>' || value.op === '>=') hints.since = Math.max(hints.since || 0, value.number);
+                if (value.op === '<' || value.op === '<=') hints.until = Math.min(hints.until ?? Infinity, value.number);
+            } else if (field === 'time' && value.kind === 'range') {
+                hints.since = Math.max(hints.since || 0, value.min);
+                hints.until = Math.min(hints.until ?? Infinity, value.max);
+            }
+        }
+        return hints;
+    }
+
+    // ===== Tokenizer =====
+
+    tokenize(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            const char = text[index];
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, at: index });
+                index++;
+            } else if (char === '-' && index + 1 < text.length && !/[\s)]/.test(text[index + 1])) {
+                tokens.push({ type: 'NOT', at: index });
+                index++;
+            } else {
+                const start = index;
+                // A quoted word is never a keyword or field:value
+                const quoted = char === '"';
+                let word = '';
+                while (index < text.length && !/[\s()]/.test(text[index])) {
+                    if (text[index] === '"') {
+                        const end = text.indexOf('"', index + 1);
+                        if (end === -1) this.fail('unterminated quote', { at: index });
+                        word += text.slice(index + 1, end);
+                        index = end + 1;
+                    } else {
+                        word += text[index++];
+                    }
+                }
+                if (!quoted && KEYWORDS.includes(word)) {
+                    tokens.push({ type: word, at: start });
+                } else {
+                    tokens.push({ type: 'term', raw: text.slice(start, index), word, quoted, at: start });
+                }
+            }
+        }
+        return tokens;
+    }
+
+    // ===== Parser =====
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    parseOr() {
+        const terms = [this.parseAnd()];
+        while (this.peek()?.type === 'OR') {
+            this.position++;
+            terms.push(this.parseAnd());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'or', terms };
+    }
+
+    parseAnd() {
+        const terms = [this.parseNot()];
+        for (let token = this.peek(); token && token.type !== 'OR' && token.type !== ')'; token = this.peek()) {
+            if (token.type === 'AND') this.position++;
+            terms.push(this.parseNot());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'and', terms };
+    }
+
+    parseNot() {
+        const token = this.peek();
+        if (token?.type === 'NOT') {
+            this.position++;
+            return { type: 'not', term: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) {
+            this.fail('unexpected end of query', { at: this.text.length });
+        }
+        this.position++;
+
+        if (token.type === '(') {
+            const expression = this.parseOr();
+            if (this.peek()?.type !== ')') {
+                this.fail('expected )', this.peek() || { at: this.text.length });
+            }
+            this.position++;
+            return expression;
+        }
+        if (token.type !== 'term') {
+            this.fail(`unexpected ${this.describe(token)}`, token);
+        }
+        return this.parsePredicate(token);
+    }
+
+    /**
+     * field:value, or a bare word that searches the path
+     */
+    parsePredicate(token) {
+        const colon = token.quoted ? -1 : token.raw.indexOf(':');
+        if (colon <= 0) {
+            return { type: 'predicate', field: 'path', value: this.parseText(`**${token.word}**`, 'path', token) };
+        }
+
+        const name = token.raw.slice(0, colon).toLowerCase();
+        const raw = token.word.slice(colon + 1);
+        const dot = name.indexOf('.');
+        const field = dot === -1 ? name : name.slice(0, dot);
+        const key = dot === -1 ? null : token.raw.slice(dot + 1, colon);
+
+        if (raw === '') {
+            this.fail(`missing value for ${name}`, token);
+        }
+        if (PREFIX_FIELDS.includes(field)) {
+            return this.parsePrefixed(field, key, raw, token);
+        }
+        if (key !== null) {
+            this.fail(`unknown field ${name}`, token);
+        }
+
+        switch (field) {
+            case 'status':
+                return { type: 'predicate', field, value: this.parseStatus(raw, token) };
+            case 'duration':
+                return { type: 'predicate', field, value: this.parseNumeric(raw, DURATION_UNITS, 'ms', token) };
+            case 'size':
+            case 'reqsize':
+                return { type: 'predicate', field, value: this.parseNumeric(raw, SIZE_UNITS, 'b', token) };
+            case 'time':
+                return { type: 'predicate', field, value: this.parseTime(raw, token) };
+            case 'ip':
+                if (/^\d+\.\d+\.\d+\.\d+\/\d+$/.test(raw)) {
+                    return { type: 'predicate', field, value: this.parseCidr(raw, token) };
+                }
+                return { type: 'predicate', field, value: this.parseText(raw, field, token) };
+            default:
+                if (!TEXT_FIELDS.includes(field)) {
+                    this.fail(`unknown field ${field}`, token);
+                }
+                return { type: 'predicate', field, value: this.parseText(raw, field, token) };
+        }
+    }
+
+    parsePrefixed(field, key, raw, token) {
+        if (field === 'body' && key === null) {
+            return { type: 'predicate', field, key, value: this.parseText(`*${raw}*`, field, token) };
+        }
+        if (!key) {
+            this.fail(`${field} needs a name, e.g. ${field}.${field === 'resbody' ? 'id' : 'x-name'}:value`, token);
+        }
+
+        let path = null;
+        if (field === 'body' || field === 'resbody') {
+            try {
+                path = parseJsonPath(key.startsWith('$') ? key : `$${key.startsWith('[') ? '' : '.'}${key}`);
+            } catch (error) {
+                this.fail(error.message, token);
+            }
+        }
+
+        const value = /^(>=|<=|>|<)/.test(raw) || /^-?[\d.]+\.\.-?[\d.]+$/.test(raw)
+            ? this.parseNumeric(raw, null, null, token)
+            : this.parseText(raw, field, token);
+        return { type: 'predicate', field, key: path || key.toLowerCase(), value };
+    }
+
+    parseText(raw, field, token) {
+        if (raw.length > 500) this.fail('value is too long', token);
+
+        // In paths * stays within a segment and ** crosses them
+        const source = raw.split(/(\*\*|\*)/).map(part => {
+            if (part === '**') return '.*';
+            if (part === '*') return field === 'path' ? '[^/]*' : '.*';
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return { kind: 'text', raw, regex: new RegExp(`^${source}$`, 'i') };
+    }
+
+    parseStatus(raw, token) {
+        if (raw.toLowerCase() === 'pending') return { kind: 'pending' };
+
+        const classMatch = /^([1-5])xx$/i.exec(raw);
+        if (classMatch) {
+            const base = parseInt(classMatch[1], 10) * 100;
+            return { kind: 'range', min: base, max: base + 99 };
+        }
+        return this.parseNumeric(raw, {}, null, token);
+    }
+
+    /**
+     * >500, <=2s, 100..500 or a plain number, with optional units
+     */
+    parseNumeric(raw, units, defaultUnit, token) {
+        const toNumber = (text) => {
+            const match = /^(-?\d+(?:\.\d+)?)([a-z]*)$/i.exec(text);
+            const unit = match && (match[2].toLowerCase() || defaultUnit);
+            if (!match || (units && unit && !(unit in units)) || (!units && match[2])) {
+                this.fail(`invalid number ${text}`, token);
+            }
+            return parseFloat(match[1]) * (units && unit ? units[unit] : 1);
+        };
+
+        const range = raw.split('..');
+        if (range.length === 2) {
+            return { kind: 'range', min: toNumber(range[0]), max: toNumber(range[1]) };
+        }
+
+        const compare = /^(>=|<=|>|<|=)?(.*)$/.exec(raw);
+        return { kind: 'compare', op: compare[1] || '=', number: toNumber(compare[2]) };
+    }
+
+    /**
+     * ISO dates or times relative to now (-15m, -2h, -1d)
+     */
+    parseTime(raw, token) {
+        const toTime = (text) => {
+            const relative = /^-(\d+)([smhd])$/.exec(text);
+            if (relative) {
+                return Date.now() - parseInt(relative[1], 10) * TIME_UNITS[relative[2]];
+            }
+            const time = new Date(text).getTime();
+            if (Number.isNaN(time)) this.fail(`invalid time ${text}`, token);
+            return time;
+        };
+
+        const range = raw.split('..');
+        if (range.length === 2) {
+            return { kind: 'range', min: toTime(range[0]), max: toTime(range[1]) };
+        }
+        const compare = /^(>=|<=|>|<)?(.*)$/.exec(raw);
+        return { kind: 'compare', op: compare[1] || '>=', number: toTime(compare[2]) };
+    }
+
+    parseCidr(raw, token) {
+        const [address, bits] = raw.split('/');
+        const prefix = parseInt(bits, 10);
+        const base = ipv4ToNumber(address);
+        if (base === null || prefix > 32) this.fail(`invalid CIDR ${raw}`, token);
+        const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+        return { kind: 'cidr', mask, network: (base & mask) >>> 0 };
+    }
+
+    fail(message, token) {
+        throw new Error(`Invalid query at ${token.at + 1}: ${message}`);
+    }
+
+    describe(token) {
+        return token.type === 'term' ? `"${token.raw}"` : token.type;
+    }
+
+    // ===== Evaluation =====
+
+    compile(node) {
+        switch (node.type) {
+            case 'all':
+                return () => true;
+            case 'and': {
+                const terms = node.terms.map(term => this.compile(term));
+                return traffic => terms.every(term => term(traffic));
+            }
+            case 'or': {
+                const terms = node.terms.map(term => this.compile(term));
+                return traffic => terms.some(term => term(traffic));
+            }
+            case 'not': {
+                const term = this.compile(node.term);
+                return traffic => !term(traffic);
+            }
+            default: {
+                const test = valueTest(node.value);
+                return traffic => fieldValues(traffic, node.field, node.key).some(test);
+            }
+        }
+    }
+}
+
+/**
+ * Values a predicate tests (it matches if any of them pass)
+ */
+function fieldValues(traffic, field, key) {
+    const { request, response } = traffic;
+    switch (field) {
+        case 'method': return [request.method];
+        case 'path': return [(request.path || '/').split('?')[0]];
+        case 'status': return [response ? response.statusCode : null];
+        case 'duration': return [traffic.responseTime];
+        case 'size': return [traffic.responseSize];
+        case 'reqsize': return [traffic.requestSize];
+        case 'time': return [traffic.createdAt];
+        case 'ip': return [request.clientIp];
+        case 'tunnel': return [traffic.tunnelId, traffic.subdomain];
+        case 'header': return headerValues(request.headers, key);
+        case 'resheader': return headerValues(response && response.headers, key);
+        case 'query': return queryValues(request.path, key);
+        case 'body':
+            if (key === null) return [request.body];
+            return [readJsonPath(safeJsonParse(request.body || ''), key)];
+        case 'resbody':
+            return [readJsonPath(safeJsonParse(decodeResponseBody(response)), key)];
+        default: return [];
+    }
+}
+
+function valueTest(value) {
+    switch (value.kind) {
+        case 'pending':
+            return actual => actual === null || actual === undefined;
+        case 'text':
+            return actual => actual !== null && actual !== undefined && typeof actual !== 'object' &&
+                value.regex.test(String(actual));
+        case 'cidr':
+            return (actual) => {
+                const address = ipv4ToNumber(String(actual || '').replace(/^::ffff:/, ''));
+                return address !== null && ((address & value.mask) >>> 0) === value.network;
+            };
+        case 'range':
+            return actual => isNumeric(actual) && Number(actual) >= value.min && Number(actual) <= value.max;
+        default:
+            return (actual) => {
+                if (!isNumeric(actual)) return false;
+                const number = Number(actual);
+                switch (value.op) {
+                    case '>': return number > value.number;
+                    case '>=': return number >= value.number;
+                    case '<': return number < value.number;
+                    case '<=': return number <= value.number;
+                    default: return number === value.number;
+                }
+            };
+    }
+}
+
+function isNumeric(value) {
+    return value !== null && value !== undefined && value !== '' && typeof value !== 'object' &&
+        !Number.isNaN(Number(value));
+}
+
+function headerValues(headers, name) {
+    if (!headers) return [];
+    for (const [key, value] of Object.entries(headers)) {
+        if (key.toLowerCase() === name) {
+            return Array.isArray(value) ? value : [value];
+        }
+    }
+    return [];
+}
+
+function queryValues(path, name) {
+    const queryIndex = (path || '').indexOf('?');
+    if (queryIndex === -1) return [];
+    return new URLSearchParams(path.slice(queryIndex + 1)).getAll(name);
+}
+
+function readJsonPath(document, segments) {
+    let value = document;
+    for (const segment of segments) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = typeof segment === 'number' && segment < 0 && Array.isArray(value)
+            ? value[value.length + segment]
+            : value[segment];
+    }
+    return value;
+}
+
+/**
+ * Response bodies are captured base64 encoded, possibly compressed
+ */
+function decodeResponseBody(response) {
+    if (!response || !response.body) return '';
+    try {
+        const encoding = headerValues(response.headers, 'content-encoding')[0];
+        return decompressBody(Buffer.from(response.body, 'base64'), encoding).toString('utf8');
+    } catch {
+        return '';
+    }
+}
+
+function ipv4ToNumber(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4) return null;
+    let number = 0;
+    for (const part of parts) {
+        const octet = parseInt(part, 10);
+        if (!/^\d+$/.test(part) || octet > 255) return null;
+        number = number * 256 + octet;
+    }
+    return number;
+}
+
+module.exports = TrafficQuery;
@@ -0,0 +1,409 @@
+/**
+ * TrafficStore
+ *
+ * Where InspectorService keeps captured traffic:
+ * - An index by tunnel, path, status and time, so queries over long
+ *   histories only walk the requests that can match
+ * - Retention by age, total size and request count
+ * - MemoryTrafficStore (default) keeps everything in memory; see
+ *   JsonlTrafficStore for the file-backed store
+ */
+
+/**
+ * Inserts an entry into a list kept in createdAt order
+ */
+function insertSorted(list, entry) {
+    if (list.length === 0 || list[list.length - 1].createdAt <= entry.createdAt) {
+        list.push(entry);
+        return;
+    }
+    list.splice(lowerBound(list, entry.createdAt + 1), 0, entry);
+}
+
+/**
+ * First position in a createdAt-ordered list at or after a time
+ */
+function lowerBound(list, time) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (list[mid].createdAt < time) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+/**
+ * Index entries: { requestId, tunnelId, method, path, statusCode,
+ * createdAt, size } plus whatever the store needs to load the record
+ */
+class TrafficIndex {
+    constructor() {
+        this.entries = [];
+        this.byId = new Map();
+        this.byTunnel = new Map();
+        this.byPath = new Map();
+        this.byStatus = new Map();
+        this.totalSize = 0;
+    }
+
+    get size() {
+        return this.byId.size;
+    }
+
+    get(requestId) {
+        return this.byId.get(requestId) || null;
+    }
+
+    /**
+     * Adds or refreshes the entry for a traffic record
+     * @returns {Object} Index entry
+     */
+    update(traffic) {
+        const size = (traffic.requestSize || 0) + (traffic.responseSize || 0);
+        const statusCode = traffic.response ? traffic.response.statusCode ?? null : null;
+
+        let entry = this.byId.get(traffic.requestId);
+        if (!entry) {
+            entry = {
+                requestId: traffic.requestId,
+                tunnelId: traffic.tunnelId,
+                method: traffic.request.method,
+                path: traffic.request.path || '/',
+                statusCode: null,
+                createdAt: traffic.createdAt,
+                size: 0,
+            };
+            this.byId.set(entry.requestId, entry);
+            insertSorted(this.entries, entry);
+            insertSorted(this.listFor(this.byTunnel, entry.tunnelId), entry);
+            insertSorted(this.listFor(this.byPath, entry.path), entry);
+        }
+
+        // Requests join the status index once answered
+        if (statusCode !== null && entry.statusCode === null) {
+            entry.statusCode = statusCode;
+            insertSorted(this.listFor(this.byStatus, statusCode), entry);
+        }
+
+        this.totalSize += size - entry.size;
+        entry.size = size;
+        return entry;
+    }
+
+    listFor(map, key) {
+        let list = map.get(key);
+        if (!list) {
+            list = [];
+            map.set(key, list);
+        }
+        return list;
+    }
+
+    /**
+     * Removes the oldest entries
+     *
+     * Every list is in createdAt order, so they all lose a prefix.
+     * @returns {Object[]} Removed entries
+     */
+    removeOldest(count) {
+        const removed = this.entries.splice(0, count);
+        const touched = new Map();
+        for (const entry of removed) {
+            this.forget(entry);
+            touched.set(`t:${entry.tunnelId}`, [this.byTunnel, entry.tunnelId]);
+            touched.set(`p:${entry.path}`, [this.byPath, entry.path]);
+            if (entry.statusCode !== null) {
+                touched.set(`s:${entry.statusCode}`, [this.byStatus, entry.statusCode]);
+            }
+        }
+        for (const [map, key] of touched.values()) {
+            const list = map.get(key);
+            let trimmed = 0;
+            while (trimmed < list.length && list[trimmed].removed) trimmed++;
+            if (trimmed === list.length) map.delete(key);
+            else list.splice(0, trimmed);
+        }
+        return removed;
+    }
+
+    /**
+     * Removes entries that match a predicate, wherever they are
+     * @returns {Object[]} Removed entries
+     */
+    removeWhere(predicate) {
+        const removed = this.entries.filter(predicate);
+        if (removed.length === 0) return removed;
+
+        for (const entry of removed) {
+            this.forget(entry);
+        }
+        this.entries = this.entries.filter(entry => !entry.removed);
+        for (const map of [this.byTunnel, this.byPath, this.byStatus]) {
+            for (const [key, list] of map) {
+                map.set(key, list.filter(entry => !entry.removed));
+            }
+        }
+        this.dropEmptyLists();
+        return removed;
+    }
+
+    forget(entry) {
+        entry.removed = true;
+        this.byId.delete(entry.requestId);
+        this.totalSize -= entry.size;
+    }
+
+    dropEmptyLists() {
+        for (const map of [this.byTunnel, this.byPath, this.byStatus]) {
+            for (const [key, list] of map) {
+                if (list.length === 0) map.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.entries = [];
+        this.byId.clear();
+        this.byTunnel.clear();
+        this.byPath.clear();
+        this.byStatus.clear();
+        this.totalSize = 0;
+    }
+
+    /**
+     * Finds entries, newest first
+     * @param {Object} options - { tunnelId, method, statusCode, path (regex),
+     *   since, until, limit, offset }
+     * @returns {Object[]} Index entries
+     */
+    query(options = {}) {
+        const limit = parseInt(options.limit, 10) || 50;
+        const offset = parseInt(options.offset, 10) || 0;
+
+        const result = [];
+        let skipped = 0;
+        for (const entry of this.scan(options)) {
+            if (skipped < offset) {
+                skipped++;
+                continue;
+            }
+            result.push(entry);
+            if (result.length >= limit) break;
+        }
+        return result;
+    }
+
+    /**
+     * Yields matching entries, newest first
+     *
+     * Walks the smallest index list that covers the query (a tunnel, a
+     * status, or the paths matching the path regex) between the time
+     * bounds, and checks the other filters per entry.
+     */
+    *scan(options) {
+        const method = options.method ? options.method.toUpperCase() : null;
+        const statusCode = options.statusCode !== undefined && options.statusCode !== ''
+            ? parseInt(options.statusCode, 10)
+            : null;
+        const since = options.since ? new Date(options.since).getTime() : null;
+        const until = options.until ? new Date(options.until).getTime() : null;
+
+        let candidates = this.entries;
+        if (options.tunnelId) {
+            candidates = this.byTunnel.get(options.tunnelId) || [];
+        }
+        if (statusCode !== null) {
+            const byStatus = this.byStatus.get(statusCode) || [];
+            if (byStatus.length < candidates.length) candidates = byStatus;
+        }
+
+        // The regex runs once per distinct path
+        let pathMatches = null;
+        if (options.path) {
+            const pattern = new RegExp(options.path, 'i');
+            pathMatches = new Set();
+            const lists = [];
+            let matched = 0;
+            for (const [path, list] of this.byPath) {
+                if (pattern.test(path)) {
+                    pathMatches.add(path);
+                    lists.push(list);
+                    matched += list.length;
+                }
+            }
+            if (matched < candidates.length) {
+                candidates = lists.length === 1
+                    ? lists[0]
+                    : lists.flat().sort((a, b) => a.createdAt - b.createdAt);
+            }
+        }
+
+        const start = since !== null ? lowerBound(candidates, since) : 0;
+        const end = until !== null ? lowerBound(candidates, until + 1) : candidates.length;
+
+        for (let i = end - 1; i >= start; i--) {
+            const entry = candidates[i];
+            if (options.tunnelId && entry.tunnelId !== options.tunnelId) continue;
+            if (statusCode !== null && entry.statusCode !== statusCode) continue;
+            if (method && entry.method !== method) continue;
+            if (pathMatches && !pathMatches.has(entry.path)) continue;
+            if (entry.removed) continue;
+            yield entry;
+        }
+    }
+}
+
+/**
+ * Base store: the index, retention and queries
+ *
+ * Subclasses keep the records: put() stores a traffic record (new or
+ * updated), load() returns it for an index entry, and removed() lets go
+ * of records retention dropped.
+ */
+class TrafficStore {
+    /**
+     * @param {Object} options - { maxRequests, maxAge (ms), maxBytes,
+     *   scanLimit: most records a filtered query loads }; unset limits
+     *   don't apply
+     */
+    constructor({ maxRequests = null, maxAge = null, maxBytes = null, scanLimit = null } = {}) {
+        this.maxRequests = maxRequests;
+        this.maxAge = maxAge;
+        this.maxBytes = maxBytes;
+        this.scanLimit = scanLimit;
+        this.index = new TrafficIndex();
+    }
+
+    get(requestId) {
+        const entry = this.index.get(requestId);
+        return entry ? this.load(entry) : null;
+    }
+
+    /**
+     * Finds traffic records, newest first (see TrafficIndex.query)
+     *
+     * A filter the index can't narrow loads every candidate record, so
+     * only the newest scanLimit candidates are tried.
+     * @param {Object} options - Index options, plus filter: a test for
+     *   each record the index lets through
+     */
+    query(options = {}) {
+        if (!options.filter) {
+            return this.index.query(options)
+                .map(entry => this.load(entry))
+                .filter(Boolean);
+        }
+
+        const limit = parseInt(options.limit, 10) || 50;
+        const offset = parseInt(options.offset, 10) || 0;
+        const result = [];
+        let skipped = 0;
+        let scanned = 0;
+        for (const entry of this.index.scan(options)) {
+            if (this.scanLimit && scanned++ >= this.scanLimit) break;
+            const traffic = this.load(entry);
+            if (!traffic || !options.filter(traffic)) continue;
+            if (skipped < offset) {
+                skipped++;
+                continue;
+            }
+            result.push(traffic);
+            if (result.length >= limit) break;
+        }
+        return result;
+    }
+
+    count() {
+        return this.index.size;
+    }
+
+    tunnelCount() {
+        return this.index.byTunnel.size;
+    }
+
+    /**
+     * Stored requests that have a response
+     */
+    answeredCount() {
+        let count = 0;
+        for (const list of this.index.byStatus.values()) {
+            count += list.length;
+        }
+        return count;
+    }
+
+    /**
+     * Drops the oldest records beyond the count and size limits
+     */
+    enforceLimits() {
+        if (this.maxRequests && this.index.size > this.maxRequests) {
+            this.removed(this.index.removeOldest(this.index.size - this.maxRequests));
+        }
+        if (this.maxBytes && this.index.totalSize > this.maxBytes) {
+            let excess = this.index.totalSize - this.maxBytes;
+            let count = 0;
+            while (excess > 0 && count < this.index.entries.length) {
+                excess -= this.index.entries[count++].size;
+            }
+            this.removed(this.index.removeOldest(count));
+        }
+    }
+
+    /**
+     * Drops records older than the age limit
+     */
+    prune(now = Date.now()) {
+        if (!this.maxAge) return;
+        const expired = lowerBound(this.index.entries, now - this.maxAge);
+        if (expired > 0) {
+            this.removed(this.index.removeOldest(expired));
+        }
+    }
+
+    removed() { }
+
+    clear() {
+        this.index.clear();
+    }
+
+    close() { }
+}
+
+/**
+ * Keeps records in memory; lost on restart
+ */
+class MemoryTrafficStore extends TrafficStore {
+    constructor(options = {}) {
+        super(options);
+        this.records = new Map();
+    }
+
+    put(traffic) {
+        this.records.set(traffic.requestId, traffic);
+        this.index.update(traffic);
+        this.enforceLimits();
+    }
+
+    load(entry) {
+        return this.records.get(entry.requestId) || null;
+    }
+
+    removed(entries) {
+        for (const entry of entries) {
+            this.records.delete(entry.requestId);
+        }
+    }
+
+    clear() {
+        super.clear();
+        this.records.clear();
+    }
+}
+
+module.exports = {
+    TrafficIndex,
+    TrafficStore,
+    MemoryTrafficStore,
+};
@@ -3,6 +3,10 @@
  * 
  * Manages active tunnel connections, subdomain allocation,
  * and tunnel lifecycle.
+ *
+ * A tunnel whose CLI connection drops is detached rather than closed:
+ * it keeps its subdomain, tunnelId and stats for a grace period, and the
+ * CLI can reattach it by presenting the tunnel's resume token.
  */
 
 const { EventEmitter } = require('events');
@@ -10,7 +14,11 @@ const {
     createLogger,
     generateTunnelId,
     generateSubdomain,
+    generateAuthToken,
     isValidSubdomain,
+    serializeMessage,
+    Capability,
+    Framing,
     TUNNEL_CONFIG,
     ERROR_CODES,
 } = require('../../shared/src');
@@ -19,12 +27,28 @@ const {
  * Represents a single tunnel connection
  */
 class Tunnel {
-    constructor({ tunnelId, subdomain, ws, localPort, clientInfo }) {
+    constructor({
+        tunnelId,
+        subdomain,
+        ws,
+        localPort,
+        clientInfo,
+        apiKey = null,
+        protocolVersion = 1,
+        capabilities = [],
+        framing = Framing.JSON,
+        inspect = true,
+    }) {
         this.tunnelId = tunnelId;
         this.subdomain = subdomain;
         this.ws = ws;
         this.localPort = localPort;
         this.clientInfo = clientInfo;
+        this.protocolVersion = protocolVersion;
+        this.capabilities = capabilities;
+        this.framing = framing;
+        // Whether traffic is recorded for the inspector
+        this.inspect = inspect;
         this.createdAt = Date.now();
         this.lastActivity = Date.now();
         this.requestCount = 0;
@@ -32,8 +56,26 @@ class Tunnel {
         this.bytesOut = 0;
         this.isAlive = true;
 
+        // API key that registered the tunnel (null for anonymous tunnels)
+        this.apiKey = apiKey;
+
+        // Auth session issued at registration (null for anonymous tunnels)
+        this.sessionToken = null;
+
+        // Secret the CLI presents to reattach after a disconnect
+        this.resumeToken = generateAuthToken();
+
+        // Grace state while the CLI is disconnected
+        this.detachedAt = null;
+        this.graceDeadline = null;
+        this.graceTimer = null;
+        this.attachWaiters = [];
+
         // Pending requests waiting for responses
         this.pendingRequests = new Map();
+
+        // Upgraded public WebSocket connections relayed through this tunnel
+        this.upgradedSockets = new Map();
     }
 
     /**
@@ -43,6 +85,69 @@ class Tunnel {
         this.lastActivity = Date.now();
     }
 
+    /**
+     * Checks whether the CLI connection is gone but the tunnel may resume
+     * @returns {boolean}
+     */
+    isDetached() {
+        return this.detachedAt !== null;
+    }
+
+    /**
+     * Waits for the CLI client to reattach, at most until the grace deadline
+     * @returns {Promise<boolean>} True if reattached, false if the tunnel closed
+     */
+    waitUntilAttached() {
+        if (!this.isDetached()) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            const waiter = (attached) => {
+                clearTimeout(timer);
+                resolve(attached);
+            };
+            const timer = setTimeout(() => {
+                this.attachWaiters = this.attachWaiters.filter(w => w !== waiter);
+                resolve(false);
+            }, Math.max(this.graceDeadline - Date.now(), 0));
+            this.attachWaiters.push(waiter);
+        });
+    }
+
+    /**
+     * Settles everything waiting for the tunnel to reattach
+     * @param {boolean} attached - Whether the CLI came back
+     */
+    settleAttachWaiters(attached) {
+        const waiters = this.attachWaiters;
+        this.attachWaiters = [];
+        for (const waiter of waiters) {
+            waiter(attached);
+        }
+    }
+
+    /**
+     * Checks whether a feature was negotiated with the CLI client
+     * @param {string} capability - Capability name
+     * @returns {boolean}
+     */
+    hasCapability(capability) {
+        return this.capabilities.includes(capability);
+    }
+
+    /**
+     * Sends a protocol message to the CLI client using the negotiated framing
+     * @param {Object} message - Protocol message
+     * @returns {boolean} Whether the message was sent
+     */
+    send(message) {
+        if (this.ws.readyState !== 1) return false;
+        this.ws.send(serializeMessage(message, {
+            binary: this.framing === Framing.BINARY,
+            compress: this.hasCapability(Capability.COMPRESSION),
+        }));
+        return true;
+    }
+
     /**
      * Increments request statistics
      * @param {number} bytesIn - Incoming bytes
@@ -57,11 +162,21 @@ class Tunnel {
 
     /**
      * Adds a pending request
+     *
+     * Every entry starts with the streaming state the response handlers
+     * use, since any response (proxied or replayed) may arrive in chunks.
      * @param {string} requestId - Request ID
      * @param {Object} requestData - Request data with resolve/reject callbacks
      */
     addPendingRequest(requestId, requestData) {
         this.pendingRequests.set(requestId, {
+            streaming: false,
+            chunks: [],
+            capturedSize: 0,
+            bodySize: 0,
+            paused: false,
+            writes: Promise.resolve(),
+            queuedBytes: 0,
             ...requestData,
             startTime: Date.now(),
         });
@@ -84,6 +199,33 @@ class Tunnel {
         this.pendingRequests.delete(requestId);
     }
 
+    /**
+     * Adds an upgraded public WebSocket
+     * @param {string} connectionId - Connection ID
+     * @param {WebSocket} socket - Public-side WebSocket
+     */
+    addUpgradedSocket(connectionId, socket) {
+        this.upgradedSockets.set(connectionId, socket);
+        this.touch();
+    }
+
+    /**
+     * Gets an upgraded public WebSocket
+     * @param {string} connectionId - Connection ID
+     * @returns {WebSocket|undefined} Public-side WebSocket
+     */
+    getUpgradedSocket(connectionId) {
+        return this.upgradedSockets.get(connectionId);
+    }
+
+    /**
+     * Removes an upgraded public WebSocket
+     * @param {string} connectionId - Connection ID
+     */
+    removeUpgradedSocket(connectionId) {
+        this.upgradedSockets.delete(connectionId);
+    }
+
     /**
      * Gets tunnel statistics
      * @returns {Object} Tunnel stats
@@ -99,6 +241,11 @@ class Tunnel {
             bytesIn: this.bytesIn,
             bytesOut: this.bytesOut,
             pendingRequests: this.pendingRequests.size,
+            detached: this.isDetached(),
+            webSocketConnections: this.upgradedSockets.size,
+            protocolVersion: this.protocolVersion,
+            capabilities: this.capabilities,
+            inspect: this.inspect,
             uptime: Date.now() - this.createdAt,
         };
     }
@@ -121,8 +268,15 @@ class TunnelManager extends EventEmitter {
         // Map of WebSocket -> Tunnel[]
         this.tunnelsByWs = new Map();
 
+        // Map of resume token -> Tunnel
+        this.tunnelsByResumeToken = new Map();
+
         // Set of reserved subdomains
         this.reservedSubdomains = new Set(['api', 'www', 'admin', 'dashboard', 'app', 'mail', 'ftp']);
+
+        // Subdomains claimed by API keys
+        // Format: { subdomain: { apiKey, userId, createdAt } }
+        this.subdomainReservations = new Map();
     }
 
     /**
@@ -132,12 +286,39 @@ class TunnelManager extends EventEmitter {
      * @param {string} options.requestedSubdomain - Requested subdomain (optional)
      * @param {number} options.localPort - Local port being tunneled
      * @param {Object} options.clientInfo - Client information
+     * @param {string} options.apiKey - Authenticated API key (optional)
+     * @param {number} options.protocolVersion - Negotiated protocol version
+     * @param {string[]} options.capabilities - Capabilities shared with the client
+     * @param {string} options.framing - Negotiated wire framing
+     * @param {boolean} options.inspect - Record traffic for the inspector
      * @returns {Object} Result with tunnel or error
      */
-    registerTunnel({ ws, requestedSubdomain, localPort, clientInfo = {} }) {
+    registerTunnel({
+        ws,
+        requestedSubdomain,
+        localPort,
+        clientInfo = {},
+        apiKey = null,
+        protocolVersion,
+        capabilities,
+        framing,
+        inspect = true,
+    }) {
         try {
+            // Check per-client tunnel limit
+            const existingTunnels = this.tunnelsByWs.get(ws) || [];
+            if (existingTunnels.length >= TUNNEL_CONFIG.MAX_TUNNELS_PER_CLIENT) {
+                return {
+                    success: false,
+                    error: 'Maximum tunnels per client exceeded',
+                    code: ERROR_CODES.TUNNEL_LIMIT_EXCEEDED,
+                };
+            }
+
             // Validate or generate subdomain
             let subdomain;
+            // Detached tunnel this registration takes over, once nothing can refuse it
+            let replaced = null;
 
             if (requestedSubdomain) {
                 // Validate requested subdomain
@@ -157,7 +338,20 @@ class TunnelManager extends EventEmitter {
                     };
                 }
 
-                if (this.tunnelsBySubdomain.has(requestedSubdomain.toLowerCase())) {
+                const claim = this.subdomainReservations.get(requestedSubdomain.toLowerCase());
+                if (claim && claim.apiKey !== apiKey) {
+                    return {
+                        success: false,
+                        error: 'Subdomain is reserved by another API key',
+                        code: ERROR_CODES.SUBDOMAIN_TAKEN,
+                    };
+                }
+
+                // A restarted CLI (no resume token) may replace its own detached tunnel
+                const existing = this.tunnelsBySubdomain.get(requestedSubdomain.toLowerCase());
+                if (existing && existing.isDetached() && apiKey && existing.apiKey === apiKey) {
+                    replaced = existing;
+                } else if (existing) {
                     return {
                         success: false,
                         error: 'Subdomain is already in use',
@@ -170,17 +364,15 @@ class TunnelManager extends EventEmitter {
                 // Generate unique subdomain
                 do {
                     subdomain = generateSubdomain();
-                } while (this.tunnelsBySubdomain.has(subdomain) || this.reservedSubdomains.has(subdomain));
+                } while (
+                    this.tunnelsBySubdomain.has(subdomain) ||
+                    this.reservedSubdomains.has(subdomain) ||
+                    this.subdomainReservations.has(subdomain)
+                );
             }
 
-            // Check per-client tunnel limit
-            const existingTunnels = this.tunnelsByWs.get(ws) || [];
-            if (existingTunnels.length >= TUNNEL_CONFIG.MAX_TUNNELS_PER_CLIENT) {
-                return {
-                    success: false,
-                    error: 'Maximum tunnels per client exceeded',
-                    code: ERROR_CODES.TUNNEL_LIMIT_EXCEEDED,
-                };
+            if (replaced) {
+                this.closeTunnel(replaced.tunnelId, 'Replaced by new registration');
             }
 
             // Create tunnel
@@ -191,16 +383,18 @@ class TunnelManager extends EventEmitter {
                 ws,
                 localPort,
                 clientInfo,
+                apiKey,
+                protocolVersion,
+                capabilities,
+                framing,
+                inspect,
             });
 
             // Register in all maps
             this.tunnelsBySubdomain.set(subdomain, tunnel);
             this.tunnelsById.set(tunnelId, tunnel);
-
-            if (!this.tunnelsByWs.has(ws)) {
-                this.tunnelsByWs.set(ws, []);
-            }
-            this.tunnelsByWs.get(ws).push(tunnel);
+            this.tunnelsByResumeToken.set(tunnel.resumeToken, tunnel);
+            this.addToWs(ws, tunnel);
 
             this.logger.info(`Tunnel registered: ${subdomain} -> localhost:${localPort}`, {
                 tunnelId,
@@ -224,6 +418,244 @@ class TunnelManager extends EventEmitter {
         }
     }
 
+    /**
+     * Reattaches a detached (or not yet detached) tunnel to a new connection
+     * @param {Object} options - Resume options
+     * @param {string} options.resumeToken - Token from tunnel:registered
+     * @param {WebSocket} options.ws - New WebSocket connection
+     * @param {string} options.apiKey - Authenticated API key (must match)
+     * @param {number} options.protocolVersion - Renegotiated protocol version
+     * @param {string[]} options.capabilities - Renegotiated capabilities
+     * @param {string} options.framing - Renegotiated wire framing
+     * @param {boolean} options.inspect - Record traffic for the inspector
+     * @returns {Object} Result with tunnel or error
+     */
+    resumeTunnel({ resumeToken, ws, apiKey = null, protocolVersion, capabilities, framing, inspect }) {
+        const tunnel = this.tunnelsByResumeToken.get(resumeToken);
+
+        if (!tunnel) {
+            return { success: false, error: 'Unknown or expired resume token', code: ERROR_CODES.TUNNEL_NOT_FOUND };
+        }
+
+        if (tunnel.apiKey !== apiKey) {
+            return { success: false, error: 'Resume token belongs to another API key', code: ERROR_CODES.UNAUTHORIZED };
+        }
+
+        // The old connection may not have been noticed as dead yet
+        if (!tunnel.isDetached()) {
+            this.detachTunnel(tunnel);
+        }
+
+        clearTimeout(tunnel.graceTimer);
+        tunnel.graceTimer = null;
+        tunnel.detachedAt = null;
+        tunnel.graceDeadline = null;
+
+        tunnel.ws = ws;
+        tunnel.protocolVersion = protocolVersion ?? tunnel.protocolVersion;
+        tunnel.capabilities = capabilities ?? tunnel.capabilities;
+        tunnel.framing = framing ?? tunnel.framing;
+        tunnel.inspect = inspect ?? tunnel.inspect;
+        tunnel.touch();
+        this.addToWs(ws, tunnel);
+
+        // Rotate so a leaked token is only good once
+        this.tunnelsByResumeToken.delete(tunnel.resumeToken);
+        tunnel.resumeToken = generateAuthToken();
+        this.tunnelsByResumeToken.set(tunnel.resumeToken, tunnel);
+
+        this.logger.info(`Tunnel resumed: ${tunnel.subdomain}`, {
+            tunnelId: tunnel.tunnelId,
+            pendingRequests: tunnel.pendingRequests.size,
+        });
+
+        tunnel.settleAttachWaiters(true);
+        this.emit('tunnel:resumed', tunnel);
+
+        return { success: true, tunnel };
+    }
+
+    /**
+     * Detaches a tunnel from its connection and starts the grace period.
+     * Buffered requests already handed to the CLI stay pending (it may
+     * still answer them after resuming); streams and upgraded sockets
+     * can't survive and are ended.
+     * @param {Tunnel} tunnel - Tunnel to detach
+     * @param {number} gracePeriod - Grace period in ms
+     */
+    detachTunnel(tunnel, gracePeriod = TUNNEL_CONFIG.RESUME_GRACE_PERIOD) {
+        this.removeFromWs(tunnel.ws, tunnel);
+
+        for (const [requestId, pending] of tunnel.pendingRequests) {
+            if (pending.streaming || pending.requestStream) {
+                tunnel.pendingRequests.delete(requestId);
+                pending.reject?.(new Error('Tunnel connection lost'));
+            }
+        }
+
+        const upgradedSockets = [...tunnel.upgradedSockets.values()];
+        tunnel.upgradedSockets.clear();
+        for (const socket of upgradedSockets) {
+            socket.close(1001, 'Tunnel connection lost');
+        }
+
+        tunnel.detachedAt = Date.now();
+        tunnel.graceDeadline = tunnel.detachedAt + gracePeriod;
+        clearTimeout(tunnel.graceTimer);
+        tunnel.graceTimer = setTimeout(() => {
+            this.closeTunnel(tunnel.tunnelId, 'Resume grace period expired');
+        }, gracePeriod);
+
+        this.logger.info(`Tunnel detached: ${tunnel.subdomain}`, {
+            tunnelId: tunnel.tunnelId,
+            gracePeriod,
+        });
+
+        this.emit('tunnel:detached', tunnel);
+    }
+
+    /**
+     * Detaches all tunnels for a WebSocket connection
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {number} gracePeriod - Grace period in ms
+     */
+    detachTunnelsForWs(ws, gracePeriod = TUNNEL_CONFIG.RESUME_GRACE_PERIOD) {
+        const tunnels = this.tunnelsByWs.get(ws) || [];
+        for (const tunnel of [...tunnels]) {
+            this.detachTunnel(tunnel, gracePeriod);
+        }
+    }
+
+    /**
+     * Adds a tunnel to a WebSocket's tunnel list
+     */
+    addToWs(ws, tunnel) {
+        if (!this.tunnelsByWs.has(ws)) {
+            this.tunnelsByWs.set(ws, []);
+        }
+        this.tunnelsByWs.get(ws).push(tunnel);
+    }
+
+    /**
+     * Removes a tunnel from a WebSocket's tunnel list
+     */
+    removeFromWs(ws, tunnel) {
+        const wsTunnels = this.tunnelsByWs.get(ws);
+        if (!wsTunnels) return;
+
+        const index = wsTunnels.indexOf(tunnel);
+        if (index !== -1) {
+            wsTunnels.splice(index, 1);
+        }
+        if (wsTunnels.length === 0) {
+            this.tunnelsByWs.delete(ws);
+        }
+    }
+
+    /**
+     * Claims a subdomain for an API key so only that key can bind it
+     * @param {string} subdomain - Subdomain to claim
+     * @param {Object} owner - { apiKey, userId }
+     * @returns {Object} Result with reservation or error
+     */
+    claimSubdomain(subdomain, { apiKey, userId }) {
+        const name = subdomain?.toLowerCase();
+
+        if (!apiKey) {
+            return { success: false, error: 'API key required', code: ERROR_CODES.UNAUTHORIZED };
+        }
+
+        if (!name || !isValidSubdomain(name)) {
+            return { success: false, error: 'Invalid subdomain format', code: ERROR_CODES.INVALID_SUBDOMAIN };
+        }
+
+        if (this.reservedSubdomains.has(name)) {
+            return { success: false, error: 'Subdomain is reserved', code: ERROR_CODES.SUBDOMAIN_TAKEN };
+        }
+
+        const existing = this.subdomainReservations.get(name);
+        if (existing) {
+            if (existing.apiKey === apiKey) {
+                return { success: true, reservation: this.formatReservation(name, existing) };
+            }
+            return { success: false, error: 'Subdomain is reserved by another API key', code: ERROR_CODES.SUBDOMAIN_TAKEN };
+        }
+
+        // Can't take a name out from under someone else's live tunnel
+        const active = this.tunnelsBySubdomain.get(name);
+        if (active && active.apiKey !== apiKey) {
+            return { success: false, error: 'Subdomain is in use', code: ERROR_CODES.SUBDOMAIN_TAKEN };
+        }
+
+        if (this.getReservationsForKey(apiKey).length >= TUNNEL_CONFIG.MAX_RESERVED_SUBDOMAINS_PER_KEY) {
+            return {
+                success: false,
+                error: `Reservation limit reached (${TUNNEL_CONFIG.MAX_RESERVED_SUBDOMAINS_PER_KEY})`,
+                code: ERROR_CODES.TUNNEL_LIMIT_EXCEEDED,
+            };
+        }
+
+        const claim = { apiKey, userId, createdAt: new Date().toISOString() };
+        this.subdomainReservations.set(name, claim);
+
+        this.logger.info(`Subdomain claimed: ${name}`, { userId });
+
+        return { success: true, reservation: this.formatReservation(name, claim) };
+    }
+
+    /**
+     * Releases a claimed subdomain
+     * @param {string} subdomain - Claimed subdomain
+     * @param {string} apiKey - API key releasing it (must be the owner)
+     * @returns {Object} Result
+     */
+    releaseSubdomain(subdomain, apiKey) {
+        const name = subdomain?.toLowerCase();
+        const claim = this.subdomainReservations.get(name);
+
+        if (!claim) {
+            return { success: false, error: 'Reservation not found', code: ERROR_CODES.TUNNEL_NOT_FOUND };
+        }
+
+        if (claim.apiKey !== apiKey) {
+            return { success: false, error: 'Reservation belongs to another API key', code: ERROR_CODES.UNAUTHORIZED };
+        }
+
+        this.subdomainReservations.delete(name);
+        this.logger.info(`Subdomain released: ${name}`, { userId: claim.userId });
+
+        return { success: true };
+    }
+
+    /**
+     * Gets the subdomains claimed by an API key
+     * @param {string} apiKey - API key
+     * @returns {Object[]} Reservations
+     */
+    getReservationsForKey(apiKey) {
+        const claims = [];
+        for (const [name, claim] of this.subdomainReservations) {
+            if (claim.apiKey === apiKey) {
+                claims.push(this.formatReservation(name, claim));
+            }
+        }
+        return claims;
+    }
+
+    /**
+     * Formats a claim for API output (never exposes the key)
+     */
+    formatReservation(subdomain, claim) {
+        const tunnel = this.tunnelsBySubdomain.get(subdomain);
+        return {
+            subdomain,
+            userId: claim.userId,
+            createdAt: claim.createdAt,
+            active: !!tunnel,
+            tunnelId: tunnel?.tunnelId || null,
+        };
+    }
+
     /**
      * Gets a tunnel by subdomain
      * @param {string} subdomain - Subdomain to look up
@@ -270,21 +702,25 @@ class TunnelManager extends EventEmitter {
         }
         tunnel.pendingRequests.clear();
 
+        // Close upgraded WebSocket connections (1001 = going away)
+        const upgradedSockets = [...tunnel.upgradedSockets.values()];
+        tunnel.upgradedSockets.clear();
+        for (const socket of upgradedSockets) {
+            socket.close(1001, 'Tunnel closed');
+        }
+
+        // Stop the grace period and release anything waiting for a resume
+        clearTimeout(tunnel.graceTimer);
+        tunnel.graceTimer = null;
+        tunnel.settleAttachWaiters(false);
+
         // Remove from maps
         this.tunnelsBySubdomain.delete(tunnel.subdomain);
         this.tunnelsById.delete(tunnelId);
+        this.tunnelsByResumeToken.delete(tunnel.resumeToken);
 
         // Remove from ws map
-        const wsTunnels = this.tunnelsByWs.get(tunnel.ws);
-        if (wsTunnels) {
-            const index = wsTunnels.indexOf(tunnel);
-            if (index !== -1) {
-                wsTunnels.splice(index, 1);
-            }
-            if (wsTunnels.length === 0) {
-                this.tunnelsByWs.delete(tunnel.ws);
-            }
-        }
+        this.removeFromWs(tunnel.ws, tunnel);
 
         // Calculate tunnel duration for metrics
         const duration = Date.now() - tunnel.createdAt;
@@ -0,0 +1,231 @@
+/**
+ * WebSocket Forwarder Service - WebSocket over WebSocket Tunneling
+ *
+ * Handles:
+ * - Upgrade requests on tunnel subdomains
+ * - Relaying frames between public clients and the CLI client
+ * - Preserving text/binary frame types and close codes
+ */
+
+const { WebSocketServer } = require('ws');
+const http = require('http');
+const {
+    createLogger,
+    generateRequestId,
+    createWsOpenMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    decodeWsFrame,
+    toSendableCloseCode,
+    Capability,
+    ERROR_CODES,
+} = require('../../shared/src');
+
+// Headers owned by the public handshake; the CLI negotiates its own
+const HANDSHAKE_HEADERS = [
+    'host',
+    'connection',
+    'upgrade',
+    'sec-websocket-key',
+    'sec-websocket-version',
+    'sec-websocket-extensions',
+    'sec-websocket-protocol',
+];
+
+class WebSocketForwarder {
+    constructor(tunnelManager, inspectorService) {
+        this.tunnelManager = tunnelManager;
+        this.inspectorService = inspectorService;
+        this.logger = createLogger({ name: 'WebSocketForwarder' });
+
+        // Public-side server; upgrades are routed here by the gateway
+        this.wss = new WebSocketServer({ noServer: true });
+    }
+
+    /**
+     * Accepts an Upgrade request on a tunnel subdomain
+     *
+     * Flow:
+     * 1. Complete the WebSocket handshake with the public client
+     * 2. Send ws:open to the CLI client, which opens a local WebSocket
+     * 3. Relay ws:frame messages in both directions
+     * 4. Propagate ws:close with the original close code
+     */
+    forwardUpgrade({ subdomain, req, socket, head }) {
+        const tunnel = this.tunnelManager.getTunnelBySubdomain(subdomain);
+
+        if (!tunnel) {
+            return this.rejectUpgrade(socket, 404, ERROR_CODES.TUNNEL_NOT_FOUND);
+        }
+
+        if (tunnel.ws.readyState !== 1) {
+            this.logger.warn(`Tunnel WebSocket not ready: ${subdomain}`);
+            return this.rejectUpgrade(socket, 502, ERROR_CODES.CONNECTION_CLOSED);
+        }
+
+        // Older CLI clients can't relay WebSocket connections
+        if (!tunnel.hasCapability(Capability.WEBSOCKET)) {
+            return this.rejectUpgrade(socket, 501, 'WebSocket tunneling not supported by this client');
+        }
+
+        const startTime = Date.now();
+
+        this.wss.handleUpgrade(req, socket, head, (publicWs) => {
+            this.attach(tunnel, publicWs, req, startTime);
+        });
+    }
+
+    /**
+     * Wires a freshly upgraded public socket to the tunnel
+     */
+    attach(tunnel, publicWs, req, startTime) {
+        const connectionId = generateRequestId();
+        const protocols = (req.headers['sec-websocket-protocol'] || '')
+            .split(',')
+            .map(p => p.trim())
+            .filter(Boolean);
+
+        tunnel.addUpgradedSocket(connectionId, publicWs);
+
+        // Record the handshake for inspection
+        if (tunnel.inspect) {
+            this.inspectorService.recordRequest({
+                requestId: connectionId,
+                tunnelId: tunnel.tunnelId,
+                subdomain: tunnel.subdomain,
+                method: req.method,
+                path: req.url,
+                headers: { ...req.headers },
+                body: null,
+                query: {},
+                timestamp: startTime,
+                clientIp: req.socket?.remoteAddress,
+            });
+            this.inspectorService.recordResponse({
+                requestId: connectionId,
+                tunnelId: tunnel.tunnelId,
+                statusCode: 101,
+                headers: { upgrade: 'websocket', connection: 'Upgrade' },
+                body: null,
+                responseTime: Date.now() - startTime,
+                timestamp: Date.now(),
+            });
+        }
+
+        this.sendToTunnel(tunnel, createWsOpenMessage({
+            tunnelId: tunnel.tunnelId,
+            connectionId,
+            path: req.url,
+            headers: this.sanitizeUpgradeHeaders(req.headers),
+            protocols,
+        }));
+
+        publicWs.on('message', (data, isBinary) => {
+            if (!tunnel.getUpgradedSocket(connectionId)) return;
+            tunnel.touch();
+            this.sendToTunnel(tunnel, createWsFrameMessage({
+                tunnelId: tunnel.tunnelId,
+                connectionId,
+                data,
+                binary: isBinary,
+            }));
+        });
+
+        publicWs.on('close', (code, reason) => {
+            // Closed from the public side: tell the CLI client
+            if (tunnel.getUpgradedSocket(connectionId)) {
+                tunnel.removeUpgradedSocket(connectionId);
+                this.sendToTunnel(tunnel, createWsCloseMessage({
+                    tunnelId: tunnel.tunnelId,
+                    connectionId,
+                    code,
+                    reason,
+                }));
+            }
+            this.logger.debug(`WebSocket closed: ${connectionId}`, { code });
+        });
+
+        publicWs.on('error', (error) => {
+            this.logger.error(`Public WebSocket error: ${connectionId}`, { error: error.message });
+        });
+
+        this.logger.debug(`WebSocket tunneled: ${connectionId}`, {
+            path: req.url,
+            subdomain: tunnel.subdomain,
+        });
+    }
+
+    /**
+     * Handles a frame from the CLI client
+     */
+    handleFrame(tunnel, payload) {
+        const publicWs = tunnel.getUpgradedSocket(payload.connectionId);
+        if (!publicWs) {
+            this.logger.warn(`No WebSocket for frame: ${payload.connectionId}`);
+            return;
+        }
+
+        tunnel.touch();
+        if (publicWs.readyState === 1) {
+            publicWs.send(decodeWsFrame(payload), { binary: !!payload.binary });
+        }
+    }
+
+    /**
+     * Handles a close from the CLI client
+     */
+    handleClose(tunnel, payload) {
+        const { connectionId, code, reason } = payload;
+        const publicWs = tunnel.getUpgradedSocket(connectionId);
+        if (!publicWs) return;
+
+        tunnel.removeUpgradedSocket(connectionId);
+        publicWs.close(toSendableCloseCode(code), reason || '');
+    }
+
+    /**
+     * Removes handshake headers and adds proxy headers
+     */
+    sanitizeUpgradeHeaders(headers) {
+        const sanitized = { ...headers };
+
+        if (sanitized['host']) {
+            sanitized['x-forwarded-host'] = sanitized['host'];
+        }
+        if (!sanitized['x-forwarded-proto']) {
+            sanitized['x-forwarded-proto'] = 'http';
+        }
+
+        for (const header of HANDSHAKE_HEADERS) {
+            delete sanitized[header];
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Rejects an Upgrade request with a plain HTTP response
+     */
+    rejectUpgrade(socket, statusCode, message = http.STATUS_CODES[statusCode]) {
+        if (socket.writable) {
+            socket.write(
+                `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+                'Connection: close\r\n' +
+                'Content-Type: text/plain\r\n' +
+                `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+                '\r\n' +
+                message
+            );
+        }
+        socket.destroy();
+    }
+
+    /**
+     * Sends a protocol message to the CLI client
+     */
+    sendToTunnel(tunnel, message) {
+        tunnel.send(message);
+    }
+}
+
+module.exports = WebSocketForwarder;
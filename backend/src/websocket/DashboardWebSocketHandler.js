@@ -11,21 +11,31 @@ const { WebSocketServer } = require('ws');
 const { createLogger } = require('../../shared/src');
 
 class DashboardWebSocketHandler {
-    constructor(server, inspectorService) {
+    constructor(inspectorService, breakpointService = null, loadTestService = null) {
         this.logger = createLogger({ name: 'DashboardWS' });
         this.inspectorService = inspectorService;
+        this.breakpointService = breakpointService;
+        this.loadTestService = loadTestService;
 
         // Connected dashboard clients
         this.clients = new Set();
 
-        // Create WebSocket server attached to the HTTP server
-        this.wss = new WebSocketServer({
-            server,
-            path: '/ws/dashboard',
-        });
+        // Upgrades on /ws/dashboard are routed here by the gateway
+        this.wss = new WebSocketServer({ noServer: true });
 
         this.setupConnectionHandler();
         this.setupInspectorListeners();
+        this.setupBreakpointListeners();
+        this.setupLoadTestListeners();
+    }
+
+    /**
+     * Completes a dashboard WebSocket upgrade
+     */
+    handleUpgrade(req, socket, head) {
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.wss.emit('connection', ws, req);
+        });
     }
 
     /**
@@ -42,6 +52,14 @@ class DashboardWebSocketHandler {
                 message: 'Connected to DevTunnel+ Dashboard',
             });
 
+            // Items already waiting at breakpoints
+            if (this.breakpointService) {
+                this.send(ws, {
+                    type: 'breakpoint:list',
+                    data: this.breakpointService.getHeld(),
+                });
+            }
+
             // Handle messages from dashboard
             ws.on('message', (data) => {
                 try {
@@ -95,6 +113,48 @@ class DashboardWebSocketHandler {
         });
     }
 
+    /**
+     * Pushes requests and responses held at breakpoints
+     */
+    setupBreakpointListeners() {
+        if (!this.breakpointService) return;
+
+        this.breakpointService.on('held', (data) => {
+            this.broadcast({
+                type: 'breakpoint:held',
+                data,
+            });
+        });
+
+        this.breakpointService.on('released', (data) => {
+            this.broadcast({
+                type: 'breakpoint:released',
+                data,
+            });
+        });
+    }
+
+    /**
+     * Streams load test progress (every second) and final reports
+     */
+    setupLoadTestListeners() {
+        if (!this.loadTestService) return;
+
+        this.loadTestService.on('progress', (data) => {
+            this.broadcast({
+                type: 'loadtest:progress',
+                data,
+            });
+        });
+
+        this.loadTestService.on('completed', (data) => {
+            this.broadcast({
+                type: 'loadtest:completed',
+                data,
+            });
+        });
+    }
+
     /**
      * Handles messages from dashboard clients
      */
@@ -4,8 +4,12 @@
  * Manages:
  * - CLI client WebSocket connections
  * - Tunnel registration and lifecycle
+ * - API-key authentication for registration
+ * - Tunnel resumption after reconnects
+ * - Several tunnels per connection, routed by tunnelId
  * - HTTP request/response message routing
  * - Streaming response support
+ * - Upgraded WebSocket frame routing
  * - Connection heartbeat
  */
 
@@ -16,15 +20,21 @@ const {
     createTunnelRegisteredMessage,
     createErrorMessage,
     createPongMessage,
+    negotiateProtocol,
     MessageType,
     TUNNEL_CONFIG,
+    ERROR_CODES,
 } = require('../../shared/src');
+const { getClientIp } = require('../middleware/security');
 
 class WebSocketHandler {
-    constructor(wss, tunnelManager, requestForwarder, config) {
+    constructor(wss, tunnelManager, requestForwarder, webSocketForwarder, authService, securityService, config) {
         this.wss = wss;
         this.tunnelManager = tunnelManager;
         this.requestForwarder = requestForwarder;
+        this.webSocketForwarder = webSocketForwarder;
+        this.authService = authService;
+        this.securityService = securityService;
         this.config = config;
         this.logger = createLogger({ name: 'WebSocketHandler' });
 
@@ -42,7 +52,7 @@ class WebSocketHandler {
      * Handles new WebSocket connection from CLI client
      */
     handleConnection(ws, req) {
-        const clientIp = req.socket.remoteAddress;
+        const clientIp = getClientIp(req);
         const clientId = `${clientIp}:${Date.now()}`;
 
         this.logger.info(`CLI client connected: ${clientId}`);
@@ -67,7 +77,7 @@ class WebSocketHandler {
         // Close handler
         ws.on('close', (code, reason) => {
             this.logger.info(`CLI client disconnected: ${clientId}`, { code });
-            this.handleDisconnect(ws);
+            this.handleDisconnect(ws, code);
         });
 
         // Pong handler for heartbeat
@@ -126,6 +136,22 @@ class WebSocketHandler {
                 this.handleHttpError(ws, message.payload);
                 break;
 
+            case MessageType.HTTP_REQUEST_PAUSE:
+                this.handleHttpRequestPause(ws, message.payload, true);
+                break;
+
+            case MessageType.HTTP_REQUEST_RESUME:
+                this.handleHttpRequestPause(ws, message.payload, false);
+                break;
+
+            case MessageType.WS_FRAME:
+                this.handleWsFrame(ws, message.payload);
+                break;
+
+            case MessageType.WS_CLOSE:
+                this.handleWsClose(ws, message.payload);
+                break;
+
             case MessageType.PING:
                 this.send(ws, createPongMessage(message.payload.timestamp));
                 break;
@@ -144,12 +170,50 @@ class WebSocketHandler {
      * Handles tunnel registration from CLI client
      */
     handleTunnelRegister(ws, payload) {
-        const { subdomain, localPort, authToken } = payload;
+        const { subdomain, localPort, authToken, ref } = payload;
 
         this.logger.info(`Tunnel registration: localPort=${localPort}, subdomain=${subdomain || 'auto'}`);
 
+        // Settle on a protocol version and the features both sides support
+        const protocol = negotiateProtocol(payload);
+        if (!protocol.compatible) {
+            this.send(ws, createErrorMessage(protocol.error, ERROR_CODES.PROTOCOL_MISMATCH, ref));
+            this.logger.warn(`Incompatible client rejected: ${protocol.error}`, {
+                protocolVersion: payload.protocolVersion,
+            });
+            ws.close(1002, 'Protocol mismatch');
+            return;
+        }
+
         const meta = this.clientMetadata.get(ws);
 
+        const auth = this.authenticate(authToken, meta?.clientIp);
+        if (!auth.success) {
+            this.send(ws, createErrorMessage(auth.error, auth.code, ref));
+            this.logger.warn(`Tunnel registration rejected: ${auth.error}`, { clientId: meta?.clientId });
+            ws.close(1008, 'Unauthorized');
+            return;
+        }
+
+        // Reconnecting CLI: reattach its tunnel if it's still in the grace period
+        if (payload.resumeToken) {
+            const resumed = this.tunnelManager.resumeTunnel({
+                resumeToken: payload.resumeToken,
+                ws,
+                apiKey: auth.apiKey,
+                protocolVersion: protocol.protocolVersion,
+                capabilities: protocol.capabilities,
+                framing: protocol.framing,
+                inspect: payload.inspect !== false,
+            });
+
+            if (resumed.success) {
+                this.sendRegistered(ws, resumed.tunnel, true, ref);
+                return;
+            }
+            this.logger.info(`Resume failed, registering fresh tunnel: ${resumed.error}`);
+        }
+
         const result = this.tunnelManager.registerTunnel({
             ws,
             requestedSubdomain: subdomain,
@@ -157,112 +221,255 @@ class WebSocketHandler {
             clientInfo: {
                 clientId: meta?.clientId,
                 clientIp: meta?.clientIp,
-                authToken,
+                userId: auth.userId,
             },
+            apiKey: auth.apiKey,
+            protocolVersion: protocol.protocolVersion,
+            capabilities: protocol.capabilities,
+            framing: protocol.framing,
+            inspect: payload.inspect !== false,
         });
 
         if (result.success) {
             const { tunnel } = result;
-            const publicUrl = this.buildPublicUrl(tunnel.subdomain);
 
-            this.send(ws, createTunnelRegisteredMessage({
-                tunnelId: tunnel.tunnelId,
-                publicUrl,
-                subdomain: tunnel.subdomain,
-            }));
+            // Session lives as long as the tunnel (removed on tunnel:closed)
+            if (auth.apiKey) {
+                tunnel.sessionToken = this.authService.createSession(auth.apiKey, tunnel.tunnelId);
+            }
 
-            this.logger.info(`Tunnel active: ${tunnel.subdomain} -> localhost:${localPort}`, {
-                tunnelId: tunnel.tunnelId,
-                publicUrl,
-            });
+            this.sendRegistered(ws, tunnel, false, ref);
         } else {
-            this.send(ws, createErrorMessage(result.error, result.code));
+            this.send(ws, createErrorMessage(result.error, result.code, ref));
             this.logger.warn(`Tunnel registration failed: ${result.error}`);
         }
     }
 
+    /**
+     * Confirms a new or resumed tunnel to the CLI client
+     *
+     * `ref` echoes the client's label for the registration so a CLI that
+     * registers several tunnels can match each reply to its local service.
+     */
+    sendRegistered(ws, tunnel, resumed, ref) {
+        const publicUrl = this.buildPublicUrl(tunnel.subdomain);
+
+        this.send(ws, createTunnelRegisteredMessage({
+            tunnelId: tunnel.tunnelId,
+            publicUrl,
+            subdomain: tunnel.subdomain,
+            protocolVersion: tunnel.protocolVersion,
+            capabilities: tunnel.capabilities,
+            framing: tunnel.framing,
+            sessionToken: tunnel.sessionToken,
+            resumeToken: tunnel.resumeToken,
+            resumed,
+            ref,
+        }));
+
+        this.logger.info(`Tunnel ${resumed ? 'resumed' : 'active'}: ${tunnel.subdomain} -> localhost:${tunnel.localPort}`, {
+            tunnelId: tunnel.tunnelId,
+            publicUrl,
+            protocolVersion: tunnel.protocolVersion,
+            capabilities: tunnel.capabilities,
+            userId: tunnel.clientInfo?.userId,
+        });
+    }
+
+    /**
+     * Checks the API key sent with a registration
+     *
+     * A key that is sent must be valid and carry tunnel:create. Registering
+     * without a key is only allowed when the gateway opts out of auth
+     * (requireAuth: false, set by ALLOW_ANONYMOUS_TUNNELS).
+     * Failures count towards the IP block in SecurityService.
+     */
+    authenticate(apiKey, clientIp) {
+        if (this.securityService.isBlocked(clientIp)) {
+            return {
+                success: false,
+                error: 'Too many failed authentication attempts, try again later',
+                code: ERROR_CODES.RATE_LIMITED,
+            };
+        }
+
+        if (!apiKey) {
+            if (this.config?.requireAuth === false) {
+                return { success: true, apiKey: null, userId: 'anonymous' };
+            }
+            this.securityService.recordFailedAttempt(clientIp);
+            return {
+                success: false,
+                error: 'API key required, pass --token or run `devtunnel login`',
+                code: ERROR_CODES.UNAUTHORIZED,
+            };
+        }
+
+        const validation = this.authService.validateApiKey(apiKey);
+        if (!validation.valid) {
+            this.securityService.recordFailedAttempt(clientIp);
+            return { success: false, error: validation.error, code: ERROR_CODES.INVALID_TOKEN };
+        }
+
+        if (!this.authService.hasPermission(apiKey, 'tunnel:create')) {
+            this.securityService.recordFailedAttempt(clientIp);
+            return {
+                success: false,
+                error: 'API key lacks the tunnel:create permission',
+                code: ERROR_CODES.UNAUTHORIZED,
+            };
+        }
+
+        this.securityService.recordSuccess(clientIp);
+        return { success: true, apiKey, userId: validation.userId };
+    }
+
     /**
      * Handles tunnel close request
      */
     handleTunnelClose(ws, payload) {
         const { tunnelId, reason } = payload;
+        const tunnel = this.tunnelManager.getTunnelById(tunnelId);
+
+        // A connection may only close its own tunnels
+        if (!tunnel || tunnel.ws !== ws) {
+            this.logger.warn(`Ignoring close for unknown tunnel: ${tunnelId}`);
+            return;
+        }
+
         this.tunnelManager.closeTunnel(tunnelId, reason || 'Client closed');
         this.logger.info(`Tunnel closed: ${tunnelId}`, { reason });
     }
 
+    /**
+     * Finds the tunnel on this connection that a CLI message belongs to
+     *
+     * Replies carry the tunnelId of the request they answer. Older clients
+     * don't send it, so fall back to asking each of the connection's tunnels.
+     */
+    resolveTunnel(ws, payload, owns) {
+        if (payload.tunnelId) {
+            const tunnel = this.tunnelManager.getTunnelById(payload.tunnelId);
+            return tunnel && tunnel.ws === ws ? tunnel : null;
+        }
+
+        return this.tunnelManager.getTunnelsByWs(ws).find(owns) || null;
+    }
+
+    /**
+     * Finds the tunnel holding a pending request
+     */
+    resolveRequestTunnel(ws, payload) {
+        return this.resolveTunnel(ws, payload, tunnel => tunnel.getPendingRequest(payload.requestId));
+    }
+
+    /**
+     * Finds the tunnel holding an upgraded WebSocket
+     */
+    resolveSocketTunnel(ws, payload) {
+        return this.resolveTunnel(ws, payload, tunnel => tunnel.getUpgradedSocket(payload.connectionId));
+    }
+
     /**
      * Handles HTTP response from CLI client
      */
     handleHttpResponse(ws, payload) {
-        const tunnels = this.tunnelManager.getTunnelsByWs(ws);
-
-        for (const tunnel of tunnels) {
-            const pending = tunnel.getPendingRequest(payload.requestId);
-            if (pending) {
-                this.requestForwarder.handleResponse(tunnel, payload);
-                return;
-            }
+        const tunnel = this.resolveRequestTunnel(ws, payload);
+        if (!tunnel) {
+            this.logger.warn(`No tunnel found for response: ${payload.requestId}`);
+            return;
         }
 
-        this.logger.warn(`No tunnel found for response: ${payload.requestId}`);
+        this.requestForwarder.handleResponse(tunnel, payload);
     }
 
     /**
      * Handles streaming response chunk
      */
     handleHttpResponseChunk(ws, payload) {
-        const tunnels = this.tunnelManager.getTunnelsByWs(ws);
-
-        for (const tunnel of tunnels) {
-            const pending = tunnel.getPendingRequest(payload.requestId);
-            if (pending) {
-                this.requestForwarder.handleResponseChunk(tunnel, payload);
-                return;
-            }
+        const tunnel = this.resolveRequestTunnel(ws, payload);
+        if (!tunnel) {
+            this.logger.warn(`No tunnel found for chunk: ${payload.requestId}`);
+            return;
         }
 
-        this.logger.warn(`No tunnel found for chunk: ${payload.requestId}`);
+        this.requestForwarder.handleResponseChunk(tunnel, payload);
     }
 
     /**
      * Handles streaming response end
      */
     handleHttpResponseEnd(ws, payload) {
-        const tunnels = this.tunnelManager.getTunnelsByWs(ws);
-
-        for (const tunnel of tunnels) {
-            const pending = tunnel.getPendingRequest(payload.requestId);
-            if (pending) {
-                this.requestForwarder.handleResponseEnd(tunnel, payload);
-                return;
-            }
+        const tunnel = this.resolveRequestTunnel(ws, payload);
+        if (!tunnel) {
+            this.logger.warn(`No tunnel found for response end: ${payload.requestId}`);
+            return;
         }
 
-        this.logger.warn(`No tunnel found for response end: ${payload.requestId}`);
+        this.requestForwarder.handleResponseEnd(tunnel, payload);
     }
 
     /**
      * Handles HTTP error from CLI client
      */
     handleHttpError(ws, payload) {
-        const tunnels = this.tunnelManager.getTunnelsByWs(ws);
+        const tunnel = this.resolveRequestTunnel(ws, payload);
+        if (!tunnel) {
+            this.logger.warn(`No tunnel found for error: ${payload.requestId}`);
+            return;
+        }
 
-        for (const tunnel of tunnels) {
-            const pending = tunnel.getPendingRequest(payload.requestId);
-            if (pending) {
-                this.requestForwarder.handleError(tunnel, payload);
-                return;
-            }
+        this.requestForwarder.handleError(tunnel, payload);
+    }
+
+    /**
+     * Handles upload pause/resume from CLI client
+     */
+    handleHttpRequestPause(ws, payload, paused) {
+        const tunnel = this.resolveRequestTunnel(ws, payload);
+        if (tunnel) {
+            this.requestForwarder.handleRequestPause(tunnel, payload, paused);
         }
+    }
 
-        this.logger.warn(`No tunnel found for error: ${payload.requestId}`);
+    /**
+     * Handles upgraded WebSocket frame from CLI client
+     */
+    handleWsFrame(ws, payload) {
+        const tunnel = this.resolveSocketTunnel(ws, payload);
+        if (!tunnel) {
+            this.logger.debug(`No tunnel found for frame: ${payload.connectionId}`);
+            return;
+        }
+
+        this.webSocketForwarder.handleFrame(tunnel, payload);
+    }
+
+    /**
+     * Handles upgraded WebSocket close from CLI client
+     */
+    handleWsClose(ws, payload) {
+        const tunnel = this.resolveSocketTunnel(ws, payload);
+        if (!tunnel) {
+            this.logger.debug(`No tunnel found for close: ${payload.connectionId}`);
+            return;
+        }
+
+        this.webSocketForwarder.handleClose(tunnel, payload);
     }
 
     /**
      * Handles client disconnect
      */
-    handleDisconnect(ws) {
-        this.tunnelManager.closeTunnelsForWs(ws, 'Client disconnected');
+    handleDisconnect(ws, code) {
+        const gracePeriod = this.config.resumeGracePeriod ?? TUNNEL_CONFIG.RESUME_GRACE_PERIOD;
+
+        // A normal close (1000) means the CLI shut down on purpose
+        if (code === 1000 || gracePeriod <= 0) {
+            this.tunnelManager.closeTunnelsForWs(ws, 'Client disconnected');
+        } else {
+            this.tunnelManager.detachTunnelsForWs(ws, gracePeriod);
+        }
         this.clientMetadata.delete(ws);
     }
 
@@ -0,0 +1,424 @@
+/**
+ * BreakpointsPanel Component
+ *
+ * Debugger-style breakpoints:
+ * - Rules that hold matching requests or responses
+ * - Live list of held items (pushed over the dashboard WebSocket)
+ * - Edit method, path, headers, body or status, then continue,
+ *   drop or respond with a mock
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
+import JsonEditor from './JsonEditor';
+import {
+    OctagonPause, Plus, Trash2, Play, Ban, Send, Clock, ToggleLeft, ToggleRight
+} from 'lucide-react';
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+/**
+ * Body as the editor shows it: parsed JSON when possible
+ */
+function toEditorValue(body) {
+    if (body === null || body === undefined) return null;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+function BreakpointsPanel({ heldItems = [], tunnels = [] }) {
+    const [rules, setRules] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [error, setError] = useState(null);
+    const [now, setNow] = useState(Date.now());
+
+    // New rule form
+    const [ruleMethod, setRuleMethod] = useState('');
+    const [rulePath, setRulePath] = useState('');
+    const [ruleHeader, setRuleHeader] = useState('');
+    const [ruleStage, setRuleStage] = useState('request');
+    const [ruleTunnel, setRuleTunnel] = useState('');
+
+    const selected = heldItems.find(item => item.id === selectedId) || heldItems[0] || null;
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_URL}/breakpoints`);
+            const data = await res.json();
+            setRules(data.rules || []);
+        } catch (err) {
+            console.error('Failed to fetch breakpoints:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    // Tick the hold countdowns
+    useEffect(() => {
+        if (heldItems.length === 0) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [heldItems.length]);
+
+    /**
+     * Add a breakpoint rule
+     */
+    const addRule = async () => {
+        setError(null);
+        const pattern = {};
+        if (ruleMethod) pattern.method = ruleMethod;
+        if (rulePath) pattern.path = rulePath;
+        if (ruleHeader) {
+            // "name: regex", or just "name" to require the header
+            const [name, ...rest] = ruleHeader.split(':');
+            pattern.headers = { [name.trim().toLowerCase()]: rest.length ? rest.join(':').trim() : true };
+        }
+
+        try {
+            const res = await fetch(`${API_URL}/breakpoints`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pattern, stage: ruleStage, tunnelId: ruleTunnel || undefined }),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to add breakpoint');
+            setRulePath('');
+            setRuleHeader('');
+            fetchRules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const toggleRule = async (rule) => {
+        await fetch(`${API_URL}/breakpoints/${rule.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled: !rule.enabled }),
+        });
+        fetchRules();
+    };
+
+    const removeRule = async (rule) => {
+        await fetch(`${API_URL}/breakpoints/${rule.id}`, { method: 'DELETE' });
+        fetchRules();
+    };
+
+    const describePattern = (pattern) => [
+        pattern.method || 'ANY',
+        pattern.path || '.*',
+        ...Object.entries(pattern.headers || {}).map(([name, value]) => (value === true ? name : `${name}~${value}`)),
+    ].join(' ');
+
+    return (
+        <div className="bg-dark-800 rounded-xl border border-dark-600 p-5 shadow-lg shadow-cyan-500/5">
+            <h2 className="flex items-center space-x-2 text-lg font-semibold mb-6 pb-4 border-b border-dark-600 text-white">
+                <OctagonPause className="w-6 h-6 text-cyan-400" />
+                <span>Breakpoints</span>
+                {heldItems.length > 0 && (
+                    <span className="ml-2 px-2 py-0.5 bg-yellow-500/20 text-yellow-400 text-xs rounded-full animate-pulse border border-yellow-500/50">
+                        {heldItems.length} held
+                    </span>
+                )}
+            </h2>
+
+            <div className="grid lg:grid-cols-3 gap-6">
+                {/* Rules */}
+                <div className="space-y-4">
+                    <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider">Rules</label>
+                    <div className="space-y-2 p-3 bg-dark-700/30 rounded-lg border border-dark-600">
+                        <div className="flex gap-2">
+                            <select
+                                value={ruleMethod}
+                                onChange={(e) => setRuleMethod(e.target.value)}
+                                className="w-24 bg-dark-700 text-white px-2 py-2 rounded-lg text-xs border border-dark-600 outline-none"
+                            >
+                                <option value="">ANY</option>
+                                {METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+                            </select>
+                            <input
+                                value={rulePath}
+                                onChange={(e) => setRulePath(e.target.value)}
+                                placeholder="Path regex, e.g. ^/api/orders"
+                                className="flex-1 bg-dark-700 text-white px-3 py-2 rounded-lg text-xs font-mono border border-dark-600 outline-none"
+                            />
+                        </div>
+                        <input
+                            value={ruleHeader}
+                            onChange={(e) => setRuleHeader(e.target.value)}
+                            placeholder="Header match, e.g. content-type: json"
+                            className="w-full bg-dark-700 text-white px-3 py-2 rounded-lg text-xs font-mono border border-dark-600 outline-none"
+                        />
+                        <div className="flex gap-2">
+                            <select
+                                value={ruleStage}
+                                onChange={(e) => setRuleStage(e.target.value)}
+                                className="flex-1 bg-dark-700 text-white px-2 py-2 rounded-lg text-xs border border-dark-600 outline-none"
+                            >
+                                <option value="request">Request</option>
+                                <option value="response">Response</option>
+                                <option value="both">Both</option>
+                            </select>
+                            <select
+                                value={ruleTunnel}
+                                onChange={(e) => setRuleTunnel(e.target.value)}
+                                className="flex-1 bg-dark-700 text-white px-2 py-2 rounded-lg text-xs border border-dark-600 outline-none"
+                            >
+                                <option value="">All tunnels</option>
+                                {tunnels.map(tunnel => (
+                                    <option key={tunnel.tunnelId} value={tunnel.tunnelId}>{tunnel.subdomain}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={addRule}
+                                className="px-3 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500/50 rounded-lg text-xs font-bold hover:bg-cyan-500/30 flex items-center gap-1"
+                            >
+                                <Plus className="w-3 h-3" /> Add
+                            </button>
+                        </div>
+                        {error && <p className="text-xs text-red-400">{error}</p>}
+                    </div>
+
+                    <div className="space-y-2">
+                        {rules.length === 0 && (
+                            <p className="text-xs text-gray-500 italic">No breakpoints yet.</p>
+                        )}
+                        {rules.map(rule => (
+                            <div key={rule.id} className="flex items-center gap-2 p-2 bg-dark-700/50 rounded-lg border border-dark-600 text-xs">
+                                <button onClick={() => toggleRule(rule)} title={rule.enabled ? 'Disable' : 'Enable'}>
+                                    {rule.enabled
+                                        ? <ToggleRight className="w-5 h-5 text-cyan-400" />
+                                        : <ToggleLeft className="w-5 h-5 text-gray-500" />}
+                                </button>
+                                <span className="flex-1 font-mono text-gray-300 truncate">{describePattern(rule.pattern)}</span>
+                                <span className="text-gray-500">{rule.stage}</span>
+                                <span className="text-gray-500">{rule.hitCount} hits</span>
+                                <button onClick={() => removeRule(rule)} className="text-gray-500 hover:text-red-400">
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Held items */}
+                <div className="space-y-2">
+                    <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider">Held</label>
+                    {heldItems.length === 0 && (
+                        <p className="text-xs text-gray-500 italic">Nothing is waiting at a breakpoint.</p>
+                    )}
+                    {heldItems.map(item => (
+                        <button
+                            key={item.id}
+                            onClick={() => setSelectedId(item.id)}
+                            className={`w-full text-left p-2 rounded-lg border text-xs transition-colors ${selected?.id === item.id
+                                ? 'bg-cyan-500/10 border-cyan-500/50'
+                                : 'bg-dark-700/50 border-dark-600 hover:border-dark-500'}`}
+                        >
+                            <div className="flex items-center gap-2">
+                                <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${item.stage === 'request' ? 'bg-blue-500/20 text-blue-400' : 'bg-purple-500/20 text-purple-400'}`}>
+                                    {item.stage}
+                                </span>
+                                <span className="font-mono text-white">{item.request.method}</span>
+                                <span className="font-mono text-gray-300 truncate flex-1">{item.request.path}</span>
+                            </div>
+                            <div className="flex items-center gap-1 mt-1 text-gray-500">
+                                <Clock className="w-3 h-3" />
+                                {Math.max(0, Math.ceil((item.expiresAt - now) / 1000))}s left · {item.subdomain}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+
+                {/* Editor */}
+                <div>
+                    {selected ? (
+                        <HeldItemEditor key={selected.id} item={selected} />
+                    ) : (
+                        <p className="text-xs text-gray-500 italic mt-6">Select a held item to edit it.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Edits one held item and sends the decision
+ */
+function HeldItemEditor({ item }) {
+    const isResponse = item.stage === 'response';
+    const source = isResponse ? item.response : item.request;
+    const isBinary = source.bodyEncoding === 'base64';
+    const initialBody = toEditorValue(source.body);
+
+    const [method, setMethod] = useState(item.request.method);
+    const [path, setPath] = useState(item.request.path);
+    const [statusCode, setStatusCode] = useState(isResponse ? item.response.statusCode : 200);
+    const [headers, setHeaders] = useState(source.headers || {});
+    const [body, setBody] = useState(initialBody);
+    const [mockBody, setMockBody] = useState(null);
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Only fields that changed are sent, so untouched bodies keep their bytes
+     */
+    const buildEdits = () => {
+        const edits = {};
+        if (isResponse) {
+            if (statusCode !== item.response.statusCode) edits.statusCode = statusCode;
+        } else {
+            if (method !== item.request.method) edits.method = method;
+            if (path !== item.request.path) edits.path = path;
+        }
+        if (JSON.stringify(headers) !== JSON.stringify(source.headers || {})) {
+            edits.headers = headers;
+        }
+        if (!isBinary && JSON.stringify(body) !== JSON.stringify(initialBody)) {
+            edits.body = body;
+        }
+        return edits;
+    };
+
+    /**
+     * A held response is answered as edited; a held request gets the mock fields
+     */
+    const buildMock = () => {
+        if (isResponse) {
+            return { statusCode, ...buildEdits() };
+        }
+        const mock = { statusCode, body: mockBody };
+        if (mockBody !== null && typeof mockBody === 'object') {
+            mock.headers = { 'content-type': 'application/json' };
+        }
+        return mock;
+    };
+
+    const decide = async (action) => {
+        setSending(true);
+        setError(null);
+        try {
+            const decision = { action };
+            if (action === 'respond') {
+                decision.response = buildMock();
+            } else if (action === 'continue') {
+                decision[isResponse ? 'response' : 'request'] = buildEdits();
+            }
+
+            const res = await fetch(`${API_URL}/breakpoints/held/${item.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(decision),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to release');
+        } catch (err) {
+            setError(err.message);
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="flex gap-2">
+                {isResponse ? (
+                    <div className="w-28">
+                        <label className="block text-xs text-gray-500 mb-1 font-bold uppercase tracking-wider">Status</label>
+                        <input
+                            type="number"
+                            value={statusCode}
+                            onChange={(e) => setStatusCode(parseInt(e.target.value) || 0)}
+                            className="w-full bg-dark-700 text-white px-3 py-2 rounded-lg text-sm font-mono border border-dark-600 outline-none"
+                        />
+                    </div>
+                ) : (
+                    <div className="w-28">
+                        <label className="block text-xs text-gray-500 mb-1 font-bold uppercase tracking-wider">Method</label>
+                        <select
+                            value={method}
+                            onChange={(e) => setMethod(e.target.value)}
+                            className="w-full bg-dark-700 text-white px-3 py-2 rounded-lg text-sm border border-dark-600 outline-none"
+                        >
+                            {METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div className="flex-1">
+                    <label className="block text-xs text-gray-500 mb-1 font-bold uppercase tracking-wider">Path</label>
+                    <input
+                        value={path}
+                        onChange={(e) => setPath(e.target.value)}
+                        disabled={isResponse}
+                        className="w-full bg-dark-700 text-white px-3 py-2 rounded-lg text-sm font-mono border border-dark-600 outline-none disabled:opacity-50"
+                    />
+                </div>
+            </div>
+
+            <div>
+                <label className="block text-xs text-gray-500 mb-1 font-bold uppercase tracking-wider">Headers</label>
+                <JsonEditor value={headers} onChange={(value) => value && typeof value === 'object' && setHeaders(value)} />
+            </div>
+
+            <div>
+                <label className="block text-xs text-gray-500 mb-1 font-bold uppercase tracking-wider">Body</label>
+                {isBinary ? (
+                    <p className="text-xs text-gray-500 italic">Binary body: it is passed through unchanged.</p>
+                ) : item.request.streaming && !isResponse ? (
+                    <>
+                        <p className="text-xs text-gray-500 italic mb-1">Streamed upload: entering a body replaces it.</p>
+                        <JsonEditor value={null} onChange={setBody} />
+                    </>
+                ) : (
+                    <JsonEditor value={initialBody} onChange={setBody} />
+                )}
+            </div>
+
+            {error && <p className="text-xs text-red-400">{error}</p>}
+
+            <div className="grid grid-cols-3 gap-2">
+                <button
+                    onClick={() => decide('continue')}
+                    disabled={sending}
+                    className="py-2 bg-green-500/20 text-green-400 border border-green-500/50 rounded-lg text-xs font-bold hover:bg-green-500/30 flex items-center justify-center gap-1 disabled:opacity-50"
+                >
+                    <Play className="w-3 h-3" /> Continue
+                </button>
+                <button
+                    onClick={() => decide('drop')}
+                    disabled={sending}
+                    className="py-2 bg-red-500/20 text-red-400 border border-red-500/50 rounded-lg text-xs font-bold hover:bg-red-500/30 flex items-center justify-center gap-1 disabled:opacity-50"
+                >
+                    <Ban className="w-3 h-3" /> Drop
+                </button>
+                <button
+                    onClick={() => decide('respond')}
+                    disabled={sending}
+                    title={isResponse ? 'Answer with the response as edited' : 'Answer with the mock response below'}
+                    className="py-2 bg-purple-500/20 text-purple-400 border border-purple-500/50 rounded-lg text-xs font-bold hover:bg-purple-500/30 flex items-center justify-center gap-1 disabled:opacity-50"
+                >
+                    <Send className="w-3 h-3" /> Mock
+                </button>
+            </div>
+            {!isResponse && (
+                <div className="space-y-2 pt-2 border-t border-dark-600">
+                    <label className="block text-xs text-gray-500 font-bold uppercase tracking-wider">Mock Response</label>
+                    <input
+                        type="number"
+                        value={statusCode}
+                        onChange={(e) => setStatusCode(parseInt(e.target.value) || 0)}
+                        className="w-28 bg-dark-700 text-white px-3 py-2 rounded-lg text-sm font-mono border border-dark-600 outline-none"
+                    />
+                    <JsonEditor value={null} onChange={setMockBody} />
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BreakpointsPanel;
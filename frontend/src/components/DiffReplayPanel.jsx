@@ -2,26 +2,88 @@
  * DiffReplayPanel Component
  * 
  * Live diff replay visualization:
- * - Side-by-side comparison
- * - Status, timing, headers, body diffs
+ * - Replay a captured request against several environments
+ *   (tunnel subdomains or base URLs such as a staging server)
+ * - Matrix of changes between the original and every replay
+ * - Side-by-side status, timing, headers and body diff for any pair
+ *   (JSON by path, text/HTML/XML as line hunks with changed words)
+ * - Ignore rules for volatile headers, JSON paths and masked values
  * - Color-coded changes
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { API_URL } from '../config';
 import {
     GitCompare, X, Play, Zap, AlertTriangle, Check,
     Activity, ArrowRight, Clock, FastForward, Snail,
-    FileText, File, RotateCcw
+    FileText, File, RotateCcw, Plus, Link as LinkIcon, Settings, Save
 } from 'lucide-react';
 
-function DiffReplayPanel({ request, onClose }) {
+const IGNORE_FIELDS = [
+    { key: 'headers', label: 'Headers', placeholder: 'date' },
+    { key: 'paths', label: 'JSON paths', placeholder: '$..updatedAt' },
+    { key: 'masks', label: 'Masks (regex)', placeholder: 'session=\\w+' },
+];
+
+function DiffReplayPanel({ requests = [], tunnels = [], onClose }) {
+    const [requestId, setRequestId] = useState('');
+    const [targets, setTargets] = useState([]);
+    const [targetInput, setTargetInput] = useState('');
     const [isLoading, setIsLoading] = useState(false);
     const [diffResult, setDiffResult] = useState(null);
+    const [pair, setPair] = useState([0, 1]);
     const [error, setError] = useState(null);
+    const [showIgnore, setShowIgnore] = useState(false);
+    const [ignore, setIgnore] = useState({ headers: '', paths: '', masks: '' });
+    const [ignoreSaved, setIgnoreSaved] = useState(true);
+
+    const request = requests.find(r => r.requestId === requestId) || requests[0] || null;
+
+    const addTarget = (target) => {
+        const value = target.trim();
+        if (value && !targets.includes(value)) setTargets([...targets, value]);
+        setTargetInput('');
+    };
+
+    // Rules are edited one per line
+    const fetchIgnoreRules = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_URL}/replay/diff/ignore`);
+            const rules = await res.json();
+            setIgnore(Object.fromEntries(IGNORE_FIELDS.map(({ key }) => [key, (rules[key] || []).join('\n')])));
+            setIgnoreSaved(true);
+        } catch (err) {
+            console.error('Failed to fetch diff ignore rules:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchIgnoreRules();
+    }, [fetchIgnoreRules]);
+
+    const saveIgnoreRules = async () => {
+        setError(null);
+        const rules = Object.fromEntries(IGNORE_FIELDS.map(({ key }) => [
+            key,
+            ignore[key].split('\n').filter(line => line.trim()),
+        ]));
+
+        try {
+            const res = await fetch(`${API_URL}/replay/diff/ignore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(rules),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save ignore rules');
+            setIgnoreSaved(true);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
 
     /**
-     * Execute diff replay
+     * Execute diff replay against every target (the original tunnel when none)
      */
     const executeDiffReplay = async () => {
         if (!request?.requestId) return;
@@ -33,12 +95,14 @@ function DiffReplayPanel({ request, onClose }) {
             const res = await fetch(`${API_URL}/replay/${request.requestId}/diff`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ targets }),
             });
 
-            if (!res.ok) throw new Error('Diff replay failed');
-
             const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Diff replay failed');
+
             setDiffResult(data);
+            setPair([0, 1]);
         } catch (err) {
             setError(err.message);
         } finally {
@@ -46,6 +110,9 @@ function DiffReplayPanel({ request, onClose }) {
         }
     };
 
+    const [from, to] = pair;
+    const selected = diffResult?.diffs.find(d => d.from === from && d.to === to);
+
     return (
         <div className="bg-dark-800 rounded-xl border border-dark-600 p-5 shadow-lg shadow-blue-500/5">
             <div className="flex items-center justify-between mb-4 pb-4 border-b border-dark-600">
@@ -60,29 +127,99 @@ function DiffReplayPanel({ request, onClose }) {
                 )}
             </div>
 
-            {/* Request info */}
-            <div className="bg-dark-700 rounded-lg p-3 mb-4 border border-dark-600">
-                <div className="flex items-center space-x-3">
-                    <span className={`px-2 py-1 rounded text-xs font-bold font-mono ${request?.method === 'GET' ? 'bg-green-500/20 text-green-400' :
-                        request?.method === 'POST' ? 'bg-blue-500/20 text-blue-400' :
-                            'bg-purple-500/20 text-purple-400'
-                        }`}>
-                        {request?.method}
-                    </span>
-                    <span className="font-mono text-sm text-gray-300 truncate flex-1">
-                        {request?.path || request?.url}
-                    </span>
+            {/* Request and targets */}
+            <div className="bg-dark-700 rounded-lg p-3 mb-4 border border-dark-600 space-y-3">
+                <select
+                    value={request?.requestId || ''}
+                    onChange={(e) => { setRequestId(e.target.value); setDiffResult(null); }}
+                    className="w-full bg-dark-800 text-white px-3 py-2 rounded-lg text-sm font-mono border border-dark-600 outline-none"
+                >
+                    {requests.length === 0 && <option value="">No captured requests</option>}
+                    {requests.map(r => (
+                        <option key={r.requestId} value={r.requestId}>
+                            {r.request?.method || r.method} {r.request?.path || r.path} ({r.subdomain})
+                        </option>
+                    ))}
+                </select>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    {targets.length === 0 && (
+                        <span className="text-xs text-gray-500 italic">Original tunnel</span>
+                    )}
+                    {targets.map(target => (
+                        <span key={target} className="px-2 py-1 rounded bg-cyan-500/10 border border-cyan-500/30 text-cyan-400 text-xs font-mono flex items-center gap-1">
+                            {target.includes('://') ? <LinkIcon className="w-3 h-3" /> : <Zap className="w-3 h-3" />}
+                            {target}
+                            <button onClick={() => setTargets(targets.filter(t => t !== target))} className="hover:text-white">
+                                <X className="w-3 h-3" />
+                            </button>
+                        </span>
+                    ))}
+                </div>
+                <div className="flex gap-2">
+                    <input
+                        list="diff-replay-tunnels"
+                        value={targetInput}
+                        onChange={(e) => setTargetInput(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && addTarget(targetInput)}
+                        placeholder="Tunnel subdomain or base URL, e.g. https://staging.example.com"
+                        className="flex-1 bg-dark-800 text-white px-3 py-2 rounded-lg text-xs font-mono border border-dark-600 outline-none"
+                    />
+                    <datalist id="diff-replay-tunnels">
+                        {tunnels.map(tunnel => <option key={tunnel.tunnelId} value={tunnel.subdomain} />)}
+                    </datalist>
+                    <button
+                        onClick={() => addTarget(targetInput)}
+                        className="px-3 py-2 bg-dark-800 text-gray-300 border border-dark-600 rounded-lg text-xs hover:text-white flex items-center gap-1"
+                    >
+                        <Plus className="w-3 h-3" /> Add
+                    </button>
                 </div>
+
+                {/* Ignore rules */}
+                <button
+                    onClick={() => setShowIgnore(!showIgnore)}
+                    className="text-xs text-gray-400 hover:text-white flex items-center gap-1"
+                >
+                    <Settings className="w-3 h-3" />
+                    <span>Ignore rules</span>
+                </button>
+                {showIgnore && (
+                    <div className="space-y-2">
+                        <div className="grid grid-cols-3 gap-2">
+                            {IGNORE_FIELDS.map(({ key, label, placeholder }) => (
+                                <label key={key} className="text-[10px] uppercase font-bold text-gray-500">
+                                    {label}
+                                    <textarea
+                                        value={ignore[key]}
+                                        onChange={(e) => { setIgnore({ ...ignore, [key]: e.target.value }); setIgnoreSaved(false); }}
+                                        placeholder={placeholder}
+                                        rows={4}
+                                        className="mt-1 w-full bg-dark-800 text-gray-300 px-2 py-1 rounded-lg text-xs font-mono normal-case font-normal border border-dark-600 outline-none resize-y"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <button
+                            onClick={saveIgnoreRules}
+                            disabled={ignoreSaved}
+                            className="px-3 py-1.5 bg-dark-800 text-gray-300 border border-dark-600 rounded-lg text-xs hover:text-white flex items-center gap-1 disabled:opacity-50"
+                        >
+                            <Save className="w-3 h-3" /> {ignoreSaved ? 'Saved' : 'Save rules'}
+                        </button>
+                    </div>
+                )}
             </div>
 
             {/* Execute button */}
-            {!diffResult && !isLoading && (
+            {!isLoading && (
                 <button
                     onClick={executeDiffReplay}
-                    className="w-full py-3 bg-gradient-to-r from-cyan-500 to-blue-500 text-white font-bold rounded-lg hover:from-cyan-400 hover:to-blue-400 transition-all shadow-lg shadow-cyan-500/20 flex items-center justify-center gap-2"
+                    disabled={!request}
+                    className="w-full py-3 mb-4 bg-gradient-to-r from-cyan-500 to-blue-500 text-white font-bold rounded-lg hover:from-cyan-400 hover:to-blue-400 transition-all shadow-lg shadow-cyan-500/20 flex items-center justify-center gap-2 disabled:opacity-50"
                 >
-                    <Play className="w-4 h-4 fill-current" />
-                    <span>Run Diff Replay</span>
+                    {diffResult ? <RotateCcw className="w-4 h-4" /> : <Play className="w-4 h-4 fill-current" />}
+                    <span>{diffResult ? 'Replay Again' : 'Run Diff Replay'}</span>
                 </button>
             )}
 
@@ -98,159 +235,275 @@ function DiffReplayPanel({ request, onClose }) {
 
             {/* Error */}
             {error && (
-                <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 text-red-400 flex items-center gap-3">
+                <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 mb-4 text-red-400 flex items-center gap-3">
                     <AlertTriangle className="w-5 h-5 flex-shrink-0" />
                     <span>{error}</span>
                 </div>
             )}
 
             {/* Diff Results */}
-            {diffResult && (
+            {diffResult && !isLoading && (
                 <div className="space-y-4 animate-in fade-in duration-300">
                     {/* Summary badge */}
-                    <div className={`p-4 rounded-lg flex items-center justify-between border ${diffResult.hasChanges
+                    <div className={`p-4 rounded-lg flex items-center gap-2 border ${diffResult.hasChanges || diffResult.failed
                         ? 'bg-yellow-500/10 border-yellow-500/30'
                         : 'bg-green-500/10 border-green-500/30'
                         }`}>
-                        <div className="flex items-center gap-2">
-                            {diffResult.hasChanges ? (
-                                <AlertTriangle className="w-5 h-5 text-yellow-400" />
-                            ) : (
-                                <Check className="w-5 h-5 text-green-400" />
-                            )}
-                            <span className={`font-medium ${diffResult.hasChanges ? 'text-yellow-400' : 'text-green-400'}`}>
-                                {diffResult.hasChanges
-                                    ? `${diffResult.diff?.totalChanges} changes detected`
-                                    : 'No changes - response identical'}
-                            </span>
-                        </div>
-                        <button
-                            onClick={() => setDiffResult(null)}
-                            className="text-xs text-gray-500 hover:text-white flex items-center gap-1 hover:underline"
-                        >
-                            <RotateCcw className="w-3 h-3" /> Replay Again
-                        </button>
+                        {diffResult.hasChanges || diffResult.failed ? (
+                            <AlertTriangle className="w-5 h-5 text-yellow-400" />
+                        ) : (
+                            <Check className="w-5 h-5 text-green-400" />
+                        )}
+                        <span className={`font-medium ${diffResult.hasChanges || diffResult.failed ? 'text-yellow-400' : 'text-green-400'}`}>
+                            {diffResult.hasChanges ? 'Responses differ' : 'No changes - responses identical'}
+                            {diffResult.failed > 0 && ` · ${diffResult.failed} replay${diffResult.failed > 1 ? 's' : ''} failed`}
+                        </span>
                     </div>
 
-                    {/* Status diff */}
-                    <DiffSection title="Status Code" icon={<Activity className="w-4 h-4" />}>
-                        <div className="flex items-center space-x-4">
-                            <StatusBadge code={diffResult.original?.statusCode} label="Original" />
-                            <ArrowRight className="w-5 h-5 text-gray-600" />
-                            <StatusBadge code={diffResult.replay?.statusCode} label="Replay" />
-                            {diffResult.diff?.status?.changed && (
-                                <span className="text-red-400 text-xs font-bold bg-red-500/10 px-2 py-1 rounded border border-red-500/20">
-                                    CHANGED
-                                </span>
-                            )}
+                    {/* Change matrix: click a cell to compare that pair */}
+                    <DiffSection title="Change Matrix" icon={<GitCompare className="w-4 h-4" />}>
+                        <div className="overflow-x-auto">
+                            <table className="text-xs font-mono">
+                                <thead>
+                                    <tr>
+                                        <th />
+                                        {diffResult.columns.map((column, i) => (
+                                            <th key={i} className="px-2 py-1 text-gray-400 font-normal max-w-[10rem] truncate" title={column.targetUrl || column.label}>
+                                                {column.label}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {diffResult.columns.map((column, row) => (
+                                        <tr key={row}>
+                                            <td className="px-2 py-1 text-gray-400 max-w-[10rem] truncate">
+                                                {column.label}
+                                                {column.error
+                                                    ? <span className="ml-2 text-red-400" title={column.error}>error</span>
+                                                    : <span className="ml-2 text-gray-500">{column.statusCode} · {column.responseTime}ms</span>}
+                                            </td>
+                                            {diffResult.matrix[row].map((count, col) => {
+                                                const active = Math.min(row, col) === from && Math.max(row, col) === to;
+                                                return (
+                                                    <td key={col} className="p-0.5">
+                                                        {row === col || count === null ? (
+                                                            <div className="w-12 h-8 rounded bg-dark-800/50 flex items-center justify-center text-gray-600">
+                                                                {row === col ? '·' : '—'}
+                                                            </div>
+                                                        ) : (
+                                                            <button
+                                                                onClick={() => setPair([Math.min(row, col), Math.max(row, col)])}
+                                                                className={`w-12 h-8 rounded border font-bold ${count === 0
+                                                                    ? 'bg-green-500/10 border-green-500/20 text-green-400'
+                                                                    : 'bg-yellow-500/10 border-yellow-500/20 text-yellow-400'
+                                                                    } ${active ? 'ring-2 ring-cyan-400' : ''}`}
+                                                            >
+                                                                {count}
+                                                            </button>
+                                                        )}
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
                         </div>
                     </DiffSection>
 
-                    {/* Timing diff */}
-                    <DiffSection title="Response Time" icon={<Clock className="w-4 h-4" />}>
-                        <div className="flex items-center justify-between gap-4">
-                            <div className="text-center min-w-[60px]">
-                                <div className="text-xl font-mono text-yellow-400">
-                                    {diffResult.original?.responseTime || 0}<span className="text-xs text-gray-500 ml-1">ms</span>
-                                </div>
-                                <div className="text-xs text-gray-500">Original</div>
-                            </div>
-                            <div className="flex-1">
-                                <TimingBar
-                                    original={diffResult.original?.responseTime || 0}
-                                    replay={diffResult.replay?.responseTime || 0}
-                                />
-                            </div>
-                            <div className="text-center min-w-[60px]">
-                                <div className={`text-xl font-mono ${(diffResult.replay?.responseTime || 0) < (diffResult.original?.responseTime || 0)
-                                    ? 'text-green-400'
-                                    : 'text-red-400'
-                                    }`}>
-                                    {diffResult.replay?.responseTime || 0}<span className="text-xs text-gray-500 ml-1">ms</span>
-                                </div>
-                                <div className="text-xs text-gray-500">Replay</div>
-                            </div>
+                    {selected && (
+                        <PairDiff
+                            base={diffResult.columns[from]}
+                            other={diffResult.columns[to]}
+                            diff={selected.diff}
+                        />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Side-by-side diff of two columns of the matrix
+ */
+function PairDiff({ base, other, diff }) {
+    return (
+        <>
+            {/* Status diff */}
+            <DiffSection title="Status Code" icon={<Activity className="w-4 h-4" />}>
+                <div className="flex items-center space-x-4">
+                    <StatusBadge code={base.statusCode} label={base.label} />
+                    <ArrowRight className="w-5 h-5 text-gray-600" />
+                    <StatusBadge code={other.statusCode} label={other.label} />
+                    {diff.status?.changed && (
+                        <span className="text-red-400 text-xs font-bold bg-red-500/10 px-2 py-1 rounded border border-red-500/20">
+                            CHANGED
+                        </span>
+                    )}
+                </div>
+            </DiffSection>
+
+            {/* Timing diff */}
+            <DiffSection title="Response Time" icon={<Clock className="w-4 h-4" />}>
+                <div className="flex items-center justify-between gap-4">
+                    <div className="text-center min-w-[60px]">
+                        <div className="text-xl font-mono text-yellow-400">
+                            {base.responseTime || 0}<span className="text-xs text-gray-500 ml-1">ms</span>
                         </div>
-                        {diffResult.diff?.timing && (
-                            <div className="mt-3 text-center text-sm flex justify-center items-center gap-1">
-                                {diffResult.diff.timing.faster ? (
-                                    <FastForward className="w-4 h-4 text-green-400" />
-                                ) : (
-                                    <Snail className="w-4 h-4 text-red-400" />
-                                )}
-                                <span className={diffResult.diff.timing.faster ? 'text-green-400' : 'text-red-400'}>
-                                    {Math.abs(diffResult.diff.timing.delta)}ms
-                                    ({diffResult.diff.timing.percentChange > 0 ? '+' : ''}{diffResult.diff.timing.percentChange}%)
-                                </span>
-                            </div>
+                        <div className="text-xs text-gray-500">{base.label}</div>
+                    </div>
+                    <div className="flex-1">
+                        <TimingBar original={base.responseTime || 0} replay={other.responseTime || 0} />
+                    </div>
+                    <div className="text-center min-w-[60px]">
+                        <div className={`text-xl font-mono ${(other.responseTime || 0) < (base.responseTime || 0)
+                            ? 'text-green-400'
+                            : 'text-red-400'
+                            }`}>
+                            {other.responseTime || 0}<span className="text-xs text-gray-500 ml-1">ms</span>
+                        </div>
+                        <div className="text-xs text-gray-500">{other.label}</div>
+                    </div>
+                </div>
+                {diff.timing && (
+                    <div className="mt-3 text-center text-sm flex justify-center items-center gap-1">
+                        {diff.timing.faster ? (
+                            <FastForward className="w-4 h-4 text-green-400" />
+                        ) : (
+                            <Snail className="w-4 h-4 text-red-400" />
                         )}
-                    </DiffSection>
+                        <span className={diff.timing.faster ? 'text-green-400' : 'text-red-400'}>
+                            {Math.abs(diff.timing.delta)}ms
+                            ({diff.timing.percentChange > 0 ? '+' : ''}{diff.timing.percentChange}%)
+                        </span>
+                    </div>
+                )}
+            </DiffSection>
 
-                    {/* Headers diff */}
-                    {diffResult.diff?.headers?.changes?.length > 0 && (
-                        <DiffSection title="Headers" icon={<FileText className="w-4 h-4" />}>
-                            <div className="space-y-2 max-h-40 overflow-y-auto pr-2 custom-scrollbar">
-                                {diffResult.diff.headers.changes.map((change, i) => (
-                                    <div key={i} className={`p-2 rounded text-xs font-mono border ${change.type === 'added' ? 'bg-green-500/10 border-green-500/20 text-green-400' :
-                                        change.type === 'removed' ? 'bg-red-500/10 border-red-500/20 text-red-400' :
-                                            'bg-yellow-500/10 border-yellow-500/20 text-yellow-400'
-                                        }`}>
-                                        <span className="opacity-70 font-bold mr-2">{change.type.toUpperCase()}</span>
-                                        <span className="font-bold text-gray-300">{change.key}:</span>{' '}
-                                        {change.type === 'modified' ? (
-                                            <div className="ml-4 mt-1 border-l-2 border-dark-600 pl-2">
-                                                <div className="line-through opacity-50 text-gray-500">{change.original}</div>
-                                                <div className="text-white">↓ {change.replay}</div>
-                                            </div>
-                                        ) : (
-                                            <span className="text-gray-300 ml-1">{change.value}</span>
-                                        )}
+            {/* Headers diff */}
+            {diff.headers?.changes?.length > 0 && (
+                <DiffSection title="Headers" icon={<FileText className="w-4 h-4" />}>
+                    {diff.headers.ignored?.length > 0 && (
+                        <div className="text-xs text-gray-500 mb-2">
+                            Ignored: {diff.headers.ignored.join(', ')}
+                        </div>
+                    )}
+                    <div className="space-y-2 max-h-40 overflow-y-auto pr-2 custom-scrollbar">
+                        {diff.headers.changes.map((change, i) => (
+                            <div key={i} className={`p-2 rounded text-xs font-mono border ${change.type === 'added' ? 'bg-green-500/10 border-green-500/20 text-green-400' :
+                                change.type === 'removed' ? 'bg-red-500/10 border-red-500/20 text-red-400' :
+                                    'bg-yellow-500/10 border-yellow-500/20 text-yellow-400'
+                                }`}>
+                                <span className="opacity-70 font-bold mr-2">{change.type.toUpperCase()}</span>
+                                <span className="font-bold text-gray-300">{change.key}:</span>{' '}
+                                {change.type === 'modified' ? (
+                                    <div className="ml-4 mt-1 border-l-2 border-dark-600 pl-2">
+                                        <div className="line-through opacity-50 text-gray-500">{String(change.original)}</div>
+                                        <div className="text-white">↓ {String(change.replay)}</div>
                                     </div>
-                                ))}
+                                ) : (
+                                    <span className="text-gray-300 ml-1">{String(change.value)}</span>
+                                )}
                             </div>
-                        </DiffSection>
-                    )}
+                        ))}
+                    </div>
+                </DiffSection>
+            )}
 
-                    {/* Body diff */}
-                    {diffResult.diff?.body?.changed && (
-                        <DiffSection title="Response Body" icon={<File className="w-4 h-4" />}>
-                            <div className="text-sm flex items-center gap-2 mb-2">
-                                <AlertTriangle className="w-4 h-4 text-yellow-400" />
-                                <span className="text-yellow-400 font-medium">Body changed</span>
-                                <span className="text-gray-500 text-xs">
-                                    ({diffResult.diff.body.originalLength} → {diffResult.diff.body.replayLength} bytes)
-                                </span>
-                            </div>
-                            {diffResult.diff.body.type === 'json' && (
-                                <div className="mt-2 space-y-1 bg-dark-900/50 p-2 rounded border border-dark-600">
-                                    {diffResult.diff.body.additions?.map((add, i) => (
-                                        <div key={`add-${i}`} className="text-xs text-green-400 font-mono flex gap-2">
-                                            <span>+</span>
-                                            <span>{add.path}:</span>
-                                            <span className="text-gray-400">{JSON.stringify(add.value)}</span>
-                                        </div>
-                                    ))}
-                                    {diffResult.diff.body.removals?.map((rem, i) => (
-                                        <div key={`rem-${i}`} className="text-xs text-red-400 font-mono flex gap-2">
-                                            <span>-</span>
-                                            <span>{rem.path}:</span>
-                                            <span className="text-gray-400">{JSON.stringify(rem.value)}</span>
-                                        </div>
-                                    ))}
-                                    {diffResult.diff.body.modifications?.map((mod, i) => (
-                                        <div key={`mod-${i}`} className="text-xs text-yellow-400 font-mono flex gap-2">
-                                            <span>~</span>
-                                            <span>{mod.path}:</span>
-                                            <span className="text-gray-500 line-through">{JSON.stringify(mod.original)}</span>
-                                            <span className="text-gray-300">→</span>
-                                            <span className="text-white">{JSON.stringify(mod.replay)}</span>
-                                        </div>
-                                    ))}
+            {/* Body diff */}
+            {diff.body?.changed && (
+                <DiffSection title="Response Body" icon={<File className="w-4 h-4" />}>
+                    <div className="text-sm flex items-center gap-2 mb-2">
+                        <AlertTriangle className="w-4 h-4 text-yellow-400" />
+                        <span className="text-yellow-400 font-medium">Body changed</span>
+                        {diff.body.type === 'text' && (
+                            <span className="text-gray-500 text-xs">
+                                ({diff.body.format}, {diff.body.originalLength} → {diff.body.replayLength} chars
+                                {diff.body.hunks && `, +${diff.body.additions} -${diff.body.removals} lines`})
+                            </span>
+                        )}
+                    </div>
+                    {diff.body.type === 'text' && diff.body.tooLarge && (
+                        <div className="text-xs text-gray-500 italic">Bodies are too far apart to show a line diff</div>
+                    )}
+                    {diff.body.type === 'text' && diff.body.hunks && (
+                        <TextHunks hunks={diff.body.hunks} truncated={diff.body.truncated} />
+                    )}
+                    {diff.body.type === 'json' && (
+                        <div className="mt-2 space-y-1 bg-dark-900/50 p-2 rounded border border-dark-600">
+                            {diff.body.additions?.map((add, i) => (
+                                <div key={`add-${i}`} className="text-xs text-green-400 font-mono flex gap-2">
+                                    <span>+</span>
+                                    <span>{add.path}:</span>
+                                    <span className="text-gray-400">{JSON.stringify(add.value)}</span>
                                 </div>
-                            )}
-                        </DiffSection>
+                            ))}
+                            {diff.body.removals?.map((rem, i) => (
+                                <div key={`rem-${i}`} className="text-xs text-red-400 font-mono flex gap-2">
+                                    <span>-</span>
+                                    <span>{rem.path}:</span>
+                                    <span className="text-gray-400">{JSON.stringify(rem.value)}</span>
+                                </div>
+                            ))}
+                            {diff.body.modifications?.map((mod, i) => (
+                                <div key={`mod-${i}`} className="text-xs text-yellow-400 font-mono flex gap-2">
+                                    <span>~</span>
+                                    <span>{mod.path}:</span>
+                                    <span className="text-gray-500 line-through">{JSON.stringify(mod.original)}</span>
+                                    <span className="text-gray-300">→</span>
+                                    <span className="text-white">{JSON.stringify(mod.replay)}</span>
+                                </div>
+                            ))}
+                        </div>
                     )}
+                </DiffSection>
+            )}
+        </>
+    );
+}
+
+/**
+ * Unified line diff; changed words are highlighted within paired lines
+ */
+function TextHunks({ hunks, truncated }) {
+    const lineStyles = {
+        context: 'text-gray-400',
+        added: 'bg-green-500/10 text-green-400',
+        removed: 'bg-red-500/10 text-red-400',
+    };
+    const wordStyles = {
+        added: 'bg-green-500/30 text-green-200 rounded-sm',
+        removed: 'bg-red-500/30 text-red-200 rounded-sm',
+    };
+    const markers = { context: ' ', added: '+', removed: '-' };
+
+    return (
+        <div className="mt-2 bg-dark-900/50 rounded border border-dark-600 max-h-96 overflow-auto custom-scrollbar text-xs font-mono">
+            {hunks.map((hunk, i) => (
+                <div key={i}>
+                    <div className="px-2 py-0.5 bg-cyan-500/10 text-cyan-400">
+                        @@ -{hunk.originalStart},{hunk.originalLines} +{hunk.replayStart},{hunk.replayLines} @@
+                    </div>
+                    {hunk.lines.map((line, j) => (
+                        <div key={j} className={`flex whitespace-pre ${lineStyles[line.type]}`}>
+                            <span className="w-10 flex-shrink-0 text-right pr-1 text-gray-600 select-none">{line.originalLine || ''}</span>
+                            <span className="w-10 flex-shrink-0 text-right pr-2 text-gray-600 select-none">{line.replayLine || ''}</span>
+                            <span className="w-4 flex-shrink-0 select-none">{markers[line.type]}</span>
+                            <span>
+                                {line.words
+                                    ? line.words.map((word, k) => (
+                                        <span key={k} className={wordStyles[word.type] || ''}>{word.text}</span>
+                                    ))
+                                    : line.text}
+                            </span>
+                        </div>
+                    ))}
                 </div>
+            ))}
+            {truncated && (
+                <div className="px-2 py-1 text-gray-500 italic">More changes not shown</div>
             )}
         </div>
     );
@@ -0,0 +1,314 @@
+/**
+ * LoadTestPanel Component
+ *
+ * Load tests built on replay:
+ * - Replay a captured request or a collection with N concurrent workers
+ * - Live throughput, latency and errors (pushed over the dashboard WebSocket)
+ * - Saved reports, compared against an earlier baseline run
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { API_URL } from '../config';
+import { Gauge, Play, Square, Trash2, GitCompare } from 'lucide-react';
+
+const inputClass = 'bg-dark-700 text-white px-3 py-2 rounded-lg text-xs border border-dark-600 outline-none';
+
+/**
+ * Positive deltas are bad for latency and errors, good for throughput
+ */
+function DeltaCell({ metric, higherIsBetter = false }) {
+    const worse = higherIsBetter ? metric.delta < 0 : metric.delta > 0;
+    const color = metric.delta === 0 ? 'text-gray-400' : worse ? 'text-red-400' : 'text-green-400';
+    return (
+        <span className={color}>
+            {metric.delta > 0 ? '+' : ''}{metric.delta} ({metric.percentChange > 0 ? '+' : ''}{metric.percentChange}%)
+        </span>
+    );
+}
+
+function LoadTestPanel({ requests = [], tunnels = [], loadTests = {} }) {
+    const [reports, setReports] = useState([]);
+    const [collections, setCollections] = useState([]);
+    const [details, setDetails] = useState({});
+    const [selectedId, setSelectedId] = useState(null);
+    const [baselineId, setBaselineId] = useState('');
+    const [comparison, setComparison] = useState(null);
+    const [error, setError] = useState(null);
+
+    // New test form
+    const [target, setTarget] = useState('');
+    const [subdomain, setSubdomain] = useState('');
+    const [concurrency, setConcurrency] = useState(10);
+    const [duration, setDuration] = useState(30);
+    const [count, setCount] = useState('');
+    const [rampUp, setRampUp] = useState(0);
+
+    const fetchReports = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_URL}/loadtests`);
+            const data = await res.json();
+            setReports(data.reports || []);
+        } catch (err) {
+            console.error('Failed to fetch load tests:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchReports();
+        fetch(`${API_URL}/replay/collections`)
+            .then(res => res.json())
+            .then(data => setCollections(data.collections || []))
+            .catch(err => console.error('Failed to fetch collections:', err));
+    }, [fetchReports]);
+
+    // Refresh the list whenever a streamed test finishes
+    const finishedCount = Object.values(loadTests).filter(test => test.status !== 'running').length;
+    useEffect(() => {
+        if (finishedCount > 0) fetchReports();
+    }, [finishedCount, fetchReports]);
+
+    // Streamed state wins over the fetched summary
+    const merged = useMemo(
+        () => reports.map(report => ({ ...report, ...details[report.id], ...loadTests[report.id] })),
+        [reports, details, loadTests]
+    );
+    const selected = merged.find(report => report.id === selectedId) || merged[0] || null;
+
+    // The list has no time series; load it for reports that were not streamed
+    useEffect(() => {
+        if (!selected || selected.timeSeries) return;
+        fetch(`${API_URL}/loadtests/${selected.id}`)
+            .then(res => res.json())
+            .then(report => setDetails(prev => ({ ...prev, [report.id]: report })))
+            .catch(err => console.error('Failed to fetch load test:', err));
+    }, [selected?.id, selected?.timeSeries]);
+
+    /**
+     * Start a test against the chosen request or collection
+     */
+    const startTest = async () => {
+        setError(null);
+        const [type, id] = target.split(':');
+        const body = {
+            [type === 'collection' ? 'collectionId' : 'requestId']: id,
+            subdomain: subdomain || undefined,
+            concurrency: Number(concurrency),
+            duration: duration ? Math.round(Number(duration) * 1000) : undefined,
+            count: count ? Number(count) : undefined,
+            rampUp: Math.round(Number(rampUp) * 1000),
+        };
+        try {
+            const res = await fetch(`${API_URL}/loadtests`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to start load test');
+            setReports(prev => [data, ...prev]);
+            setSelectedId(data.id);
+            setComparison(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const stopTest = async (id) => {
+        await fetch(`${API_URL}/loadtests/${id}/stop`, { method: 'POST' });
+        fetchReports();
+    };
+
+    const removeReport = async (id) => {
+        await fetch(`${API_URL}/loadtests/${id}`, { method: 'DELETE' });
+        if (selectedId === id) setSelectedId(null);
+        fetchReports();
+    };
+
+    const compareWith = async (id) => {
+        setBaselineId(id);
+        setComparison(null);
+        if (!id || !selected) return;
+        try {
+            const res = await fetch(`${API_URL}/loadtests/${selected.id}/compare?baseline=${id}`);
+            if (res.ok) setComparison(await res.json());
+        } catch (err) {
+            console.error('Failed to compare load tests:', err);
+        }
+    };
+
+    return (
+        <div className="bg-dark-800/80 backdrop-blur-xl rounded-xl border border-dark-600 p-6 shadow-xl">
+            <h2 className="flex items-center space-x-2 text-lg font-semibold mb-6 pb-4 border-b border-dark-600 text-white">
+                <Gauge className="w-6 h-6 text-cyan-400" />
+                <span>Load Test</span>
+            </h2>
+
+            <div className="grid lg:grid-cols-3 gap-6">
+                {/* New test + reports */}
+                <div className="space-y-4">
+                    <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider">New Test</label>
+                    <div className="space-y-2 p-3 bg-dark-700/30 rounded-lg border border-dark-600">
+                        <select value={target} onChange={(e) => setTarget(e.target.value)} className={`w-full ${inputClass}`}>
+                            <option value="">Choose a request or collection…</option>
+                            <optgroup label="Captured requests">
+                                {requests.slice(0, 50).map(req => (
+                                    <option key={req.requestId} value={`request:${req.requestId}`}>
+                                        {req.method} {req.path}
+                                    </option>
+                                ))}
+                            </optgroup>
+                            {collections.length > 0 && (
+                                <optgroup label="Collections">
+                                    {collections.map(collection => (
+                                        <option key={collection.id} value={`collection:${collection.id}`}>{collection.name}</option>
+                                    ))}
+                                </optgroup>
+                            )}
+                        </select>
+                        <select value={subdomain} onChange={(e) => setSubdomain(e.target.value)} className={`w-full ${inputClass}`}>
+                            <option value="">Original tunnel</option>
+                            {tunnels.map(tunnel => (
+                                <option key={tunnel.tunnelId} value={tunnel.subdomain}>{tunnel.subdomain}</option>
+                            ))}
+                        </select>
+                        <div className="grid grid-cols-4 gap-2 text-[10px] text-gray-500">
+                            <label>Workers<input type="number" min="1" max="200" value={concurrency} onChange={(e) => setConcurrency(e.target.value)} className={`w-full mt-1 ${inputClass}`} /></label>
+                            <label>Seconds<input type="number" min="0" value={duration} onChange={(e) => setDuration(e.target.value)} className={`w-full mt-1 ${inputClass}`} /></label>
+                            <label>Count<input type="number" min="0" value={count} placeholder="∞" onChange={(e) => setCount(e.target.value)} className={`w-full mt-1 ${inputClass}`} /></label>
+                            <label>Ramp-up s<input type="number" min="0" value={rampUp} onChange={(e) => setRampUp(e.target.value)} className={`w-full mt-1 ${inputClass}`} /></label>
+                        </div>
+                        <button
+                            onClick={startTest}
+                            disabled={!target}
+                            className="w-full px-3 py-2 bg-cyan-500/20 text-cyan-400 border border-cyan-500/50 rounded-lg text-xs font-bold hover:bg-cyan-500/30 disabled:opacity-50 flex items-center justify-center gap-1"
+                        >
+                            <Play className="w-3 h-3" /> Start
+                        </button>
+                        {error && <p className="text-xs text-red-400">{error}</p>}
+                    </div>
+
+                    <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider">Reports</label>
+                    <div className="space-y-2">
+                        {merged.length === 0 && <p className="text-xs text-gray-500 italic">No load tests yet.</p>}
+                        {merged.map(report => (
+                            <div
+                                key={report.id}
+                                onClick={() => { setSelectedId(report.id); setComparison(null); setBaselineId(''); }}
+                                className={`p-2 rounded-lg border text-xs cursor-pointer transition-colors ${selected?.id === report.id
+                                    ? 'bg-cyan-500/10 border-cyan-500/50'
+                                    : 'bg-dark-700/50 border-dark-600 hover:border-dark-500'}`}
+                            >
+                                <div className="flex items-center gap-2">
+                                    <span className="flex-1 text-white truncate">{report.name}</span>
+                                    <span className={report.status === 'running' ? 'text-yellow-400 animate-pulse' : 'text-gray-500'}>{report.status}</span>
+                                    {report.status === 'running' ? (
+                                        <button onClick={(e) => { e.stopPropagation(); stopTest(report.id); }} className="text-gray-500 hover:text-yellow-400" title="Stop">
+                                            <Square className="w-4 h-4" />
+                                        </button>
+                                    ) : (
+                                        <button onClick={(e) => { e.stopPropagation(); removeReport(report.id); }} className="text-gray-500 hover:text-red-400" title="Delete">
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                </div>
+                                <div className="text-gray-500 mt-1">
+                                    {report.requests} req · {report.throughput.requestsPerSecond}/s · p95 {report.latency.p95}ms · {report.errorRate}% errors
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Selected report */}
+                <div className="lg:col-span-2 space-y-4">
+                    {selected ? (
+                        <>
+                            <div className="grid grid-cols-4 gap-3">
+                                {[
+                                    ['Requests', selected.requests],
+                                    ['Req/sec', selected.throughput.requestsPerSecond],
+                                    ['p50 / p95 / p99', `${selected.latency.p50} / ${selected.latency.p95} / ${selected.latency.p99} ms`],
+                                    ['Errors', `${selected.errorRate}%`],
+                                ].map(([label, value]) => (
+                                    <div key={label} className="p-3 bg-dark-700/50 rounded-lg border border-dark-600">
+                                        <div className="text-[10px] text-gray-500 uppercase">{label}</div>
+                                        <div className="text-sm font-mono text-white">{value}</div>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="h-48">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <LineChart data={selected.timeSeries || []}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                                        <XAxis dataKey="elapsed" tickFormatter={ms => `${Math.round(ms / 1000)}s`} stroke="#6b7280" fontSize={10} />
+                                        <YAxis yAxisId="rps" stroke="#22d3ee" fontSize={10} />
+                                        <YAxis yAxisId="ms" orientation="right" stroke="#f97316" fontSize={10} />
+                                        <Tooltip contentStyle={{ background: '#1f2937', border: '1px solid #374151', fontSize: 12 }} />
+                                        <Line yAxisId="rps" type="monotone" dataKey="requestsPerSec" name="req/s" stroke="#22d3ee" dot={false} isAnimationActive={false} />
+                                        <Line yAxisId="ms" type="monotone" dataKey="p95" name="p95 ms" stroke="#f97316" dot={false} isAnimationActive={false} />
+                                        <Line yAxisId="rps" type="monotone" dataKey="errors" name="errors" stroke="#ef4444" dot={false} isAnimationActive={false} />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </div>
+
+                            {Object.keys(selected.errors || {}).length > 0 && (
+                                <div className="text-xs space-y-1">
+                                    {Object.entries(selected.errors).map(([message, n]) => (
+                                        <div key={message} className="text-red-400 font-mono">{n}× {message}</div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {selected.status !== 'running' && (
+                                <div className="space-y-2">
+                                    <div className="flex items-center gap-2 text-xs text-gray-400">
+                                        <GitCompare className="w-4 h-4" /> Compare with
+                                        <select value={baselineId} onChange={(e) => compareWith(e.target.value)} className={inputClass}>
+                                            <option value="">baseline…</option>
+                                            {merged.filter(report => report.id !== selected.id && report.status !== 'running').map(report => (
+                                                <option key={report.id} value={report.id}>
+                                                    {report.name} ({new Date(report.startedAt).toLocaleTimeString()})
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    {comparison && (
+                                        <table className="w-full text-xs font-mono">
+                                            <thead>
+                                                <tr className="text-gray-500 text-left">
+                                                    <th className="py-1">Metric</th><th>Baseline</th><th>This run</th><th>Change</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="text-gray-300">
+                                                {Object.entries(comparison.latency).map(([key, metric]) => (
+                                                    <tr key={key}>
+                                                        <td className="py-1">{key} ms</td><td>{metric.baseline}</td><td>{metric.current}</td>
+                                                        <td><DeltaCell metric={metric} /></td>
+                                                    </tr>
+                                                ))}
+                                                <tr>
+                                                    <td className="py-1">req/s</td><td>{comparison.requestsPerSecond.baseline}</td><td>{comparison.requestsPerSecond.current}</td>
+                                                    <td><DeltaCell metric={comparison.requestsPerSecond} higherIsBetter /></td>
+                                                </tr>
+                                                <tr>
+                                                    <td className="py-1">errors %</td><td>{comparison.errorRate.baseline}</td><td>{comparison.errorRate.current}</td>
+                                                    <td><DeltaCell metric={comparison.errorRate} /></td>
+                                                </tr>
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </div>
+                            )}
+                        </>
+                    ) : (
+                        <p className="text-xs text-gray-500 italic mt-6">Start a test to see live results.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default LoadTestPanel;
@@ -4,7 +4,7 @@
  * Panel for replaying captured requests through the real tunnel pipeline:
  * - Shows original request details with real stored data
  * - Allows editing before replay
- * - Replays through WebSocket tunnel to CLI client
+ * - Replays through WebSocket tunnel to CLI client, or directly to a target URL
  * - Displays real replay results from local server
  */
 
@@ -21,6 +21,7 @@ function ReplayPanel({ request, onClose, onReplayComplete }) {
     // Editable request state
     const [method, setMethod] = useState(request.request?.method || 'GET');
     const [path, setPath] = useState(request.request?.path || '/');
+    const [target, setTarget] = useState('');
     const [headers, setHeaders] = useState(request.request?.headers || {});
     const [body, setBody] = useState(
         request.request?.parsedBody ||
@@ -86,7 +87,7 @@ function ReplayPanel({ request, onClose, onReplayComplete }) {
             const response = await fetch(`${API_URL}/replay/${request.requestId}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ modifications }),
+                body: JSON.stringify({ modifications, target: target.trim() || undefined }),
             });
 
             const data = await response.json();
@@ -127,6 +128,7 @@ function ReplayPanel({ request, onClose, onReplayComplete }) {
     const handleReset = () => {
         setMethod(request.request?.method || 'GET');
         setPath(request.request?.path || '/');
+        setTarget('');
         setHeaders(request.request?.headers || {});
         setBody(request.request?.parsedBody || decodeBody(request.request?.body) || '');
         setResult(null);
@@ -240,6 +242,18 @@ function ReplayPanel({ request, onClose, onReplayComplete }) {
                             </div>
                         </div>
 
+                        {/* Optional target instead of the tunnel */}
+                        <div>
+                            <label className="block text-xs text-gray-500 mb-1 font-bold uppercase tracking-wider">Target URL</label>
+                            <input
+                                type="text"
+                                value={target}
+                                onChange={(e) => setTarget(e.target.value)}
+                                placeholder="Through the tunnel (or e.g. https://staging.example.com)"
+                                className="w-full bg-dark-700 text-white px-3 py-2 rounded-lg text-sm font-mono border border-dark-600 focus:border-blue-500 outline-none"
+                            />
+                        </div>
+
                         {/* Body Editor */}
                         <div>
                             <label className="block text-xs text-gray-500 mb-1 font-bold uppercase tracking-wider">Request Body</label>
@@ -305,7 +319,7 @@ function ReplayPanel({ request, onClose, onReplayComplete }) {
                                             <span className="text-gray-500 text-xs block mb-0.5">Route</span>
                                             <span className={`font-mono flex items-center gap-1 ${result.replayedVia === 'tunnel' ? 'text-cyan-400' : 'text-orange-400'}`}>
                                                 {result.replayedVia === 'tunnel' ? <Zap className="w-3 h-3" /> : <LinkIcon className="w-3 h-3" />}
-                                                {result.replayedVia === 'tunnel' ? 'WebSocket Tunnel' : 'Direct HTTP'}
+                                                {result.replayedVia === 'tunnel' ? 'WebSocket Tunnel' : result.targetUrl}
                                             </span>
                                         </div>
                                     </div>
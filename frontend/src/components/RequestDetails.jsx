@@ -1,13 +1,15 @@
 /**
  * Request Details Component
  * 
- * Displays full request/response details in a drawer or panel
+ * Displays full request/response details in a drawer or panel, with
+ * copy as code snippet (cURL, fetch, Python, Go, ...)
  */
 
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Copy, Check, Inbox, Clock, Download, Upload, Globe, Server, Code, FileText } from 'lucide-react';
 import JsonViewer from './JsonViewer';
+import SnippetCopyButton from './SnippetCopyButton';
 
 // Tab button component
 function TabButton({ active, onClick, children }) {
@@ -241,6 +243,9 @@ export default function RequestDetails({ request }) {
                         {request.responseTime || 0}<span className="text-xs font-normal text-gray-500 mt-2">ms</span>
                     </div>
                     <div className="text-xs text-gray-500">Latency</div>
+                    <div className="mt-3 flex justify-end">
+                        <SnippetCopyButton requestId={request.requestId} />
+                    </div>
                 </div>
             </div>
 
@@ -5,15 +5,15 @@
  * - Real request headers and body
  * - Real response headers and body
  * - Actual timing information
- * - Copy as cURL option
+ * - Copy as code snippet (cURL, fetch, Python, Go, ...)
  * - Replay button
  */
 
 import React, { useState } from 'react';
 import JsonViewer from './JsonViewer';
-import { API_URL } from '../config';
+import SnippetCopyButton from './SnippetCopyButton';
 import {
-    Search, RotateCcw, Copy, X, Check, ArrowRight,
+    Search, RotateCcw, X, ArrowRight,
     Clock, Globe, Server, Hash, Code
 } from 'lucide-react';
 
@@ -24,25 +24,6 @@ function RequestInspector({ request, onClose, onReplay }) {
     // Show headers or body
     const [showSection, setShowSection] = useState('body');
 
-    // Copy status
-    const [copyStatus, setCopyStatus] = useState(null);
-
-    /**
-     * Copies cURL command to clipboard
-     */
-    const copyCurlCommand = async () => {
-        try {
-            const response = await fetch(`${API_URL}/traffic/${request.requestId}/curl`);
-            const data = await response.json();
-            await navigator.clipboard.writeText(data.curl);
-            setCopyStatus('Copied!');
-            setTimeout(() => setCopyStatus(null), 2000);
-        } catch (error) {
-            console.error('Failed to copy cURL:', error);
-            setCopyStatus('Failed');
-        }
-    };
-
     /**
      * Decodes base64 body if needed
      */
@@ -113,13 +94,7 @@ function RequestInspector({ request, onClose, onReplay }) {
                     >
                         <RotateCcw className="w-3 h-3" /> Replay
                     </button>
-                    <button
-                        onClick={copyCurlCommand}
-                        className="bg-dark-700 hover:bg-dark-600 text-gray-300 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors border border-dark-600 flex items-center gap-1 min-w-[90px] justify-center"
-                    >
-                        {copyStatus ? <Check className="w-3 h-3 text-green-400" /> : <Copy className="w-3 h-3" />}
-                        {copyStatus || 'Copy cURL'}
-                    </button>
+                    <SnippetCopyButton requestId={request.requestId} />
                     <button
                         onClick={onClose}
                         className="text-gray-400 hover:text-white p-1 rounded hover:bg-dark-700 transition-colors"
@@ -0,0 +1,75 @@
+/**
+ * SnippetCopyButton Component
+ *
+ * Language picker plus a button that copies a captured request as a code
+ * snippet (cURL, fetch, Python, Go, ...). The language is remembered
+ * across requests.
+ */
+
+import { useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+import { API_URL } from '../config';
+
+// Snippet languages served by /traffic/:requestId/snippet
+const SNIPPET_LANGUAGES = [
+    { id: 'curl', name: 'cURL' },
+    { id: 'httpie', name: 'HTTPie' },
+    { id: 'fetch', name: 'fetch' },
+    { id: 'axios', name: 'axios' },
+    { id: 'python', name: 'Python' },
+    { id: 'go', name: 'Go' },
+    { id: 'powershell', name: 'PowerShell' },
+    { id: 'http', name: 'HTTP' },
+];
+
+const SNIPPET_LANG_KEY = 'devtunnel:snippetLang';
+
+export default function SnippetCopyButton({ requestId }) {
+    const [snippetLang, setSnippetLang] = useState(() => localStorage.getItem(SNIPPET_LANG_KEY) || 'curl');
+    const [copyStatus, setCopyStatus] = useState(null);
+
+    const changeSnippetLang = (lang) => {
+        setSnippetLang(lang);
+        localStorage.setItem(SNIPPET_LANG_KEY, lang);
+    };
+
+    /**
+     * Copies the request as a snippet in the selected language
+     */
+    const copySnippet = async () => {
+        try {
+            const response = await fetch(`${API_URL}/traffic/${requestId}/snippet?lang=${snippetLang}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            await navigator.clipboard.writeText(data.snippet);
+            setCopyStatus('Copied!');
+            setTimeout(() => setCopyStatus(null), 2000);
+        } catch (error) {
+            console.error('Failed to copy snippet:', error);
+            setCopyStatus('Failed');
+        }
+    };
+
+    return (
+        <div className="flex items-center">
+            <select
+                value={snippetLang}
+                onChange={(e) => changeSnippetLang(e.target.value)}
+                title="Snippet language"
+                className="bg-dark-700 text-gray-300 pl-2 pr-1 py-1.5 rounded-l-lg text-xs border border-r-0 border-dark-600 focus:border-blue-500 outline-none"
+            >
+                {SNIPPET_LANGUAGES.map(lang => (
+                    <option key={lang.id} value={lang.id}>{lang.name}</option>
+                ))}
+            </select>
+            <button
+                onClick={copySnippet}
+                disabled={!requestId}
+                className="bg-dark-700 hover:bg-dark-600 text-gray-300 px-3 py-1.5 rounded-r-lg text-xs font-medium transition-colors border border-dark-600 flex items-center gap-1 min-w-[70px] justify-center disabled:opacity-40"
+            >
+                {copyStatus ? <Check className="w-3 h-3 text-green-400" /> : <Copy className="w-3 h-3" />}
+                {copyStatus || 'Copy'}
+            </button>
+        </div>
+    );
+}
@@ -3,20 +3,29 @@
  * 
  * Advanced traffic manipulation controls:
  * - Pause/Resume traffic stream
- * - Network throttling profiles
+ * - Network throttling profiles (paced downlink/uplink, jitter, packet loss)
  * - Chaos testing mode
  * - Request modification rules
+ *
+ * Controls the global default or, when picked, a single tunnel.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { API_URL } from '../config';
 import {
     Play, Pause, Rocket, Wifi, Smartphone,
     XCircle, Settings, Sliders, ZapOff, ShieldAlert,
-    Snail
+    Snail, RotateCcw
 } from 'lucide-react';
 
-function TrafficControlPanel({ onStateChange }) {
+function TrafficControlPanel({ tunnels = [], onStateChange }) {
+    // Scope: '' for the global default, else a tunnelId
+    const [tunnelId, setTunnelId] = useState('');
+    const [overrides, setOverrides] = useState(null);
+    const baseUrl = tunnelId
+        ? `${API_URL}/tunnels/${tunnelId}/traffic-control`
+        : `${API_URL}/traffic-control`;
+
     // Control state
     const [isPaused, setIsPaused] = useState(false);
     const [queueSize, setQueueSize] = useState(0);
@@ -28,9 +37,15 @@ function TrafficControlPanel({ onStateChange }) {
         delayVariance: 500,
     });
 
-    // Custom throttle settings
+    // Custom throttle settings (rates in kbps)
     const [customLatency, setCustomLatency] = useState(200);
-    const [customBandwidth, setCustomBandwidth] = useState(1000);
+    const [customDownlink, setCustomDownlink] = useState(1000);
+    const [customUplink, setCustomUplink] = useState(500);
+    const [customJitter, setCustomJitter] = useState(0);
+    const [customPacketLoss, setCustomPacketLoss] = useState(0);
+
+    // One shaped link per client IP, or one shared by the whole tunnel
+    const [shapeBy, setShapeBy] = useState('client');
 
     // Throttle profiles
     const throttleProfiles = [
@@ -42,17 +57,64 @@ function TrafficControlPanel({ onStateChange }) {
         { id: 'custom', label: 'Custom', icon: <Settings className="w-5 h-5" />, color: 'text-purple-400', borderColor: 'group-hover:border-purple-500/50' },
     ];
 
+    /**
+     * Load the settings in effect for the selected scope
+     */
+    const loadState = useCallback(async () => {
+        try {
+            const res = await fetch(baseUrl);
+            if (!res.ok) {
+                // Tunnel closed: fall back to the global default
+                if (tunnelId) setTunnelId('');
+                return;
+            }
+            const data = await res.json();
+            setIsPaused(data.isPaused);
+            setQueueSize(data.queueSize || 0);
+            setThrottle(data.throttle?.profile || 'none');
+            setShapeBy(data.throttle?.shapeBy || 'client');
+            setChaosMode({
+                enabled: data.chaosMode.enabled,
+                dropRate: Math.round(data.chaosMode.dropRate * 100),
+                corruptRate: Math.round(data.chaosMode.corruptRate * 100),
+                delayVariance: data.chaosMode.delayVariance,
+            });
+            setOverrides(data.overrides || null);
+        } catch (error) {
+            console.error('Failed to load traffic control state:', error);
+        }
+    }, [baseUrl, tunnelId]);
+
+    useEffect(() => {
+        loadState();
+    }, [loadState]);
+
+    /**
+     * Drop the tunnel's own settings
+     */
+    const resetTunnel = async () => {
+        try {
+            await fetch(baseUrl, { method: 'DELETE' });
+            await loadState();
+        } catch (error) {
+            console.error('Failed to reset tunnel traffic control:', error);
+        }
+    };
+
+    const hasOverrides = overrides && Object.values(overrides).some(Boolean);
+
     /**
      * Toggle pause/resume
      */
     const togglePause = async () => {
         try {
             const endpoint = isPaused ? 'resume' : 'pause';
-            const res = await fetch(`${API_URL}/traffic-control/${endpoint}`, { method: 'POST' });
+            const res = await fetch(`${baseUrl}/${endpoint}`, { method: 'POST' });
             const data = await res.json();
             setIsPaused(data.paused);
             setQueueSize(data.queueSize || 0);
-            onStateChange?.({ isPaused: data.paused });
+            if (tunnelId) setOverrides(prev => ({ ...prev, paused: true }));
+            onStateChange?.({ tunnelId, isPaused: data.paused });
         } catch (error) {
             console.error('Failed to toggle pause:', error);
         }
@@ -61,19 +123,29 @@ function TrafficControlPanel({ onStateChange }) {
     /**
      * Set throttle profile
      */
-    const handleThrottleChange = async (profile) => {
+    const handleThrottleChange = async (profile, shaping = shapeBy) => {
         try {
             const body = profile === 'custom'
-                ? { profile, latency: customLatency, bandwidth: customBandwidth * 1000 }
-                : { profile };
+                ? {
+                    profile,
+                    shapeBy: shaping,
+                    latency: customLatency,
+                    jitter: customJitter,
+                    downlink: customDownlink * 1000,
+                    uplink: customUplink * 1000,
+                    packetLoss: customPacketLoss / 100,
+                }
+                : { profile, shapeBy: shaping };
 
-            await fetch(`${API_URL}/traffic-control/throttle`, {
+            await fetch(`${baseUrl}/throttle`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(body),
             });
             setThrottle(profile);
-            onStateChange?.({ throttle: profile });
+            setShapeBy(shaping);
+            if (tunnelId) setOverrides(prev => ({ ...prev, throttle: true }));
+            onStateChange?.({ tunnelId, throttle: profile });
         } catch (error) {
             console.error('Failed to set throttle:', error);
         }
@@ -97,9 +169,9 @@ function TrafficControlPanel({ onStateChange }) {
             // In a real app we might want to wait for server confirmation, 
             // but for better UX we toggle immediately and revert on error
             setChaosMode(newState);
-            onStateChange?.({ chaosMode: newState });
+            onStateChange?.({ tunnelId, chaosMode: newState });
 
-            await fetch(`${API_URL}/traffic-control/chaos`, {
+            await fetch(`${baseUrl}/chaos`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -109,11 +181,12 @@ function TrafficControlPanel({ onStateChange }) {
                     delayVariance: newState.delayVariance,
                 }),
             });
+            if (tunnelId) setOverrides(prev => ({ ...prev, chaosMode: true }));
         } catch (error) {
             console.error('Failed to toggle chaos mode:', error);
             // Revert on error
             setChaosMode(chaosMode);
-            onStateChange?.({ chaosMode: chaosMode });
+            onStateChange?.({ tunnelId, chaosMode: chaosMode });
         }
     };
 
@@ -126,7 +199,7 @@ function TrafficControlPanel({ onStateChange }) {
         // For now, only calls if enabled
         if (chaosMode.enabled) {
             try {
-                await fetch(`${API_URL}/traffic-control/chaos`, {
+                await fetch(`${baseUrl}/chaos`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
@@ -154,6 +227,37 @@ function TrafficControlPanel({ onStateChange }) {
                 )}
             </h2>
 
+            {/* Scope picker */}
+            <div className="mb-6">
+                <label className="block text-xs font-bold text-gray-400 mb-2 uppercase tracking-wider">Applies To</label>
+                <div className="flex gap-2">
+                    <select
+                        value={tunnelId}
+                        onChange={(e) => setTunnelId(e.target.value)}
+                        className="flex-1 bg-dark-700 text-white px-3 py-2 rounded-lg text-sm border border-dark-600 focus:border-cyan-500 outline-none"
+                    >
+                        <option value="">All tunnels (global default)</option>
+                        {tunnels.map(tunnel => (
+                            <option key={tunnel.tunnelId} value={tunnel.tunnelId}>
+                                {tunnel.subdomain} (:{tunnel.localPort})
+                            </option>
+                        ))}
+                    </select>
+                    {tunnelId && hasOverrides && (
+                        <button
+                            onClick={resetTunnel}
+                            title="Use the global default again"
+                            className="px-3 py-2 bg-dark-700 text-gray-300 border border-dark-600 rounded-lg text-xs hover:text-white hover:border-cyan-500/50 flex items-center gap-1"
+                        >
+                            <RotateCcw className="w-3 h-3" /> Reset
+                        </button>
+                    )}
+                </div>
+                {tunnelId && !hasOverrides && (
+                    <p className="mt-2 text-xs text-gray-500 italic">Following the global default until you change a setting here.</p>
+                )}
+            </div>
+
             {/* Pause/Resume Control */}
             <div className="mb-8">
                 <button
@@ -201,39 +305,38 @@ function TrafficControlPanel({ onStateChange }) {
                     ))}
                 </div>
 
+                {/* Who shares a throttled link */}
+                <div className="mt-3 flex items-center justify-between text-xs">
+                    <span className="text-gray-500">Shape bandwidth per</span>
+                    <div className="flex rounded-lg border border-dark-600 overflow-hidden">
+                        {[['client', 'Client IP'], ['tunnel', 'Tunnel']].map(([value, label]) => (
+                            <button
+                                key={value}
+                                onClick={() => handleThrottleChange(throttle, value)}
+                                className={`px-3 py-1 transition-colors ${shapeBy === value
+                                    ? 'bg-blue-500/20 text-blue-400'
+                                    : 'text-gray-400 hover:text-white'
+                                    }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
                 {/* Custom throttle settings */}
                 {throttle === 'custom' && (
                     <div className="mt-4 p-4 bg-dark-700/30 rounded-lg space-y-4 border border-dark-600 animate-in fade-in slide-in-from-top-2 duration-300">
-                        <div>
-                            <div className="flex justify-between mb-1">
-                                <label className="text-xs text-gray-400 font-medium">Latency</label>
-                                <span className="text-xs text-purple-400 font-mono">{customLatency}ms</span>
-                            </div>
-                            <input
-                                type="range"
-                                min="0"
-                                max="2000"
-                                step="50"
-                                value={customLatency}
-                                onChange={(e) => setCustomLatency(parseInt(e.target.value))}
-                                className="w-full h-1.5 bg-dark-600 rounded-lg appearance-none cursor-pointer accent-purple-500"
-                            />
-                        </div>
-                        <div>
-                            <div className="flex justify-between mb-1">
-                                <label className="text-xs text-gray-400 font-medium">Bandwidth</label>
-                                <span className="text-xs text-purple-400 font-mono">{customBandwidth} KB/s</span>
-                            </div>
-                            <input
-                                type="range"
-                                min="1"
-                                max="10000"
-                                step="100"
-                                value={customBandwidth}
-                                onChange={(e) => setCustomBandwidth(parseInt(e.target.value))}
-                                className="w-full h-1.5 bg-dark-600 rounded-lg appearance-none cursor-pointer accent-purple-500"
-                            />
-                        </div>
+                        <ThrottleSlider label="Latency" unit="ms" min={0} max={2000} step={50}
+                            value={customLatency} onChange={setCustomLatency} />
+                        <ThrottleSlider label="Jitter" unit="ms" min={0} max={1000} step={10}
+                            value={customJitter} onChange={setCustomJitter} />
+                        <ThrottleSlider label="Downlink" unit=" kbps" min={10} max={10000} step={10}
+                            value={customDownlink} onChange={setCustomDownlink} />
+                        <ThrottleSlider label="Uplink" unit=" kbps" min={10} max={10000} step={10}
+                            value={customUplink} onChange={setCustomUplink} />
+                        <ThrottleSlider label="Packet Loss" unit="%" min={0} max={20} step={1}
+                            value={customPacketLoss} onChange={setCustomPacketLoss} />
                         <button
                             onClick={applyCustomThrottle}
                             className="w-full py-2 bg-purple-500/20 text-purple-400 border border-purple-500/50 rounded-lg text-xs font-bold hover:bg-purple-500/30 transition-colors flex items-center justify-center gap-2"
@@ -319,4 +422,27 @@ function TrafficControlPanel({ onStateChange }) {
     );
 }
 
+/**
+ * Labelled range input for a custom throttle setting
+ */
+function ThrottleSlider({ label, unit, min, max, step, value, onChange }) {
+    return (
+        <div>
+            <div className="flex justify-between mb-1">
+                <label className="text-xs text-gray-400 font-medium">{label}</label>
+                <span className="text-xs text-purple-400 font-mono">{value}{unit}</span>
+            </div>
+            <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(parseInt(e.target.value))}
+                className="w-full h-1.5 bg-dark-600 rounded-lg appearance-none cursor-pointer accent-purple-500"
+            />
+        </div>
+    );
+}
+
 export default TrafficControlPanel;
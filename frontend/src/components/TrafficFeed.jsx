@@ -6,6 +6,7 @@
  * - Status code
  * - Response time
  * - Timestamp
+ * - Search bar (gateway query language) with saved searches
  */
 
 import React from 'react';
@@ -13,8 +14,13 @@ import {
     Activity, Trash2, Clock, Globe, ArrowRight,
     Search, Server, Zap, CheckCircle, AlertTriangle, XCircle
 } from 'lucide-react';
+import { useTrafficSearch } from '../hooks/useTrafficSearch';
+import TrafficSearchBar from './TrafficSearchBar';
 
 function TrafficFeed({ traffic, onSelectRequest, selectedRequestId, onClear }) {
+    const search = useTrafficSearch(traffic);
+    const { activeQuery, shown } = search;
+
     return (
         <div className="bg-dark-800 rounded-xl border border-dark-600 p-0 shadow-lg shadow-cyan-500/5 h-full flex flex-col overflow-hidden">
             {/* Header with actions */}
@@ -47,9 +53,18 @@ function TrafficFeed({ traffic, onSelectRequest, selectedRequestId, onClear }) {
                 </div>
             </div>
 
+            {/* Search bar */}
+            <TrafficSearchBar search={search} />
+
             {/* Traffic table container */}
             <div className="flex-1 overflow-auto custom-scrollbar">
-                {traffic.length === 0 ? (
+                {shown.length === 0 && activeQuery ? (
+                    <div className="flex flex-col items-center justify-center p-12 text-center h-full">
+                        <Search className="w-8 h-8 text-gray-600 mb-4" />
+                        <h3 className="text-lg font-medium text-gray-300 mb-2">No matching requests</h3>
+                        <p className="text-sm text-gray-500 max-w-xs font-mono">{activeQuery}</p>
+                    </div>
+                ) : shown.length === 0 ? (
                     // Empty state
                     <div className="flex flex-col items-center justify-center p-12 text-center h-full">
                         <div className="w-16 h-16 rounded-full bg-dark-700/50 flex items-center justify-center mb-4 border border-dark-600">
@@ -73,7 +88,7 @@ function TrafficFeed({ traffic, onSelectRequest, selectedRequestId, onClear }) {
                             </tr>
                         </thead>
                         <tbody className="divide-y divide-dark-700/50">
-                            {traffic.map((request) => (
+                            {shown.map((request) => (
                                 <TrafficRow
                                     key={request.requestId}
                                     request={request}
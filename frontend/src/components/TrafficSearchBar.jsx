@@ -0,0 +1,82 @@
+/**
+ * TrafficSearchBar Component
+ *
+ * Query input for the gateway query language, with saved searches.
+ * Takes the state from useTrafficSearch.
+ */
+
+import { Search, X, Star } from 'lucide-react';
+
+export default function TrafficSearchBar({ search }) {
+    const {
+        queryInput, setQueryInput, activeQuery, searchError,
+        savedSearches, applySearch, saveSearch, removeSavedSearch
+    } = search;
+
+    return (
+        <div className="px-4 py-3 border-b border-dark-600 space-y-2">
+            <form
+                onSubmit={(e) => { e.preventDefault(); applySearch(queryInput); }}
+                className="flex items-center gap-2"
+            >
+                <div className="flex-1 flex items-center gap-2 bg-dark-900 border border-dark-600 rounded-lg px-3 py-2 focus-within:border-cyan-500/50">
+                    <Search className="w-4 h-4 text-gray-500 shrink-0" />
+                    <input
+                        value={queryInput}
+                        onChange={(e) => setQueryInput(e.target.value)}
+                        placeholder="method:POST path:/orders/** status:5xx header.x-tenant:acme duration:>500"
+                        className="flex-1 min-w-0 bg-transparent text-sm font-mono text-gray-200 placeholder-gray-600 focus:outline-none"
+                    />
+                    {queryInput && (
+                        <button
+                            type="button"
+                            onClick={() => applySearch('')}
+                            className="text-gray-500 hover:text-white"
+                            title="Clear search"
+                        >
+                            <X className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+                <button
+                    type="button"
+                    onClick={saveSearch}
+                    disabled={!queryInput.trim()}
+                    className="p-2 text-gray-400 hover:text-yellow-400 hover:bg-dark-700/50 rounded-lg transition-colors disabled:opacity-40"
+                    title="Save search"
+                >
+                    <Star className="w-4 h-4" />
+                </button>
+            </form>
+
+            {searchError && (
+                <div className="text-xs text-red-400 font-mono">{searchError}</div>
+            )}
+
+            {savedSearches.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {savedSearches.map((query) => (
+                        <span
+                            key={query}
+                            className={`inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full text-xs font-mono border transition-colors
+                                ${query === activeQuery
+                                    ? 'bg-cyan-500/20 text-cyan-300 border-cyan-500/40'
+                                    : 'bg-dark-700 text-gray-400 border-dark-500 hover:text-white'}`}
+                        >
+                            <button onClick={() => applySearch(query)} title="Run saved search">
+                                {query}
+                            </button>
+                            <button
+                                onClick={() => removeSavedSearch(query)}
+                                className="text-gray-500 hover:text-red-400"
+                                title="Delete saved search"
+                            >
+                                <X className="w-3 h-3" />
+                            </button>
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
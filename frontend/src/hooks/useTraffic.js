@@ -6,6 +6,8 @@
  * - Real-time metrics pushed via WebSocket
  * - Computed latency, throughput, error rates
  * - Active tunnel management
+ * - Requests and responses held at breakpoints
+ * - Live load test progress and final reports
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
@@ -18,6 +20,12 @@ export function useTraffic() {
     // Store active tunnels
     const [tunnels, setTunnels] = useState([]);
 
+    // Items held at breakpoints, pushed live by the gateway
+    const [heldItems, setHeldItems] = useState([]);
+
+    // Load tests by id, with the progress points streamed so far
+    const [loadTests, setLoadTests] = useState({});
+
     // Connection status
     const [isConnected, setIsConnected] = useState(false);
 
@@ -207,6 +215,34 @@ export function useTraffic() {
                 }
                 break;
 
+            case 'breakpoint:list':
+                setHeldItems(message.data || []);
+                break;
+
+            case 'breakpoint:held':
+                setHeldItems(prev => [...prev.filter(item => item.id !== message.data.id), message.data]);
+                break;
+
+            case 'breakpoint:released':
+                setHeldItems(prev => prev.filter(item => item.id !== message.data.id));
+                break;
+
+            case 'loadtest:progress': {
+                const { latest, ...report } = message.data;
+                setLoadTests(prev => ({
+                    ...prev,
+                    [report.id]: {
+                        ...report,
+                        timeSeries: [...(prev[report.id]?.timeSeries || []), latest],
+                    },
+                }));
+                break;
+            }
+
+            case 'loadtest:completed':
+                setLoadTests(prev => ({ ...prev, [message.data.id]: message.data }));
+                break;
+
             case 'pong':
                 break;
 
@@ -267,5 +303,7 @@ export function useTraffic() {
         connected: isConnected,
         clearRequests: clearTraffic,
         fetchTunnels,
+        heldItems,
+        loadTests,
     };
 }
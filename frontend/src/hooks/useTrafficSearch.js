@@ -0,0 +1,84 @@
+/**
+ * useTrafficSearch Hook
+ *
+ * Searches captured traffic with the gateway query language:
+ * - Runs the query against GET /traffic?q=...
+ * - Re-runs it as live traffic arrives
+ * - Keeps saved searches in localStorage
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
+
+const SAVED_SEARCHES_KEY = 'devtunnel:savedSearches';
+
+const loadSavedSearches = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SAVED_SEARCHES_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+export function useTrafficSearch(traffic) {
+    const [queryInput, setQueryInput] = useState('');
+    const [activeQuery, setActiveQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [searchError, setSearchError] = useState(null);
+    const [savedSearches, setSavedSearches] = useState(loadSavedSearches);
+
+    const runSearch = useCallback(async (query) => {
+        try {
+            const response = await fetch(`${API_URL}/traffic?limit=100&q=${encodeURIComponent(query)}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Search failed');
+            setResults(data.traffic || []);
+            setSearchError(null);
+        } catch (error) {
+            setResults([]);
+            setSearchError(error.message);
+        }
+    }, []);
+
+    // Re-run the active search as live traffic arrives
+    useEffect(() => {
+        if (!activeQuery) return;
+        const timer = setTimeout(() => runSearch(activeQuery), 500);
+        return () => clearTimeout(timer);
+    }, [activeQuery, traffic, runSearch]);
+
+    const applySearch = (query) => {
+        setQueryInput(query);
+        setActiveQuery(query.trim());
+        setSearchError(null);
+    };
+
+    const updateSavedSearches = (searches) => {
+        setSavedSearches(searches);
+        localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(searches));
+    };
+
+    const saveSearch = () => {
+        const query = queryInput.trim();
+        if (!query || savedSearches.includes(query)) return;
+        updateSavedSearches([...savedSearches, query]);
+    };
+
+    const removeSavedSearch = (query) => {
+        updateSavedSearches(savedSearches.filter(q => q !== query));
+    };
+
+    return {
+        queryInput,
+        setQueryInput,
+        activeQuery,
+        searchError,
+        savedSearches,
+        applySearch,
+        saveSearch,
+        removeSavedSearch,
+
+        // The search results while a query is active, otherwise the live traffic
+        shown: activeQuery ? results : traffic,
+    };
+}
@@ -18,16 +18,22 @@ import {
     PieChart, Pie, Cell
 } from 'recharts';
 import { useTraffic } from '../hooks/useTraffic';
+import { useTrafficSearch } from '../hooks/useTrafficSearch';
+import { API_URL } from '../config';
 import RequestDetails from '../components/RequestDetails';
+import TrafficSearchBar from '../components/TrafficSearchBar';
 import TunnelList from '../components/TunnelList';
 import TrafficControlPanel from '../components/TrafficControlPanel';
+import BreakpointsPanel from '../components/BreakpointsPanel';
 import TrafficHeatmap from '../components/TrafficHeatmap';
 import DiffReplayPanel from '../components/DiffReplayPanel';
+import LoadTestPanel from '../components/LoadTestPanel';
 import QRCodeModal from '../components/QRCodeModal';
 import {
     LayoutGrid, Activity, CheckCircle, Zap, Flame,
     Settings, RotateCcw, Trash2, Globe, Server, X,
-    Wifi, WifiOff, FileText, Search, BookOpen
+    Wifi, WifiOff, FileText, Search, BookOpen, OctagonPause,
+    Download, Upload, Gauge
 } from 'lucide-react';
 
 // Custom Tooltip for charts
@@ -280,6 +286,9 @@ function PayloadSizeChart({ data }) {
 
 // Live Traffic List
 function LiveTrafficList({ requests, onSelectRequest }) {
+    const search = useTrafficSearch(requests);
+    const { activeQuery, shown } = search;
+
     const getStatusColor = (status) => {
         if (status >= 200 && status < 300) return 'text-green-400 bg-green-500/10 border-green-500/30';
         if (status >= 300 && status < 400) return 'text-blue-400 bg-blue-500/10 border-blue-500/30';
@@ -307,10 +316,21 @@ function LiveTrafficList({ requests, onSelectRequest }) {
                     Live Traffic
                     <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse" />
                 </h3>
-                <span className="text-sm text-gray-500">{requests.length} requests</span>
+                <span className="text-sm text-gray-500">
+                    {activeQuery ? `${shown.length} matching` : `${requests.length} requests`}
+                </span>
             </div>
+            <TrafficSearchBar search={search} />
             <div className="flex-1 overflow-y-auto max-h-96">
-                {requests.length === 0 ? (
+                {shown.length === 0 && activeQuery ? (
+                    <div className="flex flex-col items-center justify-center h-48 text-gray-500">
+                        <div className="p-4 bg-dark-700/50 rounded-full mb-3">
+                            <Search className="w-8 h-8 text-gray-600" />
+                        </div>
+                        <div>No matching requests</div>
+                        <div className="text-sm font-mono">{activeQuery}</div>
+                    </div>
+                ) : shown.length === 0 ? (
                     <div className="flex flex-col items-center justify-center h-48 text-gray-500">
                         <div className="p-4 bg-dark-700/50 rounded-full mb-3">
                             <Activity className="w-8 h-8 text-gray-600" />
@@ -320,7 +340,7 @@ function LiveTrafficList({ requests, onSelectRequest }) {
                     </div>
                 ) : (
                     <div className="divide-y divide-dark-600">
-                        {requests.slice(0, 50).map((req, i) => (
+                        {shown.slice(0, 50).map((req, i) => (
                             <motion.div
                                 key={req.id || i}
                                 initial={{ opacity: 0, x: -20 }}
@@ -385,13 +405,38 @@ export default function DashboardPage() {
         stats,
         connected,
         fetchTunnels,
-        clearRequests
+        clearRequests,
+        refreshTraffic,
+        heldItems,
+        loadTests
     } = useTraffic();
 
     const [selectedRequest, setSelectedRequest] = useState(null);
     const [activePanel, setActivePanel] = useState(null);
     const [qrTunnel, setQrTunnel] = useState(null);
     const [view, setView] = useState('overview'); // overview, analytics
+    const [harMessage, setHarMessage] = useState(null);
+
+    // Loads a HAR file into the inspector so its entries can be inspected and replayed
+    const importHar = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const res = await fetch(`${API_URL}/traffic/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: await file.text(),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Import failed');
+            setHarMessage(`Imported ${data.imported} requests from ${file.name}`);
+            refreshTraffic();
+        } catch (error) {
+            setHarMessage(`HAR import failed: ${error.message}`);
+        }
+    };
 
     // Generate time-series data from requests
     const timeSeriesData = useMemo(() => {
@@ -527,8 +572,10 @@ export default function DashboardPage() {
                 <div className="flex flex-wrap gap-2 mb-6">
                     {[
                         { id: 'control', icon: <Settings className="w-4 h-4" />, label: 'Traffic Control' },
+                        { id: 'breakpoints', icon: <OctagonPause className="w-4 h-4" />, label: heldItems.length ? `Breakpoints (${heldItems.length})` : 'Breakpoints' },
                         { id: 'heatmap', icon: <LayoutGrid className="w-4 h-4" />, label: 'Heatmap' },
                         { id: 'replay', icon: <RotateCcw className="w-4 h-4" />, label: 'Diff Replay' },
+                        { id: 'loadtest', icon: <Gauge className="w-4 h-4" />, label: 'Load Test' },
                     ].map(panel => (
                         <button
                             key={panel.id}
@@ -541,15 +588,38 @@ export default function DashboardPage() {
                             {panel.icon} {panel.label}
                         </button>
                     ))}
+                    <a
+                        href={`${API_URL}/traffic/export?format=har`}
+                        className="px-4 py-2 rounded-lg text-sm font-medium bg-dark-700 text-gray-400 
+                                 hover:text-white border border-dark-500 transition-colors ml-auto flex items-center gap-2"
+                    >
+                        <Download className="w-4 h-4" /> Export HAR
+                    </a>
+                    <label
+                        className="px-4 py-2 rounded-lg text-sm font-medium bg-dark-700 text-gray-400 
+                                 hover:text-white border border-dark-500 transition-colors cursor-pointer flex items-center gap-2"
+                    >
+                        <Upload className="w-4 h-4" /> Import HAR
+                        <input type="file" accept=".har,application/json" onChange={importHar} className="hidden" />
+                    </label>
                     <button
                         onClick={clearRequests}
                         className="px-4 py-2 rounded-lg text-sm font-medium bg-dark-700 text-gray-400 
-                                 hover:text-white border border-dark-500 transition-colors ml-auto flex items-center gap-2"
+                                 hover:text-white border border-dark-500 transition-colors flex items-center gap-2"
                     >
                         <Trash2 className="w-4 h-4" /> Clear
                     </button>
                 </div>
 
+                {harMessage && (
+                    <div className="mb-6 px-4 py-2 rounded-lg text-sm bg-dark-700 border border-dark-500 text-gray-300 flex items-center justify-between">
+                        {harMessage}
+                        <button onClick={() => setHarMessage(null)} className="text-gray-500 hover:text-white">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+
                 {/* Active Panel */}
                 <AnimatePresence>
                     {activePanel && (
@@ -559,9 +629,11 @@ export default function DashboardPage() {
                             exit={{ opacity: 0, height: 0 }}
                             className="mb-6 overflow-hidden"
                         >
-                            {activePanel === 'control' && <TrafficControlPanel />}
+                            {activePanel === 'control' && <TrafficControlPanel tunnels={tunnels} />}
+                            {activePanel === 'breakpoints' && <BreakpointsPanel heldItems={heldItems} tunnels={tunnels} />}
                             {activePanel === 'heatmap' && <TrafficHeatmap requests={requests} />}
-                            {activePanel === 'replay' && <DiffReplayPanel requests={requests} />}
+                            {activePanel === 'replay' && <DiffReplayPanel requests={requests} tunnels={tunnels} />}
+                            {activePanel === 'loadtest' && <LoadTestPanel requests={requests} tunnels={tunnels} loadTests={loadTests} />}
                         </motion.div>
                     )}
                 </AnimatePresence>